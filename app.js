@@ -8,8 +8,14 @@ const config = require('./server/config/config');
 const callbackRoutes = require('./server/routes/callback');
 const authRoutes = require('./server/routes/auth');
 const apiRoutes = require('./server/routes/api');
+const adminRoutes = require('./server/routes/admin');
+const metricsRoutes = require('./server/routes/metrics');
+const { attachSpeechStream } = require('./server/routes/speechStream');
 
 const logger = require('./server/utils/logger');
+const { StorageSessionStore } = require('./server/utils/sessionStore');
+const { requestContextMiddleware } = require('./server/middleware/requestContext');
+const { flushAll } = require('./server/utils/storage');
 
 // 创建Express应用
 const app = express();
@@ -46,7 +52,8 @@ app.use((req, res, next) => {
 
 // 配置session
 const isProduction = process.env.NODE_ENV === 'production';
-app.use(session({
+const sessionMiddleware = session({
+    store: new StorageSessionStore(), // 使用可插拔存储层，STORAGE_DRIVER=file 时重启不掉线
     secret: process.env.SESSION_SECRET || 'your-super-secret-session-key-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -56,35 +63,44 @@ app.use(session({
         sameSite: isProduction ? 'none' : 'lax', // 生产环境跨站场景需要 none，开发环境使用 lax
         maxAge: 7 * 24 * 60 * 60 * 1000 // 7天
     }
-}));
+});
+app.use(sessionMiddleware);
 
 
-// 专门处理XML格式的中间件
-app.use((req, res, next) => {
-    if (req.is('text/xml') || req.is('application/xml')) {
-        let data = '';
-        req.on('data', chunk => {
-            data += chunk;
-        });
-        req.on('end', () => {
-            req.rawBody = data;
-            next();
-        });
-    } else {
-        next();
-    }
-});
+// 专门处理XML格式的中间件（企业微信回调），解析为字符串放入 req.body
+app.use(express.text({ type: ['text/xml', 'application/xml'], limit: '1mb' }));
+
+// 请求上下文（requestId / userId 自动写入日志），放在请求体解析和session之后，
+// 避免其内部的流和存储回调丢失上下文
+app.use(requestContextMiddleware);
 
 // 注册路由
 app.use('/callback', callbackRoutes);
 app.use('/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
+app.use('/metrics', metricsRoutes);
 
 // 添加聊天页面路由
 app.get('/chat', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'chat.html'));
 });
 
+// 管理后台页面（数据接口 /api/admin 按角色鉴权）
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// 会话分享页（内容通过 /api/shares/:token 加载并校验权限）
+// 未登录时先走企业微信登录，登录完成后回到分享页
+app.get('/share/:token', (req, res) => {
+    if (process.env.NODE_ENV !== 'development' && !(req.session && req.session.userId)) {
+        req.session.returnTo = req.originalUrl;
+        return res.redirect('/auth/login');
+    }
+    res.sendFile(path.join(__dirname, 'public', 'share.html'));
+});
+
 // 开发环境测试路由
 app.get('/dev', (req, res) => {
     if (process.env.NODE_ENV === 'development') {
@@ -162,7 +178,7 @@ app.use((err, req, res, next) => {
 });
 
 // 启动服务器 - Fixed message pairing
-app.listen(port, () => {
+const server = app.listen(port, () => {
     logger.info(`服务器运行在端口 ${port}`);
 
     // 应用启动完成
@@ -177,6 +193,9 @@ app.listen(port, () => {
     }
 });
 
+// 实时语音输入（WebSocket），握手时通过 session 校验登录
+attachSpeechStream(server, sessionMiddleware);
+
 // 优雅关闭处理
 process.on('SIGTERM', () => {
     logger.info('收到SIGTERM信号，开始优雅关闭', {
@@ -184,6 +203,8 @@ process.on('SIGTERM', () => {
         timestamp: new Date().toISOString()
     });
 
+    // 将session、会话缓存等数据落盘
+    flushAll();
 
     setTimeout(() => {
         logger.info('应用已优雅关闭', {
@@ -200,6 +221,8 @@ process.on('SIGINT', () => {
         timestamp: new Date().toISOString()
     });
 
+    // 将session、会话缓存等数据落盘
+    flushAll();
 
     setTimeout(() => {
         logger.info('应用已优雅关闭', {
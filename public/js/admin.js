@@ -0,0 +1,413 @@
+// public/js/admin.js
+// 管理后台：展示各组件运行状态，管理员可调整日志级别、重置限流计数、重新加载适配器
+
+// 自动刷新间隔
+const ADMIN_REFRESH_INTERVAL = 10000;
+
+const adminState = {
+    user: null,
+    refreshTimer: null,
+    pendingConfirm: null
+};
+
+// ============= 接口请求 =============
+
+/**
+ * 请求管理接口
+ * @param {string} path - /api/admin 下的路径
+ * @param {Object} options - fetch 选项
+ * @returns {Promise<Object>} 响应JSON
+ */
+async function adminRequest(path, options = {}) {
+    const response = await fetch(`/api/admin${path}`, {
+        method: options.method || 'GET',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (response.status === 401) {
+        window.location.href = '/';
+        throw new Error('登录已失效，请重新登录');
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return data;
+}
+
+// ============= 状态渲染 =============
+
+/**
+ * 格式化秒数为 x天x小时x分
+ * @param {number} seconds - 秒数
+ * @returns {string}
+ */
+function formatUptime(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${days > 0 ? days + '天' : ''}${hours}小时${minutes}分`;
+}
+
+/**
+ * 格式化字节数
+ * @param {number} bytes - 字节数
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const index = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, index)).toFixed(1)} ${units[index]}`;
+}
+
+/**
+ * 格式化时间戳
+ * @param {number|string} value - 时间戳
+ * @returns {string}
+ */
+function formatTime(value) {
+    return value ? new Date(value).toLocaleString('zh-CN', { hour12: false }) : '-';
+}
+
+/**
+ * 渲染状态卡片
+ * @param {string} name - 卡片名称（data-card）
+ * @param {string} status - 状态，如 healthy / degraded / unhealthy
+ * @param {Array<Array>} entries - [[标签, 值], ...]
+ */
+function renderCard(name, status, entries) {
+    const card = document.querySelector(`.admin-card[data-card="${name}"]`);
+    if (!card) return;
+
+    const badge = card.querySelector('.status-badge');
+    badge.className = 'status-badge';
+    badge.textContent = status || '';
+    if (status) {
+        badge.classList.add(`status-${String(status).toLowerCase()}`);
+    }
+
+    const list = card.querySelector('.admin-kv');
+    list.innerHTML = '';
+    entries.forEach(([label, value]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = value === undefined || value === null || value === '' ? '-' : String(value);
+        list.appendChild(dt);
+        list.appendChild(dd);
+    });
+}
+
+/**
+ * 渲染 /api/admin/status 返回的组件状态
+ * @param {Object} data - 状态数据
+ */
+function renderStatus(data) {
+    const chat = data.chat || {};
+    const performance = chat.performance || {};
+    renderCard('chat', chat.status, [
+        ['适配器', chat.adapterType],
+        ['检查耗时', chat.duration !== undefined ? `${chat.duration} ms` : null],
+        ['请求总数', performance.totalRequests],
+        ['成功率', performance.successRate],
+        ['平均响应', performance.averageResponseTime !== undefined ? `${Math.round(performance.averageResponseTime)} ms` : null],
+        ['最近错误', formatTime(performance.lastErrorTime)],
+        ['错误信息', chat.error]
+    ]);
+
+    const retry = data.retryHandler || {};
+    const retryConfig = retry.config || {};
+    renderCard('retry', retry.status, [
+        ['最大重试次数', retryConfig.maxRetries],
+        ['基础延迟', retryConfig.baseDelay !== undefined ? `${retryConfig.baseDelay} ms` : null],
+        ['最大延迟', retryConfig.maxDelay !== undefined ? `${retryConfig.maxDelay} ms` : null],
+        ['退避系数', retryConfig.backoffFactor],
+        ['随机抖动', retryConfig.jitter ? '开启' : '关闭']
+    ]);
+
+    const limiter = data.rateLimiter || {};
+    const limiterCurrent = limiter.current || {};
+    const limiterStats = limiter.stats || {};
+    const rejected = limiterStats.rejectedByReason || {};
+    renderCard('rateLimiter', limiter.status, [
+        ['进行中的请求', limiterCurrent.activeRequests],
+        ['计数中的成员/接口', limiterCurrent.trackedKeys],
+        ['今日发送消息的成员', limiterCurrent.dailyUsers],
+        ['请求总数', limiterStats.totalRequests],
+        ['拒绝率', limiterStats.rejectionRate],
+        ['拒绝（频率/并发/每日）', `${rejected.rate || 0} / ${rejected.concurrency || 0} / ${rejected.daily || 0}`]
+    ]);
+
+    const pool = data.connectionPool || {};
+    const poolStats = pool.stats || {};
+    const poolConfig = pool.config || {};
+    renderCard('connectionPool', pool.status, [
+        ['连接数', `${poolStats.totalConnections || 0} / ${poolConfig.maxSockets || '-'}`],
+        ['活跃连接', poolStats.activeConnections],
+        ['空闲连接', poolStats.freeConnections],
+        ['已处理请求', poolStats.requestsServed],
+        ['连接复用率', poolStats.reuseRate]
+    ]);
+
+    const stream = data.stream || {};
+    const streamStats = stream.stats || {};
+    renderCard('stream', stream.status, [
+        ['进行中的流', streamStats.activeStreams],
+        ['流总数', streamStats.totalStreams],
+        ['已发送数据', formatBytes(streamStats.bytesProcessed)],
+        ['平均延迟', streamStats.averageLatency !== undefined ? `${Math.round(streamStats.averageLatency)} ms` : null],
+        ['错误率', streamStats.errorRate]
+    ]);
+
+    const token = data.token || {};
+    const tokenCache = token.userTokenCache || {};
+    renderCard('token', token.hasToken ? (token.valid ? 'ok' : 'error') : null, [
+        ['API Token', token.hasToken ? token.type : '未配置'],
+        ['前缀', token.prefix],
+        ['缓存的成员令牌', tokenCache.size],
+        ['缓存命中率', tokenCache.hitRate],
+        ['令牌交换次数', tokenCache.refreshes],
+        ['交换失败次数', tokenCache.errors]
+    ]);
+
+    const system = data.system || {};
+    const memory = system.memory || {};
+    renderCard('system', null, [
+        ['运行时长', system.uptime !== undefined ? formatUptime(system.uptime) : null],
+        ['常驻内存', formatBytes(memory.rss)],
+        ['堆内存', `${formatBytes(memory.heapUsed)} / ${formatBytes(memory.heapTotal)}`],
+        ['Node.js', system.nodeVersion],
+        ['日志级别', data.logLevel]
+    ]);
+
+    const logLevelSelect = document.getElementById('logLevelSelect');
+    if (logLevelSelect && data.logLevel && document.activeElement !== logLevelSelect) {
+        logLevelSelect.value = data.logLevel;
+    }
+}
+
+/**
+ * 渲染错误监控
+ * @param {Object} data - /api/admin/errors 返回的数据
+ */
+function renderErrors(data) {
+    const metrics = data.errorMetrics || {};
+    const hasRecommendations = (data.recommendations || []).length > 0;
+
+    renderCard('errors', hasRecommendations ? 'degraded' : 'healthy', [
+        ['API调用次数', metrics.totalApiCalls],
+        ['API错误次数', metrics.totalApiErrors],
+        ['错误率', metrics.errorRate],
+        ['平均响应', metrics.averageResponseTime !== undefined ? `${Math.round(metrics.averageResponseTime)} ms` : null]
+    ]);
+
+    const list = document.querySelector('.admin-card[data-card="errors"] .admin-recommendations');
+    list.innerHTML = '';
+    (data.recommendations || []).forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * 渲染会话管理状态
+ * @param {Object} data - /api/admin/conversations/status 返回的数据
+ */
+function renderConversations(data) {
+    const manager = data.conversationManager || {};
+    const stats = manager.stats || {};
+
+    renderCard('conversations', manager.status, [
+        ['缓存的会话', stats.activeConversations],
+        ['成员数', stats.userCount],
+        ['消息总数', stats.totalMessages],
+        ['已过期会话', stats.expiredConversations]
+    ]);
+}
+
+/**
+ * 显示或隐藏页面错误提示
+ * @param {string|null} message - 错误信息，为空时隐藏
+ */
+function showAdminError(message) {
+    const errorBox = document.getElementById('adminError');
+    errorBox.textContent = message || '';
+    errorBox.classList.toggle('hidden', !message);
+}
+
+/**
+ * 刷新所有状态
+ */
+async function refreshStatus() {
+    try {
+        const [status, errors, conversations] = await Promise.all([
+            adminRequest('/status'),
+            adminRequest('/errors'),
+            adminRequest('/conversations/status')
+        ]);
+
+        renderStatus(status);
+        renderErrors(errors);
+        renderConversations(conversations);
+
+        showAdminError(null);
+        document.getElementById('lastUpdated').textContent = `更新于 ${formatTime(Date.now())}`;
+    } catch (error) {
+        console.error('获取运行状态失败:', error);
+        showAdminError(`获取运行状态失败：${error.message}`);
+    }
+}
+
+/**
+ * 按勾选状态启动或停止自动刷新
+ */
+function updateAutoRefresh() {
+    if (adminState.refreshTimer) {
+        clearInterval(adminState.refreshTimer);
+        adminState.refreshTimer = null;
+    }
+
+    if (document.getElementById('autoRefresh').checked) {
+        adminState.refreshTimer = setInterval(refreshStatus, ADMIN_REFRESH_INTERVAL);
+    }
+}
+
+// ============= 运维操作 =============
+
+/**
+ * 显示操作结果提示
+ * @param {string} message - 提示内容
+ * @param {boolean} success - 是否成功
+ */
+function showToast(message, success = true) {
+    const toast = document.getElementById('adminToast');
+    toast.textContent = message;
+    toast.classList.remove('hidden', 'toast-success', 'toast-error');
+    toast.classList.add(success ? 'toast-success' : 'toast-error');
+
+    clearTimeout(toast.hideTimer);
+    toast.hideTimer = setTimeout(() => toast.classList.add('hidden'), 3000);
+}
+
+/**
+ * 弹出确认框，确认后执行操作
+ * @param {string} title - 标题
+ * @param {string} message - 说明
+ * @param {Function} action - 确认后执行的异步操作
+ */
+function confirmAction(title, message, action) {
+    document.getElementById('confirmTitle').textContent = title;
+    document.getElementById('confirmMessage').textContent = message;
+    document.getElementById('confirmModal').style.display = 'flex';
+    adminState.pendingConfirm = action;
+}
+
+/**
+ * 关闭确认框
+ */
+function closeConfirm() {
+    document.getElementById('confirmModal').style.display = 'none';
+    adminState.pendingConfirm = null;
+}
+
+/**
+ * 执行确认框中的操作
+ */
+async function runConfirmedAction() {
+    const action = adminState.pendingConfirm;
+    closeConfirm();
+    if (!action) return;
+
+    try {
+        const message = await action();
+        showToast(message, true);
+    } catch (error) {
+        console.error('运维操作失败:', error);
+        showToast(`操作失败：${error.message}`, false);
+    }
+
+    refreshStatus();
+}
+
+/**
+ * 绑定运维操作按钮
+ */
+function bindOperations() {
+    document.getElementById('applyLogLevel').addEventListener('click', () => {
+        const level = document.getElementById('logLevelSelect').value;
+        confirmAction('调整日志级别', `确定将日志级别调整为 ${level}？debug 级别会输出大量日志。`, async () => {
+            const data = await adminRequest('/log-level', { method: 'POST', body: { level } });
+            return data.message;
+        });
+    });
+
+    document.getElementById('resetRateLimit').addEventListener('click', () => {
+        confirmAction('重置限流计数', '确定清空所有成员的每分钟请求计数？', async () => {
+            const data = await adminRequest('/rate-limit/reset', { method: 'POST' });
+            return `已重置 ${data.clearedWindows} 条限流计数`;
+        });
+    });
+
+    document.getElementById('reloadAdapter').addEventListener('click', () => {
+        confirmAction('重新加载适配器', '确定重新加载Coze适配器？进行中的对话可能会中断。', async () => {
+            const data = await adminRequest('/reload-adapter', { method: 'POST' });
+            if (!data.success) {
+                throw new Error(data.message || '适配器重新加载失败');
+            }
+            return data.message;
+        });
+    });
+
+    document.getElementById('confirmOk').addEventListener('click', runConfirmedAction);
+    document.getElementById('confirmCancel').addEventListener('click', closeConfirm);
+    document.getElementById('confirmModal').addEventListener('click', (event) => {
+        if (event.target.id === 'confirmModal') {
+            closeConfirm();
+        }
+    });
+}
+
+// ============= 初始化 =============
+
+/**
+ * 初始化管理后台
+ */
+async function initAdmin() {
+    try {
+        const data = await adminRequest('/me');
+        adminState.user = data.user;
+    } catch (error) {
+        showAdminError(error.status === 403 ? '当前账号没有访问管理后台的权限' : `加载失败：${error.message}`);
+        document.getElementById('statusSection').classList.add('hidden');
+        return;
+    }
+
+    const roleNames = { admin: '管理员', operator: '运维人员' };
+    document.getElementById('adminUser').textContent =
+        `${adminState.user.userName || adminState.user.userId}（${roleNames[adminState.user.role] || adminState.user.role}）`;
+
+    // 只有管理员可以执行运维操作
+    if (adminState.user.role === 'admin') {
+        document.getElementById('operationsSection').classList.remove('hidden');
+        bindOperations();
+    }
+
+    document.getElementById('refreshButton').addEventListener('click', refreshStatus);
+    document.getElementById('autoRefresh').addEventListener('change', updateAutoRefresh);
+
+    await refreshStatus();
+    updateAutoRefresh();
+}
+
+document.addEventListener('DOMContentLoaded', initAdmin);
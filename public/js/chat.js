@@ -1,69 +1,6 @@
 // public/js/chat.js
 
-// 配置marked选项，支持换行符显示（必须在最顶部，在任何使用marked之前）
-if (typeof marked !== 'undefined') {
-  // 自定义图片渲染器 - 添加加载进度条（兼容新旧签名）
-  const renderer = new marked.Renderer();
-  renderer.image = function (a, b, c) {
-    // 兼容新版(传入 token 对象) 与旧版(传 href,title,text)
-    let href, title, text;
-    if (a && typeof a === 'object') {
-      const token = a;
-      href = token.href || (token.attrs && token.attrs.href) || '';
-      title = token.title || (token.attrs && token.attrs.title) || '';
-      text = token.text || '';
-    } else {
-      href = a;
-      title = b;
-      text = c;
-    }
-
-    href = typeof href === 'string' ? href : '';
-    const altText = text || '图片';
-    const titleAttr = title ? `title="${title}"` : '';
-
-    return `
-      <div class="image-loading-container" data-src="${href}">
-        <div class="image-loading-dots">
-          <span></span>
-          <span></span>
-          <span></span>
-        </div>
-        <img class="lazy-loading-image" data-src="${href}" alt="${altText}" ${titleAttr} style="display: none;">
-      </div>
-    `;
-  };
-
-  marked.setOptions({
-    renderer: renderer,
-    breaks: true, // 支持单个换行符转换为<br>
-    gfm: true, // 启用GitHub风格的Markdown
-    sanitize: false, // 允许HTML（因为已经在后端处理了安全性）
-  });
-}
-
-// 统一的 Markdown 预处理与解析
-function stripGeneratedImageCaption(md) {
-  try {
-    if (!md || typeof md !== 'string') return md;
-    // 仅当文本包含图片语法时再处理
-    if (!md.includes('![')) return md;
-
-    // 移除图片后面跟随的确认文本，支持多种模式（通用匹配，不硬编码具体文本）
-    // 匹配模式：已为...图片/图像 （句号可选，全角/半角均可）
-
-    // 1) 紧随在某个图片语法之后的确认文本
-    md = md.replace(/(!\[[^\]]*\]\([^\)]+\))\s*(?:\r?\n)+已为[^\n]*?(?:图片|图像)[。．.]?\s*/g, '$1\n');
-
-    // 2) 发生在末尾的确认文本
-    md = md.replace(/(?:\r?\n)+已为[^\n]*?(?:图片|图像)[。．.]?\s*$/g, '\n');
-
-    return md;
-  } catch (e) {
-    console.warn('stripGeneratedImageCaption error:', e);
-    return md;
-  }
-}
+// marked 配置、stripGeneratedImageCaption、parseMarkdownCleaned 见 markdown.js（与分享页共用）
 
 // 在流式阶段（onToken/onMessage）临时屏蔽图片渲染，避免反复插入/重绘导致的闪烁
 function stripImagesForStreaming(md) {
@@ -78,11 +15,6 @@ function stripImagesForStreaming(md) {
   }
 }
 
-function parseMarkdownCleaned(md, options) {
-  const cleaned = stripGeneratedImageCaption(md);
-  return marked.parse(cleaned, options);
-}
-
 // 预加载图片（仅用于在最终阶段等待首图就绪，避免 UI 从三点到图片的闪烁）
 function preloadImage(url, timeoutMs = 10000) {
   return new Promise((resolve) => {
@@ -445,6 +377,7 @@ let authState = {
 // 增强的聊天状态管理
 let chatState = {
     conversationId: null,
+    botId: null, // 当前选择的智能助手，null表示默认助手
     isProcessing: false,
     isClearing: false, // 新增：标识是否正在清空对话
     isSwitching: false, // 新增：标识是否正在切换会话
@@ -635,7 +568,8 @@ async function onLoginSuccess() {
     // 更新 UI
     updateUIForLoginState(true);
 
-    // 加载会话列表到 sidebar
+    // 加载可用助手和会话列表到 sidebar
+    await loadBotList();
     await loadConversationList();
 
     // 如果有待发送的消息,继续发送
@@ -813,14 +747,133 @@ function applySidebarSearch() {
     renderConversationList(filtered);
 }
 
+// 智能助手（Bot）选择状态
+const botPickerState = {
+    bots: [],
+    storageKey: 'selectedBotId'
+};
+
+/**
+ * 为请求URL附加当前选择的 botId
+ * @param {string} url - 请求URL
+ * @returns {string} 附加参数后的URL
+ */
+function withBotQuery(url) {
+    if (!chatState.botId) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}botId=${encodeURIComponent(chatState.botId)}`;
+}
+
+/**
+ * 加载当前成员可用的智能助手，有多个时在侧边栏显示选择器
+ */
+async function loadBotList() {
+    try {
+        const response = await fetch('/api/bots', {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        botPickerState.bots = data.bots || [];
+
+        // 恢复上次选择的助手（仍有权限时），否则使用默认助手
+        const savedBotId = localStorage.getItem(botPickerState.storageKey);
+        const savedBot = botPickerState.bots.find(bot => bot.botId === savedBotId);
+        chatState.botId = savedBot && !savedBot.default ? savedBot.botId : null;
+
+        renderBotPicker();
+    } catch (error) {
+        console.error('加载智能助手列表失败:', error);
+        botPickerState.bots = [];
+        chatState.botId = null;
+        renderBotPicker();
+    }
+}
+
+/**
+ * 渲染侧边栏的智能助手选择器
+ */
+function renderBotPicker() {
+    const picker = document.getElementById('bot-picker');
+    const select = document.getElementById('bot-select');
+    const description = document.getElementById('bot-description');
+    if (!picker || !select) return;
+
+    // 只有一个助手时无需选择
+    if (botPickerState.bots.length <= 1) {
+        picker.classList.add('hidden');
+        return;
+    }
+
+    select.innerHTML = '';
+    botPickerState.bots.forEach(bot => {
+        const option = document.createElement('option');
+        option.value = bot.botId;
+        option.textContent = bot.name;
+        select.appendChild(option);
+    });
+
+    const currentBot = botPickerState.bots.find(bot => chatState.botId ? bot.botId === chatState.botId : bot.default)
+        || botPickerState.bots[0];
+    select.value = currentBot.botId;
+    if (description) {
+        description.textContent = currentBot.description || '';
+        description.title = currentBot.description || '';
+    }
+
+    if (!select.dataset.bound) {
+        select.dataset.bound = 'true';
+        select.addEventListener('change', () => switchBot(select.value));
+    }
+
+    picker.classList.remove('hidden');
+}
+
 /**
- * 加载用户的会话列表
+ * 切换智能助手：进入该助手的新对话并刷新会话列表
+ * @param {string} botId - Coze Bot ID
+ */
+async function switchBot(botId) {
+    const bot = botPickerState.bots.find(item => item.botId === botId);
+    if (!bot) return;
+
+    if (chatState.isProcessing) {
+        showToastMessage('请等待当前回答完成后再切换助手', 'warning');
+        renderBotPicker();
+        return;
+    }
+
+    chatState.botId = bot.default ? null : bot.botId;
+    localStorage.setItem(botPickerState.storageKey, bot.botId);
+    console.log('切换智能助手:', bot.name);
+
+    renderBotPicker();
+
+    // 与“开启新对话”一致：进入无会话状态，发送第一条消息时再创建会话
+    chatState.conversationId = null;
+    clearChatArea();
+    await initializeWelcomeInterface();
+    highlightConversation(null);
+
+    await loadConversationList();
+}
+
+/**
+ * 加载用户的会话列表（按当前选择的智能助手筛选）
  */
 async function loadConversationList() {
     console.log('开始加载会话列表...');
 
     try {
-        const response = await fetch('/api/conversations', {
+        const response = await fetch(withBotQuery('/api/conversations'), {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
@@ -941,6 +994,16 @@ function createConversationListItem(conversation) {
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
                         </svg>
                     </button>
+                    <button class="export-btn p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors" title="导出" aria-label="导出">
+                        <svg class="w-4 h-4 text-gray-600 dark:text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"/>
+                        </svg>
+                    </button>
+                    <button class="share-btn p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors" title="分享" aria-label="分享">
+                        <svg class="w-4 h-4 text-gray-600 dark:text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z"/>
+                        </svg>
+                    </button>
                     <button class="delete-btn p-1 rounded hover:bg-red-100 dark:hover:bg-red-900 transition-colors" title="删除" aria-label="删除">
                         <svg class="w-4 h-4 text-gray-600 dark:text-gray-300 hover:text-red-600 dark:hover:text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
@@ -971,7 +1034,7 @@ function createConversationListItem(conversation) {
     const sessionContent = item.querySelector('.session-content');
     sessionContent.addEventListener('click', async (e) => {
         // 如果点击的是按钮，不触发切换会话
-        if (e.target.closest('.rename-btn') || e.target.closest('.delete-btn')) {
+        if (e.target.closest('.rename-btn') || e.target.closest('.export-btn') || e.target.closest('.share-btn') || e.target.closest('.delete-btn')) {
             return;
         }
         console.log('点击会话:', conversation.conversationId);
@@ -985,6 +1048,20 @@ function createConversationListItem(conversation) {
         showRenameInput(item, conversation.conversationId);
     });
 
+    // 绑定导出按钮事件
+    const exportBtn = item.querySelector('.export-btn');
+    exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showExportMenu(exportBtn, conversation.conversationId, title);
+    });
+
+    // 绑定分享按钮事件
+    const shareBtn = item.querySelector('.share-btn');
+    shareBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showShareModal(conversation.conversationId, title);
+    });
+
     // 绑定删除按钮事件
     const deleteBtn = item.querySelector('.delete-btn');
     deleteBtn.addEventListener('click', async (e) => {
@@ -995,6 +1072,342 @@ function createConversationListItem(conversation) {
     return item;
 }
 
+// 会话导出格式
+const EXPORT_FORMAT_OPTIONS = [
+    { format: 'md', label: 'Markdown (.md)' },
+    { format: 'pdf', label: 'PDF (.pdf)' },
+    { format: 'docx', label: 'Word (.docx)' }
+];
+
+/**
+ * 显示会话导出格式菜单
+ * @param {HTMLElement} anchorEl - 导出按钮
+ * @param {string} conversationId - 会话ID
+ * @param {string} title - 会话标题
+ */
+function showExportMenu(anchorEl, conversationId, title) {
+    closeExportMenu();
+
+    const menu = document.createElement('div');
+    menu.id = 'exportFormatMenu';
+    menu.className = 'export-format-menu';
+    menu.innerHTML = `
+        <div class="export-format-title">导出为</div>
+        ${EXPORT_FORMAT_OPTIONS.map(option => `
+            <button class="export-format-option" data-format="${option.format}">${option.label}</button>
+        `).join('')}
+    `;
+
+    const rect = anchorEl.getBoundingClientRect();
+    menu.style.left = `${rect.left}px`;
+    menu.style.top = `${rect.bottom + 4}px`;
+    document.body.appendChild(menu);
+
+    menu.querySelectorAll('.export-format-option').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeExportMenu();
+            exportConversation(conversationId, button.dataset.format, title);
+        });
+    });
+
+    // 点击菜单外部关闭（延迟绑定，避免当前点击立即触发）
+    setTimeout(() => {
+        document.addEventListener('click', closeExportMenu, { once: true });
+    }, 0);
+}
+
+/**
+ * 关闭会话导出格式菜单
+ */
+function closeExportMenu() {
+    document.getElementById('exportFormatMenu')?.remove();
+}
+
+/**
+ * 从响应头中解析下载文件名
+ * @param {Response} response - fetch 响应
+ * @param {string} fallback - 解析失败时使用的文件名
+ * @returns {string} 文件名
+ */
+function getDownloadFilename(response, fallback) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+    if (!match) return fallback;
+
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * 导出会话并下载
+ * @param {string} conversationId - 会话ID
+ * @param {string} format - md / pdf / docx
+ * @param {string} title - 会话标题
+ */
+async function exportConversation(conversationId, format, title) {
+    showToastMessage('正在导出会话，请稍候...', 'info');
+
+    try {
+        const params = new URLSearchParams({ format: format, title: title || '' });
+        const response = await fetch(`/api/conversations/${conversationId}/export?${params}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getDownloadFilename(response, `${title || '会话'}.${format}`);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showToastMessage('导出成功', 'info');
+    } catch (error) {
+        console.error('导出会话失败:', error);
+        showToastMessage('导出失败：' + error.message, 'error');
+    }
+}
+
+// ============= 会话分享 =============
+
+// 分享模态框状态（当前要分享的会话）
+const shareModalState = {
+    conversationId: null,
+    title: null
+};
+
+/**
+ * 打开分享模态框
+ * @param {string} mode - create：分享会话 / list：我的分享
+ */
+function openShareModal(mode) {
+    const modal = document.getElementById('shareModal');
+    if (!modal) return;
+
+    document.getElementById('shareModalTitle').textContent = mode === 'create' ? '分享会话' : '我的分享';
+    document.getElementById('shareCreatePanel').style.display = mode === 'create' ? 'block' : 'none';
+    document.getElementById('shareListPanel').style.display = mode === 'list' ? 'block' : 'none';
+
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * 关闭分享模态框
+ */
+function closeShareModal() {
+    const modal = document.getElementById('shareModal');
+    if (!modal || modal.style.display === 'none') return;
+
+    modal.classList.add('hidden');
+    modal.style.display = 'none';
+    document.body.style.overflow = '';
+    shareModalState.conversationId = null;
+    shareModalState.title = null;
+}
+
+/**
+ * 显示分享会话的模态框
+ * @param {string} conversationId - 会话ID
+ * @param {string} title - 会话标题
+ */
+function showShareModal(conversationId, title) {
+    shareModalState.conversationId = conversationId;
+    shareModalState.title = title;
+
+    document.getElementById('shareLinkResult').style.display = 'none';
+    document.getElementById('shareLinkInput').value = '';
+    const createBtn = document.getElementById('createShareBtn');
+    createBtn.disabled = false;
+    createBtn.textContent = '创建链接';
+
+    openShareModal('create');
+}
+
+/**
+ * 创建分享链接
+ */
+async function createShareLink() {
+    const { conversationId, title } = shareModalState;
+    if (!conversationId) return;
+
+    const createBtn = document.getElementById('createShareBtn');
+    createBtn.disabled = true;
+    createBtn.textContent = '创建中...';
+
+    try {
+        const response = await fetch(`/api/conversations/${conversationId}/share`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                title: title || '',
+                expiresInDays: parseInt(document.getElementById('shareExpiresSelect').value),
+                restrictToDepartment: document.getElementById('shareRestrictCheckbox').checked
+            })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        document.getElementById('shareLinkInput').value = `${window.location.origin}${data.path}`;
+        document.getElementById('shareLinkResult').style.display = 'flex';
+        createBtn.textContent = '已创建';
+    } catch (error) {
+        console.error('创建分享失败:', error);
+        showToastMessage('创建分享失败：' + error.message, 'error');
+        createBtn.disabled = false;
+        createBtn.textContent = '创建链接';
+    }
+}
+
+/**
+ * 复制分享链接
+ * @param {string} link - 分享链接
+ */
+async function copyShareLink(link) {
+    try {
+        await navigator.clipboard.writeText(link);
+        showToastMessage('链接已复制', 'info');
+    } catch (error) {
+        console.error('复制分享链接失败:', error);
+        showToastMessage('复制失败，请手动复制链接', 'warning');
+    }
+}
+
+/**
+ * 显示我的分享列表
+ */
+async function showMyShares() {
+    const list = document.getElementById('shareList');
+    if (!list) return;
+
+    list.innerHTML = '<div class="share-list-empty">加载中...</div>';
+    openShareModal('list');
+
+    try {
+        const response = await fetch('/api/shares', {
+            credentials: 'include'
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        renderShareList(data.shares || []);
+    } catch (error) {
+        console.error('获取分享列表失败:', error);
+        list.innerHTML = '<div class="share-list-empty">加载失败，请稍后重试</div>';
+    }
+}
+
+/**
+ * 渲染我的分享列表
+ * @param {Array<Object>} shares - 分享摘要
+ */
+function renderShareList(shares) {
+    const list = document.getElementById('shareList');
+    if (shares.length === 0) {
+        list.innerHTML = '<div class="share-list-empty">还没有分享过会话</div>';
+        return;
+    }
+
+    list.innerHTML = shares.map(share => {
+        const meta = [
+            `${new Date(share.createdAt).toLocaleDateString('zh-CN')} 创建`,
+            share.expiresAt ? `${new Date(share.expiresAt).toLocaleDateString('zh-CN')} 到期` : '永久有效',
+            share.restrictToDepartment ? '仅同部门' : null,
+            `查看 ${share.viewCount} 次`
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="share-list-item" data-token="${share.token}">
+                <div class="share-list-info">
+                    <div class="share-list-title">${escapeHtml(share.title)}</div>
+                    <div class="share-list-meta">${meta}</div>
+                </div>
+                <button class="share-list-action copy">复制链接</button>
+                <button class="share-list-action revoke">撤销</button>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.share-list-item').forEach(item => {
+        const token = item.dataset.token;
+        item.querySelector('.copy').addEventListener('click', () => {
+            copyShareLink(`${window.location.origin}/share/${token}`);
+        });
+        item.querySelector('.revoke').addEventListener('click', () => revokeShareLink(token));
+    });
+}
+
+/**
+ * 撤销分享，撤销后链接立即失效
+ * @param {string} token - 分享令牌
+ */
+async function revokeShareLink(token) {
+    if (!confirm('撤销后该链接将无法再访问，确定撤销吗？')) return;
+
+    try {
+        const response = await fetch(`/api/shares/${token}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        document.querySelector(`.share-list-item[data-token="${token}"]`)?.remove();
+        if (!document.querySelector('.share-list-item')) {
+            renderShareList([]);
+        }
+        showToastMessage('分享已撤销', 'info');
+    } catch (error) {
+        console.error('撤销分享失败:', error);
+        showToastMessage('撤销分享失败：' + error.message, 'error');
+    }
+}
+
+/**
+ * 绑定分享模态框事件
+ */
+function initShareModal() {
+    const modal = document.getElementById('shareModal');
+    if (!modal) return;
+
+    document.getElementById('closeShareModal').addEventListener('click', closeShareModal);
+    document.getElementById('cancelShareBtn').addEventListener('click', closeShareModal);
+    document.getElementById('createShareBtn').addEventListener('click', createShareLink);
+    document.getElementById('copyShareLinkBtn').addEventListener('click', () => {
+        copyShareLink(document.getElementById('shareLinkInput').value);
+    });
+
+    // 点击遮罩层关闭
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeShareModal();
+        }
+    });
+}
+
 /**
  * 格式化会话时间显示
  * @param {number|string} timestamp - 时间戳
@@ -1342,7 +1755,8 @@ async function createNewConversation(showWelcome = true, customTitle = null) {
             },
             credentials: 'include',
             body: JSON.stringify({
-                title: title
+                title: title,
+                botId: chatState.botId || undefined
             })
         });
 
@@ -1554,16 +1968,23 @@ async function loadConversationHistory(conversationId) {
             // 渲染历史消息
             const chatContainer = document.getElementById('chatContainer');
             data.messages.forEach(msg => {
-                if (msg.content && msg.content.trim()) {
+                const hasAttachments = msg.attachments && msg.attachments.length > 0;
+                if ((msg.content && msg.content.trim()) || hasAttachments) {
                     const messageDiv = document.createElement('div');
                     messageDiv.setAttribute('data-message-id', msg.id);
 
                     if (msg.role === 'user') {
                         messageDiv.className = 'message user-message';
-                        const contentDiv = document.createElement('div');
-                        contentDiv.className = 'message-content';
-                        contentDiv.textContent = msg.content;
-                        messageDiv.appendChild(contentDiv);
+                        if (hasAttachments) {
+                            messageDiv.classList.add('has-attachments');
+                            messageDiv.appendChild(createMessageAttachments(msg.attachments));
+                        }
+                        if (msg.content && msg.content.trim()) {
+                            const contentDiv = document.createElement('div');
+                            contentDiv.className = 'message-content';
+                            contentDiv.textContent = msg.content;
+                            messageDiv.appendChild(contentDiv);
+                        }
                     } else if (msg.role === 'assistant') {
                         messageDiv.className = 'message assistant-message';
 
@@ -1664,12 +2085,22 @@ function updateButtonsVisibility() {
     const messageInput = document.getElementById('messageInput');
     const sendButton = document.getElementById('sendButton');
     const micButton = document.getElementById('micButton');
+    const stopButton = document.getElementById('stopButton');
     
     if (!messageInput || !sendButton || !micButton) return;
+
+    // AI回复期间显示停止按钮代替发送按钮
+    const isGenerating = chatState.isProcessing;
+    if (stopButton) {
+        stopButton.style.display = isGenerating ? 'flex' : 'none';
+    }
     
     const message = messageInput.value.trim();
-    if (message) {
-        // 有文本时显示发送按钮，隐藏麦克风
+    if (isGenerating) {
+        sendButton.style.display = 'none';
+        micButton.style.display = message ? 'none' : 'flex';
+    } else if (message || hasPendingAttachments()) {
+        // 有文本或附件时显示发送按钮，隐藏麦克风
         micButton.style.display = 'none';
         sendButton.style.display = 'flex';
     } else {
@@ -1679,6 +2110,264 @@ function updateButtonsVisibility() {
     }
 }
 
+// ============= 聊天附件上传 =============
+
+// 待发送附件：{ localId, file, name, size, type, fileId, progress, status: 'uploading'|'done'|'error', xhr }
+let attachmentState = {
+    items: [],
+    maxCount: 5,
+    maxSize: 20 * 1024 * 1024,
+    accept: [
+        'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp',
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ]
+};
+
+// 输入区是否已添加附件
+function hasPendingAttachments() {
+    return attachmentState.items.length > 0;
+}
+
+function isAttachmentUploading() {
+    return attachmentState.items.some(item => item.status === 'uploading');
+}
+
+// 获取已上传完成、可随消息发送的附件
+function getReadyAttachments() {
+    return attachmentState.items
+        .filter(item => item.status === 'done')
+        .map(item => ({ type: item.type, fileId: item.fileId, name: item.name, url: item.url }));
+}
+
+// 格式化文件大小
+function formatFileSize(bytes) {
+    if (bytes < 1024) return bytes + 'B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + 'KB';
+    return (bytes / 1024 / 1024).toFixed(1) + 'MB';
+}
+
+// 根据附件类型/文件名返回图标类名
+function getAttachmentIcon(attachment) {
+    if (attachment.type === 'image') return 'fa-file-image';
+    const name = (attachment.name || '').toLowerCase();
+    if (name.endsWith('.pdf')) return 'fa-file-pdf';
+    if (/\.docx?$/.test(name)) return 'fa-file-word';
+    if (/\.xlsx?$/.test(name)) return 'fa-file-excel';
+    if (/\.pptx?$/.test(name)) return 'fa-file-powerpoint';
+    return 'fa-file';
+}
+
+// 创建附件chip（输入区预览和消息中共用）
+function createAttachmentChip(attachment) {
+    const chip = document.createElement('div');
+    chip.className = 'attachment-chip';
+
+    if (attachment.type === 'image' && attachment.url) {
+        const thumb = document.createElement('img');
+        thumb.className = 'attachment-thumb';
+        thumb.src = attachment.url;
+        thumb.alt = attachment.name || '图片';
+        chip.appendChild(thumb);
+    } else {
+        const icon = document.createElement('i');
+        icon.className = `fas ${getAttachmentIcon(attachment)} attachment-icon`;
+        chip.appendChild(icon);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'attachment-name';
+    name.textContent = attachment.name || (attachment.type === 'image' ? '图片' : '文件');
+    name.title = name.textContent;
+    chip.appendChild(name);
+
+    return chip;
+}
+
+// 创建消息中的附件列表
+function createMessageAttachments(attachments) {
+    const container = document.createElement('div');
+    container.className = 'message-attachments';
+    attachments.forEach(attachment => {
+        container.appendChild(createAttachmentChip(attachment));
+    });
+    return container;
+}
+
+// 渲染输入区的附件预览（含上传进度）
+function renderAttachmentPreview() {
+    const preview = document.getElementById('attachmentPreview');
+    if (!preview) return;
+
+    preview.innerHTML = '';
+    preview.style.display = attachmentState.items.length > 0 ? 'flex' : 'none';
+
+    attachmentState.items.forEach(item => {
+        const chip = createAttachmentChip(item);
+        chip.classList.add(`attachment-${item.status}`);
+
+        const meta = document.createElement('span');
+        meta.className = 'attachment-meta';
+        if (item.status === 'uploading') {
+            meta.textContent = `${item.progress}%`;
+        } else if (item.status === 'error') {
+            meta.textContent = '上传失败';
+        } else {
+            meta.textContent = formatFileSize(item.size);
+        }
+        chip.appendChild(meta);
+
+        if (item.status === 'uploading') {
+            const progressBar = document.createElement('div');
+            progressBar.className = 'attachment-progress';
+            progressBar.style.width = `${item.progress}%`;
+            chip.appendChild(progressBar);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'attachment-remove';
+        removeBtn.title = '移除';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.onclick = () => removeAttachment(item.localId);
+        chip.appendChild(removeBtn);
+
+        preview.appendChild(chip);
+    });
+
+    if (window.updateSendButtonState) {
+        window.updateSendButtonState();
+    } else {
+        updateButtonsVisibility();
+    }
+}
+
+// 移除附件（上传中则取消上传）
+function removeAttachment(localId) {
+    const item = attachmentState.items.find(i => i.localId === localId);
+    if (!item) return;
+
+    if (item.xhr && item.status === 'uploading') {
+        item.xhr.abort();
+    }
+    if (item.url) {
+        URL.revokeObjectURL(item.url);
+    }
+    attachmentState.items = attachmentState.items.filter(i => i.localId !== localId);
+    renderAttachmentPreview();
+}
+
+// 清空附件（发送后调用，保留本地预览URL供消息气泡使用）
+function clearAttachments() {
+    attachmentState.items = [];
+    renderAttachmentPreview();
+}
+
+// 上传单个附件，使用XHR以获取上传进度
+function uploadAttachment(item) {
+    const formData = new FormData();
+    formData.append('file', item.file, item.name);
+
+    const xhr = new XMLHttpRequest();
+    item.xhr = xhr;
+    xhr.open('POST', '/api/files');
+    xhr.withCredentials = true;
+
+    xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) {
+            // 上传完成到服务端转存Coze之间保留1%
+            item.progress = Math.min(99, Math.round((e.loaded / e.total) * 100));
+            renderAttachmentPreview();
+        }
+    };
+
+    xhr.onload = () => {
+        let data = null;
+        try {
+            data = JSON.parse(xhr.responseText);
+        } catch (e) {
+            data = null;
+        }
+
+        if (xhr.status === 200 && data && data.file) {
+            item.fileId = data.file.fileId;
+            item.type = data.file.type;
+            item.status = 'done';
+            item.progress = 100;
+        } else {
+            item.status = 'error';
+            const detail = data && data.details && data.details[0] ? data.details[0].message : null;
+            showToastMessage(detail || `${item.name} 上传失败`, 'warning');
+        }
+        renderAttachmentPreview();
+    };
+
+    xhr.onerror = () => {
+        item.status = 'error';
+        showToastMessage(`${item.name} 上传失败，请检查网络`, 'warning');
+        renderAttachmentPreview();
+    };
+
+    xhr.send(formData);
+}
+
+// 处理用户选择的文件
+function handleAttachmentFiles(files) {
+    Array.from(files).forEach(file => {
+        if (attachmentState.items.length >= attachmentState.maxCount) {
+            showToastMessage(`单条消息最多添加${attachmentState.maxCount}个附件`, 'warning');
+            return;
+        }
+        if (!attachmentState.accept.includes(file.type)) {
+            showToastMessage(`${file.name}：仅支持图片、PDF和Office文档`, 'warning');
+            return;
+        }
+        if (file.size > attachmentState.maxSize) {
+            showToastMessage(`${file.name}：文件大小不能超过${formatFileSize(attachmentState.maxSize)}`, 'warning');
+            return;
+        }
+
+        const isImage = file.type.startsWith('image/');
+        const item = {
+            localId: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            file: file,
+            name: file.name,
+            size: file.size,
+            type: isImage ? 'image' : 'file',
+            url: isImage ? URL.createObjectURL(file) : null,
+            fileId: null,
+            progress: 0,
+            status: 'uploading',
+            xhr: null
+        };
+        attachmentState.items.push(item);
+        uploadAttachment(item);
+    });
+    renderAttachmentPreview();
+}
+
+// 初始化附件按钮
+function initAttachmentPicker() {
+    const attachButton = document.getElementById('attachButton');
+    const fileInput = document.getElementById('attachmentInput');
+    if (!attachButton || !fileInput) return;
+
+    fileInput.accept = attachmentState.accept.join(',');
+    attachButton.addEventListener('click', () => {
+        if (chatState.isProcessing) return;
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+        handleAttachmentFiles(fileInput.files);
+        // 清空value，允许重复选择同一文件
+        fileInput.value = '';
+    });
+}
+
 // 录音动画区域相关
 let recordingStartTime = null;
 let recordingEndTime = null;
@@ -1741,6 +2430,7 @@ function showRecordingPanel() {
         <button class="record-confirm" id="recordConfirmBtn" title="确定">
             <img src="/img/check.svg" alt="确定" width="24" height="24">
         </button>
+        <div class="record-transcript" id="recordTranscript"></div>
     `;
     startWaveformAnimation();
     startTimer();
@@ -1789,6 +2479,18 @@ function stopTimer() {
 // 柱状波形动画（简单实现，可升级）
 let waveformInterval = null;
 
+// 实时语音输入时为麦克风音量（0-1），波形按真实音量变化；为 null 时随机模拟
+let waveformLevel = null;
+let waveformVoiced = false;
+
+// 按音量选择波形条高度，加一点抖动避免整排等高
+function getWaveLevelHeight(level) {
+    const value = level * (0.6 + Math.random() * 0.8);
+    if (value > 0.5) return 'tall';
+    if (value > 0.2) return 'medium';
+    return 'short';
+}
+
 function startWaveformAnimation() {
     const el = document.getElementById('recordWaveform');
     if (!el) return;
@@ -1827,6 +2529,13 @@ function startWaveformAnimation() {
         bars.forEach((bar, index) => {
             // 每隔几个条更新一次
             if (index % 3 === 0) {
+                if (waveformLevel !== null) {
+                    bar.className = 'wave-bar ' + getWaveLevelHeight(waveformLevel);
+                    if (waveformVoiced && Math.random() > 0.5) {
+                        bar.classList.add('active');
+                    }
+                    return;
+                }
                 const heights = ['short', 'medium', 'tall'];
                 bar.className = 'wave-bar ' + heights[Math.floor(Math.random() * heights.length)];
                 if (Math.random() > 0.8) {
@@ -1840,6 +2549,8 @@ function startWaveformAnimation() {
 function stopWaveformAnimation() {
     clearInterval(waveformInterval);
     waveformInterval = null;
+    waveformLevel = null;
+    waveformVoiced = false;
 }
 
 // 录音按钮事件重写
@@ -1929,6 +2640,10 @@ let pendingVoiceDiv = null;
 
 function confirmRecordingPanel() {
     hideRecordingPanel();
+    if (streamingVoiceState.active) {
+        finishStreamingRecording(false);
+        return;
+    }
     // 不创建语音气泡，直接停止录音并处理
     if (isRecording && mediaRecorder) {
         mediaRecorder.stop();
@@ -1943,7 +2658,7 @@ function stopRecordingAndShowPanel(audioBlob) {
     handleVoiceBubbleAfterAudio(audioBlobTemp);
 }
 
-function handleVoiceBubbleAfterAudio(audioBlob) {
+function handleVoiceBubbleAfterAudio(audioBlob, autoSend = false) {
     // 直接上传音频并获取转录文字，显示在输入框中，不创建语音气泡
     uploadAudioBlob(audioBlob).then(result => {
         // result可能是文本字符串或者包含错误标记的对象
@@ -1951,26 +2666,150 @@ function handleVoiceBubbleAfterAudio(audioBlob) {
             // 已经在uploadAudioBlob中显示了错误toast，这里不再重复显示
             return;
         }
-        
-        const text = result;
-        if (text && text.trim()) {
-            // 将转录文字填充到输入框
-            const messageInput = document.getElementById('messageInput');
-            messageInput.value = text;
-            // 触发input事件以调整输入框高度
-            messageInput.dispatchEvent(new Event('input'));
-            // 将焦点设置到输入框
-            messageInput.focus();
-        } else {
-            // 只有在没有错误的情况下，才显示空文本提示
-            showToastMessage('未识别到语音内容，请再试一次', 'info');
-        }
+
+        applyVoiceTranscript(result, autoSend);
     });
 }
 
+/**
+ * 将语音识别结果填入输入框
+ * @param {string} text - 识别文字
+ * @param {boolean} autoSend - 是否直接发送（实时语音输入检测到说完时）
+ */
+function applyVoiceTranscript(text, autoSend) {
+    if (!text || !text.trim()) {
+        // 只有在没有错误的情况下，才显示空文本提示
+        showToastMessage('未识别到语音内容，请再试一次', 'info');
+        return;
+    }
+
+    // 将转录文字填充到输入框
+    const messageInput = document.getElementById('messageInput');
+    messageInput.value = text;
+    readAloudState.voiceTranscript = text;
+    // 触发input事件以调整输入框高度和发送按钮状态
+    messageInput.dispatchEvent(new Event('input'));
+
+    if (autoSend) {
+        sendMessage();
+    } else {
+        // 将焦点设置到输入框
+        messageInput.focus();
+    }
+}
+
+// === 实时语音输入（边说边识别，见 voiceStream.js） ===
+const streamingVoiceState = {
+    // 当前录音是否为实时语音输入
+    active: false,
+    // 录音前输入框中的文字，取消或未识别到内容时恢复
+    originalText: ''
+};
+
+async function startStreamingRecording() {
+    const messageInput = document.getElementById('messageInput');
+    streamingVoiceState.active = true;
+    streamingVoiceState.originalText = messageInput.value;
+    isRecording = true;
+
+    try {
+        await voiceStream.start({
+            onLevel: (level, voiced) => {
+                waveformLevel = level;
+                waveformVoiced = voiced;
+            },
+            onPartial: updateStreamingTranscript,
+            // 说完后自动识别并发送
+            onSilence: () => finishStreamingRecording(true),
+            onNoSpeech: () => {
+                cancelRecordingPanel();
+                showToastMessage('没有听到声音，请再试一次', 'info');
+            }
+        });
+    } catch (err) {
+        if (streamingVoiceState.active) {
+            streamingVoiceState.active = false;
+            isRecording = false;
+            hideRecordingPanel();
+            alert('无法访问麦克风: ' + err.message);
+        }
+        return;
+    }
+
+    // 等待麦克风授权期间已取消
+    if (!streamingVoiceState.active) {
+        voiceStream.cancel();
+        return;
+    }
+    waveformLevel = 0;
+}
+
+// 识别中的文字实时填入输入框，并在录音面板上方展示
+function updateStreamingTranscript(text) {
+    if (!streamingVoiceState.active) return;
+
+    // 录音期间输入框隐藏，不触发input事件（隐藏时无法计算高度），结束后统一调整
+    document.getElementById('messageInput').value = text;
+    const transcriptEl = document.getElementById('recordTranscript');
+    if (transcriptEl) {
+        transcriptEl.textContent = text;
+        transcriptEl.scrollTop = transcriptEl.scrollHeight;
+    }
+}
+
+/**
+ * 结束实时语音输入，填入最终识别结果
+ * @param {boolean} autoSend - 是否直接发送
+ */
+async function finishStreamingRecording(autoSend) {
+    if (!streamingVoiceState.active) return;
+
+    streamingVoiceState.active = false;
+    isRecording = false;
+    recordingEndTime = Date.now();
+    hideRecordingPanel();
+
+    const messageInput = document.getElementById('messageInput');
+    let result;
+    try {
+        messageInput.placeholder = '语音识别中...';
+        messageInput.disabled = true;
+        result = await voiceStream.stop();
+    } catch (err) {
+        console.error('实时语音识别失败:', err);
+        showToastMessage('语音服务暂时不可用，请稍后再试', 'warning');
+        return;
+    } finally {
+        messageInput.placeholder = '请输入';
+        messageInput.disabled = false;
+    }
+
+    // 连接不可用时改为整段上传识别
+    if (result.audio) {
+        handleVoiceBubbleAfterAudio(result.audio, autoSend);
+        return;
+    }
+
+    if (!result.text || !result.text.trim()) {
+        messageInput.value = streamingVoiceState.originalText;
+        messageInput.dispatchEvent(new Event('input'));
+    }
+    applyVoiceTranscript(result.text, autoSend);
+}
+
 // 取消录音
 function cancelRecordingPanel() {
     isCancelled = true;
+    if (streamingVoiceState.active) {
+        streamingVoiceState.active = false;
+        isRecording = false;
+        voiceStream.cancel();
+        hideRecordingPanel();
+        const messageInput = document.getElementById('messageInput');
+        messageInput.value = streamingVoiceState.originalText;
+        messageInput.dispatchEvent(new Event('input'));
+        return;
+    }
     if (isRecording && mediaRecorder) {
         mediaRecorder.stop();
     }
@@ -2008,7 +2847,7 @@ async function uploadAudioBlob(audioBlob) {
         messageInput.disabled = true;
         
         const formData = new FormData();
-        formData.append('file', audioBlob, 'audio.webm');
+        formData.append('file', audioBlob, audioBlob.type === 'audio/wav' ? 'audio.wav' : 'audio.webm');
         formData.append('user', cozeClient.getUserId());
         
         console.info('准备获取token');
@@ -2071,6 +2910,11 @@ async function startRecording() {
         alert('当前浏览器不支持语音输入');
         return;
     }
+    // 支持时边说边识别，否则录完后整段上传
+    if (voiceStream.isSupported()) {
+        startStreamingRecording();
+        return;
+    }
     try {
         navigator.mediaDevices.getUserMedia({audio: true}).then(stream => {
             mediaRecorder = new window.MediaRecorder(stream, {mimeType: 'audio/webm'});
@@ -2146,7 +2990,7 @@ async function fetchBotInfo() {
     // Start new fetch - always get fresh data
     console.log('开始获取Bot信息...');
 
-    botInfoPromise = fetch('/api/bot/info', {
+    botInfoPromise = fetch(withBotQuery('/api/bot/info'), {
         method: 'GET',
         headers: {
             'Content-Type': 'application/json',
@@ -2260,6 +3104,116 @@ function attachImageClickHandlers() {
     });
 }
 
+// ============= 执行步骤面板 =============
+// 展示插件调用、插件返回、知识库召回、工作流节点，让用户了解回答耗时的原因
+const STEP_ICONS = {
+    function_call: 'fa-plug',
+    tool_response: 'fa-reply',
+    knowledge: 'fa-book',
+    verbose: 'fa-project-diagram'
+};
+
+// 获取执行步骤的标题
+function getStepTitle(step) {
+    switch (step.type) {
+        case 'function_call':
+            return `调用插件：${step.name}`;
+        case 'tool_response':
+            return '插件返回结果';
+        case 'knowledge':
+            return step.total > 0 ? `检索知识库：命中 ${step.total} 条` : '检索知识库：未命中';
+        default:
+            return step.node ? `执行节点：${step.node}` : `执行节点：${step.msgType}`;
+    }
+}
+
+// 创建单个执行步骤
+function createStepItem(step) {
+    const item = document.createElement('li');
+    item.className = `chat-step chat-step-${step.type}`;
+
+    const header = document.createElement('div');
+    header.className = 'chat-step-title';
+    const icon = document.createElement('i');
+    icon.className = `fas ${STEP_ICONS[step.type] || 'fa-circle'}`;
+    header.appendChild(icon);
+    const title = document.createElement('span');
+    title.textContent = getStepTitle(step);
+    header.appendChild(title);
+    item.appendChild(header);
+
+    if (step.type === 'knowledge' && step.hits && step.hits.length > 0) {
+        const hits = document.createElement('ul');
+        hits.className = 'chat-step-hits';
+        step.hits.forEach(hit => {
+            const hitItem = document.createElement('li');
+            const hitTitle = document.createElement(hit.url ? 'a' : 'span');
+            hitTitle.className = 'chat-step-hit-title';
+            hitTitle.textContent = hit.title;
+            if (hit.url) {
+                hitTitle.href = hit.url;
+                hitTitle.target = '_blank';
+                hitTitle.rel = 'noopener noreferrer';
+            }
+            hitItem.appendChild(hitTitle);
+            if (hit.snippet) {
+                const snippet = document.createElement('div');
+                snippet.className = 'chat-step-detail';
+                snippet.textContent = hit.snippet;
+                hitItem.appendChild(snippet);
+            }
+            hits.appendChild(hitItem);
+        });
+        item.appendChild(hits);
+    } else {
+        const detailText = step.type === 'function_call' ? step.arguments : step.type === 'tool_response' ? step.output : '';
+        if (detailText) {
+            const detail = document.createElement('div');
+            detail.className = 'chat-step-detail';
+            detail.textContent = detailText;
+            item.appendChild(detail);
+        }
+    }
+
+    return item;
+}
+
+// 将执行步骤追加到助手消息的步骤面板（面板放在消息内容上方）
+function appendChatStep(messageElement, step) {
+    if (!messageElement || !step) return;
+
+    const contentArea = messageElement.querySelector('.content-area');
+    if (!contentArea) return;
+
+    let panel = contentArea.querySelector('.chat-steps');
+    if (!panel) {
+        panel = document.createElement('details');
+        panel.className = 'chat-steps';
+        panel.open = true;
+        const summary = document.createElement('summary');
+        summary.className = 'chat-steps-summary';
+        panel.appendChild(summary);
+        const list = document.createElement('ol');
+        list.className = 'chat-steps-list';
+        panel.appendChild(list);
+        contentArea.insertBefore(panel, contentArea.firstChild);
+    }
+
+    const list = panel.querySelector('.chat-steps-list');
+    list.appendChild(createStepItem(step));
+    panel.querySelector('.chat-steps-summary').textContent = `执行中 · ${list.children.length} 个步骤`;
+}
+
+// 回答完成后折叠步骤面板
+function finishChatSteps(messageElement) {
+    const panel = messageElement && messageElement.querySelector('.chat-steps');
+    if (!panel) return;
+
+    const count = panel.querySelectorAll('.chat-steps-list > .chat-step').length;
+    panel.querySelector('.chat-steps-summary').textContent = `已完成 ${count} 个步骤`;
+    panel.open = false;
+}
+
 // === Service Agreement Management ===
 const SERVICE_AGREEMENT = {
     STORAGE_KEY: 'service-agreement-accepted',
@@ -2737,9 +3691,11 @@ document.addEventListener('DOMContentLoaded', async function () {
     updateUIForLoginState(isLoggedIn);
 
     if (isLoggedIn) {
-        // 已登录: 显示欢迎界面 + 加载会话列表
+        // 已登录: 加载可用助手 + 显示欢迎界面 + 加载会话列表
         console.log('[已登录] 用户:', authState.userName);
 
+        await loadBotList();
+
         // 显示欢迎界面（开场白 + 预置问题）
         await initializeWelcomeInterface();
 
@@ -2753,6 +3709,7 @@ document.addEventListener('DOMContentLoaded', async function () {
 
     // 设置自定义下拉框
     initializeModeToggle();
+    initReadAloudToggle();
 
     // 根据输入容器高度与其“距底部偏移”计算页面底部留白，避免消息滚到输入框下方
     function computeInputBottomPad() {
@@ -2853,6 +3810,7 @@ document.addEventListener('DOMContentLoaded', async function () {
 
     // 设置事件监听
     document.getElementById('sendButton').addEventListener('click', sendMessage);
+    document.getElementById('stopButton')?.addEventListener('click', stopGenerating);
     document.getElementById('messageInput').addEventListener('keypress', function (e) {
         if (e.key === 'Enter') {
             e.preventDefault(); // 阻止默认的换行行为
@@ -2900,8 +3858,11 @@ document.addEventListener('DOMContentLoaded', async function () {
         if (chatState.isProcessing || chatState.connectionStatus === 'streaming' || chatState.connectionStatus === 'connecting') {
             // AI正在回复时，始终禁用发送按钮
             sendButton.classList.add('disabled');
-        } else if (message) {
-            // 只有在不处理消息且有输入内容时才启用
+        } else if (isAttachmentUploading()) {
+            // 附件上传中，等待上传完成
+            sendButton.classList.add('disabled');
+        } else if (message || getReadyAttachments().length > 0) {
+            // 只有在不处理消息且有输入内容或附件时才启用
             sendButton.classList.remove('disabled');
         } else {
             // 输入框为空时禁用
@@ -2937,6 +3898,9 @@ document.addEventListener('DOMContentLoaded', async function () {
     // 页面加载时检查初始状态
     updateSendButtonState();
 
+    // 初始化附件按钮
+    initAttachmentPicker();
+
     messageInput.addEventListener('input', function () {
         // 更新发送按钮状态
         updateSendButtonState();
@@ -3343,6 +4307,7 @@ function handleChatError(error, assistantMessageElement) {
 // 重置聊天状态
 function resetChatState() {
     chatState.isProcessing = false;
+    readAloudState.answerPending = false;
     chatState.connectionStatus = 'idle';
     chatState.currentRequestId = null;
     chatState.requestStartTime = null;
@@ -3374,8 +4339,8 @@ function retryLastMessage() {
 }
 
     // 内部发送消息函数
-    async function sendMessageInternal(message) {
-        if (!message) return;
+    async function sendMessageInternal(message, attachments = [], cardResponse = null) {
+        if (!message && attachments.length === 0) return;
         
         // 注意：isProcessing 的检查已经在 sendMessage() 中完成
         // 如果 isProcessing 已经是 true，说明是 sendMessage() 设置的，应该继续执行
@@ -3386,7 +4351,7 @@ function retryLastMessage() {
             console.log('[Chat] 没有会话ID，自动创建新会话（不显示开场白）');
 
             // 使用消息内容（前30字符）作为会话标题
-            const titleFromMessage = message.substring(0, 30);
+            const titleFromMessage = (message || attachments[0].name || '附件').substring(0, 30);
             const newConvId = await createNewConversation(false, titleFromMessage); // false = 不显示开场白
 
             if (!newConvId) {
@@ -3415,6 +4380,7 @@ function retryLastMessage() {
         // 更新清空按钮状态（禁用）
         updateClearButtonState();
         document.getElementById('sendButton').classList.add('disabled');
+        updateButtonsVisibility();
         // 不再禁用麦克风按钮，用户可以在AI回复期间录音准备下一个问题
 
         // 不立即创建助手消息，等待收到内容后再创建
@@ -3429,6 +4395,7 @@ function retryLastMessage() {
         
         console.log('[Chat] 开始发送消息:', {
             message: message.substring(0, 100),
+            attachmentCount: attachments.length,
             timestamp: new Date().toISOString()
         });
     
@@ -3442,7 +4409,10 @@ function retryLastMessage() {
             user: cozeClient.getUserId(),
             inputs: {user_account: cozeClient.getUserId()},
             conversation_id: chatState.conversationId,
-            searchMode: currentSearchMode  // 每次都发送当前搜索模式
+            searchMode: currentSearchMode,  // 每次都发送当前搜索模式
+            attachments: attachments.map(a => ({ type: a.type, fileId: a.fileId })),
+            botId: chatState.botId,
+            cardResponse: cardResponse
         };
 
         console.log('[Chat] 发送搜索模式:', currentSearchMode);
@@ -3579,10 +4549,6 @@ function retryLastMessage() {
                     // 流式阶段屏蔽图片，避免反复插入导致闪烁
                     const streamingMasked = stripImagesForStreaming(displayMarkdown);
                     content.innerHTML = parseMarkdownCleaned(streamingMasked, { breaks: true, gfm: true });
-
-                    // 检测并渲染工作证明选项按钮
-                    renderCertificateQuestions(content, currentMarkdown);
-
                     // 流式阶段不激活图片加载；只在最终 onFinish 激活
                 }
                 scrollToBottom();
@@ -3639,10 +4605,6 @@ function retryLastMessage() {
                     // 流式阶段屏蔽图片，避免反复插入导致闪烁
                     const streamingMasked = stripImagesForStreaming(displayMessage);
                     content.innerHTML = parseMarkdownCleaned(streamingMasked, { breaks: true, gfm: true });
-
-                    // 检测并渲染工作证明选项按钮
-                    renderCertificateQuestions(content, currentMarkdown);
-
                     // 流式阶段不激活图片加载；只在最终 onFinish 激活
                 }
                 scrollToBottom();
@@ -3650,6 +4612,42 @@ function retryLastMessage() {
                 // 流式输出过程中实时检测并滚动，确保消息不被输入框遮挡
                 ensureMessageNotOverlappedByInput(1, 0, true);
             },
+            onStep: (step) => {
+                // 验证会话是否仍然活跃
+                if (chatState.conversationId !== initialConversationId || chatState.isSwitching) {
+                    console.log('[Chat] onStep: 会话已切换，忽略回调');
+                    return;
+                }
+
+                chatState.lastResponseTime = Date.now();
+
+                // 插件、知识库、工作流执行期间也先展示三点状态气泡
+                if (!assistantMessageElement) {
+                    assistantMessageElement = addAssistantStatus('<span class="thinking-dots"><span></span><span></span><span></span></span>', 'thinking');
+                    startResponseTimeout(assistantMessageElement);
+                }
+
+                appendChatStep(assistantMessageElement, step);
+                scrollToBottom();
+            },
+            onCard: (card) => {
+                // 验证会话是否仍然活跃
+                if (chatState.conversationId !== initialConversationId || chatState.isSwitching) {
+                    console.log('[Chat] onCard: 会话已切换，忽略回调');
+                    return;
+                }
+
+                hasReceivedData = true;
+                chatState.lastResponseTime = Date.now();
+
+                if (!assistantMessageElement) {
+                    assistantMessageElement = addAssistantStatus('<span class="thinking-dots"><span></span><span></span><span></span></span>', 'thinking');
+                    startResponseTimeout(assistantMessageElement);
+                }
+
+                renderInteractiveCard(assistantMessageElement, card);
+                scrollToBottom();
+            },
             onError: (error) => {
                 // 验证会话是否仍然活跃
                 if (chatState.conversationId !== initialConversationId || chatState.isSwitching) {
@@ -3691,6 +4689,19 @@ function retryLastMessage() {
                     return;
                 }
 
+                finishChatSteps(assistantMessageElement);
+
+                // 语音提问的回答自动朗读（用户停止生成时不朗读）
+                const shouldReadAloud = readAloudState.answerPending && !result.interrupted && !!result.message_id;
+
+                // 用户停止生成：保留已生成的部分回答并标记为已中断
+                if (result.interrupted) {
+                    if (!assistantMessageElement) {
+                        assistantMessageElement = addMessage('', 'assistant');
+                    }
+                    markMessageInterrupted(assistantMessageElement, !(result.answer || currentMarkdown));
+                }
+
                 // 保存会话ID
                 if (result.conversation_id) {
                     chatState.conversationId = result.conversation_id;
@@ -3727,9 +4738,10 @@ function retryLastMessage() {
                         const content = assistantMessageElement.querySelector('.message-content');
                         if (content) {
                             content.innerHTML = parseMarkdownCleaned(cleanedMarkdown, { breaks: true, gfm: true });
-                            
-                            // 检测并渲染工作证明选项按钮
-                            renderCertificateQuestions(content, cleanedMarkdown);
+
+                            if (shouldReadAloud) {
+                                playMessageSpeech(result.message_id);
+                            }
                         }
                         // 将状态气泡转为普通消息样式
                         assistantMessageElement.className = 'message assistant-message';
@@ -3738,6 +4750,10 @@ function retryLastMessage() {
                         currentMarkdown = cleanedMarkdown;
                         setTimeout(() => { activateImageLoading(); }, 0);
                     });
+                } else if (assistantMessageElement && assistantMessageElement.querySelector('.interactive-card')) {
+                    // 回答只有交互卡片，没有文字
+                    assistantMessageElement.querySelector('.message-content').innerHTML = '';
+                    assistantMessageElement.className = 'message assistant-message';
                 }
 
                 // 更新消息ID到反馈按钮（如果有的话）
@@ -3809,6 +4825,49 @@ function retryLastMessage() {
     }
 }
 
+// 停止生成当前回答
+async function stopGenerating() {
+    if (!chatState.isProcessing) return;
+
+    console.log('[Chat] 用户停止生成');
+    const stopButton = document.getElementById('stopButton');
+    if (stopButton) {
+        stopButton.disabled = true;
+    }
+
+    try {
+        await cozeClient.stopChatMessage();
+    } finally {
+        if (stopButton) {
+            stopButton.disabled = false;
+        }
+    }
+}
+
+// 标记助手消息为已中断（用户停止生成）
+function markMessageInterrupted(messageElement, isEmpty) {
+    if (!messageElement) return;
+
+    // 还没有生成任何内容时，移除三点状态动画
+    if (isEmpty) {
+        const content = messageElement.querySelector('.message-content');
+        if (content) {
+            content.innerHTML = '';
+        }
+        messageElement.className = 'message assistant-message';
+    }
+
+    if (messageElement.querySelector('.message-interrupted')) return;
+
+    const note = document.createElement('div');
+    note.className = 'message-interrupted';
+    note.textContent = '已停止生成';
+
+    const contentArea = messageElement.querySelector('.content-area') || messageElement;
+    const feedbackButtons = contentArea.querySelector('.feedback-buttons');
+    contentArea.insertBefore(note, feedbackButtons);
+}
+
 // 创建反馈按钮
 function createFeedbackButtons(messageId) {
     const container = document.createElement('div');
@@ -3845,6 +4904,13 @@ function createFeedbackButtons(messageId) {
     copyBtn.setAttribute('data-message-id', messageId);
     copyBtn.innerHTML = '<img src="/img/copy.svg" alt="复制" style="pointer-events: none;">';
 
+    // 朗读按钮
+    const speakBtn = document.createElement('button');
+    speakBtn.type = 'button'; // 防止表单提交
+    speakBtn.className = 'feedback-btn speak-btn';
+    speakBtn.setAttribute('data-message-id', messageId);
+    speakBtn.innerHTML = '<img src="/img/speaker.svg" alt="朗读" style="pointer-events: none;">';
+
     // 添加点击事件
     likeBtn.addEventListener('click', (e) => {
         e.preventDefault();
@@ -3867,18 +4933,35 @@ function createFeedbackButtons(messageId) {
         handleCopyMessage(messageId);
     });
 
+    speakBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        console.log('[Chat] 点击了朗读按钮, messageId:', messageId);
+        handleSpeakMessage(messageId);
+    });
+
     container.appendChild(likeBtn);
     container.appendChild(dislikeBtn);
     container.appendChild(copyBtn);
+    container.appendChild(speakBtn);
 
     return container;
 }
 
-// 处理反馈
+// 点踩原因，与 server/config/feedback.js 保持一致
+const FEEDBACK_REASONS = [
+    { code: 'wrong', label: '回答错误' },
+    { code: 'outdated', label: '内容过时' },
+    { code: 'not_relevant', label: '答非所问' },
+    { code: 'unsafe', label: '内容不安全' }
+];
+
+const FEEDBACK_COMMENT_MAX_LENGTH = 500;
+
+// 处理反馈：点赞直接提交，点踩先选择原因；再次点击已选中的按钮撤回反馈
 async function handleFeedback(messageId, feedbackType, clickedBtn, otherBtn) {
-    // 防止重复点击
-    if (clickedBtn.classList.contains('active')) {
-        console.log('[Chat] 已经提交过相同的反馈');
+    // 防止请求进行中重复点击
+    if (clickedBtn.classList.contains('loading')) {
         return;
     }
 
@@ -3897,75 +4980,208 @@ async function handleFeedback(messageId, feedbackType, clickedBtn, otherBtn) {
         return;
     }
 
-    if (!chatState.conversationId) {
-        console.error('[Chat] 缺少会话ID，无法提交反馈');
-        alert('会话ID未获取到，请刷新后重试');
+    if (!chatState.conversationId) {
+        console.error('[Chat] 缺少会话ID，无法提交反馈');
+        alert('会话ID未获取到，请刷新后重试');
+        return;
+    }
+
+    if (clickedBtn.classList.contains('active')) {
+        await retractFeedback(messageId, feedbackType, clickedBtn, otherBtn);
+        return;
+    }
+
+    if (feedbackType === 'unlike') {
+        toggleFeedbackReasonPanel(clickedBtn, (reasons, comment) => {
+            submitFeedback(messageId, feedbackType, clickedBtn, otherBtn, { reasons, comment });
+        });
         return;
     }
 
-    // 更新按钮状态和图标
-    clickedBtn.classList.add('active');
-    otherBtn.classList.remove('active');
+    await submitFeedback(messageId, feedbackType, clickedBtn, otherBtn, {});
+}
 
-    // 更换为实心图标
-    const clickedImg = clickedBtn.querySelector('img');
-    if (feedbackType === 'like') {
-        clickedImg.src = '/img/like-filled.svg';
-    } else {
-        clickedImg.src = '/img/dislike-filled.svg';
+/**
+ * 更新反馈按钮状态：选中时换为实心图标并隐藏另一个按钮
+ * @param {string} feedbackType - like / unlike
+ * @param {HTMLElement} clickedBtn - 反馈按钮
+ * @param {HTMLElement} otherBtn - 另一个反馈按钮
+ * @param {boolean} active - 是否选中
+ */
+function setFeedbackButtonState(feedbackType, clickedBtn, otherBtn, active) {
+    clickedBtn.classList.toggle('active', active);
+    otherBtn.classList.toggle('feedback-hidden', active);
+
+    const icon = feedbackType === 'like' ? 'like' : 'dislike';
+    clickedBtn.querySelector('img').src = `/img/${icon}${active ? '-filled' : ''}.svg`;
+}
+
+/**
+ * 请求反馈接口
+ * @param {string} url - 接口地址
+ * @param {Object} options - fetch 选项
+ * @returns {Promise<Object>} 响应JSON
+ */
+async function requestFeedbackApi(url, options) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        credentials: 'include' // 确保包含 session cookie
+    });
+
+    const responseData = await response.json().catch(() => ({}));
+    console.log('[Chat] 反馈响应:', responseData);
+
+    if (!response.ok) {
+        const error = new Error(responseData.msg || responseData.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
     }
 
-    // 隐藏另一个按钮
-    otherBtn.classList.add('feedback-hidden');
+    return responseData;
+}
+
+/**
+ * 提交反馈
+ * @param {string} messageId - 回答的消息ID
+ * @param {string} feedbackType - like / unlike
+ * @param {HTMLElement} clickedBtn - 点击的按钮
+ * @param {HTMLElement} otherBtn - 另一个反馈按钮
+ * @param {Object} details - 点踩时的 { reasons, comment }
+ */
+async function submitFeedback(messageId, feedbackType, clickedBtn, otherBtn, details) {
+    setFeedbackButtonState(feedbackType, clickedBtn, otherBtn, true);
+    clickedBtn.classList.add('loading');
 
-    // 发送反馈到后端
     try {
         const requestBody = {
             conversation_id: chatState.conversationId,
             message_id: messageId,
-            feedback_type: feedbackType
+            feedback_type: feedbackType,
+            reason_types: details.reasons || [],
+            comment: details.comment || '',
+            bot_id: chatState.botId || undefined
         };
 
         console.log('[Chat] 发送反馈请求:', requestBody);
 
         // 不再需要前端 token，后端会自动生成
-        const response = await fetch('/api/feedback', {
+        await requestFeedbackApi('/api/feedback', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody),
-            credentials: 'include' // 确保包含 session cookie
+            body: JSON.stringify(requestBody)
         });
 
-        const responseData = await response.json();
-        console.log('[Chat] 反馈响应:', responseData);
-
-        if (!response.ok) {
-            throw new Error(`反馈提交失败: ${response.status}, ${responseData.msg || '未知错误'}`);
+        if (feedbackType === 'unlike') {
+            showToastMessage('感谢反馈，我们会持续改进', 'info');
         }
-
-        console.log('[Chat] 反馈提交成功:', {
-            messageId,
-            feedbackType,
-            conversationId: chatState.conversationId,
-            response: responseData
-        });
     } catch (error) {
         console.error('[Chat] 反馈提交失败:', error);
-        alert(`反馈提交失败: ${error.message}`);
+        showToastMessage(`反馈提交失败: ${error.message}`, 'error');
         // 恢复按钮状态
-        clickedBtn.classList.remove('active');
-        otherBtn.classList.remove('feedback-hidden');
+        setFeedbackButtonState(feedbackType, clickedBtn, otherBtn, false);
+    } finally {
+        clickedBtn.classList.remove('loading');
+    }
+}
 
-        // 恢复原始图标
-        const clickedImg = clickedBtn.querySelector('img');
-        if (feedbackType === 'like') {
-            clickedImg.src = '/img/like.svg';
-        } else {
-            clickedImg.src = '/img/dislike.svg';
+/**
+ * 撤回反馈
+ * @param {string} messageId - 回答的消息ID
+ * @param {string} feedbackType - 已提交的反馈类型
+ * @param {HTMLElement} clickedBtn - 已选中的按钮
+ * @param {HTMLElement} otherBtn - 另一个反馈按钮
+ */
+async function retractFeedback(messageId, feedbackType, clickedBtn, otherBtn) {
+    setFeedbackButtonState(feedbackType, clickedBtn, otherBtn, false);
+    clickedBtn.classList.add('loading');
+
+    try {
+        await requestFeedbackApi(`/api/feedback/${encodeURIComponent(messageId)}`, {
+            method: 'DELETE'
+        });
+        showToastMessage('已撤回反馈', 'info');
+    } catch (error) {
+        // 反馈已不存在时视为撤回成功
+        if (error.status !== 404) {
+            console.error('[Chat] 撤回反馈失败:', error);
+            showToastMessage(`撤回反馈失败: ${error.message}`, 'error');
+            setFeedbackButtonState(feedbackType, clickedBtn, otherBtn, true);
         }
+    } finally {
+        clickedBtn.classList.remove('loading');
+    }
+}
+
+/**
+ * 打开或关闭点踩原因面板（显示在反馈按钮下方，同一时间只打开一个）
+ * @param {HTMLElement} dislikeBtn - 点踩按钮
+ * @param {Function} onSubmit - 提交回调 (reasons, comment)
+ */
+function toggleFeedbackReasonPanel(dislikeBtn, onSubmit) {
+    const buttons = dislikeBtn.closest('.feedback-buttons');
+    const opened = buttons.nextElementSibling && buttons.nextElementSibling.classList.contains('feedback-reason-panel');
+
+    document.querySelectorAll('.feedback-reason-panel').forEach(panel => panel.remove());
+    if (opened) {
+        return;
     }
+
+    const panel = document.createElement('div');
+    panel.className = 'feedback-reason-panel';
+
+    const title = document.createElement('div');
+    title.className = 'feedback-reason-title';
+    title.textContent = '哪里不满意？';
+    panel.appendChild(title);
+
+    const options = document.createElement('div');
+    options.className = 'feedback-reason-options';
+    FEEDBACK_REASONS.forEach(reason => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'feedback-reason-option';
+        option.dataset.code = reason.code;
+        option.textContent = reason.label;
+        option.addEventListener('click', () => option.classList.toggle('selected'));
+        options.appendChild(option);
+    });
+    panel.appendChild(options);
+
+    const comment = document.createElement('textarea');
+    comment.className = 'feedback-reason-comment';
+    comment.rows = 2;
+    comment.maxLength = FEEDBACK_COMMENT_MAX_LENGTH;
+    comment.placeholder = '补充说明（选填）';
+    panel.appendChild(comment);
+
+    const actions = document.createElement('div');
+    actions.className = 'feedback-reason-actions';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'feedback-reason-cancel';
+    cancelBtn.textContent = '取消';
+    cancelBtn.addEventListener('click', () => panel.remove());
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'button';
+    submitBtn.className = 'feedback-reason-submit';
+    submitBtn.textContent = '提交';
+    submitBtn.addEventListener('click', () => {
+        const reasons = Array.from(options.querySelectorAll('.feedback-reason-option.selected'))
+            .map(option => option.dataset.code);
+        panel.remove();
+        onSubmit(reasons, comment.value.trim());
+    });
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(submitBtn);
+    panel.appendChild(actions);
+
+    buttons.after(panel);
+    panel.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
 }
 
 // 复制消息内容
@@ -4086,14 +5302,176 @@ function showCopySuccessFeedback(messageId) {
     }
 }
 
+// ============= 语音朗读 =============
+
+// 朗读播放状态：同一时间只播放一条消息，音频按消息ID缓存，重复播放不再请求
+const speechPlaybackState = {
+    audio: null,
+    messageId: null,
+    // messageId -> object URL
+    audioUrls: new Map()
+};
+
+// 语音提问后自动朗读回答（开关保存在 localStorage）
+const READ_ALOUD_STORAGE_KEY = 'readAloudVoiceAnswers';
+const readAloudState = {
+    enabled: localStorage.getItem(READ_ALOUD_STORAGE_KEY) === 'true',
+    // 语音识别填入输入框的文字，发送时据此判断是否为语音提问
+    voiceTranscript: null,
+    // 当前回答完成后是否自动朗读
+    answerPending: false
+};
+
+// 提取消息中可朗读的文字（不朗读代码块、图片和按钮）
+function extractSpeechText(contentElement) {
+    const clone = contentElement.cloneNode(true);
+    clone.querySelectorAll('pre, img, .image-loading-container, button').forEach(el => el.remove());
+    return (clone.textContent || '').trim();
+}
+
+// 更新朗读按钮状态：idle / loading / playing
+function updateSpeakButton(messageId, state) {
+    const speakBtn = document.querySelector(`.speak-btn[data-message-id="${messageId}"]`);
+    if (!speakBtn) return;
+
+    speakBtn.classList.toggle('loading', state === 'loading');
+    speakBtn.classList.toggle('playing', state === 'playing');
+}
+
+// 停止当前朗读
+function stopMessageSpeech() {
+    if (speechPlaybackState.audio) {
+        speechPlaybackState.audio.pause();
+        speechPlaybackState.audio = null;
+    }
+    if (speechPlaybackState.messageId) {
+        updateSpeakButton(speechPlaybackState.messageId, 'idle');
+        speechPlaybackState.messageId = null;
+    }
+}
+
+// 获取消息的朗读音频（object URL），已生成过的直接复用
+async function fetchMessageSpeech(messageId, text) {
+    const cachedUrl = speechPlaybackState.audioUrls.get(messageId);
+    if (cachedUrl) {
+        return cachedUrl;
+    }
+
+    const response = await fetch('/api/text-to-speech', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ text: text, messageId: messageId })
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    speechPlaybackState.audioUrls.set(messageId, url);
+    return url;
+}
+
+// 朗读消息
+async function playMessageSpeech(messageId) {
+    const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
+    const contentElement = messageElement ? messageElement.querySelector('.message-content') : null;
+    const text = contentElement ? extractSpeechText(contentElement) : '';
+    if (!text) {
+        showToastMessage('这条消息没有可朗读的文字', 'info');
+        return;
+    }
+
+    stopMessageSpeech();
+    speechPlaybackState.messageId = messageId;
+    updateSpeakButton(messageId, 'loading');
+
+    try {
+        const url = await fetchMessageSpeech(messageId, text);
+
+        // 生成期间用户已停止或改为朗读其他消息
+        if (speechPlaybackState.messageId !== messageId) return;
+
+        const audio = new Audio(url);
+        audio.addEventListener('ended', () => {
+            if (speechPlaybackState.audio === audio) {
+                stopMessageSpeech();
+            }
+        });
+        speechPlaybackState.audio = audio;
+        updateSpeakButton(messageId, 'playing');
+        await audio.play();
+    } catch (error) {
+        console.error('[Chat] 朗读失败:', error);
+        if (speechPlaybackState.messageId === messageId) {
+            stopMessageSpeech();
+        }
+
+        if (error.name === 'NotAllowedError') {
+            // 浏览器不允许无点击的自动播放
+            showToastMessage('浏览器阻止了播放，请点击回答下方的朗读按钮', 'info');
+        } else if (error.status === 503) {
+            showToastMessage('朗读功能暂未开通', 'warning');
+        } else {
+            showToastMessage('朗读失败，请稍后再试', 'warning');
+        }
+    }
+}
+
+// 点击朗读按钮：正在朗读这条消息时停止，否则开始朗读
+function handleSpeakMessage(messageId) {
+    if (speechPlaybackState.messageId === messageId) {
+        stopMessageSpeech();
+        return;
+    }
+    playMessageSpeech(messageId);
+}
+
+// 同步“语音提问自动朗读”开关的显示
+function updateReadAloudToggle() {
+    const toggle = document.getElementById('readAloudToggle');
+    if (!toggle) return;
+
+    toggle.classList.toggle('active', readAloudState.enabled);
+    toggle.setAttribute('aria-pressed', String(readAloudState.enabled));
+}
+
+// 初始化“语音提问自动朗读”开关（位于输入框的模式下拉菜单中，企微端同样可用）
+function initReadAloudToggle() {
+    const toggle = document.getElementById('readAloudToggle');
+    if (!toggle) return;
+
+    updateReadAloudToggle();
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        readAloudState.enabled = !readAloudState.enabled;
+        localStorage.setItem(READ_ALOUD_STORAGE_KEY, String(readAloudState.enabled));
+        updateReadAloudToggle();
+        showToastMessage(readAloudState.enabled ? '已开启：语音提问的回答将自动朗读' : '已关闭语音提问自动朗读', 'info');
+    });
+}
+
 // 发送消息 - 重构为调用内部函数
 async function sendMessage() {
     const input = document.getElementById('messageInput');
     const sendButton = document.getElementById('sendButton');
     const message = input.value.trim();
+    const attachments = getReadyAttachments();
 
     // 检查按钮是否被禁用或消息为空
-    if (!message || chatState.isProcessing || sendButton.classList.contains('disabled')) return;
+    if ((!message && attachments.length === 0) || chatState.isProcessing || sendButton.classList.contains('disabled')) return;
+
+    // 附件上传中时等待上传完成
+    if (isAttachmentUploading()) {
+        showToastMessage('附件正在上传，请稍候', 'info');
+        return;
+    }
 
     // ⭐ 立即设置处理标志，防止快速双击回车导致的重复发送
     chatState.isProcessing = true;
@@ -4124,8 +5502,13 @@ async function sendMessage() {
         return;
     }
 
+    // 语音提问（输入框内容来自语音识别）时，按设置在回答完成后自动朗读
+    readAloudState.answerPending = readAloudState.enabled && readAloudState.voiceTranscript !== null;
+    readAloudState.voiceTranscript = null;
+
     // 添加用户消息
-    addMessage(message, 'user');
+    addMessage(message, 'user', null, attachments);
+    clearAttachments();
 
     // 切换到对话布局
     activateConversationLayout();
@@ -4150,11 +5533,11 @@ async function sendMessage() {
     }
 
     // 发送消息
-    await sendMessageInternal(message);
+    await sendMessageInternal(message, attachments);
 }
 
 // 添加消息
-function addMessage(text, sender, messageId = null) {
+function addMessage(text, sender, messageId = null, attachments = []) {
     // 如果正在清空对话，不添加任何消息
     if (chatState.isClearing) {
         console.log('[addMessage] 正在清空对话，跳过添加消息');
@@ -4179,10 +5562,16 @@ function addMessage(text, sender, messageId = null) {
     let content;
     if (sender === 'user') {
         // 只显示文本内容，不显示头像
+        if (attachments && attachments.length > 0) {
+            messageDiv.classList.add('has-attachments');
+            messageDiv.appendChild(createMessageAttachments(attachments));
+        }
         content = document.createElement('div');
         content.className = 'message-content';
         content.textContent = text;
-        messageDiv.appendChild(content);
+        if (text) {
+            messageDiv.appendChild(content);
+        }
     } else {
         // 创建消息容器结构
         const messageWrapper = document.createElement('div');
@@ -4273,97 +5662,190 @@ function addAssistantStatus(text, statusType) {
     return messageDiv;
 }
 
-// 渲染工作证明选项按钮
-function renderCertificateQuestions(contentElement, markdown) {
-    if (!contentElement || !markdown || typeof markdown !== 'string') {
+// 交互卡片中是/否字段的选项
+const CARD_YES_NO_OPTIONS = [
+    { value: true, label: '是' },
+    { value: false, label: '否' }
+];
+
+/**
+ * 渲染交互卡片（服务端 card 事件推送的表单），提交后以结构化消息发回助手
+ * 只有一个单选或是/否字段时，点击选项即提交
+ * @param {HTMLElement} messageElement - 助手消息元素
+ * @param {Object} card - 卡片 { cardId, title, description, submitLabel, fields }
+ */
+function renderInteractiveCard(messageElement, card) {
+    const contentArea = messageElement.querySelector('.content-area');
+    if (!contentArea || !card || !Array.isArray(card.fields) ||
+        contentArea.querySelector(`.interactive-card[data-card-id="${card.cardId}"]`)) {
         return;
     }
 
-    // 1. 正则匹配检测
-    const isYesNoQuestion = markdown.includes('是否基于工作部门及职位开具在职证明');
-    const normalized = markdown.replace(/\s/g, ''); // 去除所有空格
-    const isPurposeQuestion =
-        normalized.includes('工作证明用途') ||
-        /工作证明的?用途/.test(normalized) ||
-        /开具工作证明.{0,10}用途/.test(normalized) ||
-        /请选择.*工作证明.*用途/.test(normalized);
-
-    if (!isYesNoQuestion && !isPurposeQuestion) {
-        return; // 不是工作证明相关问题，跳过
-    }
-
-    // 2. 提取选项
-    const options = [];
-    const lines = markdown.split('\n');
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (trimmed.startsWith('- ') || trimmed.startsWith('* ')) {
-            const option = trimmed.substring(2).trim();
-            if (option) {
-                options.push(option);
-            }
-        }
+    const container = document.createElement('div');
+    container.className = 'interactive-card';
+    container.dataset.cardId = card.cardId;
+
+    if (card.title) {
+        const title = document.createElement('div');
+        title.className = 'interactive-card-title';
+        title.textContent = card.title;
+        container.appendChild(title);
     }
 
-    if (options.length === 0) {
-        return;
+    if (card.description) {
+        const description = document.createElement('div');
+        description.className = 'interactive-card-description';
+        description.textContent = card.description;
+        container.appendChild(description);
     }
 
-    // 3. 移除 markdown 列表
-    const lists = contentElement.querySelectorAll('ul, ol');
-    lists.forEach(list => {
-        const listItems = Array.from(list.querySelectorAll('li'));
-        const listTexts = listItems.map(li => li.textContent.trim());
-        const hasMatchingOptions = options.some(opt => listTexts.includes(opt));
-        if (hasMatchingOptions) {
-            list.remove(); // 删除 <ul> 或 <ol> 元素
+    const singleField = card.fields.length === 1 ? card.fields[0] : null;
+    const submitOnSelect = !!singleField &&
+        (singleField.type === 'yes_no' || (singleField.type === 'choice' && !singleField.multiple));
+
+    // 字段名 -> 读取当前值的函数
+    const readers = {};
+
+    card.fields.forEach(field => {
+        const fieldElement = document.createElement('div');
+        fieldElement.className = 'interactive-card-field';
+
+        const label = document.createElement('div');
+        label.className = 'interactive-card-label';
+        label.textContent = field.label;
+        if (field.required) {
+            label.classList.add('required');
+        }
+        fieldElement.appendChild(label);
+
+        if (field.type === 'choice' || field.type === 'yes_no') {
+            const options = field.type === 'yes_no' ? CARD_YES_NO_OPTIONS : field.options;
+            const optionList = document.createElement('div');
+            optionList.className = 'interactive-card-options';
+
+            options.forEach((option, index) => {
+                const optionBtn = document.createElement('button');
+                optionBtn.type = 'button';
+                optionBtn.className = 'interactive-card-option';
+                optionBtn.dataset.index = index;
+                optionBtn.textContent = option.label;
+                optionBtn.addEventListener('click', () => {
+                    if (field.multiple) {
+                        optionBtn.classList.toggle('selected');
+                    } else {
+                        optionList.querySelectorAll('.interactive-card-option').forEach(btn => {
+                            btn.classList.toggle('selected', btn === optionBtn);
+                        });
+                    }
+                    if (submitOnSelect) {
+                        submit();
+                    }
+                });
+                optionList.appendChild(optionBtn);
+            });
+
+            readers[field.name] = () => {
+                const selected = Array.from(optionList.querySelectorAll('.interactive-card-option.selected'))
+                    .map(btn => options[btn.dataset.index].value);
+                return field.multiple ? selected : selected[0];
+            };
+            fieldElement.appendChild(optionList);
+        } else {
+            const input = document.createElement('input');
+            input.className = 'interactive-card-input';
+            if (field.type === 'date') {
+                input.type = 'date';
+                if (field.min) input.min = field.min;
+                if (field.max) input.max = field.max;
+            } else {
+                input.type = 'text';
+                input.maxLength = field.maxLength;
+                input.placeholder = field.placeholder || '';
+            }
+            readers[field.name] = () => input.value.trim();
+            fieldElement.appendChild(input);
         }
+
+        container.appendChild(fieldElement);
     });
 
-    // 4. 检查是否已经存在选项容器，避免重复创建
-    const existingContainer = contentElement.querySelector('.certificate-options');
-    if (existingContainer) {
-        return; // 已经存在，跳过
-    }
+    const errorElement = document.createElement('div');
+    errorElement.className = 'interactive-card-error';
+    container.appendChild(errorElement);
 
-    // 5. 创建按钮容器
-    const optionsContainer = document.createElement('div');
-    optionsContainer.className = 'certificate-options';
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'button';
+    submitBtn.className = 'interactive-card-submit';
+    submitBtn.textContent = card.submitLabel || '提交';
+    submitBtn.addEventListener('click', () => submit());
+    if (!submitOnSelect) {
+        container.appendChild(submitBtn);
+    }
 
-    // 6. 创建按钮并绑定事件
-    options.forEach((option, index) => {
-        const btn = document.createElement('button');
-        btn.className = 'certificate-option-btn';
-        btn.textContent = option;
-        btn.setAttribute('data-option', option);
-        btn.setAttribute('aria-label', `选择选项: ${option}`);
+    function submit() {
+        if (container.classList.contains('submitted')) {
+            return;
+        }
+        if (chatState.isProcessing) {
+            showToastMessage('请等待当前回答完成后再提交', 'warning');
+            return;
+        }
 
-        btn.onclick = function() {
-            if (chatState.isProcessing) {
-                return; // 正在处理中，忽略点击
+        const values = {};
+        for (const field of card.fields) {
+            const value = readers[field.name]();
+            const empty = value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+            if (empty) {
+                if (field.required) {
+                    errorElement.textContent = `请填写${field.label}`;
+                    return;
+                }
+                continue;
             }
+            values[field.name] = value;
+        }
+        errorElement.textContent = '';
 
-            // 禁用所有按钮，防止重复点击
-            optionsContainer.querySelectorAll('.certificate-option-btn').forEach(b => {
-                b.disabled = true;
-                b.style.opacity = '0.5';
-            });
+        // 提交后表单只读，保留成员的选择
+        container.classList.add('submitted');
+        container.querySelectorAll('button, input').forEach(element => {
+            element.disabled = true;
+        });
 
-            // 移除选项容器（延迟移除，让用户看到点击效果）
-            setTimeout(() => {
-                optionsContainer.remove();
-            }, 200);
+        const summary = buildCardSummary(card, values);
+        addMessage(summary, 'user');
+        sendMessageInternal(summary, [], { card_id: card.cardId, values: values });
+    }
 
-            // 添加用户消息并发送
-            addMessage(option, 'user');
-            sendMessageInternal(option);
-        };
+    const feedbackButtons = contentArea.querySelector('.feedback-buttons');
+    contentArea.insertBefore(container, feedbackButtons);
+}
 
-        optionsContainer.appendChild(btn);
-    });
+/**
+ * 交互卡片提交后展示给成员的摘要，与服务端生成的摘要一致（历史消息中显示相同内容）
+ * @param {Object} card - 卡片
+ * @param {Object} values - 字段值
+ * @returns {string}
+ */
+function buildCardSummary(card, values) {
+    const lines = card.title ? [`【${card.title}】`] : [];
+    card.fields.forEach(field => {
+        const value = values[field.name];
+        if (value === undefined) {
+            return;
+        }
 
-    // 7. 添加到DOM
-    contentElement.appendChild(optionsContainer);
+        let text = value;
+        if (field.type === 'yes_no') {
+            text = value ? '是' : '否';
+        } else if (field.type === 'choice') {
+            text = (Array.isArray(value) ? value : [value])
+                .map(item => field.options.find(option => option.value === item).label)
+                .join('、');
+        }
+        lines.push(`${field.label}：${text}`);
+    });
+    return lines.join('\n');
 }
 
 // 更新助手状态消息
@@ -5153,7 +6635,8 @@ function insertHistoryMessages(messages) {
     }
 
     messages.forEach(msg => {
-        if (!msg.content || !msg.content.trim()) return;
+        const hasAttachments = msg.attachments && msg.attachments.length > 0;
+        if ((!msg.content || !msg.content.trim()) && !hasAttachments) return;
 
         // 创建消息元素（复用现有的消息渲染逻辑）
         const messageDiv = document.createElement('div');
@@ -5161,10 +6644,16 @@ function insertHistoryMessages(messages) {
 
         if (msg.role === 'user') {
             messageDiv.className = 'message user-message';
-            const contentDiv = document.createElement('div');
-            contentDiv.className = 'message-content';
-            contentDiv.textContent = msg.content;
-            messageDiv.appendChild(contentDiv);
+            if (hasAttachments) {
+                messageDiv.classList.add('has-attachments');
+                messageDiv.appendChild(createMessageAttachments(msg.attachments));
+            }
+            if (msg.content && msg.content.trim()) {
+                const contentDiv = document.createElement('div');
+                contentDiv.className = 'message-content';
+                contentDiv.textContent = msg.content;
+                messageDiv.appendChild(contentDiv);
+            }
         } else if (msg.role === 'assistant') {
             messageDiv.className = 'message assistant-message';
 
@@ -5515,6 +7004,7 @@ function closeFloatingSearch() {
     if (sidebarElements.floatingSearchInput) {
         sidebarElements.floatingSearchInput.value = '';
     }
+    cancelMessageSearch();
 }
 
 // 渲染浮动搜索结果
@@ -5556,6 +7046,219 @@ function renderFloatingSearchResults(results, isSearching = true) {
     });
 }
 
+// 消息内容搜索状态：seq 用于丢弃过期的搜索响应
+const messageSearchState = {
+    seq: 0,
+    results: []
+};
+
+/**
+ * 取消进行中的消息搜索（清空关键词或关闭搜索框时调用）
+ */
+function cancelMessageSearch() {
+    messageSearchState.seq++;
+    messageSearchState.results = [];
+}
+
+/**
+ * 获取浮动搜索框中的“消息”结果区域（标题结果重新渲染后需重新创建）
+ * @returns {HTMLElement|null}
+ */
+function getMessageSearchSection() {
+    if (!sidebarElements.floatingSearchResults) return null;
+
+    let section = document.getElementById('floatingMessageResults');
+    if (!section) {
+        section = document.createElement('div');
+        section.id = 'floatingMessageResults';
+        sidebarElements.floatingSearchResults.appendChild(section);
+    }
+    return section;
+}
+
+/**
+ * 搜索所有会话中的消息内容，结果追加在会话标题结果之后
+ * @param {string} keyword - 搜索关键词
+ */
+async function searchMessages(keyword) {
+    const seq = ++messageSearchState.seq;
+    const section = getMessageSearchSection();
+    if (!section) return;
+
+    section.innerHTML = `
+        <div class="search-section-title">消息</div>
+        <div class="py-4 text-center text-gray-400 text-sm">正在搜索消息...</div>
+    `;
+
+    try {
+        const response = await fetch(`/api/search?q=${encodeURIComponent(keyword)}&limit=20`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const data = await response.json();
+
+        // 输入已变化，丢弃旧结果
+        if (seq !== messageSearchState.seq) return;
+
+        if (!response.ok || data.status !== 'ok') {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        renderMessageSearchResults(data);
+    } catch (error) {
+        if (seq !== messageSearchState.seq) return;
+        console.error('搜索消息失败:', error);
+        section.innerHTML = `
+            <div class="search-section-title">消息</div>
+            <div class="py-4 text-center text-gray-400 text-sm">搜索消息失败，请稍后重试</div>
+        `;
+    }
+}
+
+/**
+ * 按高亮区间渲染摘要
+ * @param {string} snippet - 摘要
+ * @param {Array<Array<number>>} highlights - 高亮区间 [[start, end], ...]
+ * @returns {string} HTML
+ */
+function renderHighlightedSnippet(snippet, highlights) {
+    let html = '';
+    let cursor = 0;
+
+    (highlights || []).forEach(([start, end]) => {
+        html += escapeHtml(snippet.slice(cursor, start));
+        html += `<mark>${escapeHtml(snippet.slice(start, end))}</mark>`;
+        cursor = end;
+    });
+
+    return html + escapeHtml(snippet.slice(cursor));
+}
+
+/**
+ * 渲染消息搜索结果
+ * @param {Object} data - /api/search 响应
+ */
+function renderMessageSearchResults(data) {
+    const section = getMessageSearchSection();
+    if (!section) return;
+
+    messageSearchState.results = data.results || [];
+
+    const indexingTip = data.indexing
+        ? '<div class="search-indexing-tip">正在建立历史消息索引，结果可能不完整</div>'
+        : '';
+
+    if (messageSearchState.results.length === 0) {
+        section.innerHTML = indexingTip ? `<div class="search-section-title">消息</div>${indexingTip}` : '';
+        return;
+    }
+
+    // 有消息结果时移除“暂无搜索结果”提示
+    document.getElementById('floatingSearchEmpty')?.remove();
+
+    const items = messageSearchState.results
+        .map((item, index) => {
+            const conversation = conversationListState.all.find(conv => conv.conversationId === item.conversationId);
+            const title = conversation?.title || '历史会话';
+            const roleLabel = item.role === 'user' ? '我' : '助手';
+            return `
+                <div class="search-result-item search-message-item" data-index="${index}">
+                    <div class="search-result-title">${escapeHtml(title)}</div>
+                    <div class="search-message-snippet">
+                        <span class="search-message-role">${roleLabel}：</span>${renderHighlightedSnippet(item.snippet, item.highlights)}
+                    </div>
+                    <div class="search-result-time">${formatConversationTime(Date.parse(item.createdAt))}</div>
+                </div>
+            `;
+        })
+        .join('');
+
+    section.innerHTML = `<div class="search-section-title">消息</div>${indexingTip}${items}`;
+
+    section.querySelectorAll('.search-message-item').forEach(el => {
+        el.addEventListener('click', () => {
+            const result = messageSearchState.results[Number(el.dataset.index)];
+            closeFloatingSearch();
+            jumpToSearchResult(result);
+        });
+    });
+}
+
+/**
+ * 会话属于其他助手时切换到该助手（不进入欢迎页），保证继续提问时发给正确的助手
+ * @param {string} botId - 会话所属的 Bot ID
+ */
+async function selectBotForConversation(botId) {
+    const bot = botPickerState.bots.find(item => item.botId === botId);
+    if (!bot) return;
+
+    const isCurrent = bot.default ? !chatState.botId : chatState.botId === bot.botId;
+    if (isCurrent) return;
+
+    chatState.botId = bot.default ? null : bot.botId;
+    localStorage.setItem(botPickerState.storageKey, bot.botId);
+    renderBotPicker();
+    await loadConversationList();
+}
+
+/**
+ * 在聊天区域中查找搜索命中的消息，未加载到时继续向上加载更早的历史
+ * @param {Object} result - 搜索结果
+ * @returns {Promise<HTMLElement|null>}
+ */
+async function findSearchResultElement(result) {
+    const chatContainer = document.getElementById('chatContainer');
+    const maxLoads = 10;
+
+    // 流式对话中的提问没有消息ID，按命中的关键词匹配
+    const hitText = result.highlights?.length
+        ? result.snippet.slice(result.highlights[0][0], result.highlights[0][1]).toLowerCase()
+        : '';
+    const roleClass = result.role === 'user' ? '.user-message' : '.assistant-message';
+
+    for (let i = 0; i <= maxLoads; i++) {
+        if (result.messageId) {
+            const element = chatContainer.querySelector(`[data-message-id="${CSS.escape(result.messageId)}"]`);
+            if (element) return element;
+        }
+
+        if (hitText) {
+            const candidates = Array.from(chatContainer.querySelectorAll(roleClass));
+            const element = candidates.reverse().find(el => el.textContent.toLowerCase().includes(hitText));
+            if (element) return element;
+        }
+
+        if (!historyLoader.hasMore) break;
+        await loadMoreHistory();
+    }
+
+    return null;
+}
+
+/**
+ * 跳转到搜索命中的消息：切换会话后滚动到该消息并短暂高亮
+ * @param {Object} result - 搜索结果
+ */
+async function jumpToSearchResult(result) {
+    if (!result) return;
+
+    await selectBotForConversation(result.botId);
+
+    if (chatState.conversationId !== result.conversationId) {
+        await switchToConversation(result.conversationId);
+    }
+
+    const element = await findSearchResultElement(result);
+    if (!element) {
+        showToastMessage('未找到该消息，可能已被删除', 'warning');
+        return;
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('search-hit-message');
+    setTimeout(() => element.classList.remove('search-hit-message'), 2000);
+}
+
 // 打开浮动用户菜单（支持传入锚点元素，默认使用折叠头像按钮）
 function openFloatingUserMenu(anchorEl) {
     if (!sidebarElements.floatingUserMenu) return;
@@ -5973,31 +7676,48 @@ function initSidebarEvents() {
         }
     });
 
-    // 浮动搜索框 - 实时搜索
+    // 浮动搜索框 - 实时搜索（会话标题在本地过滤，消息内容调用搜索接口）
     let searchTimeout;
     sidebarElements.floatingSearchInput?.addEventListener('input', (e) => {
         clearTimeout(searchTimeout);
         searchTimeout = setTimeout(() => {
-            const keyword = e.target.value.trim().toLowerCase();
+            const keyword = e.target.value.trim();
             if (!keyword) {
                 // 清空关键词时，显示最近的会话列表
+                cancelMessageSearch();
                 const recentConversations = [...conversationListState.all].slice(0, 20);
                 renderFloatingSearchResults(recentConversations, false);
                 return;
             }
             // 过滤搜索结果（搜索标题）
+            const lowerKeyword = keyword.toLowerCase();
             const results = conversationListState.all
                 .filter(conv => {
                     const title = conv.title || '新对话';
-                    return title.toLowerCase().includes(keyword);
+                    return title.toLowerCase().includes(lowerKeyword);
                 });
             renderFloatingSearchResults(results, true);
+            searchMessages(keyword);
         }, 300); // 300ms 防抖
     });
 
     // 浮动用户菜单 - 点击遮罩关闭
     sidebarElements.floatingUserMenuOverlay?.addEventListener('click', closeFloatingUserMenu);
 
+    // 我的分享（sidebar 用户菜单 / 浮动用户菜单）
+    document.getElementById('sidebarMySharesBtn')?.addEventListener('click', () => {
+        if (sidebarElements.sidebarUserMenu) {
+            sidebarElements.sidebarUserMenu.style.display = 'none';
+            sidebarElements.sidebarUserInfoBtn?.classList.remove('active');
+        }
+        showMyShares();
+    });
+    document.getElementById('floatingUserMenuShares')?.addEventListener('click', () => {
+        closeFloatingUserMenu();
+        showMyShares();
+    });
+    initShareModal();
+
     // 浮动用户菜单 - 登出按钮
     sidebarElements.floatingUserMenuLogout?.addEventListener('click', () => {
         handleLogout();
@@ -6009,6 +7729,8 @@ function initSidebarEvents() {
         if (e.key === 'Escape') {
             closeFloatingSearch();
             closeFloatingUserMenu();
+            closeExportMenu();
+            closeShareModal();
         }
     });
 }
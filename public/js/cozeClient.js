@@ -3,6 +3,9 @@
 const cozeClient = {
     // 通过代理服务器访问Coze API
     apiEndpoint: '/api/chat',
+
+    // 停止当前回答的方法，由 sendChatMessage 设置
+    stopCurrentChat: null,
     
     // 连接状态监控
     connectionStatus: {
@@ -135,6 +138,35 @@ const cozeClient = {
                 callbacks.onMessage(event);
             });
             
+            // 监听执行步骤事件（插件调用、插件返回、知识库召回、工作流节点）
+            ['function_call', 'tool_response', 'knowledge', 'verbose'].forEach((stepEvent) => {
+                eventSource.addEventListener(stepEvent, (event) => {
+                    console.log('[EventSourceManager] 🧩 收到执行步骤事件:', {
+                        requestId,
+                        event: stepEvent
+                    });
+                    callbacks.onMessage(event);
+                });
+            });
+
+            // 监听card事件（交互卡片，前端渲染为表单）
+            eventSource.addEventListener('card', (event) => {
+                console.log('[EventSourceManager] 🗂️ 收到card事件:', {
+                    requestId,
+                    data: event.data
+                });
+                callbacks.onMessage(event);
+            });
+
+            // 监听chat_created事件（服务端登记的对话ID，用于停止生成）
+            eventSource.addEventListener('chat_created', (event) => {
+                console.log('[EventSourceManager] 🆔 收到chat_created事件:', {
+                    requestId,
+                    data: event.data
+                });
+                callbacks.onMessage(event);
+            });
+
             // 监听connected事件
             eventSource.addEventListener('connected', (event) => {
                 console.log('[EventSourceManager] 🔗 收到connected事件:', {
@@ -318,6 +350,7 @@ const cozeClient = {
      * @param {string} params.user - 用户ID
      * @param {Object} params.inputs - 额外输入参数
      * @param {string} params.conversation_id - 会话ID(可选)
+     * @param {Object} params.cardResponse - 提交的交互卡片 { card_id, values }(可选)
      * @param {function} callbacks - 回调函数对象
      * @returns {Promise} - 请求Promise
      */
@@ -332,6 +365,8 @@ const cozeClient = {
                     onStart: () => {},
                     onToken: (token) => {},
                     onMessage: (message) => {},
+                    onStep: (step) => {},
+                    onCard: (card) => {},
                     onError: (error) => {},
                     onFinish: (message) => {}
                 };
@@ -374,6 +409,21 @@ const cozeClient = {
                     sseUrl.searchParams.set('searchMode', params.searchMode);
                 }
 
+                // 指定智能助手（不传时使用默认助手）
+                if (params.botId) {
+                    sseUrl.searchParams.set('botId', params.botId);
+                }
+
+                // 提交交互卡片 { card_id, values }
+                if (params.cardResponse) {
+                    sseUrl.searchParams.set('card_response', JSON.stringify(params.cardResponse));
+                }
+
+                // 附件（已上传到Coze的文件ID列表）
+                if (params.attachments && params.attachments.length > 0) {
+                    sseUrl.searchParams.set('attachments', JSON.stringify(params.attachments));
+                }
+
                 // EventSource不支持自定义请求头，所以通过查询参数传递用户身份token
                 // 后端会使用用户身份来获取相应的Coze API token
                 if (userToken) {
@@ -394,6 +444,7 @@ const cozeClient = {
                 let connectionStartTime = Date.now();
                 let savedFollowUpQuestions = null; // 保存message事件中的follow-up questions
                 let isFinished = false;
+                let chatId = null; // 服务端登记的对话ID，停止生成时使用
 
                 // 设置超时处理 - 改为5分钟，并支持心跳重置
                 let timeoutId = null;
@@ -467,6 +518,11 @@ const cozeClient = {
                                     case 'connected':
                                         console.log('[CozeClient] 🔗 收到连接确认');
                                         break;
+
+                                    case 'chat_created':
+                                        chatId = data.chat_id;
+                                        console.log('[CozeClient] 🆔 对话已创建:', chatId);
+                                        break;
                                     
                                     case 'heartbeat':
                                         console.log('[CozeClient] 💓 收到心跳消息', {
@@ -512,6 +568,23 @@ const cozeClient = {
                                         }
                                         break;
 
+                                    case 'function_call':
+                                    case 'tool_response':
+                                    case 'knowledge':
+                                    case 'verbose':
+                                        console.log('[CozeClient] 🧩 处理执行步骤:', data.event, data.step);
+                                        if (data.step) {
+                                            cb.onStep(data.step);
+                                        }
+                                        break;
+
+                                    case 'card':
+                                        console.log('[CozeClient] 🗂️ 处理交互卡片:', data.card);
+                                        if (data.card) {
+                                            cb.onCard(data.card, data.message_id);
+                                        }
+                                        break;
+
                                     case 'message_end':
                                         console.log('[CozeClient] 🏁 处理message_end事件，原始data:', data);
                                         console.log('[CozeClient] 🏁 followUpQuestions详情:', {
@@ -548,7 +621,8 @@ const cozeClient = {
                                             answer: fullAnswer,
                                             conversation_id: data.conversation_id || this.conversationId,
                                             message_id: data.message_id, // 添加消息ID
-                                            followUpQuestions: finalFollowUpQuestions
+                                            followUpQuestions: finalFollowUpQuestions,
+                                            interrupted: !!data.interrupted
                                         };
 
                                         console.log('[CozeClient] 准备调用 onFinish，result:', {
@@ -691,6 +765,40 @@ const cozeClient = {
                     }
                 };
 
+                // 停止生成：通知服务端取消Coze对话并关闭连接，已生成的部分回答作为结果返回
+                this.stopCurrentChat = async () => {
+                    if (isFinished) {
+                        return null;
+                    }
+                    isFinished = true;
+                    clearTimeout(timeoutId);
+
+                    if (chatId) {
+                        try {
+                            await fetch(`/api/chat/${encodeURIComponent(chatId)}/cancel`, {
+                                method: 'POST',
+                                credentials: 'include'
+                            });
+                        } catch (error) {
+                            // 关闭连接后服务端也会自动取消对话
+                            console.warn('[CozeClient] 停止生成请求失败:', error);
+                        }
+                    }
+
+                    this.eventSourceManager.cleanupConnection(requestId);
+
+                    const result = {
+                        answer: fullAnswer,
+                        conversation_id: this.conversationId,
+                        followUpQuestions: [],
+                        interrupted: true
+                    };
+                    console.log('[CozeClient] ⏹️ 已停止生成:', { chatId, answerLength: fullAnswer.length });
+                    cb.onFinish(result);
+                    resolve(result);
+                    return result;
+                };
+
                 // 创建EventSource连接
                 const eventSource = this.eventSourceManager.createConnection(sseUrl.toString(), requestId, eventCallbacks);
                 this.eventSourceManager.setupEventHandlers(eventSource, sseUrl.toString(), requestId, eventCallbacks);
@@ -739,6 +847,19 @@ const cozeClient = {
     },
 
 
+    /**
+     * 停止当前正在生成的回答
+     * @returns {Promise<Object|null>} 被中断的结果，没有进行中的对话时返回null
+     */
+    stopChatMessage: async function() {
+        if (!this.stopCurrentChat) {
+            return null;
+        }
+        const stop = this.stopCurrentChat;
+        this.stopCurrentChat = null;
+        return stop();
+    },
+
     /**
      * 初始化cozeClient
      * 启动必要的服务
@@ -0,0 +1,86 @@
+// public/js/markdown.js
+// 聊天页与分享页共用的 Markdown 渲染（需在 marked 之后、chat.js / share.js 之前引入）
+
+/**
+ * 转义 HTML 属性值
+ * @param {string} value - 属性值
+ * @returns {string}
+ */
+function escapeMarkdownAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// 配置marked选项，支持换行符显示（必须在最顶部，在任何使用marked之前）
+if (typeof marked !== 'undefined') {
+  // 自定义图片渲染器 - 添加加载进度条（兼容新旧签名）
+  const renderer = new marked.Renderer();
+  renderer.image = function (a, b, c) {
+    // 兼容新版(传入 token 对象) 与旧版(传 href,title,text)
+    let href, title, text;
+    if (a && typeof a === 'object') {
+      const token = a;
+      href = token.href || (token.attrs && token.attrs.href) || '';
+      title = token.title || (token.attrs && token.attrs.title) || '';
+      text = token.text || '';
+    } else {
+      href = a;
+      title = b;
+      text = c;
+    }
+
+    href = escapeMarkdownAttr(typeof href === 'string' ? href : '');
+    const altText = escapeMarkdownAttr(text || '图片');
+    const titleAttr = title ? `title="${escapeMarkdownAttr(title)}"` : '';
+
+    return `
+      <div class="image-loading-container" data-src="${href}">
+        <div class="image-loading-dots">
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+        <img class="lazy-loading-image" data-src="${href}" alt="${altText}" ${titleAttr} style="display: none;">
+      </div>
+    `;
+  };
+
+  marked.setOptions({
+    renderer: renderer,
+    breaks: true, // 支持单个换行符转换为<br>
+    gfm: true, // 启用GitHub风格的Markdown
+    sanitize: false, // 允许HTML（因为已经在后端处理了安全性）
+  });
+}
+
+// 统一的 Markdown 预处理与解析
+function stripGeneratedImageCaption(md) {
+  try {
+    if (!md || typeof md !== 'string') return md;
+    // 仅当文本包含图片语法时再处理
+    if (!md.includes('![')) return md;
+
+    // 移除图片后面跟随的确认文本，支持多种模式（通用匹配，不硬编码具体文本）
+    // 匹配模式：已为...图片/图像 （句号可选，全角/半角均可）
+
+    // 1) 紧随在某个图片语法之后的确认文本
+    md = md.replace(/(!\[[^\]]*\]\([^\)]+\))\s*(?:\r?\n)+已为[^\n]*?(?:图片|图像)[。．.]?\s*/g, '$1\n');
+
+    // 2) 发生在末尾的确认文本
+    md = md.replace(/(?:\r?\n)+已为[^\n]*?(?:图片|图像)[。．.]?\s*$/g, '\n');
+
+    return md;
+  } catch (e) {
+    console.warn('stripGeneratedImageCaption error:', e);
+    return md;
+  }
+}
+
+function parseMarkdownCleaned(md, options) {
+  const cleaned = stripGeneratedImageCaption(md);
+  return marked.parse(cleaned, options);
+}
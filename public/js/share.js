@@ -0,0 +1,316 @@
+// public/js/share.js
+// 会话分享页：加载分享快照并以只读方式展示，Markdown 渲染与聊天页共用 markdown.js
+// 快照由他人产生，渲染结果经 DOMPurify 按白名单清理后再插入页面
+
+// 在 DOMPurify 默认白名单之外再禁止的元素
+const SHARE_FORBIDDEN_TAGS = ['style', 'form', 'input', 'button', 'textarea', 'select'];
+
+// Markdown 图片允许的地址：http(s)、站内路径和内嵌的位图
+const SHARE_IMAGE_URL_PATTERN = /^(?:https?:\/\/|\/(?!\/)|data:image\/(?:png|jpeg|gif|webp);base64,)/i;
+
+// ============= 接口请求 =============
+
+/**
+ * 从地址 /share/<token> 中读取分享令牌
+ * @returns {string|null}
+ */
+function getShareToken() {
+    const match = window.location.pathname.match(/^\/share\/([A-Za-z0-9_-]{32})$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * 加载分享内容
+ * @param {string} token - 分享令牌
+ * @returns {Promise<Object>} 分享快照
+ */
+async function fetchShare(token) {
+    const response = await fetch(`/api/shares/${token}`, {
+        credentials: 'include'
+    });
+
+    // 登录失效时刷新页面，由服务端跳转登录并在登录后回到本页
+    if (response.status === 401) {
+        window.location.reload();
+        const error = new Error('登录已失效，请重新登录');
+        error.status = 401;
+        throw error;
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return data.share;
+}
+
+// ============= 渲染 =============
+
+/**
+ * 按白名单清理 Markdown 渲染结果
+ * DOMPurify 未加载时抛出错误，由调用方改为纯文本展示
+ * @param {string} html - marked 输出
+ * @returns {DocumentFragment}
+ */
+function sanitizeRenderedHtml(html) {
+    if (typeof DOMPurify === 'undefined') {
+        throw new Error('DOMPurify 未加载');
+    }
+
+    const fragment = DOMPurify.sanitize(html, {
+        RETURN_DOM_FRAGMENT: true,
+        FORBID_TAGS: SHARE_FORBIDDEN_TAGS
+    });
+
+    fragment.querySelectorAll('a').forEach(el => {
+        el.target = '_blank';
+        el.rel = 'noopener noreferrer';
+    });
+
+    return fragment;
+}
+
+/**
+ * 格式化消息时间
+ * @param {number} seconds - 秒级时间戳
+ * @returns {string}
+ */
+function formatShareTime(seconds) {
+    if (!seconds) return '';
+    return new Date(seconds * 1000).toLocaleString('zh-CN', { hour12: false });
+}
+
+/**
+ * 格式化日期（分享时间、到期时间）
+ * @param {string} isoString - ISO 时间
+ * @returns {string}
+ */
+function formatShareDate(isoString) {
+    return new Date(isoString).toLocaleDateString('zh-CN');
+}
+
+/**
+ * 附件图标（与聊天页一致）
+ * @param {Object} attachment - 附件
+ * @returns {string}
+ */
+function getAttachmentIcon(attachment) {
+    if (attachment.type === 'image') return 'fa-file-image';
+    const name = (attachment.name || '').toLowerCase();
+    if (name.endsWith('.pdf')) return 'fa-file-pdf';
+    if (/\.docx?$/.test(name)) return 'fa-file-word';
+    if (/\.xlsx?$/.test(name)) return 'fa-file-excel';
+    if (/\.pptx?$/.test(name)) return 'fa-file-powerpoint';
+    return 'fa-file';
+}
+
+/**
+ * 渲染用户消息的附件
+ * @param {Array<Object>} attachments - 附件
+ * @returns {HTMLElement}
+ */
+function createShareAttachments(attachments) {
+    const container = document.createElement('div');
+    container.className = 'message-attachments';
+
+    attachments.forEach(attachment => {
+        const chip = document.createElement('div');
+        chip.className = 'attachment-chip';
+
+        if (attachment.type === 'image' && attachment.url) {
+            const thumb = document.createElement('img');
+            thumb.className = 'attachment-thumb';
+            thumb.src = attachment.url;
+            thumb.alt = attachment.name || '图片';
+            chip.appendChild(thumb);
+        } else {
+            const icon = document.createElement('i');
+            icon.className = `fas ${getAttachmentIcon(attachment)} attachment-icon`;
+            chip.appendChild(icon);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.textContent = attachment.name || (attachment.type === 'image' ? '图片' : '文件');
+        name.title = name.textContent;
+        chip.appendChild(name);
+
+        container.appendChild(chip);
+    });
+
+    return container;
+}
+
+/**
+ * 加载 Markdown 中的图片（markdown.js 渲染的图片带加载占位）
+ * @param {HTMLElement} root - 消息容器
+ */
+function loadShareImages(root) {
+    root.querySelectorAll('.image-loading-container').forEach(container => {
+        const img = container.querySelector('.lazy-loading-image');
+        const src = container.dataset.src;
+        if (!img || !src || !SHARE_IMAGE_URL_PATTERN.test(src)) {
+            container.classList.add('error');
+            return;
+        }
+
+        img.onload = () => {
+            img.style.display = 'block';
+            container.dataset.loaded = 'true';
+            container.dataset.revealed = 'true';
+        };
+        img.onerror = () => {
+            container.classList.add('error');
+            container.dataset.loaded = 'error';
+        };
+        img.src = src;
+    });
+}
+
+/**
+ * 渲染单条消息
+ * @param {Object} msg - { role, content, attachments, createdAt }
+ * @returns {HTMLElement|null}
+ */
+function renderShareMessage(msg) {
+    const hasAttachments = msg.attachments && msg.attachments.length > 0;
+    if (!(msg.content && msg.content.trim()) && !hasAttachments) {
+        return null;
+    }
+
+    const messageDiv = document.createElement('div');
+
+    if (msg.role === 'user') {
+        messageDiv.className = 'message user-message';
+        if (hasAttachments) {
+            messageDiv.classList.add('has-attachments');
+            messageDiv.appendChild(createShareAttachments(msg.attachments));
+        }
+        if (msg.content && msg.content.trim()) {
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'message-content';
+            contentDiv.textContent = msg.content;
+            messageDiv.appendChild(contentDiv);
+        }
+    } else {
+        messageDiv.className = 'message assistant-message';
+
+        const messageWrapper = document.createElement('div');
+        messageWrapper.className = 'message-wrapper';
+
+        const avatarDiv = document.createElement('div');
+        avatarDiv.className = 'avatar assistant-avatar';
+        const img = document.createElement('img');
+        img.src = '/img/max2.jpg';
+        img.alt = '机器人';
+        img.className = 'robot-avatar-img';
+        avatarDiv.appendChild(img);
+
+        const contentArea = document.createElement('div');
+        contentArea.className = 'content-area';
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        try {
+            contentDiv.appendChild(sanitizeRenderedHtml(parseMarkdownCleaned(msg.content || '', { breaks: true, gfm: true })));
+        } catch (error) {
+            console.error('Markdown渲染失败:', error);
+            contentDiv.textContent = msg.content || '';
+        }
+
+        contentArea.appendChild(contentDiv);
+        messageWrapper.appendChild(avatarDiv);
+        messageWrapper.appendChild(contentArea);
+        messageDiv.appendChild(messageWrapper);
+    }
+
+    const time = formatShareTime(msg.createdAt);
+    if (time) {
+        const timeDiv = document.createElement('div');
+        timeDiv.className = 'share-message-time';
+        timeDiv.textContent = time;
+        messageDiv.appendChild(timeDiv);
+    }
+
+    return messageDiv;
+}
+
+/**
+ * 渲染分享页
+ * @param {Object} share - 分享快照
+ */
+function renderShare(share) {
+    document.title = `${share.title} - MAX 会话分享`;
+    document.getElementById('shareTitle').textContent = share.title;
+    document.getElementById('shareMeta').textContent =
+        `${share.isOwner ? '我' : share.ownerName} 分享于 ${formatShareDate(share.createdAt)} · ${share.messages.length} 条消息`;
+
+    const notices = [];
+    if (share.restrictToDepartment) {
+        notices.push('仅分享人同部门的同事可以查看');
+    }
+    if (share.expiresAt) {
+        notices.push(`链接有效期至 ${formatShareDate(share.expiresAt)}`);
+    }
+    if (share.truncated) {
+        notices.push('会话过长，仅分享了最近的消息');
+    }
+    const noticeEl = document.getElementById('shareNotice');
+    noticeEl.textContent = notices.join(' · ');
+    noticeEl.style.display = notices.length > 0 ? 'block' : 'none';
+
+    const container = document.getElementById('shareMessages');
+    container.innerHTML = '';
+    share.messages.forEach(msg => {
+        const messageDiv = renderShareMessage(msg);
+        if (messageDiv) {
+            container.appendChild(messageDiv);
+        }
+    });
+    loadShareImages(container);
+}
+
+/**
+ * 展示加载失败的原因
+ * @param {string} message - 提示文字
+ * @param {string} icon - Font Awesome 图标
+ */
+function showShareError(message, icon) {
+    document.getElementById('shareTitle').textContent = 'MAX 会话分享';
+    document.getElementById('shareMeta').textContent = '';
+
+    const errorEl = document.getElementById('shareError');
+    errorEl.innerHTML = '';
+    const iconEl = document.createElement('i');
+    iconEl.className = `fas ${icon}`;
+    errorEl.appendChild(iconEl);
+    errorEl.appendChild(document.createTextNode(message));
+    errorEl.style.display = 'block';
+}
+
+// ============= 初始化 =============
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const token = getShareToken();
+    if (!token) {
+        showShareError('分享链接无效', 'fa-unlink');
+        return;
+    }
+
+    try {
+        renderShare(await fetchShare(token));
+    } catch (error) {
+        console.error('加载分享失败:', error);
+        if (error.status === 403) {
+            showShareError(error.message, 'fa-lock');
+        } else if (error.status === 404) {
+            showShareError(error.message, 'fa-unlink');
+        } else if (error.status !== 401) {
+            showShareError('加载分享失败，请稍后重试', 'fa-exclamation-circle');
+        }
+    }
+});
@@ -0,0 +1,386 @@
+// public/js/voiceStream.js
+// 实时语音输入：边录边通过 WebSocket 上传 16kHz 16 位 PCM，接收识别中的文字，检测到说完（静音）时通知调用方
+// 连接不可用时仍在本地保留录音，结束后交给调用方整段上传（/api/audio-to-text）
+const voiceStream = {
+    endpoint: '/api/speech-stream',
+
+    // 上传的采样率，与服务端 SPEECH_STREAMING 配置一致
+    sampleRate: 16000,
+
+    // 音量（RMS）低于该值视为静音，环境噪声较大时按噪声水平自动抬高
+    silenceThreshold: 0.015,
+
+    // 说话后持续静音多久视为说完（毫秒）
+    silenceDuration: 1500,
+
+    // 开始后一直没有说话多久自动取消（毫秒）
+    noSpeechTimeout: 8000,
+
+    // 单次最长录音时长（毫秒），与服务端 SPEECH_STREAMING_MAX_DURATION 一致
+    maxDuration: 60000,
+
+    // 当前录音会话，未录音时为 null
+    session: null,
+
+    /**
+     * 浏览器是否支持实时语音输入
+     * @returns {boolean}
+     */
+    isSupported: function() {
+        return !!(window.WebSocket &&
+            (window.AudioContext || window.webkitAudioContext) &&
+            navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    },
+
+    /**
+     * 开始录音并连接识别服务
+     * @param {Object} callbacks - 回调
+     * @param {Function} callbacks.onLevel - 音量变化 (level: 0-1, voiced: 是否在说话)
+     * @param {Function} callbacks.onPartial - 识别中的文字 (text)
+     * @param {Function} callbacks.onSilence - 说完了（持续静音或达到最长时长），调用方应调用 stop()
+     * @param {Function} callbacks.onNoSpeech - 一直没有说话，调用方应调用 cancel()
+     * @returns {Promise<void>} 麦克风打开后 resolve，无法访问麦克风时 reject
+     */
+    start: async function(callbacks = {}) {
+        if (this.session) {
+            throw new Error('正在录音');
+        }
+
+        const mediaStream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                channelCount: 1,
+                echoCancellation: true,
+                noiseSuppression: true
+            }
+        });
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const audioContext = new AudioContextClass();
+        const source = audioContext.createMediaStreamSource(mediaStream);
+        // ScriptProcessor 兼容性最好（企业微信内置浏览器不一定支持 AudioWorklet）
+        const processor = audioContext.createScriptProcessor(4096, 1, 1);
+
+        const session = {
+            callbacks: callbacks,
+            mediaStream: mediaStream,
+            audioContext: audioContext,
+            source: source,
+            processor: processor,
+            socket: null,
+            // 连接是否可用，断开或出错后改为整段上传
+            connected: false,
+            // 本地保留的 PCM 块（Int16Array），连接不可用时整段上传
+            chunks: [],
+            // 已发送到服务端的块数
+            sentChunks: 0,
+            startedAt: Date.now(),
+            lastVoiceAt: 0,
+            speechDetected: false,
+            noiseLevel: 0,
+            silenceNotified: false,
+            // stop() 等待最终结果时的 { resolve, reject }
+            pending: null,
+            // 服务端主动返回的最终结果（达到最长时长）
+            finalText: null
+        };
+        this.session = session;
+
+        processor.onaudioprocess = (event) => {
+            if (this.session !== session) return;
+            this.handleAudio(session, event.inputBuffer.getChannelData(0), audioContext.sampleRate);
+        };
+        source.connect(processor);
+        // 需连接到输出才会触发 onaudioprocess，输出缓冲区为空，不会播放出声音
+        processor.connect(audioContext.destination);
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+        }
+
+        this.connect(session);
+    },
+
+    /**
+     * 建立 WebSocket 连接
+     * @param {Object} session - 录音会话
+     */
+    connect: function(session) {
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        let socket;
+        try {
+            socket = new WebSocket(`${protocol}://${window.location.host}${this.endpoint}`);
+        } catch (error) {
+            console.warn('[voiceStream] 无法建立连接，改为说完后整段上传:', error);
+            return;
+        }
+
+        socket.binaryType = 'arraybuffer';
+        session.socket = socket;
+
+        socket.onopen = () => {
+            session.connected = true;
+            socket.send(JSON.stringify({ type: 'start', language: 'zh-CN' }));
+            this.flush(session);
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(session, message);
+        };
+
+        socket.onerror = () => {
+            console.warn('[voiceStream] 连接出错，改为说完后整段上传');
+        };
+
+        socket.onclose = () => {
+            session.connected = false;
+            // 等待结果时连接断开：用本地录音整段上传
+            if (session.pending) {
+                this.settle(session, { audio: this.createWavBlob(session) });
+            }
+        };
+    },
+
+    /**
+     * 处理服务端消息
+     * @param {Object} session - 录音会话
+     * @param {Object} message - 服务端消息
+     */
+    handleMessage: function(session, message) {
+        switch (message.type) {
+            case 'partial':
+                if (session.callbacks.onPartial) {
+                    session.callbacks.onPartial(message.text || '');
+                }
+                break;
+            case 'final':
+                session.finalText = message.text || '';
+                if (session.pending) {
+                    this.settle(session, { text: session.finalText });
+                } else if (session.callbacks.onSilence) {
+                    // 达到最长时长，服务端已结束识别
+                    session.silenceNotified = true;
+                    session.callbacks.onSilence();
+                }
+                break;
+            case 'error': {
+                const error = new Error(message.error || '语音识别失败');
+                error.code = message.code;
+                if (session.pending) {
+                    this.settle(session, null, error);
+                } else {
+                    console.warn('[voiceStream] 识别失败，改为说完后整段上传:', message.error);
+                    session.connected = false;
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    },
+
+    /**
+     * 处理一段麦克风采样：降采样后上传，并做静音检测
+     * @param {Object} session - 录音会话
+     * @param {Float32Array} input - 单声道采样
+     * @param {number} inputSampleRate - 麦克风采样率
+     */
+    handleAudio: function(session, input, inputSampleRate) {
+        if (session.pending) return;
+
+        const pcm = this.downsample(input, inputSampleRate);
+        session.chunks.push(pcm);
+        this.flush(session);
+
+        let sum = 0;
+        for (let i = 0; i < input.length; i++) {
+            sum += input[i] * input[i];
+        }
+        const rms = Math.sqrt(sum / input.length);
+        const threshold = Math.max(this.silenceThreshold, session.noiseLevel * 2.5);
+        const now = Date.now();
+
+        if (rms > threshold) {
+            session.speechDetected = true;
+            session.lastVoiceAt = now;
+        } else {
+            // 只用静音段估计环境噪声
+            session.noiseLevel = session.noiseLevel ? session.noiseLevel * 0.95 + rms * 0.05 : rms;
+        }
+
+        if (session.callbacks.onLevel) {
+            session.callbacks.onLevel(Math.min(1, rms / (threshold * 4)), rms > threshold);
+        }
+
+        if (session.silenceNotified) return;
+
+        if (session.speechDetected && now - session.lastVoiceAt >= this.silenceDuration) {
+            session.silenceNotified = true;
+            if (session.callbacks.onSilence) session.callbacks.onSilence();
+        } else if (now - session.startedAt >= this.maxDuration) {
+            session.silenceNotified = true;
+            if (session.callbacks.onSilence) session.callbacks.onSilence();
+        } else if (!session.speechDetected && now - session.startedAt >= this.noSpeechTimeout) {
+            session.silenceNotified = true;
+            if (session.callbacks.onNoSpeech) session.callbacks.onNoSpeech();
+        }
+    },
+
+    /**
+     * 降采样为 16kHz 16 位 PCM（区间取平均）
+     * @param {Float32Array} input - 单声道采样（-1 ~ 1）
+     * @param {number} inputSampleRate - 输入采样率
+     * @returns {Int16Array}
+     */
+    downsample: function(input, inputSampleRate) {
+        const ratio = inputSampleRate / this.sampleRate;
+        const length = Math.floor(input.length / ratio);
+        const output = new Int16Array(length);
+
+        for (let i = 0; i < length; i++) {
+            const start = Math.floor(i * ratio);
+            const end = Math.min(input.length, Math.floor((i + 1) * ratio));
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += input[j];
+            }
+            const sample = Math.max(-1, Math.min(1, sum / Math.max(1, end - start)));
+            output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+        }
+
+        return output;
+    },
+
+    /**
+     * 上传尚未发送的音频块
+     * @param {Object} session - 录音会话
+     */
+    flush: function(session) {
+        if (!session.connected || session.socket.readyState !== WebSocket.OPEN) return;
+
+        while (session.sentChunks < session.chunks.length) {
+            session.socket.send(session.chunks[session.sentChunks].buffer);
+            session.sentChunks++;
+        }
+    },
+
+    /**
+     * 结束录音，获取识别结果
+     * @returns {Promise<Object>} { text } 为实时识别结果；连接不可用时为 { audio: Blob(wav) }，由调用方整段上传
+     */
+    stop: function() {
+        const session = this.session;
+        if (!session) {
+            return Promise.resolve({ text: '' });
+        }
+
+        this.releaseAudio(session);
+
+        if (session.finalText !== null) {
+            this.settle(session, { text: session.finalText });
+            return Promise.resolve({ text: session.finalText });
+        }
+
+        return new Promise((resolve, reject) => {
+            session.pending = { resolve: resolve, reject: reject };
+
+            if (session.connected && session.socket.readyState === WebSocket.OPEN) {
+                this.flush(session);
+                session.socket.send(JSON.stringify({ type: 'stop' }));
+            } else {
+                this.settle(session, { audio: this.createWavBlob(session) });
+            }
+        });
+    },
+
+    /**
+     * 取消录音，丢弃已录制的内容
+     */
+    cancel: function() {
+        const session = this.session;
+        if (!session) return;
+
+        this.releaseAudio(session);
+        if (session.socket && session.socket.readyState === WebSocket.OPEN) {
+            session.socket.send(JSON.stringify({ type: 'cancel' }));
+        }
+        this.settle(session, { text: '' });
+    },
+
+    /**
+     * 关闭麦克风和音频处理
+     * @param {Object} session - 录音会话
+     */
+    releaseAudio: function(session) {
+        session.processor.onaudioprocess = null;
+        session.source.disconnect();
+        session.processor.disconnect();
+        session.mediaStream.getTracks().forEach(track => track.stop());
+        session.audioContext.close().catch(() => {});
+    },
+
+    /**
+     * 结束会话并返回结果
+     * @param {Object} session - 录音会话
+     * @param {Object|null} result - stop() 的结果
+     * @param {Error} error - 识别失败时的错误
+     */
+    settle: function(session, result, error) {
+        if (this.session === session) {
+            this.session = null;
+        }
+
+        const pending = session.pending;
+        session.pending = null;
+
+        if (session.socket) {
+            session.socket.onclose = null;
+            if (session.socket.readyState === WebSocket.OPEN || session.socket.readyState === WebSocket.CONNECTING) {
+                session.socket.close();
+            }
+        }
+
+        if (pending) {
+            if (error) {
+                pending.reject(error);
+            } else {
+                pending.resolve(result);
+            }
+        }
+    },
+
+    /**
+     * 用本地录音生成 wav 文件
+     * @param {Object} session - 录音会话
+     * @returns {Blob}
+     */
+    createWavBlob: function(session) {
+        const dataLength = session.chunks.reduce((total, chunk) => total + chunk.byteLength, 0);
+        const header = new DataView(new ArrayBuffer(44));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                header.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        header.setUint32(4, 36 + dataLength, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        header.setUint32(16, 16, true);
+        header.setUint16(20, 1, true);
+        header.setUint16(22, 1, true);
+        header.setUint32(24, this.sampleRate, true);
+        header.setUint32(28, this.sampleRate * 2, true);
+        header.setUint16(32, 2, true);
+        header.setUint16(34, 16, true);
+        writeString(36, 'data');
+        header.setUint32(40, dataLength, true);
+
+        return new Blob([header.buffer, ...session.chunks], { type: 'audio/wav' });
+    }
+};
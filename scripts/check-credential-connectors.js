@@ -0,0 +1,172 @@
+/**
+ * 外部凭证连接器联调脚本
+ * 启动本地桩服务模拟各后台系统的凭证接口，按 config/credentials.js 的请求模板和响应路径逐个验证连接器
+ *
+ * 用法: npm run check:connectors
+ * 任一检查未通过时以非零状态码退出
+ */
+const assert = require('assert');
+const express = require('express');
+
+// 桩服务使用的系统账号，仅用于校验请求模板渲染
+process.env.EXTERNAL_TOKEN_USERNAME = process.env.EXTERNAL_TOKEN_USERNAME || 'mock_account';
+process.env.EXTERNAL_TOKEN_PASSWORD = process.env.EXTERNAL_TOKEN_PASSWORD || 'mock_password';
+process.env.LEAVE_TOKEN_APP_KEY = 'mock_leave_key';
+process.env.EXPENSE_TOKEN_APP_SECRET = 'mock_expense_secret';
+process.env.PAYROLL_TOKEN_CLIENT_ID = 'mock_payroll_client';
+process.env.PAYROLL_TOKEN_CLIENT_SECRET = 'mock_payroll_secret';
+
+const { CredentialConnector, maskToken } = require('../server/utils/credentialConnector');
+const credentialsConfig = require('../server/config/credentials');
+
+const TEST_USER = 'test_user_001';
+
+// 各连接器在桩服务上的路径及期望的请求内容
+const MOCK_ENDPOINTS = {
+    oa_session: {
+        path: '/oa/token',
+        check: (req) => {
+            assert.strictEqual(req.body.loginName, TEST_USER);
+            assert.ok(req.body.userName, '缺少系统账号');
+            assert.ok(req.body.password, '缺少系统密码');
+        },
+        respond: (token) => ({ id: token, bindingUser: { loginName: TEST_USER } })
+    },
+    leave_token: {
+        path: '/leave/token',
+        check: (req) => {
+            assert.strictEqual(req.body.employeeId, TEST_USER);
+            assert.strictEqual(req.get('X-App-Key'), 'mock_leave_key');
+        },
+        respond: (token) => ({ code: 0, data: { accessToken: token } })
+    },
+    expense_token: {
+        path: '/expense/token',
+        check: (req) => {
+            assert.strictEqual(req.body.userId, TEST_USER);
+            assert.strictEqual(req.get('Authorization'), 'Bearer mock_expense_secret');
+        },
+        respond: (token) => ({ code: 0, data: { token } })
+    },
+    payroll_token: {
+        path: '/payroll/token',
+        check: (req) => {
+            assert.strictEqual(req.query.account, TEST_USER);
+            assert.strictEqual(req.get('X-Client-Id'), 'mock_payroll_client');
+            assert.strictEqual(req.get('X-Client-Secret'), 'mock_payroll_secret');
+        },
+        respond: (token) => ({ result: { token } })
+    }
+};
+
+/**
+ * 启动桩服务
+ * @param {Object} calls - 各连接器的请求次数统计
+ * @returns {Promise<http.Server>} 服务实例
+ */
+function startMockServer(calls) {
+    const app = express();
+    app.use(express.json());
+
+    for (const name of Object.keys(MOCK_ENDPOINTS)) {
+        const endpoint = MOCK_ENDPOINTS[name];
+        app.all(endpoint.path, (req, res) => {
+            calls[name] = (calls[name] || 0) + 1;
+            try {
+                endpoint.check(req);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            res.json(endpoint.respond(`${name}_${calls[name]}_0123456789abcdef`));
+        });
+    }
+
+    app.all('/broken/token', (req, res) => res.json({ data: {} }));
+
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+async function main() {
+    const calls = {};
+    const server = await startMockServer(calls);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const results = [];
+
+    /**
+     * 执行单项检查并记录结果
+     * @param {string} title - 检查项
+     * @param {Function} fn - 检查逻辑
+     */
+    async function check(title, fn) {
+        try {
+            await fn();
+            results.push({ title, ok: true });
+        } catch (error) {
+            results.push({ title, ok: false, error: error.message });
+        }
+    }
+
+    try {
+        for (const name of Object.keys(MOCK_ENDPOINTS)) {
+            const definition = credentialsConfig[name];
+            const connector = new CredentialConnector(name, {
+                ...definition,
+                url: baseUrl + MOCK_ENDPOINTS[name].path
+            });
+
+            await check(`${name}: 按 ${definition.responsePath} 提取凭证`, async () => {
+                const credential = await connector.acquire(TEST_USER);
+                assert.strictEqual(credential, `${name}_1_0123456789abcdef`);
+            });
+
+            await check(`${name}: 缓存策略（cacheTTL=${connector.cacheTTL}）`, async () => {
+                await connector.acquire(TEST_USER);
+                assert.strictEqual(calls[name], connector.cacheTTL > 0 ? 1 : 2);
+            });
+
+            await check(`${name}: 并发请求只获取一次`, async () => {
+                connector.invalidate();
+                const before = calls[name];
+                const [first, second] = await Promise.all([
+                    connector.acquire(TEST_USER),
+                    connector.acquire(TEST_USER)
+                ]);
+                assert.strictEqual(first, second);
+                assert.strictEqual(calls[name], before + 1);
+            });
+        }
+
+        await check('响应缺少凭证字段时返回null', async () => {
+            const connector = new CredentialConnector('broken', {
+                url: `${baseUrl}/broken/token`,
+                responsePath: 'data.token',
+                variable: 'broken_token'
+            });
+            assert.strictEqual(await connector.acquire(TEST_USER), null);
+        });
+
+        await check('凭证脱敏', async () => {
+            const masked = maskToken('oa_session_1_0123456789abcdef');
+            assert.strictEqual(masked, 'oa_sessi***cdef');
+            assert.strictEqual(maskToken('short_token'), '***');
+            assert.strictEqual(maskToken(null), '***');
+        });
+    } finally {
+        server.close();
+    }
+
+    results.forEach(result => {
+        console.log(`${result.ok ? '✓' : '✗'} ${result.title}${result.ok ? '' : ` - ${result.error}`}`);
+    });
+
+    const failed = results.filter(result => !result.ok).length;
+    console.log(`\n${results.length - failed}/${results.length} 项检查通过`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('联调脚本执行失败:', error);
+    process.exit(1);
+});
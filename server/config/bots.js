@@ -0,0 +1,56 @@
+/**
+ * 智能助手（Coze Bot）注册表
+ * 各部门维护各自的Bot，这里配置每个Bot对哪些成员可见
+ *
+ * 字段说明:
+ * - botId: Coze Bot ID，未配置的条目会被忽略
+ * - name / description: 在聊天侧边栏中展示的名称和说明
+ * - default: 默认Bot，所有成员可用；未指定时使用第一个条目
+ * - access: 访问范围，缺省表示所有成员可用；配置后满足任一条件即可使用
+ *   - departments: 企业微信部门ID列表（按成员所属部门匹配，子部门需单独列出）
+ *   - tags: 企业微信标签ID列表（包含标签下的成员和部门）
+ *   - users: 成员UserID列表
+ * - owners: 知识库负责人的UserID列表，可在 /api/admin/feedback 中查看和导出该Bot收到的反馈
+ */
+module.exports = [
+    {
+        botId: process.env.COZE_BOT_ID,
+        name: '智能助手',
+        description: '通用问答',
+        default: true,
+        owners: []
+    },
+    {
+        botId: process.env.COZE_HR_BOT_ID,
+        name: '人事助手',
+        description: '考勤、假期、薪酬福利、工作证明',
+        access: {
+            departments: [],
+            tags: [],
+            users: []
+        },
+        owners: []
+    },
+    {
+        botId: process.env.COZE_IT_BOT_ID,
+        name: 'IT助手',
+        description: '账号、设备、网络与系统使用',
+        access: {
+            departments: [],
+            tags: [],
+            users: []
+        },
+        owners: []
+    },
+    {
+        botId: process.env.COZE_FINANCE_BOT_ID,
+        name: '财务助手',
+        description: '报销、发票与付款',
+        access: {
+            departments: [],
+            tags: [],
+            users: []
+        },
+        owners: []
+    }
+];
@@ -0,0 +1,27 @@
+/**
+ * 交互卡片配置
+ * Bot 需要成员填写信息时（如开具工作证明时选择用途），在回答中输出 ```card 代码块（JSON），
+ * 服务端识别后从回答中移除并以 card 事件推送，前端渲染为表单；成员提交后以结构化消息发回 Bot
+ * 卡片格式见 docs/work-proof-matching.md
+ *
+ * 字段说明:
+ * - fence: 回答中卡片代码块的语言标记
+ * - responseFence: 提交结果发回 Bot 时使用的代码块语言标记
+ * - ttlDays: 卡片可提交的天数，超过后需重新发起（使用 file 存储驱动时重启后仍保留）
+ * - maxFields: 单张卡片最多的字段数
+ * - maxOptions: 单个选择字段最多的选项数
+ * - maxTextLength: 文本字段未指定 max_length 时的最大字符数
+ */
+module.exports = {
+    fence: 'card',
+
+    responseFence: 'card_response',
+
+    ttlDays: parseInt(process.env.CARD_TTL_DAYS) || 7,
+
+    maxFields: 10,
+
+    maxOptions: 20,
+
+    maxTextLength: 500
+};
@@ -101,8 +101,20 @@ const config = {
         enableCircuitBreaker: process.env.ENABLE_CIRCUIT_BREAKER !== 'false'
     },
 
+    // 存储配置（session、会话缓存等）
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'memory', // memory 或 file
+        dir: process.env.STORAGE_DIR || 'data', // file 驱动的数据目录
+        flushDelay: parseInt(process.env.STORAGE_FLUSH_DELAY) || 1000, // 变更后延迟落盘时间（毫秒）
+        cleanupInterval: parseInt(process.env.STORAGE_CLEANUP_INTERVAL) || 60 * 60 * 1000 // 过期清理间隔（毫秒）
+    },
+
     // 路径配置
     callbackPath: '/callback', // 回调路径
+    callback: {
+        // 回调请求时间戳允许的最大偏差（秒），超出视为重放
+        replayWindow: parseInt(process.env.WECOM_CALLBACK_REPLAY_WINDOW) || 300
+    },
     oauthPath: '/oauth_callback', // OAuth回调路径
     loginPath: '/login', // 登录入口路径
 
@@ -111,7 +123,7 @@ const config = {
     port: process.env.PORT || 8889, // 服务器端口
 
     // API地址
-    apiBase: 'https://qyapi.weixin.qq.com/cgi-bin',
+    apiBase: process.env.WECOM_API_BASE || 'https://qyapi.weixin.qq.com/cgi-bin', // 可指向本地桩服务用于联调
 
     // 外部Token服务配置
     externalToken: {
@@ -52,6 +52,8 @@ class CozeSDKConfig {
             
             // API配置
             baseURL: process.env.COZE_API_BASE_URL || 'https://api.coze.cn',
+            // 实时语音识别等 WebSocket 接口地址
+            baseWsURL: process.env.COZE_WS_BASE_URL || 'wss://ws.coze.cn',
             version: process.env.COZE_API_VERSION || 'v1',
             timeout: parseInt(process.env.COZE_TIMEOUT) || 30000,
             
@@ -104,6 +106,7 @@ class CozeSDKConfig {
         return {
             token: this.config.apiKey,
             baseURL: this.config.baseURL,
+            baseWsURL: this.config.baseWsURL,
             timeout: this.config.timeout,
             // 添加其他SDK特定配置
         };
@@ -0,0 +1,82 @@
+/**
+ * 外部凭证连接器配置
+ * Bot插件访问后台系统时需要成员的访问凭证，由意图路由规则的 credential 动作按需获取并写入Bot变量
+ *
+ * 字段说明:
+ * - url: 凭证接口地址，未配置的连接器会被忽略
+ * - method: 请求方法，默认 POST
+ * - headers / query / body: 请求模板，支持 {{userId}} 和 {{env.NAME}} 占位符
+ * - responsePath: 响应JSON中凭证的路径，如 id、data.token
+ * - variable: 写入的Bot变量名
+ * - cacheTTL: 每个成员的凭证缓存时间（毫秒），0表示每次实时获取
+ * - timeout: 请求超时（毫秒），默认10秒
+ */
+const config = require('./config');
+
+module.exports = {
+    // OA系统会话（工作证明等OA插件）
+    oa_session: {
+        description: 'OA系统会话',
+        url: config.externalToken.apiUrl,
+        method: 'POST',
+        body: {
+            userName: config.externalToken.username,
+            password: config.externalToken.password,
+            loginName: '{{userId}}'
+        },
+        responsePath: 'id',
+        variable: 'token',
+        cacheTTL: 0
+    },
+
+    // 请假系统
+    leave_token: {
+        description: '请假系统访问令牌',
+        url: process.env.LEAVE_TOKEN_API_URL,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-App-Key': '{{env.LEAVE_TOKEN_APP_KEY}}'
+        },
+        body: {
+            employeeId: '{{userId}}'
+        },
+        responsePath: 'data.accessToken',
+        variable: 'leave_token',
+        cacheTTL: 5 * 60 * 1000
+    },
+
+    // 报销系统
+    expense_token: {
+        description: '报销系统访问令牌',
+        url: process.env.EXPENSE_TOKEN_API_URL,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer {{env.EXPENSE_TOKEN_APP_SECRET}}'
+        },
+        body: {
+            userId: '{{userId}}'
+        },
+        responsePath: 'data.token',
+        variable: 'expense_token',
+        cacheTTL: 5 * 60 * 1000
+    },
+
+    // 薪资系统（凭证敏感，缓存时间更短）
+    payroll_token: {
+        description: '薪资系统访问令牌',
+        url: process.env.PAYROLL_TOKEN_API_URL,
+        method: 'GET',
+        headers: {
+            'X-Client-Id': '{{env.PAYROLL_TOKEN_CLIENT_ID}}',
+            'X-Client-Secret': '{{env.PAYROLL_TOKEN_CLIENT_SECRET}}'
+        },
+        query: {
+            account: '{{userId}}'
+        },
+        responsePath: 'result.token',
+        variable: 'payroll_token',
+        cacheTTL: 60 * 1000
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * 消息反馈配置
+ * 成员对回答点赞或点踩，点踩时可选择原因并填写补充说明；每条反馈连同提问和回答保存在本地，
+ * 供知识库负责人在 /api/admin/feedback 中查看和导出（同时转发给 Coze）
+ *
+ * 字段说明:
+ * - reasons: 点踩原因，code 保存在反馈记录中并作为 reason_types 转发给 Coze，label 用于报表展示
+ *   （调整时同步修改 public/js/chat.js 中的 FEEDBACK_REASONS）
+ * - maxCommentLength: 补充说明的最大字符数
+ * - maxContentLength: 反馈记录中保存的提问和回答的最大字符数
+ * - retentionDays: 反馈记录保留天数，超过后自动过期（使用 file 存储驱动时重启后仍保留）
+ * - report: 反馈报表
+ *   - maxRows: 单次查询或导出最多返回的反馈数
+ */
+module.exports = {
+    reasons: [
+        { code: 'wrong', label: '回答错误' },
+        { code: 'outdated', label: '内容过时' },
+        { code: 'not_relevant', label: '答非所问' },
+        { code: 'unsafe', label: '内容不安全' }
+    ],
+
+    maxCommentLength: 500,
+
+    maxContentLength: 5000,
+
+    retentionDays: parseInt(process.env.FEEDBACK_RETENTION_DAYS) || 365,
+
+    report: {
+        maxRows: 5000
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * 意图路由规则
+ * 每条规则由匹配条件和命中后执行的动作组成，修改本文件后无需重启服务（自动热加载）
+ * 可通过 INTENT_RULES_PATH 指定其他规则文件（.js 或 .json）
+ *
+ * 匹配条件（满足任一即命中）:
+ * - keywords: 关键词列表，忽略大小写和空白后包含即命中
+ * - patterns: 正则表达式列表（JSON文件中写为字符串）
+ * - fuzzy: 模糊匹配 { phrases, threshold }，按字符二元组重合度打分，适合错别字和语序变化
+ *
+ * 动作类型:
+ * - credential: 获取外部凭证并写入Bot变量 { credential, variable }，credential 为 config/credentials.js 中的连接器名，
+ *   variable 缺省时使用连接器配置的目标变量
+ * - switch_bot: 切换到指定Bot { botId }（成员无权使用时忽略）
+ * - search_mode: 强制搜索模式 { mode: 'enterprise' | 'internet' }
+ *
+ * examples 为样例问句，规则加载时自动校验（结果不符时输出告警日志），npm test 中同样会校验
+ */
+module.exports = [
+    {
+        name: 'work_proof',
+        description: '开具工作证明/在职证明，需要OA登录凭证',
+        match: {
+            keywords: [
+                '工作证明',
+                '在职证明',
+                '开具证明',
+                '证明用途',
+                '申请证明',
+                '需要证明',
+                'employment certificate',
+                'work certificate',
+                'proof of employment'
+            ]
+        },
+        actions: [
+            { type: 'credential', credential: 'oa_session' }
+        ],
+        examples: {
+            match: ['我要开具工作证明', '帮我开一份在职证明', 'I need an Employment Certificate'],
+            noMatch: ['今天食堂吃什么', '年假还剩几天']
+        }
+    }
+];
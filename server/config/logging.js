@@ -0,0 +1,81 @@
+/**
+ * 日志配置
+ * 输出格式、脱敏规则和日志文件
+ *
+ * 字段说明:
+ * - level: 日志级别 error / warn / info / debug（管理后台可临时调整）
+ * - format: 控制台输出格式
+ *   - json: 每行一个JSON对象，便于日志平台采集（生产环境默认）
+ *   - text: 时间 级别 [requestId userId] 消息 附加字段，便于本地阅读（开发环境默认）
+ * - redact: 脱敏规则，对日志中的附加字段生效（按字段名匹配，不区分大小写，忽略 _ 和 -）
+ *   - secretKeys: 令牌、密码等字段，值替换为 ***
+ *   - bodyKeys: 用户提问、模型回答等消息正文字段，值替换为长度说明
+ *   - redactBodies: 是否隐藏消息正文，排查问题时可临时关闭
+ * - file: 日志文件（JSON格式，与控制台输出同时写入），未配置 path 时不写文件
+ *   - path: 文件路径
+ *   - maxSize: 单个文件最大字节数，超出后轮转为 app.log.1、app.log.2 ...
+ *   - maxFiles: 保留的历史文件数
+ */
+
+/**
+ * 解析逗号分隔的环境变量
+ * @param {string} value - 环境变量值
+ * @returns {Array<string>} 列表
+ */
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    level: process.env.LOG_LEVEL || 'info',
+
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'development' ? 'text' : 'json'),
+
+    redact: {
+        secretKeys: [
+            'token',
+            'accessToken',
+            'access_token',
+            'refreshToken',
+            'refresh_token',
+            'cozeAccessToken',
+            'newToken',
+            'jwt',
+            'authorization',
+            'cookie',
+            'sessionId',
+            'apiKey',
+            'secret',
+            'corpSecret',
+            'clientSecret',
+            'privateKey',
+            'password',
+            'passwd',
+            'pwd',
+            'credential',
+            ...parseList(process.env.LOG_REDACT_KEYS)
+        ],
+        bodyKeys: [
+            'query',
+            'answer',
+            'fullAnswer',
+            'content',
+            'deltaContent',
+            'text',
+            'prompt',
+            'requestBody',
+            'questions',
+            'followUpQuestions'
+        ],
+        redactBodies: process.env.LOG_REDACT_BODIES !== 'false'
+    },
+
+    file: {
+        path: process.env.LOG_FILE || '',
+        maxSize: (parseInt(process.env.LOG_FILE_MAX_SIZE_MB) || 50) * 1024 * 1024,
+        maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES) || 5
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * 接口限流与消息配额
+ * 按成员分别计数，每个成员在每类接口上各有一份配额，避免个别成员占满服务
+ *
+ * 字段说明:
+ * - routes: 各类接口的默认配额，未列出的类别使用 default
+ *   - perMinute: 每分钟请求数，0表示不限制
+ *   - concurrent: 同时进行的请求数，流式对话在流结束前一直占用名额，0表示不限制
+ * - dailyMessages: 每个成员每天可发送的消息数（网页聊天和企业微信消息窗口合计），0表示不限制
+ * - departments: 部门配额，按成员所属部门匹配（子部门需单独列出）
+ *   成员匹配多条规则时，每项取最宽松的值
+ *   - departments: 企业微信部门ID列表
+ *   - routes: 覆盖的接口配额，只需列出需要调整的字段
+ *   - dailyMessages: 覆盖的每日消息数
+ */
+module.exports = {
+    routes: {
+        default: {
+            perMinute: 60,
+            concurrent: 5
+        },
+        chat: {
+            perMinute: parseInt(process.env.RATE_LIMIT_CHAT_PER_MINUTE) || 20,
+            concurrent: parseInt(process.env.RATE_LIMIT_CHAT_CONCURRENT) || 2
+        },
+        history: {
+            perMinute: parseInt(process.env.RATE_LIMIT_HISTORY_PER_MINUTE) || 60,
+            concurrent: 5
+        },
+        speech: {
+            perMinute: parseInt(process.env.RATE_LIMIT_SPEECH_PER_MINUTE) || 10,
+            concurrent: 1
+        },
+        tts: {
+            perMinute: parseInt(process.env.RATE_LIMIT_TTS_PER_MINUTE) || 20,
+            concurrent: 2
+        },
+        // 附件上传会转存到 Coze，限制频率避免占满带宽和存储
+        upload: {
+            perMinute: parseInt(process.env.RATE_LIMIT_UPLOAD_PER_MINUTE) || 10,
+            concurrent: 2
+        },
+        // 会话导出需要拉取完整历史并转换文档，开销较大
+        export: {
+            perMinute: parseInt(process.env.RATE_LIMIT_EXPORT_PER_MINUTE) || 5,
+            concurrent: 1
+        }
+    },
+
+    dailyMessages: process.env.DAILY_MESSAGE_QUOTA !== undefined
+        ? parseInt(process.env.DAILY_MESSAGE_QUOTA) || 0
+        : 200,
+
+    departments: [
+        {
+            departments: [],
+            routes: {
+                chat: { perMinute: 40, concurrent: 3 }
+            },
+            dailyMessages: 1000
+        }
+    ]
+};
@@ -0,0 +1,38 @@
+/**
+ * 角色配置
+ * 按企业微信UserID或部门为成员分配角色，未匹配的成员为普通成员(user)
+ *
+ * 角色（权限从高到低）:
+ * - admin: 管理员，可修改日志级别、更换Coze令牌、重新加载适配器，查看审计日志
+ * - operator: 运维人员，可查看健康状态、错误监控、会话管理等诊断信息
+ * - user: 普通成员，只能使用聊天功能
+ *
+ * 字段说明:
+ * - users: 成员UserID列表
+ * - departments: 企业微信部门ID列表（按成员所属部门匹配，子部门需单独列出）
+ *
+ * 成员同时匹配多个角色时取权限最高的角色
+ */
+
+/**
+ * 解析逗号分隔的环境变量
+ * @param {string} value - 环境变量值
+ * @returns {Array<string>} 列表
+ */
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    admin: {
+        users: parseList(process.env.ADMIN_USER_IDS),
+        departments: parseList(process.env.ADMIN_DEPARTMENT_IDS)
+    },
+    operator: {
+        users: parseList(process.env.OPERATOR_USER_IDS),
+        departments: parseList(process.env.OPERATOR_DEPARTMENT_IDS)
+    }
+};
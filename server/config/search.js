@@ -0,0 +1,37 @@
+/**
+ * 消息全文搜索配置
+ * 搜索在本地索引中进行：发送消息时写入提问和回答，历史消息通过 Coze 消息列表接口补录
+ *
+ * 字段说明:
+ * - retentionDays: 索引保留天数，超过后自动过期（使用 file 存储驱动时重启后仍保留）
+ * - maxContentLength: 单条消息写入索引的最大字符数，超出部分不参与搜索
+ * - maxMessagesPerUser: 每个成员最多保留的消息数，超出时移除最早的消息，0表示不限制
+ * - maxQueryLength: 搜索关键词最大长度
+ * - snippetLength: 结果摘要的字符数（命中位置前后截取）
+ * - maxResults: 单次搜索最多返回的消息数
+ * - backfill: 历史补录，成员搜索时在后台执行，已补录的会话不再重复拉取
+ *   - interval: 同一成员两次补录的最小间隔（毫秒）
+ *   - maxConversations: 每个助手最多补录的最近会话数
+ *   - maxPages: 每个会话最多拉取的消息页数
+ *   - pageSize: 每页消息数
+ */
+module.exports = {
+    retentionDays: parseInt(process.env.SEARCH_INDEX_RETENTION_DAYS) || 180,
+
+    maxContentLength: 5000,
+
+    maxMessagesPerUser: parseInt(process.env.SEARCH_INDEX_MAX_MESSAGES_PER_USER) || 2000,
+
+    maxQueryLength: 100,
+
+    snippetLength: 120,
+
+    maxResults: 50,
+
+    backfill: {
+        interval: (parseInt(process.env.SEARCH_BACKFILL_INTERVAL_MINUTES) || 60) * 60 * 1000,
+        maxConversations: parseInt(process.env.SEARCH_BACKFILL_MAX_CONVERSATIONS) || 30,
+        maxPages: 4,
+        pageSize: 50
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * 语音识别（语音转文字）配置
+ * 网页语音输入和企业微信语音消息共用，按 provider + fallbackProviders 的顺序依次尝试，
+ * 前一个服务商失败时自动降级到下一个
+ *
+ * 字段说明:
+ * - provider: 首选服务商，coze / volcano / local
+ * - fallbackProviders: 降级服务商（按顺序），未配置完整的服务商会被跳过
+ * - timeout: 单次识别超时（毫秒），本地识别使用 local.timeout
+ * - maxRetries: 网络错误、5xx 等可重试错误的重试次数（至少1次），之后降级
+ * - volcano: 火山引擎录音文件识别（极速版）
+ *   - appId / accessKey: 控制台中的 APP ID 和 Access Token
+ *   - resourceId: 资源ID
+ *   - endpoint: 接口地址
+ * - local: 本地离线识别，调用 whisper.cpp 风格的命令行（whisper-cli -m 模型 -f 音频.wav）
+ *   - command: 命令路径
+ *   - model: 模型文件路径，未设置时不启用
+ *   - threads: 识别线程数，0 表示使用命令默认值
+ *   - timeout: 单次识别超时（毫秒）
+ * - streaming: 实时语音输入（WebSocket /api/speech-stream），边说边返回识别中的文字
+ *   - provider: 实时识别服务商，coze 或 none（不返回中间结果，说完后按上面的服务商整段识别）
+ *   - sampleRate: 前端上传的 PCM 采样率（16位单声道）
+ *   - maxDuration: 单次录音最长时长（毫秒），超出后自动结束识别
+ *   - idleTimeout: 连接后长时间未收到音频时断开（毫秒）
+ *   - connectTimeout: 连接实时识别服务商的超时（毫秒），超时后按 none 处理
+ *   - finishTimeout: 说完后等待最终识别结果的超时（毫秒），超时后整段识别
+ */
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    provider: process.env.SPEECH_PROVIDER || 'coze',
+
+    fallbackProviders: parseList(process.env.SPEECH_FALLBACK_PROVIDERS),
+
+    timeout: parseInt(process.env.SPEECH_TIMEOUT) || 30000,
+
+    maxRetries: 1,
+
+    volcano: {
+        appId: process.env.VOLCANO_SPEECH_APP_ID || '',
+        accessKey: process.env.VOLCANO_SPEECH_API_KEY || '',
+        resourceId: process.env.VOLCANO_SPEECH_RESOURCE_ID || 'volc.bigasr.auc_turbo',
+        endpoint: process.env.VOLCANO_SPEECH_ENDPOINT || 'https://openspeech.bytedance.com/api/v3/auc/bigmodel/recognize/flash'
+    },
+
+    local: {
+        command: process.env.SPEECH_LOCAL_COMMAND || 'whisper-cli',
+        model: process.env.SPEECH_LOCAL_MODEL || '',
+        threads: parseInt(process.env.SPEECH_LOCAL_THREADS) || 0,
+        timeout: parseInt(process.env.SPEECH_LOCAL_TIMEOUT) || 60000
+    },
+
+    streaming: {
+        provider: process.env.SPEECH_STREAMING_PROVIDER || 'coze',
+        sampleRate: 16000,
+        maxDuration: parseInt(process.env.SPEECH_STREAMING_MAX_DURATION) || 60000,
+        idleTimeout: 15000,
+        connectTimeout: 5000,
+        finishTimeout: 10000
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * 语音朗读（文字转语音）配置
+ * 与语音识别一样按 provider + fallbackProviders 的顺序依次尝试，前一个服务商失败时自动降级
+ *
+ * 字段说明:
+ * - provider: 首选服务商，coze / volcano
+ * - fallbackProviders: 降级服务商（按顺序），未配置完整的服务商会被跳过
+ * - timeout: 单次合成超时（毫秒），长文本分段合成时为全部分段的总时长
+ * - maxRetries: 网络错误、5xx 等可重试错误的重试次数（至少1次），之后降级
+ * - maxTextLength: 单条回答最多朗读的字符数，超出部分不朗读
+ * - chunkLength: 长文本按句子切分后每段的最大字符数（服务商单次请求的长度限制）
+ * - cache: 按消息缓存合成的音频，重复播放不再调用服务商；只保存在进程内存中，重启后失效
+ *   - ttl: 缓存时长（毫秒）
+ *   - maxEntries: 最多缓存的音频数，超出后淘汰最早的
+ *   - maxBytes: 缓存音频的总大小上限（字节），超出后淘汰最早的
+ * - coze: Coze 语音合成，voiceId 为音色ID（可在 Coze 控制台或 /v1/audio/voices 中查询），未设置时不启用
+ *   - speed: 语速，0.2-3
+ * - volcano: 火山引擎语音合成，与语音识别共用 APP ID 和 Access Token
+ *   - cluster: 业务集群
+ *   - voiceType: 音色
+ *   - endpoint: 接口地址
+ */
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    provider: process.env.TTS_PROVIDER || 'coze',
+
+    fallbackProviders: parseList(process.env.TTS_FALLBACK_PROVIDERS),
+
+    timeout: parseInt(process.env.TTS_TIMEOUT) || 60000,
+
+    maxRetries: 1,
+
+    maxTextLength: parseInt(process.env.TTS_MAX_TEXT_LENGTH) || 1000,
+
+    chunkLength: 300,
+
+    cache: {
+        ttl: (parseInt(process.env.TTS_CACHE_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000,
+        maxEntries: parseInt(process.env.TTS_CACHE_MAX_ENTRIES) || 50,
+        maxBytes: (parseInt(process.env.TTS_CACHE_MAX_MB) || 32) * 1024 * 1024
+    },
+
+    coze: {
+        voiceId: process.env.COZE_TTS_VOICE_ID || '',
+        speed: parseFloat(process.env.COZE_TTS_SPEED) || 1
+    },
+
+    volcano: {
+        appId: process.env.VOLCANO_SPEECH_APP_ID || '',
+        accessKey: process.env.VOLCANO_SPEECH_API_KEY || '',
+        cluster: process.env.VOLCANO_TTS_CLUSTER || 'volcano_tts',
+        voiceType: process.env.VOLCANO_TTS_VOICE_TYPE || 'BV001_streaming',
+        endpoint: process.env.VOLCANO_TTS_ENDPOINT || 'https://openspeech.bytedance.com/api/v1/tts'
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * 企业微信应用自定义菜单配置
+ * 键为菜单 click 事件的 EventKey，需与企业微信后台配置的菜单 key 一致
+ *
+ * 支持的动作类型:
+ * - prompt: 以指定文本向Coze提问，回答通过应用消息推送
+ * - reply: 直接被动回复固定文本
+ * - search_mode: 切换该成员在消息窗口中的搜索模式（enterprise / internet）
+ * - new_conversation: 为该成员开启新的Coze会话
+ */
+module.exports = {
+    WORK_PROOF: {
+        type: 'prompt',
+        prompt: '我要开具工作证明'
+    },
+    NEW_CHAT: {
+        type: 'new_conversation',
+        reply: '已为您开启新的对话，请直接发送问题'
+    },
+    MODE_ENTERPRISE: {
+        type: 'search_mode',
+        mode: 'enterprise',
+        reply: '已切换到企业知识模式'
+    },
+    MODE_INTERNET: {
+        type: 'search_mode',
+        mode: 'internet',
+        reply: '已切换到联网搜索模式'
+    }
+};
@@ -4,6 +4,9 @@
  */
 
 const logger = require('../utils/logger');
+const { jwtService } = require('../utils/jwtService');
+const { roleRegistry } = require('../services/roleRegistry');
+const { requestContext } = require('../utils/requestContext');
 
 /**
  * 要求用户登录的中间件
@@ -17,6 +20,7 @@ function requireLogin(req, res, next) {
         logger.debug('开发模式，自动设置测试用户');
         req.userId = process.env.TEST_USER_ID || 'test_user_001';
         req.userName = process.env.TEST_USER_NAME || '测试用户';
+        requestContext.set('userId', req.userId);
         return next();
     }
 
@@ -26,6 +30,7 @@ function requireLogin(req, res, next) {
         req.userId = req.session.userId;
         req.userName = req.session.userName || req.session.userId;
         req.userInfo = req.session.userInfo;
+        requestContext.set('userId', req.userId);
 
         logger.info('用户session验证成功', {
             type: 'user_session_verified',
@@ -60,6 +65,7 @@ function optionalLogin(req, res, next) {
     if (process.env.NODE_ENV === 'development') {
         req.userId = process.env.TEST_USER_ID || 'test_user_001';
         req.userName = process.env.TEST_USER_NAME || '测试用户';
+        requestContext.set('userId', req.userId);
         return next();
     }
 
@@ -68,12 +74,87 @@ function optionalLogin(req, res, next) {
         req.userId = req.session.userId;
         req.userName = req.session.userName || req.session.userId;
         req.userInfo = req.session.userInfo;
+        requestContext.set('userId', req.userId);
     }
 
     next();
 }
 
+/**
+ * 获取当前用户的Coze访问令牌并挂载到 req.cozeAccessToken
+ * 需在 requireLogin 之后使用，令牌按用户缓存，获取失败时返回500
+ * 令牌被 Coze 拒绝时 cozeSDKAdapter 会清除缓存并重新签发；可重复执行的调用通过
+ * req.withCozeToken(async (accessToken) => ...) 发起，令牌被拒绝时用新令牌重试一次
+ */
+async function requireCozeToken(req, res, next) {
+    try {
+        const tokenData = await jwtService.getUserToken(req.userId);
+        req.cozeAccessToken = tokenData.access_token;
+        req.withCozeToken = (operation) => jwtService.withUserToken(req.userId, (accessToken) => {
+            req.cozeAccessToken = accessToken;
+            return operation(accessToken);
+        });
+        next();
+    } catch (error) {
+        logger.error('获取Coze API令牌失败', {
+            type: 'coze_token_unavailable',
+            userId: req.userId,
+            path: req.path,
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            error: '服务暂时不可用',
+            code: 'TOKEN_GENERATION_FAILED',
+            message: '请稍后重试'
+        });
+    }
+}
+
+/**
+ * 要求成员具备指定角色的中间件，需在 requireLogin 之后使用
+ * 高权限角色包含低权限角色，角色见 config/roles.js；解析结果挂载到 req.userRole
+ * @param {string} role - 要求的最低角色: admin / operator
+ * @returns {Function} Express中间件
+ */
+function requireRole(role) {
+    return async (req, res, next) => {
+        // 开发模式下测试用户拥有全部权限，与 requireLogin 跳过认证保持一致
+        if (process.env.NODE_ENV === 'development') {
+            req.userRole = 'admin';
+            return next();
+        }
+
+        req.userRole = await roleRegistry.resolveRole(req.userId, req.userInfo);
+
+        if (roleRegistry.hasRole(req.userRole, role)) {
+            return next();
+        }
+
+        logger.warn('成员无权访问管理接口', {
+            type: 'role_access_denied',
+            userId: req.userId,
+            userRole: req.userRole,
+            requiredRole: role,
+            method: req.method,
+            path: req.originalUrl
+        });
+
+        return res.status(403).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            error: '无权访问',
+            code: 'FORBIDDEN',
+            message: '当前账号没有执行该操作的权限'
+        });
+    };
+}
+
 module.exports = {
     requireLogin,
-    optionalLogin
+    optionalLogin,
+    requireCozeToken,
+    requireRole
 };
\ No newline at end of file
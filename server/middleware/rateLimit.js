@@ -0,0 +1,121 @@
+/**
+ * 限流中间件
+ * 按成员和接口类别计数，并发名额在响应结束（含流式响应）时才释放
+ */
+
+const logger = require('../utils/logger');
+const { rateLimiter } = require('../utils/rateLimiter');
+const { botRegistry } = require('../services/botRegistry');
+
+// 限流原因 -> 返回给前端的错误
+const REJECTION_ERRORS = {
+    rate: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        error: '请求过于频繁，请稍后重试'
+    },
+    concurrency: {
+        code: 'CONCURRENCY_LIMIT_EXCEEDED',
+        error: '上一条消息还在回答中，请稍后再试'
+    },
+    daily: {
+        code: 'DAILY_QUOTA_EXCEEDED',
+        error: '今日消息额度已用完，请明天再试'
+    }
+};
+
+/**
+ * 获取成员所属部门，用于匹配部门配额
+ * @param {Object} req - 请求对象
+ * @returns {Promise<Array<number>>} 部门ID列表，未配置部门配额或查询失败时为空
+ */
+async function getQuotaDepartments(req) {
+    if (!rateLimiter.hasDepartmentRules()) {
+        return [];
+    }
+
+    try {
+        return await botRegistry.getUserDepartments(req.userId, req.userInfo);
+    } catch (error) {
+        logger.warn('查询成员部门失败，使用默认配额', {
+            type: 'rate_limit_department_error',
+            userId: req.userId,
+            error: error.message
+        });
+        return [];
+    }
+}
+
+/**
+ * 设置 X-RateLimit-* 响应头
+ * @param {Object} res - 响应对象
+ * @param {Object} result - rateLimiter.acquire 的返回值
+ */
+function setRateLimitHeaders(res, result) {
+    if (result.limits.perMinute > 0) {
+        res.set('X-RateLimit-Limit', String(result.limits.perMinute));
+        res.set('X-RateLimit-Remaining', String(result.remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+    }
+
+    if (result.daily) {
+        res.set('X-RateLimit-Daily-Limit', String(result.daily.limit));
+        res.set('X-RateLimit-Daily-Remaining', String(result.daily.remaining));
+        res.set('X-RateLimit-Daily-Reset', String(Math.ceil(result.daily.resetAt / 1000)));
+    }
+}
+
+/**
+ * 为成员获取一个限流名额（中间件和 WebSocket 握手共用）
+ * @param {Object} req - 请求对象，需已设置 userId（可选 userInfo）
+ * @param {string} routeClass - 接口类别
+ * @param {Object} options - 同 rateLimit
+ * @returns {Promise<Object>} rateLimiter.acquire 的返回值，允许时需在请求结束后调用 release
+ */
+async function acquireRateLimit(req, routeClass, options = {}) {
+    const departmentIds = await getQuotaDepartments(req);
+    return rateLimiter.acquire({
+        userId: req.userId || req.ip,
+        routeClass: routeClass,
+        departmentIds: departmentIds,
+        countMessage: !!options.countMessage
+    });
+}
+
+/**
+ * 创建限流中间件，需在 requireLogin 之后使用
+ * @param {string} routeClass - 接口类别，如 chat、history、speech，配额见 config/rateLimits.js
+ * @param {Object} options - 选项
+ * @param {boolean} options.countMessage - 是否计入成员的每日消息数
+ * @returns {Function} Express中间件
+ */
+function rateLimit(routeClass, options = {}) {
+    return async (req, res, next) => {
+        const result = await acquireRateLimit(req, routeClass, options);
+
+        setRateLimitHeaders(res, result);
+
+        if (!result.allowed) {
+            const rejection = REJECTION_ERRORS[result.reason];
+
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                status: 'error',
+                timestamp: new Date().toISOString(),
+                error: rejection.error,
+                code: rejection.code,
+                retryAfter: result.retryAfter
+            });
+        }
+
+        // 响应结束或客户端断开时释放并发名额
+        res.once('finish', result.release);
+        res.once('close', result.release);
+
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit,
+    acquireRateLimit
+};
@@ -0,0 +1,31 @@
+/**
+ * 请求上下文中间件
+ * 为每个请求分配 requestId（沿用网关传入的 X-Request-Id），并在响应头中返回，
+ * 请求处理过程中的所有日志自动带上 requestId，登录校验通过后再带上 userId
+ */
+
+const logger = require('../utils/logger');
+const { requestContext } = require('../utils/requestContext');
+
+// 接受的外部请求ID格式，避免把任意内容写入日志
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+/**
+ * 在请求上下文中继续处理请求
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ */
+function requestContextMiddleware(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : logger.createRequestId();
+
+    req.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    requestContext.run({ requestId }, next);
+}
+
+module.exports = {
+    requestContextMiddleware
+};
@@ -4,7 +4,33 @@
  */
 
 const { body, query, param, validationResult } = require('express-validator');
+const multer = require('multer');
 const logger = require('../utils/logger');
+const feedbackConfig = require('../config/feedback');
+
+// 聊天附件限制：单个文件大小上限，单条消息附件数量上限
+const ATTACHMENT_MAX_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE) || 20 * 1024 * 1024;
+const ATTACHMENT_MAX_COUNT = parseInt(process.env.ATTACHMENT_MAX_COUNT) || 5;
+
+// 允许上传的附件类型：MIME类型 -> Coze消息中的附件类型
+const ATTACHMENT_MIME_TYPES = {
+    'image/jpeg': 'image',
+    'image/png': 'image',
+    'image/gif': 'image',
+    'image/webp': 'image',
+    'image/bmp': 'image',
+    'application/pdf': 'file',
+    'application/msword': 'file',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'file',
+    'application/vnd.ms-excel': 'file',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'file',
+    'application/vnd.ms-powerpoint': 'file',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'file'
+};
+
+const attachmentUploader = multer({
+    limits: { fileSize: ATTACHMENT_MAX_SIZE, files: 1 }
+}).single('file');
 
 /**
  * 处理验证错误
@@ -34,12 +60,77 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+/**
+ * 校验聊天请求中的附件列表 [{ type, fileId, name }]
+ * @param {Array|string} value - 附件数组，GET请求中为JSON字符串
+ * @returns {boolean} 校验通过
+ */
+const isValidAttachmentList = (value) => {
+    let attachments = value;
+    if (typeof value === 'string') {
+        try {
+            attachments = JSON.parse(value);
+        } catch {
+            throw new Error('attachments必须是JSON数组');
+        }
+    }
+
+    if (!Array.isArray(attachments)) {
+        throw new Error('attachments必须是数组');
+    }
+    if (attachments.length > ATTACHMENT_MAX_COUNT) {
+        throw new Error(`单条消息最多附带${ATTACHMENT_MAX_COUNT}个附件`);
+    }
+    attachments.forEach((item) => {
+        if (!item || !['image', 'file'].includes(item.type)) {
+            throw new Error('附件类型必须是image或file');
+        }
+        if (typeof item.fileId !== 'string' || !/^[a-zA-Z0-9_-]{1,100}$/.test(item.fileId)) {
+            throw new Error('附件fileId格式无效');
+        }
+    });
+    return true;
+};
+
+// Coze Bot ID 格式，是否有权使用由Bot注册表判断
+const BOT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// 交互卡片ID格式（由 cardService 生成）
+const CARD_ID_PATTERN = /^card_[a-f0-9]{24}$/;
+
+/**
+ * 校验聊天请求中的卡片提交 { card_id, values }，字段值由 cardService 按卡片定义校验
+ * @param {Object|string} value - 提交内容，GET请求中为JSON字符串
+ * @returns {boolean} 校验通过
+ */
+const isValidCardResponse = (value) => {
+    let response = value;
+    if (typeof value === 'string') {
+        try {
+            response = JSON.parse(value);
+        } catch {
+            throw new Error('card_response必须是JSON对象');
+        }
+    }
+
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+        throw new Error('card_response必须是JSON对象');
+    }
+    if (typeof response.card_id !== 'string' || !CARD_ID_PATTERN.test(response.card_id)) {
+        throw new Error('card_id格式无效');
+    }
+    if (!response.values || typeof response.values !== 'object' || Array.isArray(response.values)) {
+        throw new Error('values必须是对象');
+    }
+    return true;
+};
+
 /**
  * 聊天请求验证规则
  */
 const validateChatRequest = [
     query('query')
-        .optional()
+        .optional({ values: 'falsy' })
         .trim()
         .isLength({ min: 1, max: 4000 })
         .withMessage('查询内容长度必须在1-4000字符之间')
@@ -67,6 +158,36 @@ const validateChatRequest = [
         .optional()
         .isIn(['true', 'false', '1', '0'])
         .withMessage('stream参数必须是boolean值'),
+
+    query('attachments')
+        .optional()
+        .custom(isValidAttachmentList)
+        .customSanitizer(value => {
+            // 校验失败时保留原值，由 handleValidationErrors 返回错误
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+        }),
+
+    query('botId')
+        .optional()
+        .trim()
+        .matches(BOT_ID_PATTERN)
+        .withMessage('botId格式无效'),
+
+    query('card_response')
+        .optional()
+        .custom(isValidCardResponse)
+        .customSanitizer(value => {
+            // 校验失败时保留原值，由 handleValidationErrors 返回错误
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+        }),
     
     handleValidationErrors
 ];
@@ -76,9 +197,14 @@ const validateChatRequest = [
  */
 const validateChatPostRequest = [
     body('message')
+        .if((value, { req }) => !Array.isArray(req.body.attachments) || req.body.attachments.length === 0)
         .trim()
         .notEmpty()
-        .withMessage('消息内容不能为空')
+        .withMessage('消息内容不能为空'),
+
+    body('message')
+        .optional({ values: 'falsy' })
+        .trim()
         .isLength({ min: 1, max: 4000 })
         .withMessage('消息长度必须在1-4000字符之间')
         .customSanitizer(value => {
@@ -97,6 +223,16 @@ const validateChatPostRequest = [
         .optional()
         .isBoolean()
         .withMessage('stream参数必须是boolean值'),
+
+    body('attachments')
+        .optional()
+        .custom(isValidAttachmentList),
+
+    body('botId')
+        .optional()
+        .trim()
+        .matches(BOT_ID_PATTERN)
+        .withMessage('botId格式无效'),
     
     handleValidationErrors
 ];
@@ -117,6 +253,22 @@ const validateConversationId = [
     handleValidationErrors
 ];
 
+/**
+ * 对话ID参数验证（取消对话）
+ */
+const validateChatId = [
+    param('chatId')
+        .trim()
+        .notEmpty()
+        .withMessage('对话ID不能为空')
+        .isLength({ max: 100 })
+        .withMessage('对话ID长度不能超过100字符')
+        .matches(/^[a-zA-Z0-9_-]+$/)
+        .withMessage('对话ID格式无效'),
+
+    handleValidationErrors
+];
+
 /**
  * 创建会话请求验证
  */
@@ -131,10 +283,113 @@ const validateCreateConversation = [
         .optional()
         .isObject()
         .withMessage('metadata必须是一个对象'),
+
+    body('botId')
+        .optional()
+        .trim()
+        .matches(BOT_ID_PATTERN)
+        .withMessage('botId格式无效'),
     
     handleValidationErrors
 ];
 
+/**
+ * 按Bot筛选的查询参数验证（会话列表、Bot信息）
+ */
+const validateBotQuery = [
+    query('botId')
+        .optional()
+        .trim()
+        .matches(BOT_ID_PATTERN)
+        .withMessage('botId格式无效'),
+
+    handleValidationErrors
+];
+
+/**
+ * 消息搜索请求验证
+ */
+const validateSearchQuery = [
+    query('q')
+        .trim()
+        .notEmpty()
+        .withMessage('搜索内容不能为空')
+        .isLength({ max: 100 })
+        .withMessage('搜索内容不能超过100个字符'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('返回数量必须在1-50之间'),
+
+    handleValidationErrors
+];
+
+/**
+ * 会话导出请求验证
+ */
+const validateExportRequest = [
+    param('conversationId')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('会话ID长度必须在1-100字符之间')
+        .matches(/^[a-zA-Z0-9_-]+$/)
+        .withMessage('会话ID格式无效'),
+
+    query('format')
+        .optional()
+        .isIn(['md', 'pdf', 'docx'])
+        .withMessage('导出格式必须是 md、pdf 或 docx'),
+
+    query('title')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('标题不能超过200个字符'),
+
+    handleValidationErrors
+];
+
+/**
+ * 创建会话分享请求验证
+ */
+const validateShareRequest = [
+    param('conversationId')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('会话ID长度必须在1-100字符之间')
+        .matches(/^[a-zA-Z0-9_-]+$/)
+        .withMessage('会话ID格式无效'),
+
+    body('expiresInDays')
+        .optional()
+        .isIn([0, 1, 7, 30])
+        .withMessage('有效期必须是 0（永久）、1、7 或 30 天'),
+
+    body('restrictToDepartment')
+        .optional()
+        .isBoolean()
+        .withMessage('restrictToDepartment必须是布尔值'),
+
+    body('title')
+        .optional()
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage('标题不能超过200个字符'),
+
+    handleValidationErrors
+];
+
+/**
+ * 分享令牌验证
+ */
+const validateShareToken = [
+    param('token')
+        .matches(/^[A-Za-z0-9_-]{32}$/)
+        .withMessage('分享链接无效'),
+
+    handleValidationErrors
+];
+
 /**
  * 音频转文字请求验证
  */
@@ -152,6 +407,160 @@ const validateAudioToText = [
     handleValidationErrors
 ];
 
+/**
+ * 文字转语音请求验证
+ */
+const validateTextToSpeech = [
+    body('text')
+        .isString()
+        .withMessage('朗读内容必须是字符串')
+        .trim()
+        .isLength({ min: 1, max: 20000 })
+        .withMessage('朗读内容长度必须在1-20000字符之间'),
+
+    body('messageId')
+        .optional()
+        .isString()
+        .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+        .withMessage('消息ID格式无效'),
+
+    handleValidationErrors
+];
+
+/**
+ * 提交消息反馈请求验证
+ */
+const validateFeedback = [
+    body('conversation_id')
+        .isString()
+        .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+        .withMessage('会话ID格式无效'),
+
+    body('message_id')
+        .isString()
+        .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+        .withMessage('消息ID格式无效'),
+
+    body('feedback_type')
+        .isIn(['like', 'unlike'])
+        .withMessage('无效的反馈类型'),
+
+    body('reason_types')
+        .optional()
+        .isArray({ max: feedbackConfig.reasons.length })
+        .withMessage('反馈原因必须是数组'),
+
+    body('reason_types.*')
+        .isIn(feedbackConfig.reasons.map(reason => reason.code))
+        .withMessage('无效的反馈原因'),
+
+    body('comment')
+        .optional()
+        .isString()
+        .isLength({ max: feedbackConfig.maxCommentLength })
+        .withMessage(`补充说明不能超过${feedbackConfig.maxCommentLength}个字符`),
+
+    body('bot_id')
+        .optional({ values: 'falsy' })
+        .isString()
+        .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+        .withMessage('Bot ID格式无效'),
+
+    handleValidationErrors
+];
+
+/**
+ * 撤回消息反馈请求验证
+ */
+const validateFeedbackMessageId = [
+    param('messageId')
+        .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+        .withMessage('消息ID格式无效'),
+
+    handleValidationErrors
+];
+
+/**
+ * 反馈报表查询验证
+ */
+const validateFeedbackReport = [
+    query('botId')
+        .optional()
+        .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+        .withMessage('Bot ID格式无效'),
+
+    query('type')
+        .optional()
+        .isIn(['like', 'unlike'])
+        .withMessage('反馈类型必须是 like 或 unlike'),
+
+    query('reason')
+        .optional()
+        .isIn(feedbackConfig.reasons.map(reason => reason.code))
+        .withMessage('无效的反馈原因'),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('时间格式无效，应为 ISO 8601（如 2024-05-01）'),
+
+    query('keyword')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('关键词不能超过100个字符'),
+
+    query('format')
+        .optional()
+        .isIn(['json', 'csv'])
+        .withMessage('格式必须是 json 或 csv'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: feedbackConfig.report.maxRows })
+        .withMessage(`条数必须在1-${feedbackConfig.report.maxRows}之间`),
+
+    handleValidationErrors
+];
+
+/**
+ * 聊天附件上传验证
+ * 解析 multipart 中的 file 字段，并校验大小和类型；通过后在 req.file.attachmentType 标记附件类型
+ */
+const validateAttachmentUpload = (req, res, next) => {
+    attachmentUploader(req, res, (err) => {
+        let message = null;
+
+        if (err) {
+            message = err.code === 'LIMIT_FILE_SIZE'
+                ? `文件大小不能超过${Math.round(ATTACHMENT_MAX_SIZE / 1024 / 1024)}MB`
+                : `文件上传失败: ${err.message}`;
+        } else if (!req.file || req.file.size === 0) {
+            message = '请选择要上传的文件';
+        } else if (!ATTACHMENT_MIME_TYPES[req.file.mimetype]) {
+            message = '仅支持图片、PDF和Office文档';
+        }
+
+        if (message) {
+            logger.warn('Attachment validation failed', {
+                type: 'validation_error',
+                path: req.path,
+                mimetype: req.file?.mimetype,
+                size: req.file?.size,
+                error: message
+            });
+
+            return res.status(400).json({
+                error: '输入验证失败',
+                code: 'VALIDATION_ERROR',
+                details: [{ field: 'file', message: message }]
+            });
+        }
+
+        req.file.attachmentType = ATTACHMENT_MIME_TYPES[req.file.mimetype];
+        next();
+    });
+};
+
 /**
  * 管理员更新token请求验证
  */
@@ -196,8 +605,19 @@ module.exports = {
     validateChatRequest,
     validateChatPostRequest,
     validateConversationId,
+    validateChatId,
     validateCreateConversation,
+    validateBotQuery,
+    validateSearchQuery,
+    validateExportRequest,
+    validateShareRequest,
+    validateShareToken,
     validateAudioToText,
+    validateTextToSpeech,
+    validateFeedback,
+    validateFeedbackMessageId,
+    validateFeedbackReport,
+    validateAttachmentUpload,
     validateUpdateToken,
     validatePagination,
     createValidator,
@@ -0,0 +1,577 @@
+// routes/admin.js
+// 管理与诊断接口，挂载在 /api/admin 下
+// 查看类接口需要 operator 角色，变更类接口需要 admin 角色并写入审计日志
+// 反馈报表另外对知识库负责人（config/bots.js 中的 owners）开放所负责Bot的反馈
+const express = require('express');
+const router = express.Router();
+const { chatService } = require('../services/chatService');
+const logger = require('../utils/logger');
+const { retryHandler } = require('../utils/retryHandler');
+const { rateLimiter } = require('../utils/rateLimiter');
+const { connectionPool } = require('../utils/connectionPool');
+const { streamOptimizer } = require('../utils/streamOptimizer');
+const { jwtService } = require('../utils/jwtService');
+const { cozeConversationManager } = require('../utils/cozeConversationManager');
+const { cozeTokenManager } = require('../utils/cozeTokenManager');
+const { auditLog } = require('../utils/auditLog');
+const { feedbackService } = require('../services/feedbackService');
+const { botRegistry } = require('../services/botRegistry');
+const { roleRegistry } = require('../services/roleRegistry');
+const { requireLogin, requireRole } = require('../middleware/auth');
+const { validateFeedbackReport } = require('../middleware/validation');
+
+// 所有管理接口都需要登录
+router.use(requireLogin);
+
+/**
+ * 当前成员的角色（管理后台据此显示可用操作）
+ * GET /api/admin/me
+ */
+router.get('/me', requireRole('operator'), (req, res) => {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        user: {
+            userId: req.userId,
+            userName: req.userName,
+            role: req.userRole
+        }
+    });
+});
+
+/**
+ * 汇总各组件运行状态（管理后台首页）
+ * GET /api/admin/status
+ */
+router.get('/status', requireRole('operator'), async (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const currentToken = cozeTokenManager.getCurrentToken();
+        const tokenInfo = currentToken ? cozeTokenManager.getTokenInfo(currentToken) : null;
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            logLevel: logger.logLevel,
+            chat: await chatService.getHealthStatus(),
+            retryHandler: retryHandler.getHealthStatus(),
+            rateLimiter: rateLimiter.getStatus(),
+            connectionPool: connectionPool.getStatus(),
+            stream: streamOptimizer.getStatus(),
+            token: {
+                hasToken: !!tokenInfo,
+                valid: tokenInfo ? tokenInfo.valid : false,
+                type: tokenInfo ? tokenInfo.type : null,
+                prefix: tokenInfo ? tokenInfo.prefix : null,
+                userTokenCache: jwtService.getTokenCacheStatus()
+            },
+            system: {
+                uptime: process.uptime(),
+                memory: process.memoryUsage(),
+                nodeVersion: process.version
+            }
+        });
+    } catch (error) {
+        logger.error('获取管理后台状态失败', {
+            type: 'admin_status_error',
+            requestId: requestId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 重置请求限流计数
+ * POST /api/admin/rate-limit/reset
+ */
+router.post('/rate-limit/reset', requireRole('admin'), (req, res) => {
+    const clearedWindows = rateLimiter.resetWindows();
+    auditLog.record(req, 'rate_limit.reset', { clearedWindows });
+
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        clearedWindows: clearedWindows
+    });
+});
+
+// 更新Coze API Token
+router.post('/update-coze-token', requireRole('admin'), async (req, res) => {
+    try {
+        const { newToken } = req.body;
+
+        if (!newToken) {
+            return res.status(400).json({
+                error: '缺少新的token',
+                code: 'MISSING_TOKEN'
+            });
+        }
+
+        // 验证token格式
+        if (!cozeTokenManager.validateTokenFormat(newToken)) {
+            auditLog.record(req, 'coze_token.update', { reason: 'invalid_format' }, 'failure');
+            return res.status(400).json({
+                error: 'Token格式无效',
+                code: 'INVALID_TOKEN_FORMAT'
+            });
+        }
+
+        // 更新token
+        const success = cozeTokenManager.updateToken(newToken);
+        const tokenInfo = cozeTokenManager.getTokenInfo(newToken);
+
+        // 审计日志只记录令牌类型和前缀
+        auditLog.record(req, 'coze_token.update', {
+            type: tokenInfo.type,
+            prefix: tokenInfo.prefix
+        }, success ? 'success' : 'failure');
+
+        if (success) {
+            res.json({
+                success: true,
+                message: 'Token更新成功',
+                tokenInfo: {
+                    type: tokenInfo.type,
+                    length: tokenInfo.length,
+                    prefix: tokenInfo.prefix
+                }
+            });
+        } else {
+            res.status(500).json({
+                error: 'Token更新失败',
+                code: 'UPDATE_FAILED'
+            });
+        }
+    } catch (error) {
+        logger.error('更新Coze token失败', {
+            type: 'coze_token_update_error',
+            userId: req.userId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: '服务器内部错误',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// 获取当前Coze Token信息
+router.get('/coze-token-info', requireRole('operator'), async (req, res) => {
+    try {
+        const currentToken = cozeTokenManager.getCurrentToken();
+
+        if (!currentToken) {
+            return res.json({
+                hasToken: false,
+                message: '未找到Coze API Token'
+            });
+        }
+
+        const tokenInfo = cozeTokenManager.getTokenInfo(currentToken);
+
+        res.json({
+            hasToken: true,
+            tokenInfo: {
+                valid: tokenInfo.valid,
+                type: tokenInfo.type,
+                length: tokenInfo.length,
+                prefix: tokenInfo.prefix
+            }
+        });
+    } catch (error) {
+        logger.error('获取Coze token信息失败', {
+            type: 'coze_token_info_error',
+            userId: req.userId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: '服务器内部错误',
+            code: 'INTERNAL_ERROR'
+        });
+    }
+});
+
+// 重新加载适配器
+router.post('/reload-adapter', requireRole('admin'), async (req, res) => {
+    try {
+        const result = chatService.reloadAdapter();
+        auditLog.record(req, 'adapter.reload', {}, result ? 'success' : 'failure');
+
+        res.json({
+            success: result,
+            message: result ? '适配器重新加载成功' : '适配器重新加载失败',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        auditLog.record(req, 'adapter.reload', { error: error.message }, 'failure');
+
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * 错误监控端点
+ * GET /api/admin/errors
+ */
+router.get('/errors', requireRole('operator'), (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        logger.debug('获取错误监控信息', {
+            type: 'error_monitoring_request',
+            requestId: requestId,
+            userId: req.userId,
+            timestamp: new Date().toISOString()
+        });
+
+        const metrics = logger.getMetrics();
+        const retryStatus = retryHandler.getHealthStatus();
+
+        // 构建错误监控响应
+        const errorResponse = {
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            errorMetrics: {
+                totalApiCalls: metrics.apiCalls,
+                totalApiErrors: metrics.apiErrors,
+                errorRate: metrics.errorRate,
+                averageResponseTime: metrics.averageResponseTime
+            },
+            retryHandler: retryStatus,
+            recommendations: []
+        };
+
+        // 添加建议
+        if (parseFloat(metrics.errorRate) > 10) {
+            errorResponse.recommendations.push('错误率过高，建议检查API配置和网络连接');
+        }
+
+        if (metrics.averageResponseTime > 5000) {
+            errorResponse.recommendations.push('平均响应时间过长，建议优化API调用或增加超时设置');
+        }
+
+        if (retryStatus.status === 'degraded') {
+            errorResponse.recommendations.push('重试处理器状态异常，建议检查服务健康状态');
+        }
+
+        logger.logBusinessEvent('error_monitoring_accessed', {
+            requestId: requestId,
+            errorRate: metrics.errorRate,
+            recommendationCount: errorResponse.recommendations.length
+        });
+
+        res.json(errorResponse);
+
+    } catch (error) {
+        logger.error('获取错误监控信息失败', {
+            type: 'error_monitoring_error',
+            requestId: requestId,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 日志级别控制端点
+ * POST /api/admin/log-level
+ */
+router.post('/log-level', requireRole('admin'), (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const { level } = req.body;
+
+        if (!level || !['error', 'warn', 'info', 'debug'].includes(level)) {
+            return res.status(400).json({
+                status: 'error',
+                timestamp: new Date().toISOString(),
+                requestId: requestId,
+                error: '无效的日志级别，支持: error, warn, info, debug'
+            });
+        }
+
+        const oldLevel = logger.logLevel;
+        logger.logLevel = level;
+
+        auditLog.record(req, 'log_level.update', { oldLevel, newLevel: level });
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            message: `日志级别已从 ${oldLevel} 更新为 ${level}`,
+            oldLevel: oldLevel,
+            newLevel: level
+        });
+
+    } catch (error) {
+        logger.error('更新日志级别失败', {
+            type: 'log_level_error',
+            requestId: requestId,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 会话管理状态
+ * GET /api/admin/conversations/status
+ */
+router.get('/conversations/status', requireRole('operator'), (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        logger.debug('获取会话管理状态', {
+            type: 'conversation_status_request',
+            requestId: requestId,
+            userId: req.userId
+        });
+
+        const status = cozeConversationManager.getStatus();
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            conversationManager: status
+        });
+
+    } catch (error) {
+        logger.error('获取会话管理状态失败', {
+            type: 'conversation_status_error',
+            requestId: requestId,
+            userId: req.userId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 查询审计日志
+ * GET /api/admin/audit-log?action=log_level.update&userId=xxx&limit=100
+ */
+router.get('/audit-log', requireRole('admin'), (req, res) => {
+    const requestId = logger.generateRequestId();
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        requestId: requestId,
+        entries: auditLog.list({
+            action: req.query.action,
+            userId: req.query.userId,
+            limit: limit
+        })
+    });
+});
+
+/**
+ * 反馈报表的查看范围：operator 及以上可查看全部反馈，知识库负责人只能查看所负责Bot的反馈
+ * @param {Object} req - 请求对象（需已通过 requireLogin）
+ * @returns {Promise<Array<string>|null|false>} 可查看的Bot ID，null 表示全部，false 表示无权查看
+ */
+async function resolveFeedbackScope(req) {
+    // 开发模式下测试用户拥有全部权限，与 requireRole 保持一致
+    if (process.env.NODE_ENV === 'development') {
+        return null;
+    }
+
+    req.userRole = await roleRegistry.resolveRole(req.userId, req.userInfo);
+    if (roleRegistry.hasRole(req.userRole, 'operator')) {
+        return null;
+    }
+
+    const ownedBotIds = botRegistry.getOwnedBots(req.userId).map(bot => bot.botId);
+    return ownedBotIds.length > 0 ? ownedBotIds : false;
+}
+
+/**
+ * 解析报表时间范围，只有日期时按服务器时区取当天的开始或结束
+ * @param {string} value - ISO 8601 日期或时间
+ * @param {boolean} endOfDay - 是否取当天结束
+ * @returns {string|undefined} ISO 时间
+ */
+function parseReportTime(value, endOfDay) {
+    if (!value) {
+        return undefined;
+    }
+
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value;
+    return new Date(time).toISOString();
+}
+
+/**
+ * 消息反馈报表，format=csv 时下载 CSV
+ * GET /api/admin/feedback?botId=xxx&type=unlike&reason=outdated&from=2024-05-01&to=2024-05-31&keyword=报销&format=csv
+ */
+router.get('/feedback', validateFeedbackReport, async (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const botIds = await resolveFeedbackScope(req);
+        if (botIds === false) {
+            logger.warn('成员无权查看反馈报表', {
+                type: 'feedback_report_denied',
+                requestId: requestId,
+                userId: req.userId
+            });
+
+            return res.status(403).json({
+                status: 'error',
+                timestamp: new Date().toISOString(),
+                requestId: requestId,
+                error: '无权访问',
+                code: 'FORBIDDEN',
+                message: '仅运维人员和知识库负责人可以查看反馈报表'
+            });
+        }
+
+        const report = feedbackService.listFeedback({
+            botIds: botIds,
+            botId: req.query.botId,
+            type: req.query.type,
+            reason: req.query.reason,
+            userId: req.query.userId,
+            keyword: req.query.keyword,
+            from: parseReportTime(req.query.from, false),
+            to: parseReportTime(req.query.to, true),
+            includeRetracted: req.query.includeRetracted === 'true',
+            limit: parseInt(req.query.limit) || undefined
+        });
+
+        logger.info('查询反馈报表', {
+            type: 'feedback_report',
+            requestId: requestId,
+            userId: req.userId,
+            scope: botIds || 'all',
+            format: req.query.format || 'json',
+            total: report.total
+        });
+
+        if (req.query.format === 'csv') {
+            const filename = `feedback-${new Date().toISOString().slice(0, 10)}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.send(feedbackService.toCsv(report.entries));
+        }
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            reasons: feedbackService.getReasons(),
+            bots: (botIds ? botIds.map(botId => botRegistry.getBot(botId)) : botRegistry.bots)
+                .map(bot => ({ botId: bot.botId, name: bot.name })),
+            total: report.total,
+            summary: report.summary,
+            entries: report.entries
+        });
+
+    } catch (error) {
+        logger.error('查询反馈报表失败', {
+            type: 'feedback_report_error',
+            requestId: requestId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: error.message
+        });
+    }
+});
+
+// 简单SSE测试端点
+router.post('/test-sse', requireRole('operator'), async (req, res) => {
+    logger.debug('收到SSE测试请求', {
+        type: 'test_sse_request',
+        userId: req.userId
+    });
+
+    // 设置SSE头部
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control'
+    });
+
+    // 立即发送一条测试消息
+    const testMessage = {
+        event: 'message',
+        answer: '这是一条测试消息',
+        conversation_id: 'test-123',
+        user_id: req.userId
+    };
+
+    res.write(`event: message\ndata: ${JSON.stringify(testMessage)}\n\n`);
+
+    // 等待1秒后发送第二条消息
+    setTimeout(() => {
+        const testMessage2 = {
+            event: 'message',
+            answer: '这是第二条测试消息',
+            conversation_id: 'test-123',
+            user_id: req.userId
+        };
+
+        res.write(`event: message\ndata: ${JSON.stringify(testMessage2)}\n\n`);
+
+        // 发送结束消息
+        setTimeout(() => {
+            const endMessage = {
+                event: 'message_end',
+                answer: '测试完成',
+                conversation_id: 'test-123',
+                user_id: req.userId
+            };
+
+            res.write(`event: message_end\ndata: ${JSON.stringify(endMessage)}\n\n`);
+            res.end();
+        }, 1000);
+    }, 1000);
+});
+
+module.exports = router;
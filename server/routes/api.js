@@ -3,148 +3,119 @@ const express = require('express');
 const router = express.Router();
 const userUtils = require('../utils/user');
 const multer = require('multer');
-const ChatService = require('../services/chatService');
+const { chatService } = require('../services/chatService');
+const { botRegistry } = require('../services/botRegistry');
 const logger = require('../utils/logger');
 const { retryHandler } = require('../utils/retryHandler');
-const { streamOptimizer } = require('../utils/streamOptimizer');
 const { rateLimiter } = require('../utils/rateLimiter');
+const { streamOptimizer } = require('../utils/streamOptimizer');
 const { cozeConversationManager } = require('../utils/cozeConversationManager');
-const { requireLogin } = require('../middleware/auth');
+const { requireLogin, requireCozeToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { jwtService } = require('../utils/jwtService');
-const externalTokenService = require('../utils/externalTokenService');
-const { isWorkProofRequest } = require('../utils/workProofDetector');
-const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
+const { metrics } = require('../utils/metrics');
+const { messageSearchIndex } = require('../utils/messageSearchIndex');
+const { conversationExporter } = require('../services/conversationExporter');
+const { shareService } = require('../services/shareService');
+const { speechService } = require('../services/speechService');
+const { ttsService } = require('../services/ttsService');
+const { feedbackService } = require('../services/feedbackService');
+const { cardService } = require('../services/cardService');
+const { parseMessageContent, filterDisplayMessages } = require('../utils/conversationMessages');
 const {
     validateChatRequest,
     validateChatPostRequest,
     validateConversationId,
+    validateChatId,
     validateCreateConversation,
+    validateBotQuery,
+    validateSearchQuery,
+    validateExportRequest,
+    validateShareRequest,
+    validateShareToken,
     validateAudioToText,
+    validateTextToSpeech,
+    validateFeedback,
+    validateFeedbackMessageId,
+    validateAttachmentUpload,
     validateUpdateToken,
     validatePagination
 } = require('../middleware/validation');
 
 const upload = multer();
 
-// 初始化Coze专用聊天服务
-const chatService = new ChatService();
-
-// 流量限制中间件 - 使用优化的限流器
-const rateLimit = async (req, res, next) => {
-    try {
-        const requestId = logger.generateRequestId();
-        
-        // 使用限流器执行请求
-        await rateLimiter.executeRequest(
-            async () => {
-                next();
-                return Promise.resolve();
-            },
-            { requestId, userId: req.userId || 'anonymous' },
-            { priority: 'normal', timeout: 5000 }
-        );
-    } catch (error) {
-        logger.warn('请求被限流', {
-            type: 'rate_limit_exceeded',
-            error: error.message,
-            userId: req.userId || 'anonymous',
-            path: req.path
-        });
-        
-        res.status(429).json({
-            error: '请求过于频繁，请稍后重试',
-            code: 'RATE_LIMIT_EXCEEDED',
-            retryAfter: 60
-        });
-    }
+// 分享服务错误码 -> HTTP状态码
+const SHARE_ERROR_STATUS = {
+    SHARE_NOT_FOUND: 404,
+    SHARE_FORBIDDEN: 403,
+    SHARE_LIMIT_EXCEEDED: 409,
+    SHARE_EMPTY_CONVERSATION: 400,
+    SHARE_NO_DEPARTMENT: 400
 };
 
+// 交互卡片错误码 -> HTTP状态码
+const CARD_ERROR_STATUS = {
+    CARD_NOT_FOUND: 404,
+    CARD_INVALID_VALUES: 400
+};
 
+// type: like / unlike / retract
+const feedbackTotal = metrics.counter({
+    name: 'feedback_total',
+    help: '成功提交和撤回的消息反馈数',
+    labelNames: ['type']
+});
 
+/**
+ * 解析请求指定的Bot并校验成员是否有权使用，无权时直接返回403
+ * @param {Object} req - 请求对象（需已通过 requireLogin）
+ * @param {Object} res - 响应对象
+ * @param {string} botId - 请求指定的Coze Bot ID，为空时使用默认Bot
+ * @param {string} requestId - 请求ID
+ * @returns {Promise<Object|null>} Bot配置，已返回错误响应时为null
+ */
+async function resolveRequestBot(req, res, botId, requestId) {
+    const bot = await botRegistry.resolveBot(req.userId, req.userInfo, botId);
 
-// 更新Coze API Token
-router.post('/admin/update-coze-token', requireLogin, async (req, res) => {
-    try {
-        const { newToken } = req.body;
-        
-        if (!newToken) {
-            return res.status(400).json({
-                error: '缺少新的token',
-                code: 'MISSING_TOKEN'
-            });
-        }
-
-        const { cozeTokenManager } = require('../utils/cozeTokenManager');
-        
-        // 验证token格式
-        if (!cozeTokenManager.validateTokenFormat(newToken)) {
-            return res.status(400).json({
-                error: 'Token格式无效',
-                code: 'INVALID_TOKEN_FORMAT'
-            });
-        }
-
-        // 更新token
-        const success = cozeTokenManager.updateToken(newToken);
-        
-        if (success) {
-            const tokenInfo = cozeTokenManager.getTokenInfo(newToken);
-            res.json({
-                success: true,
-                message: 'Token更新成功',
-                tokenInfo: {
-                    type: tokenInfo.type,
-                    length: tokenInfo.length,
-                    prefix: tokenInfo.prefix
-                }
-            });
-        } else {
-            res.status(500).json({
-                error: 'Token更新失败',
-                code: 'UPDATE_FAILED'
-            });
-        }
-    } catch (error) {
-        console.error('更新Coze token失败:', error);
-        res.status(500).json({
-            error: '服务器内部错误',
-            code: 'INTERNAL_ERROR'
+    if (!bot) {
+        res.status(403).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: '无权使用该智能助手',
+            code: 'BOT_ACCESS_DENIED'
         });
     }
-});
 
-// 获取当前Coze Token信息
-router.get('/admin/coze-token-info', requireLogin, async (req, res) => {
-    try {
-        const { cozeTokenManager } = require('../utils/cozeTokenManager');
-        const currentToken = cozeTokenManager.getCurrentToken();
-        
-        if (!currentToken) {
-            return res.json({
-                hasToken: false,
-                message: '未找到Coze API Token'
-            });
+    return bot;
+}
+
+/**
+ * 创建随客户端断开触发的中止信号，用于取消进行中的Coze对话
+ * @param {Object} res - 响应对象
+ * @param {string} requestId - 请求ID
+ * @param {string} userId - 用户ID
+ * @returns {AbortSignal} 中止信号
+ */
+function createDisconnectSignal(res, requestId, userId) {
+    const abortController = new AbortController();
+
+    res.on('close', () => {
+        // 响应已正常结束，不属于客户端断开
+        if (res.writableEnded) {
+            return;
         }
 
-        const tokenInfo = cozeTokenManager.getTokenInfo(currentToken);
-        
-        res.json({
-            hasToken: true,
-            tokenInfo: {
-                valid: tokenInfo.valid,
-                type: tokenInfo.type,
-                length: tokenInfo.length,
-                prefix: tokenInfo.prefix
-            }
-        });
-    } catch (error) {
-        console.error('获取Coze token信息失败:', error);
-        res.status(500).json({
-            error: '服务器内部错误',
-            code: 'INTERNAL_ERROR'
+        logger.info('客户端断开连接，取消进行中的对话', {
+            type: 'client_disconnect',
+            requestId: requestId,
+            userId: userId
         });
-    }
-});
+        abortController.abort();
+    });
+
+    return abortController.signal;
+}
 
 // JWT Token管理端点
 
@@ -156,8 +127,8 @@ router.post('/coze-token/issue', requireLogin, async (req, res) => {
             userId: req.userId
         });
 
-        // 生成用户专用的JWT令牌
-        const tokenData = await jwtService.generateUserToken(req.userId);
+        // 获取用户专用的访问令牌（未过期时复用缓存）
+        const tokenData = await jwtService.getUserToken(req.userId);
 
         logger.info('Coze JWT令牌签发成功', {
             type: 'jwt_token_issue_success',
@@ -217,8 +188,8 @@ router.post('/coze-token/refresh', requireLogin, async (req, res) => {
             userId: req.userId
         });
 
-        // 生成新的JWT令牌（与issue逻辑相同）
-        const tokenData = await jwtService.generateUserToken(req.userId);
+        // 强制重新交换访问令牌并更新缓存
+        const tokenData = await jwtService.refreshUserToken(req.userId);
 
         logger.info('Coze JWT令牌刷新成功', {
             type: 'jwt_token_refresh_success',
@@ -297,16 +268,58 @@ router.get('/user/:userId', requireLogin, async (req, res) => {
             res.status(404).json({error: '未找到用户信息'});
         }
     } catch (error) {
-        console.error('获取用户信息失败:', error);
+        logger.error('获取用户信息失败:', error);
         res.status(500).json({error: '服务器错误'});
     }
 });
 
+// 获取当前成员可使用的Bot列表（聊天侧边栏的助手选择）
+router.get('/bots', requireLogin, async (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const bots = await botRegistry.getAccessibleBots(req.userId, req.userInfo);
+
+        logger.info('获取可用Bot列表', {
+            type: 'bot_list_request',
+            requestId: requestId,
+            userId: req.userId,
+            botCount: bots.length
+        });
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            bots: bots
+        });
+    } catch (error) {
+        logger.error('获取可用Bot列表失败', {
+            type: 'bot_list_error',
+            requestId: requestId,
+            userId: req.userId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: error.message
+        });
+    }
+});
+
 // 获取Bot信息，包括开场白和预置问题
-router.get('/bot/info', requireLogin, async (req, res) => {
+router.get('/bot/info', requireLogin, validateBotQuery, requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
 
     try {
+        const bot = await resolveRequestBot(req, res, req.query.botId, requestId);
+        if (!bot) {
+            return;
+        }
+
         logger.info('获取Bot信息请求', {
             type: 'bot_info_request',
             requestId: requestId,
@@ -315,12 +328,8 @@ router.get('/bot/info', requireLogin, async (req, res) => {
             timestamp: new Date().toISOString()
         });
 
-        // 生成JWT令牌并交换访问令牌
-        const tokenData = await jwtService.generateUserToken(req.userId);
-        const cozeAccessToken = tokenData.access_token;
-
         // 调用ChatService获取Bot信息，传递访问令牌
-        const botInfo = await chatService.getBotInfo(req.query.botId, cozeAccessToken);
+        const botInfo = await req.withCozeToken((accessToken) => chatService.getBotInfo(bot.botId, accessToken));
         
         logger.info('Bot信息获取成功', {
             type: 'bot_info_success',
@@ -371,7 +380,7 @@ router.get('/bot/info', requireLogin, async (req, res) => {
 });
 
 // 与Coze API通信 - GET方式用于EventSource SSE连接
-router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, res) => {
+router.get('/chat', requireLogin, validateChatRequest, rateLimit('chat', { countMessage: true }), requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
     
     try {
@@ -382,42 +391,41 @@ router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, re
             inputs: req.query.inputs ? JSON.parse(req.query.inputs) : {},
             response_mode: req.query.response_mode || 'streaming',
             conversation_id: req.query.conversation_id,
-            searchMode: req.query.searchMode
+            searchMode: req.query.searchMode,
+            attachments: req.query.attachments || [],
+            botId: req.query.botId
         };
 
         const userId = req.userId; // 从企微鉴权获取的用户ID
 
-        // 为用户生成Coze API访问令牌
-        let cozeAccessToken;
-        try {
-            const tokenData = await jwtService.generateUserToken(userId);
-            cozeAccessToken = tokenData.access_token;
+        // 校验成员是否有权使用请求的Bot
+        const bot = await resolveRequestBot(req, res, requestData.botId, requestId);
+        if (!bot) {
+            return;
+        }
+        requestData.botId = bot.botId;
 
-            logger.info('为用户生成Coze API令牌成功', {
-                type: 'coze_token_generated_for_chat',
-                requestId: requestId,
-                userId: userId,
-                access_token: cozeAccessToken,  // 打印完整的access token
-                tokenType: tokenData.token_type,
-                expiresIn: tokenData.expires_in
-            });
-        } catch (tokenError) {
-            logger.error('为用户生成Coze API令牌失败', {
-                type: 'coze_token_generation_failed',
-                requestId: requestId,
-                userId: userId,
-                error: tokenError.message
-            });
+        const cozeAccessToken = req.cozeAccessToken;
 
-            return res.status(500).json({
-                error: '服务暂时不可用',
-                code: 'TOKEN_GENERATION_FAILED',
-                message: '请稍后重试'
-            });
+        // 提交交互卡片：按卡片定义校验字段值，以摘要和结构化代码块作为本轮提问
+        if (req.query.card_response) {
+            try {
+                const submission = cardService.submit(userId, requestData.conversation_id, req.query.card_response, requestId);
+                requestData.query = submission.query;
+            } catch (error) {
+                if (!CARD_ERROR_STATUS[error.code]) {
+                    throw error;
+                }
+                return res.status(CARD_ERROR_STATUS[error.code]).json({
+                    error: error.message,
+                    code: error.code,
+                    details: error.details
+                });
+            }
         }
 
         // 验证请求数据
-        if (!requestData.query) {
+        if (!requestData.query && !(requestData.attachments && requestData.attachments.length > 0)) {
             logger.warn('聊天请求缺少必要参数', {
                 type: 'chat_request_validation_error',
                 requestId: requestId,
@@ -427,49 +435,8 @@ router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, re
             return res.status(400).json({error: '缺少必要参数'});
         }
 
-        // ========== 外部Token处理逻辑（按需获取）==========
-        // 检测是否为工作证明请求
-        const isWorkProof = isWorkProofRequest(requestData.query);
-
-        if (isWorkProof) {
-            logger.info('[API] 检测到工作证明请求，获取外部Token', {
-                userId,
-                query: requestData.query.substring(0, 50) + '...'
-            });
-
-            try {
-                // 实时获取外部token（不使用缓存）
-                const externalToken = await externalTokenService.acquireToken(userId);
-
-                if (externalToken) {
-                    logger.info('[API] 外部Token获取成功，设置到Bot变量', { userId });
-
-                    // 直接设置到Bot变量
-                    await cozeSDKAdapter.setBotVariables(
-                        cozeSDKAdapter.botConfig.botId,
-                        [{ keyword: 'token', value: externalToken }],
-                        userId,
-                        cozeAccessToken
-                    );
-
-                    logger.info('[API] 外部Token已设置到Bot变量', { userId });
-                } else {
-                    logger.warn('[API] 外部Token获取失败，工作证明功能可能受影响', { userId });
-                }
-            } catch (tokenError) {
-                // Token获取/设置失败不阻断聊天流程
-                logger.error('[API] 处理外部Token异常，继续聊天流程', {
-                    userId,
-                    error: tokenError.message
-                });
-            }
-        } else {
-            logger.debug('[API] 非工作证明请求，跳过外部Token获取', {
-                userId,
-                query: requestData.query.substring(0, 50) + '...'
-            });
-        }
-        // ========== 外部Token处理结束 ==========
+        // 意图路由：按规则注入外部凭证（如工作证明所需的OA凭证）、切换Bot或强制搜索模式
+        await chatService.applyIntentRouting(requestData, userId, cozeAccessToken, req.userInfo);
 
         logger.info('收到Coze聊天请求 (GET/SSE)', {
             type: 'chat_request_received_sse',
@@ -477,6 +444,7 @@ router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, re
             query: requestData.query?.substring(0, 100) + (requestData.query?.length > 100 ? '...' : ''),
             queryLength: requestData.query?.length || 0,
             userId: userId,
+            botId: requestData.botId,
             conversation_id: requestData.conversation_id || '新会话'
         });
 
@@ -507,7 +475,7 @@ router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, re
                 
                 // 如果有 follow-up questions，先作为单独的 message 事件发送
                 if (response.followUpQuestions && response.followUpQuestions.length > 0) {
-                    console.log('[API] 发送包含 follow-up questions 的 message 事件');
+                    logger.debug('[API] 发送包含 follow-up questions 的 message 事件');
                     sseProcessor.sendMessage('message', {
                         event: 'message',
                         answer: response.answer,
@@ -556,17 +524,8 @@ router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, re
             }
         };
 
-        // 处理客户端断开连接
-        req.on('close', () => {
-            logger.info('客户端断开连接', {
-                type: 'client_disconnect',
-                requestId: requestId,
-                userId: userId
-            });
-            setTimeout(() => {
-                sseProcessor.end();
-            }, 1000);
-        });
+        // 客户端断开连接（关闭页面、点击停止）时取消Coze对话，SSE处理器随响应关闭自动结束
+        const signal = createDisconnectSignal(res, requestId, userId);
 
         // 处理客户端错误
         req.on('error', (error) => {
@@ -589,7 +548,7 @@ router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, re
         });
 
         // 使用Coze专用ChatService发送消息
-        await chatService.sendMessage(requestData, userId, callbacks, cozeAccessToken);
+        await chatService.sendMessage(requestData, userId, callbacks, cozeAccessToken, { signal });
 
     } catch (error) {
         logger.error('Coze聊天请求失败', {
@@ -631,44 +590,24 @@ router.get('/chat', rateLimit, requireLogin, validateChatRequest, async (req, re
 });
 
 // 与Coze API通信 - POST方式保持向后兼容
-router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (req, res) => {
+router.post('/chat', requireLogin, validateChatPostRequest, rateLimit('chat', { countMessage: true }), requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
     
     try {
         const requestData = req.body;
         const userId = req.userId; // 从企微鉴权获取的用户ID
 
-        // 为用户生成Coze API访问令牌
-        let cozeAccessToken;
-        try {
-            const tokenData = await jwtService.generateUserToken(userId);
-            cozeAccessToken = tokenData.access_token;
-
-            logger.info('为用户生成Coze API令牌成功', {
-                type: 'coze_token_generated_for_chat',
-                requestId: requestId,
-                userId: userId,
-                access_token: cozeAccessToken,  // 打印完整的access token
-                tokenType: tokenData.token_type,
-                expiresIn: tokenData.expires_in
-            });
-        } catch (tokenError) {
-            logger.error('为用户生成Coze API令牌失败', {
-                type: 'coze_token_generation_failed',
-                requestId: requestId,
-                userId: userId,
-                error: tokenError.message
-            });
-
-            return res.status(500).json({
-                error: '服务暂时不可用',
-                code: 'TOKEN_GENERATION_FAILED',
-                message: '请稍后重试'
-            });
+        // 校验成员是否有权使用请求的Bot
+        const bot = await resolveRequestBot(req, res, requestData.botId, requestId);
+        if (!bot) {
+            return;
         }
+        requestData.botId = bot.botId;
+
+        const cozeAccessToken = req.cozeAccessToken;
 
         // 验证请求数据
-        if (!requestData.query) {
+        if (!requestData.query && !(requestData.attachments && requestData.attachments.length > 0)) {
             logger.warn('聊天请求缺少必要参数', {
                 type: 'chat_request_validation_error',
                 requestId: requestId,
@@ -678,49 +617,8 @@ router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (re
             return res.status(400).json({error: '缺少必要参数'});
         }
 
-        // ========== 外部Token处理逻辑（按需获取）==========
-        // 检测是否为工作证明请求
-        const isWorkProof = isWorkProofRequest(requestData.query);
-
-        if (isWorkProof) {
-            logger.info('[API] 检测到工作证明请求，获取外部Token', {
-                userId,
-                query: requestData.query.substring(0, 50) + '...'
-            });
-
-            try {
-                // 实时获取外部token（不使用缓存）
-                const externalToken = await externalTokenService.acquireToken(userId);
-
-                if (externalToken) {
-                    logger.info('[API] 外部Token获取成功，设置到Bot变量', { userId });
-
-                    // 直接设置到Bot变量
-                    await cozeSDKAdapter.setBotVariables(
-                        cozeSDKAdapter.botConfig.botId,
-                        [{ keyword: 'token', value: externalToken }],
-                        userId,
-                        cozeAccessToken
-                    );
-
-                    logger.info('[API] 外部Token已设置到Bot变量', { userId });
-                } else {
-                    logger.warn('[API] 外部Token获取失败，工作证明功能可能受影响', { userId });
-                }
-            } catch (tokenError) {
-                // Token获取/设置失败不阻断聊天流程
-                logger.error('[API] 处理外部Token异常，继续聊天流程', {
-                    userId,
-                    error: tokenError.message
-                });
-            }
-        } else {
-            logger.debug('[API] 非工作证明请求，跳过外部Token获取', {
-                userId,
-                query: requestData.query.substring(0, 50) + '...'
-            });
-        }
-        // ========== 外部Token处理结束 ==========
+        // 意图路由：按规则注入外部凭证（如工作证明所需的OA凭证）、切换Bot或强制搜索模式
+        await chatService.applyIntentRouting(requestData, userId, cozeAccessToken, req.userInfo);
 
         logger.info('收到Coze聊天请求', {
             type: 'chat_request_received',
@@ -728,6 +626,7 @@ router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (re
             query: requestData.query?.substring(0, 100) + (requestData.query?.length > 100 ? '...' : ''),
             queryLength: requestData.query?.length || 0,
             userId: userId,
+            botId: requestData.botId,
             conversation_id: requestData.conversation_id || '新会话'
         });
 
@@ -747,13 +646,13 @@ router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (re
                     event: response.event,
                     hasAnswer: !!response.answer
                 });
-                console.log('[API] 准备发送SSE消息:', {
+                logger.debug('[API] 准备发送SSE消息:', {
                     event: response.event,
                     hasAnswer: !!response.answer,
                     answerLength: response.answer?.length || 0
                 });
                 sseProcessor.sendMessage(response.event, response);
-                console.log('[API] SSE消息已发送');
+                logger.debug('[API] SSE消息已发送');
             },
             
             onEnd: async (response) => {
@@ -768,7 +667,7 @@ router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (re
                 
                 // 如果有 follow-up questions，先作为单独的 message 事件发送
                 if (response.followUpQuestions && response.followUpQuestions.length > 0) {
-                    console.log('[API POST] 发送包含 follow-up questions 的 message 事件');
+                    logger.debug('[API POST] 发送包含 follow-up questions 的 message 事件');
                     sseProcessor.sendMessage('message', {
                         event: 'message',
                         answer: response.answer,
@@ -799,18 +698,8 @@ router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (re
             }
         };
 
-        // 处理客户端断开连接
-        req.on('close', () => {
-            logger.info('客户端断开连接', {
-                type: 'client_disconnect',
-                requestId: requestId,
-                userId: userId
-            });
-            // 不要立即结束SSE处理器，给一些时间让正在进行的请求完成
-            setTimeout(() => {
-                sseProcessor.end();
-            }, 1000);
-        });
+        // 客户端断开连接时取消Coze对话，SSE处理器随响应关闭自动结束
+        const signal = createDisconnectSignal(res, requestId, userId);
 
         // 处理客户端错误
         req.on('error', (error) => {
@@ -833,7 +722,7 @@ router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (re
         });
 
         // 使用Coze专用ChatService发送消息
-        await chatService.sendMessage(requestData, userId, callbacks, cozeAccessToken);
+        await chatService.sendMessage(requestData, userId, callbacks, cozeAccessToken, { signal });
 
     } catch (error) {
         logger.error('Coze聊天请求失败', {
@@ -876,164 +765,261 @@ router.post('/chat', rateLimit, requireLogin, validateChatPostRequest, async (re
     }
 });
 
-// 重新加载适配器端点（开发环境使用）
-router.post('/reload-adapter', requireLogin, async (_req, res) => {
+/**
+ * 停止生成：取消进行中的Coze对话，已生成的部分回答保留
+ * POST /api/chat/:chatId/cancel
+ */
+router.post('/chat/:chatId/cancel', requireLogin, validateChatId, async (req, res) => {
+    const requestId = logger.generateRequestId();
+    const chatId = req.params.chatId;
+
     try {
-        const result = chatService.reloadAdapter();
+        const canceled = await chatService.cancelChat(chatId, req.userId, 'user_stop');
+
+        if (!canceled) {
+            return res.status(404).json({
+                status: 'error',
+                timestamp: new Date().toISOString(),
+                requestId: requestId,
+                error: '对话不存在或已结束',
+                code: 'CHAT_NOT_FOUND'
+            });
+        }
+
         res.json({
-            success: result,
-            message: result ? '适配器重新加载成功' : '适配器重新加载失败',
-            timestamp: new Date().toISOString()
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            chatId: chatId
         });
     } catch (error) {
+        logger.error('停止生成失败', {
+            type: 'chat_cancel_request_error',
+            requestId: requestId,
+            userId: req.userId,
+            chatId: chatId,
+            error: error.message
+        });
+
         res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: error.message || '停止生成失败'
         });
     }
 });
 
-// 语音转文字接口（使用Coze服务）
-router.post('/audio-to-text', requireLogin, upload.single('file'), async (req, res) => {
+// 语音转文字接口（服务商见 config/speech.js，失败时自动降级）
+router.post('/audio-to-text', requireLogin, rateLimit('speech'), requireCozeToken, upload.single('file'), async (req, res) => {
     const requestId = logger.generateRequestId();
-    
+
     try {
         const userId = req.userId; // 从企微鉴权获取的用户ID
-        const fileBuffer = req.file.buffer;
-        const fileName = req.file.originalname;
-
-        // 添加更详细的请求日志
-        logger.info('收到Coze语音转文字请求', {
-            type: 'coze_speech_to_text_request',
-            requestId: requestId,
-            userId: userId,
-            fileName: fileName,
-            mimetype: req.file.mimetype,
-            size: req.file.size,
-            hasAuthHeader: !!req.headers.authorization,
-            authHeader: req.headers.authorization ? req.headers.authorization.substring(0, 20) + '...' : 'none'
-        });
 
         // 验证音频文件
-        if (!fileBuffer || fileBuffer.length === 0) {
+        if (!req.file || !req.file.buffer || req.file.buffer.length === 0) {
             logger.warn('音频文件验证失败', {
                 type: 'speech_validation_error',
                 requestId: requestId,
                 userId: userId,
                 issue: 'empty_file'
             });
-            return res.status(400).json({ 
+            return res.status(400).json({
                 error: '音频文件为空或无效',
                 requestId: requestId
             });
         }
 
-        // 准备语音转文字选项
-        const options = {
-            format: req.file.mimetype,
-            filename: fileName,
-            contentType: req.file.mimetype,
-            language: 'zh-CN' // 默认中文
-        };
-
-        // 生成JWT令牌并交换访问令牌
-        const tokenData = await jwtService.generateUserToken(userId);
-        const cozeAccessToken = tokenData.access_token;
+        logger.info('收到语音转文字请求', {
+            type: 'speech_to_text_request',
+            requestId: requestId,
+            userId: userId,
+            fileName: req.file.originalname,
+            mimetype: req.file.mimetype,
+            size: req.file.size
+        });
 
-        // 使用Coze专用ChatService进行语音转文字，传递访问令牌
-        const result = await chatService.convertSpeechToText(fileBuffer, options, cozeAccessToken);
+        const result = await req.withCozeToken((accessToken) => speechService.transcribe(req.file.buffer, {
+            format: req.file.mimetype || req.file.originalname.split('.').pop(),
+            language: 'zh-CN', // 默认中文
+            accessToken: accessToken,
+            userId: userId,
+            requestId: requestId
+        }));
 
-        if (result.success) {
-            logger.info('Coze语音转文字成功', {
-                type: 'coze_speech_to_text_success',
-                requestId: requestId,
-                userId: userId,
-                textLength: result.text ? result.text.length : 0,
-                confidence: result.confidence || 0
-            });
-            
-            res.json({ 
-                text: result.text || '',
-                confidence: result.confidence || 0,
-                language: result.language || 'zh-CN',
-                provider: 'coze',
-                requestId: requestId
-            });
-        } else {
-            logger.error('Coze语音转文字失败', {
-                type: 'coze_speech_to_text_error',
-                requestId: requestId,
-                userId: userId,
-                error: result.error
-            });
-            
-            res.status(500).json({ 
-                error: '语音转文字失败', 
-                message: result.error,
-                provider: 'coze',
-                requestId: requestId
-            });
-        }
+        res.json({
+            text: result.text || '',
+            confidence: result.confidence || 0,
+            language: result.language,
+            provider: result.provider,
+            requestId: requestId
+        });
     } catch (err) {
-        logger.error('Coze语音转文字异常', {
-            type: 'coze_speech_to_text_exception',
+        logger.error('语音转文字失败', {
+            type: 'speech_to_text_error',
             requestId: requestId,
             userId: req.userId,
-            error: err.message,
-            stack: err.stack
+            error: err.message
         });
-        
-        res.status(500).json({ 
-            error: '语音转文字失败', 
+
+        res.status(500).json({
+            error: '语音转文字失败',
             message: err.message,
-            provider: 'coze',
             requestId: requestId
         });
     }
 });
 
 /**
- * 健康检查端点
- * GET /api/health
+ * 朗读Bot回答（服务商见 config/tts.js，失败时自动降级）
+ * POST /api/text-to-speech
+ * body: { text: 消息的纯文本内容, messageId: 消息ID（按消息缓存音频） }
+ * 返回 mp3 音频
  */
-router.get('/health', async (_req, res) => {
+router.post('/text-to-speech', requireLogin, validateTextToSpeech, rateLimit('tts'), requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
-    const startTime = Date.now();
-    
+
     try {
-        logger.debug('执行健康检查', {
-            type: 'health_check_start',
+        const result = await req.withCozeToken((accessToken) => ttsService.synthesize(req.body.text, {
+            userId: req.userId,
+            messageId: req.body.messageId,
+            accessToken: accessToken,
+            requestId: requestId
+        }));
+
+        res.set({
+            'Content-Type': 'audio/mpeg',
+            'Content-Length': result.audio.length,
+            'Cache-Control': 'private, max-age=86400',
+            'X-TTS-Provider': result.provider,
+            'X-TTS-Cache': result.cached ? 'hit' : 'miss'
+        });
+        res.send(result.audio);
+    } catch (error) {
+        const status = error.code === 'TTS_UNAVAILABLE' ? 503 : error.code === 'TTS_EMPTY_TEXT' ? 400 : 500;
+
+        logger[status === 500 ? 'error' : 'warn']('语音朗读失败', {
+            type: 'tts_error',
             requestId: requestId,
-            timestamp: new Date().toISOString()
+            userId: req.userId,
+            messageId: req.body.messageId,
+            error: error.message
         });
-        
-        // 获取各个组件的健康状态
-        const [chatServiceHealth, retryHandlerHealth] = await Promise.allSettled([
-            chatService.getHealthStatus(),
-            Promise.resolve(retryHandler.getHealthStatus())
-        ]);
 
-        // 处理健康检查结果
-        const services = {
-            chat: chatServiceHealth.status === 'fulfilled' ? chatServiceHealth.value : {
-                status: 'unhealthy',
-                error: chatServiceHealth.reason?.message || 'Unknown error'
-            },
-            retryHandler: retryHandlerHealth.status === 'fulfilled' ? retryHandlerHealth.value : {
-                status: 'unhealthy',
-                error: retryHandlerHealth.reason?.message || 'Unknown error'
-            }
-        };
+        res.status(status).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: status === 500 ? '语音朗读失败，请稍后重试' : error.message,
+            code: error.code
+        });
+    }
+});
 
-        // 确定整体状态
-        const serviceStatuses = Object.values(services).map(s => s.status);
-        let overallStatus = 'ok';
-        
-        if (serviceStatuses.includes('unhealthy')) {
-            overallStatus = 'error';
-        } else if (serviceStatuses.includes('degraded')) {
-            overallStatus = 'degraded';
+/**
+ * 上传聊天附件到Coze（图片、PDF、Office文档）
+ * POST /api/files
+ * 返回的 fileId 随后在聊天请求的 attachments 中引用
+ */
+router.post('/files', requireLogin, rateLimit('upload'), requireCozeToken, validateAttachmentUpload, async (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const userId = req.userId;
+        // multer 按 latin1 解析文件名，中文文件名需转回 utf8
+        const fileName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+        logger.info('收到附件上传请求', {
+            type: 'attachment_upload_request',
+            requestId: requestId,
+            userId: userId,
+            fileName: fileName,
+            mimetype: req.file.mimetype,
+            size: req.file.size
+        });
+
+        const result = await req.withCozeToken((accessToken) => chatService.adapter.uploadFile(req.file.buffer, {
+            filename: fileName,
+            contentType: req.file.mimetype
+        }, accessToken));
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            file: {
+                fileId: result.fileId,
+                name: fileName,
+                size: req.file.size,
+                mimetype: req.file.mimetype,
+                type: req.file.attachmentType
+            }
+        });
+    } catch (error) {
+        logger.error('附件上传失败', {
+            type: 'attachment_upload_error',
+            requestId: requestId,
+            userId: req.userId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: '附件上传失败',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * 健康检查端点
+ * GET /api/health
+ */
+router.get('/health', async (_req, res) => {
+    const requestId = logger.generateRequestId();
+    const startTime = Date.now();
+    
+    try {
+        logger.debug('执行健康检查', {
+            type: 'health_check_start',
+            requestId: requestId,
+            timestamp: new Date().toISOString()
+        });
+        
+        // 获取各个组件的健康状态
+        const [chatServiceHealth, retryHandlerHealth, rateLimiterHealth] = await Promise.allSettled([
+            chatService.getHealthStatus(),
+            Promise.resolve(retryHandler.getHealthStatus()),
+            Promise.resolve(rateLimiter.getHealthStatus())
+        ]);
+
+        // 处理健康检查结果
+        const services = {
+            chat: chatServiceHealth.status === 'fulfilled' ? chatServiceHealth.value : {
+                status: 'unhealthy',
+                error: chatServiceHealth.reason?.message || 'Unknown error'
+            },
+            retryHandler: retryHandlerHealth.status === 'fulfilled' ? retryHandlerHealth.value : {
+                status: 'unhealthy',
+                error: retryHandlerHealth.reason?.message || 'Unknown error'
+            },
+            rateLimiter: rateLimiterHealth.status === 'fulfilled' ? rateLimiterHealth.value : {
+                status: 'unhealthy',
+                error: rateLimiterHealth.reason?.message || 'Unknown error'
+            }
+        };
+
+        // 确定整体状态
+        const serviceStatuses = Object.values(services).map(s => s.status);
+        let overallStatus = 'ok';
+        
+        if (serviceStatuses.includes('unhealthy')) {
+            overallStatus = 'error';
+        } else if (serviceStatuses.includes('degraded')) {
+            overallStatus = 'degraded';
         }
 
         const duration = Date.now() - startTime;
@@ -1091,141 +1077,11 @@ router.get('/health', async (_req, res) => {
 });
 
 
-/**
- * 错误监控端点
- * GET /api/errors
- */
-router.get('/errors', (_req, res) => {
-    const requestId = logger.generateRequestId();
-    
-    try {
-        logger.debug('获取错误监控信息', {
-            type: 'error_monitoring_request',
-            requestId: requestId,
-            timestamp: new Date().toISOString()
-        });
-        
-        const metrics = logger.getMetrics();
-        const retryStatus = retryHandler.getHealthStatus();
-        
-        // 构建错误监控响应
-        const errorResponse = {
-            status: 'ok',
-            timestamp: new Date().toISOString(),
-            requestId: requestId,
-            errorMetrics: {
-                totalApiCalls: metrics.apiCalls,
-                totalApiErrors: metrics.apiErrors,
-                errorRate: metrics.errorRate,
-                averageResponseTime: metrics.averageResponseTime
-            },
-            retryHandler: retryStatus,
-            recommendations: []
-        };
-
-        // 添加建议
-        if (parseFloat(metrics.errorRate) > 10) {
-            errorResponse.recommendations.push('错误率过高，建议检查API配置和网络连接');
-        }
-        
-        if (metrics.averageResponseTime > 5000) {
-            errorResponse.recommendations.push('平均响应时间过长，建议优化API调用或增加超时设置');
-        }
-        
-        if (retryStatus.status === 'degraded') {
-            errorResponse.recommendations.push('重试处理器状态异常，建议检查服务健康状态');
-        }
-        
-        logger.logBusinessEvent('error_monitoring_accessed', {
-            requestId: requestId,
-            errorRate: metrics.errorRate,
-            recommendationCount: errorResponse.recommendations.length
-        });
-        
-        res.json(errorResponse);
-        
-    } catch (error) {
-        logger.error('获取错误监控信息失败', {
-            type: 'error_monitoring_error',
-            requestId: requestId,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-        
-        res.status(500).json({
-            status: 'error',
-            timestamp: new Date().toISOString(),
-            requestId: requestId,
-            error: error.message
-        });
-    }
-});
-
-/**
- * 日志级别控制端点
- * POST /api/log-level
- */
-router.post('/log-level', (req, res) => {
-    const requestId = logger.generateRequestId();
-    
-    try {
-        const { level } = req.body;
-        
-        if (!level || !['error', 'warn', 'info', 'debug'].includes(level)) {
-            return res.status(400).json({
-                status: 'error',
-                timestamp: new Date().toISOString(),
-                requestId: requestId,
-                error: '无效的日志级别，支持: error, warn, info, debug'
-            });
-        }
-        
-        const oldLevel = logger.logLevel;
-        logger.logLevel = level;
-        
-        logger.info('日志级别已更新', {
-            type: 'log_level_changed',
-            requestId: requestId,
-            oldLevel: oldLevel,
-            newLevel: level,
-            timestamp: new Date().toISOString()
-        });
-        
-        res.json({
-            status: 'ok',
-            timestamp: new Date().toISOString(),
-            requestId: requestId,
-            message: `日志级别已从 ${oldLevel} 更新为 ${level}`,
-            oldLevel: oldLevel,
-            newLevel: level
-        });
-        
-    } catch (error) {
-        logger.error('更新日志级别失败', {
-            type: 'log_level_error',
-            requestId: requestId,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-        
-        res.status(500).json({
-            status: 'error',
-            timestamp: new Date().toISOString(),
-            requestId: requestId,
-            error: error.message
-        });
-    }
-});
-
-
-
-
-
 /**
  * 获取用户会话列表 - 调用 Coze API
  * GET /api/conversations
  */
-router.get('/conversations', requireLogin, async (req, res) => {
+router.get('/conversations', requireLogin, validateBotQuery, rateLimit('history'), requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
 
     try {
@@ -1233,45 +1089,32 @@ router.get('/conversations', requireLogin, async (req, res) => {
         const pageSize = parseInt(req.query.limit) || 50;
         const pageNum = parseInt(req.query.page) || 1;
 
+        const bot = await resolveRequestBot(req, res, req.query.botId, requestId);
+        if (!bot) {
+            return;
+        }
+
         logger.info('获取用户会话列表', {
             type: 'get_user_conversations_request',
             requestId: requestId,
             userId: userId,
+            botId: bot.botId,
             pageSize: pageSize,
             pageNum: pageNum
         });
 
-        // 生成用户的 Coze API 访问令牌
-        let cozeAccessToken;
-        try {
-            const tokenData = await jwtService.generateUserToken(userId);
-            cozeAccessToken = tokenData.access_token;
-        } catch (tokenError) {
-            logger.error('生成Coze API令牌失败', {
-                type: 'token_generation_failed',
-                requestId: requestId,
-                userId: userId,
-                error: tokenError.message
-            });
-            return res.status(500).json({
-                status: 'error',
-                error: '服务暂时不可用',
-                code: 'TOKEN_GENERATION_FAILED',
-                message: '请稍后重试'
-            });
-        }
-
         // 调用 cozeSDKAdapter 获取会话列表
         const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
-        const result = await cozeSDKAdapter.getConversationList(
-            null, // 使用默认 botId
+        const result = await req.withCozeToken((accessToken) => cozeSDKAdapter.getConversationList(
+            bot.botId,
             {
                 pageSize: pageSize,
                 pageNum: pageNum,
                 sortOrder: 'DESC' // 最新的在前
             },
-            cozeAccessToken
-        );
+            accessToken
+        ));
+        const cozeAccessToken = req.cozeAccessToken;
 
         if (result.success) {
             logger.info('会话列表获取成功', {
@@ -1328,6 +1171,7 @@ router.get('/conversations', requireLogin, async (req, res) => {
                 timestamp: new Date().toISOString(),
                 requestId: requestId,
                 userId: userId,
+                botId: bot.botId,
                 count: conversations.length,
                 conversations: conversations,
                 hasMore: result.hasMore
@@ -1411,12 +1255,72 @@ router.get('/conversations/:conversationId/messages', requireLogin, (req, res) =
     }
 });
 
+/**
+ * 搜索当前成员所有会话中的消息内容
+ * GET /api/search?q=关键词&limit=20
+ * 多个关键词用空格分隔，需同时命中；首次搜索时在后台补录最近会话的历史消息，
+ * 补录期间 indexing 为 true，结果可能不完整
+ */
+router.get('/search', requireLogin, validateSearchQuery, rateLimit('history'), requireCozeToken, async (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const userId = req.userId;
+        const query = req.query.q;
+        const limit = parseInt(req.query.limit) || 20;
+
+        // 只搜索成员当前有权使用的Bot的会话
+        const bots = await botRegistry.getAccessibleBots(userId, req.userInfo);
+        const botIds = bots.map(bot => bot.botId);
+
+        messageSearchIndex.backfill(userId, botIds, req.cozeAccessToken);
+
+        const { results, total } = messageSearchIndex.search(userId, query, {
+            limit: limit,
+            botIds: botIds
+        });
+
+        logger.info('搜索消息', {
+            type: 'message_search',
+            requestId: requestId,
+            userId: userId,
+            queryLength: query.length,
+            resultCount: results.length,
+            total: total
+        });
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            query: query,
+            results: results,
+            total: total,
+            indexing: messageSearchIndex.isBackfilling(userId)
+        });
+    } catch (error) {
+        logger.error('搜索消息失败', {
+            type: 'message_search_error',
+            requestId: requestId,
+            userId: req.userId,
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: '搜索失败，请稍后重试'
+        });
+    }
+});
+
 /**
  * 获取会话历史消息（分页）
  * GET /api/conversations/:conversationId/history
  * Query params: afterId, limit
  */
-router.get('/conversations/:conversationId/history', requireLogin, async (req, res) => {
+router.get('/conversations/:conversationId/history', requireLogin, rateLimit('history'), requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
 
     try {
@@ -1434,108 +1338,27 @@ router.get('/conversations/:conversationId/history', requireLogin, async (req, r
             limit: limit
         });
 
-        // 为用户生成Coze API访问令牌
-        let cozeAccessToken;
-        try {
-            const tokenData = await jwtService.generateUserToken(userId);
-            cozeAccessToken = tokenData.access_token;
-        } catch (tokenError) {
-            logger.error('生成Coze API令牌失败', {
-                type: 'token_generation_failed',
-                requestId: requestId,
-                userId: userId,
-                error: tokenError.message
-            });
-            return res.status(500).json({
-                error: '服务暂时不可用',
-                code: 'TOKEN_GENERATION_FAILED',
-                message: '请稍后重试'
-            });
-        }
-
         // 获取历史消息
         const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
-        const messagesResult = await cozeSDKAdapter.getConversationMessages(
+        const messagesResult = await req.withCozeToken((accessToken) => cozeSDKAdapter.getConversationMessages(
             conversationId,
             {
                 order: 'desc',
                 afterId: afterId,  // 使用 afterId 获取更旧的消息
                 limit: limit
             },
-            cozeAccessToken
-        );
+            accessToken
+        ));
 
         if (messagesResult.success) {
             // 反转消息数组，使其按时间升序
             const messages = messagesResult.data.reverse();
 
-            // 过滤消息，只保留有效内容
-            const filteredMessages = messages.filter(msg => {
-                // 严格只保留 question 和 answer 类型的消息
-                const messageType = msg.type || (msg.role === 'user' ? 'question' : 'answer');
-                if (messageType !== 'question' && messageType !== 'answer') {
-                    return false;
-                }
-
-                // 过滤 assistant 的中间状态消息
-                if (msg.role === 'assistant' && msg.content) {
-                    const content = msg.content.trim();
-
-                    // 过滤空内容
-                    if (!content) {
-                        return false;
-                    }
-
-                    // 更全面的中间状态消息模式匹配
-                    const intermediatePatterns = [
-                        '正在思考中',
-                        '正在为你搜索',
-                        '正在处理',
-                        '正在生成',
-                        '思考中...',
-                        '搜索中...',
-                        '处理中...',
-                        'thinking',
-                        'searching',
-                        'processing'
-                    ];
-
-                    if (intermediatePatterns.some(pattern => content.includes(pattern))) {
-                        return false;
-                    }
-                }
-
-                return true;
-            });
-
-            // 去重：如果多个 assistant 消息内容完全相同，只保留最后一条（最新的）
-            const assistantMessagesByContent = new Map(); // content -> { message, originalIndex }
-
-            filteredMessages.forEach((msg, index) => {
-                if (msg.role === 'assistant') {
-                    const contentKey = msg.content.trim();
-                    // 记录每个内容的最新消息和索引
-                    if (!assistantMessagesByContent.has(contentKey) ||
-                        assistantMessagesByContent.get(contentKey).originalIndex < index) {
-                        assistantMessagesByContent.set(contentKey, { message: msg, originalIndex: index });
-                    }
-                }
-            });
+            // 过滤中间状态消息并去重
+            const finalMessages = filterDisplayMessages(messages);
 
-            // 构建最终消息列表，保持原始顺序
-            const finalMessages = [];
-            filteredMessages.forEach((msg, index) => {
-                if (msg.role === 'user') {
-                    finalMessages.push(msg);
-                } else if (msg.role === 'assistant') {
-                    const contentKey = msg.content.trim();
-                    const latestEntry = assistantMessagesByContent.get(contentKey);
-                    // 只有当前消息是该内容的最新版本时才添加
-                    if (latestEntry && latestEntry.originalIndex === index) {
-                        finalMessages.push(msg);
-                    }
-                }
-            });
+            // 顺带写入消息搜索索引
+            messageSearchIndex.indexCozeMessages(userId, conversationId, finalMessages);
 
             // 获取正确的firstId：去重后数组的第一条消息（最早的消息）
             const correctFirstId = finalMessages.length > 0 ? finalMessages[0].id : null;
@@ -1545,7 +1368,6 @@ router.get('/conversations/:conversationId/history', requireLogin, async (req, r
                 requestId: requestId,
                 conversationId: conversationId,
                 originalCount: messages.length,
-                filteredCount: filteredMessages.length,
                 deduplicatedCount: finalMessages.length,
                 hasMore: messagesResult.hasMore,
                 originalFirstId: messagesResult.firstId,
@@ -1559,14 +1381,14 @@ router.get('/conversations/:conversationId/history', requireLogin, async (req, r
                 messages: finalMessages.map(msg => ({
                     id: msg.id,
                     role: msg.role,
-                    content: msg.content,
+                    ...parseMessageContent(msg),
                     contentType: msg.content_type,
                     createdAt: msg.created_at,
                     type: msg.type || (msg.role === 'user' ? 'question' : 'answer')
                 })),
                 hasMore: messagesResult.hasMore || false,
                 firstId: correctFirstId,  // 使用过滤后的第一条消息ID
-                messageCount: filteredMessages.length
+                messageCount: finalMessages.length
             });
         } else {
             throw new Error('获取消息失败');
@@ -1590,17 +1412,205 @@ router.get('/conversations/:conversationId/history', requireLogin, async (req, r
     }
 });
 
+/**
+ * 导出会话 - 拉取完整历史消息，生成 Markdown / PDF / Word 文件下载
+ * GET /api/conversations/:conversationId/export?format=md|pdf|docx&title=会话标题
+ */
+router.get('/conversations/:conversationId/export', requireLogin, validateExportRequest, rateLimit('export'), requireCozeToken, async (req, res) => {
+    const requestId = logger.generateRequestId();
+    const conversationId = req.params.conversationId;
+    const format = req.query.format || 'md';
+
+    try {
+        logger.info('导出会话', {
+            type: 'conversation_export_request',
+            requestId: requestId,
+            userId: req.userId,
+            conversationId: conversationId,
+            format: format
+        });
+
+        const result = await req.withCozeToken((accessToken) => conversationExporter.exportConversation(
+            conversationId,
+            format,
+            accessToken,
+            { title: req.query.title }
+        ));
+
+        res.set('Content-Type', result.contentType);
+        res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(result.filename)}`);
+        res.set('Cache-Control', 'no-store');
+        res.send(result.body);
+    } catch (error) {
+        logger.error('导出会话失败', {
+            type: 'conversation_export_error',
+            requestId: requestId,
+            userId: req.userId,
+            conversationId: conversationId,
+            format: format,
+            error: error.message
+        });
+
+        // 服务器未安装 pandoc 时只能导出 Markdown
+        if (error.code === 'CONVERTER_UNAVAILABLE') {
+            return res.status(503).json({
+                status: 'error',
+                timestamp: new Date().toISOString(),
+                requestId: requestId,
+                error: '服务器暂不支持导出该格式，请选择 Markdown',
+                code: 'EXPORT_FORMAT_UNAVAILABLE'
+            });
+        }
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: '导出失败，请稍后重试'
+        });
+    }
+});
+
+/**
+ * 分享会话 - 保存当前会话的只读快照，返回分享链接
+ * POST /api/conversations/:conversationId/share
+ * body: { title, expiresInDays: 0|1|7|30, restrictToDepartment }
+ */
+router.post('/conversations/:conversationId/share', requireLogin, validateShareRequest, rateLimit('history'), requireCozeToken, async (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const share = await req.withCozeToken((accessToken) => shareService.createShare(
+            { userId: req.userId, userName: req.userName, userInfo: req.userInfo },
+            req.params.conversationId,
+            accessToken,
+            {
+                title: req.body.title,
+                expiresInDays: parseInt(req.body.expiresInDays) || 0,
+                restrictToDepartment: req.body.restrictToDepartment === true || req.body.restrictToDepartment === 'true'
+            }
+        ));
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            share: share,
+            path: `/share/${share.token}`
+        });
+    } catch (error) {
+        logger.error('创建会话分享失败', {
+            type: 'share_create_error',
+            requestId: requestId,
+            userId: req.userId,
+            conversationId: req.params.conversationId,
+            error: error.message
+        });
+
+        res.status(SHARE_ERROR_STATUS[error.code] || 500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: SHARE_ERROR_STATUS[error.code] ? error.message : '创建分享失败，请稍后重试',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * 获取我创建的分享
+ * GET /api/shares
+ */
+router.get('/shares', requireLogin, (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        requestId: requestId,
+        shares: shareService.listShares(req.userId)
+    });
+});
+
+/**
+ * 查看分享（只读快照），分享页 /share/:token 通过此接口加载内容
+ * GET /api/shares/:token
+ */
+router.get('/shares/:token', requireLogin, validateShareToken, async (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    try {
+        const share = await shareService.viewShare(req.params.token, {
+            userId: req.userId,
+            userInfo: req.userInfo
+        });
+
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            share: share
+        });
+    } catch (error) {
+        if (!SHARE_ERROR_STATUS[error.code]) {
+            logger.error('查看会话分享失败', {
+                type: 'share_view_error',
+                requestId: requestId,
+                userId: req.userId,
+                error: error.message
+            });
+        }
+
+        res.status(SHARE_ERROR_STATUS[error.code] || 500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: SHARE_ERROR_STATUS[error.code] ? error.message : '加载分享失败，请稍后重试',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * 撤销分享
+ * DELETE /api/shares/:token
+ */
+router.delete('/shares/:token', requireLogin, validateShareToken, (req, res) => {
+    const requestId = logger.generateRequestId();
+
+    if (!shareService.revokeShare(req.userId, req.params.token)) {
+        return res.status(404).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            requestId: requestId,
+            error: '分享不存在或已被撤销',
+            code: 'SHARE_NOT_FOUND'
+        });
+    }
+
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        requestId: requestId
+    });
+});
+
 /**
  * 创建新会话 - 调用 Coze API
  * POST /api/conversations
  */
-router.post('/conversations', requireLogin, async (req, res) => {
+router.post('/conversations', requireLogin, validateCreateConversation, requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
 
     try {
         const userId = req.userId;
         const { title } = req.body;
 
+        const bot = await resolveRequestBot(req, res, req.body.botId, requestId);
+        if (!bot) {
+            return;
+        }
+
         // 处理标题：如果为空字符串或null，则不传name参数让Coze决定
         const conversationName = title && title.trim() ? title.trim() : undefined;
 
@@ -1608,39 +1618,22 @@ router.post('/conversations', requireLogin, async (req, res) => {
             type: 'create_conversation_request',
             requestId: requestId,
             userId: userId,
+            botId: bot.botId,
             title: conversationName || '(由Coze生成或首条消息决定)'
         });
 
-        // 生成用户的 Coze API 访问令牌
-        let cozeAccessToken;
-        try {
-            const tokenData = await jwtService.generateUserToken(userId);
-            cozeAccessToken = tokenData.access_token;
-        } catch (tokenError) {
-            logger.error('生成Coze API令牌失败', {
-                type: 'token_generation_failed',
-                requestId: requestId,
-                userId: userId,
-                error: tokenError.message
-            });
-            return res.status(500).json({
-                status: 'error',
-                error: '服务暂时不可用',
-                code: 'TOKEN_GENERATION_FAILED',
-                message: '请稍后重试'
-            });
-        }
-
         // 调用 cozeSDKAdapter 创建会话
         const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
-        const conversationOptions = {};
+        const conversationOptions = {
+            botId: bot.botId
+        };
 
         // 只有当有明确的标题时才传name参数，否则让Coze根据对话内容生成
         if (conversationName) {
             conversationOptions.name = conversationName;
         }
 
-        const result = await cozeSDKAdapter.createConversation(conversationOptions, cozeAccessToken);
+        const result = await req.withCozeToken((accessToken) => cozeSDKAdapter.createConversation(conversationOptions, accessToken));
 
         if (result.success && result.data) {
             logger.info('Coze会话创建成功', {
@@ -1656,6 +1649,7 @@ router.post('/conversations', requireLogin, async (req, res) => {
                 requestId: requestId,
                 conversation: {
                     conversationId: result.data.id,
+                    botId: bot.botId,
                     title: result.data.name || conversationName || '新对话',
                     createdAt: result.data.created_at || Date.now(),
                     messageCount: 0
@@ -1687,7 +1681,7 @@ router.post('/conversations', requireLogin, async (req, res) => {
  * 重命名会话
  * PUT /api/conversations/:conversationId
  */
-router.put('/conversations/:conversationId', requireLogin, async (req, res) => {
+router.put('/conversations/:conversationId', requireLogin, requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
 
     try {
@@ -1725,34 +1719,13 @@ router.put('/conversations/:conversationId', requireLogin, async (req, res) => {
             newName: trimmedName
         });
 
-        // 生成用户的 Coze API 访问令牌
-        let cozeAccessToken;
-        try {
-            const tokenData = await jwtService.generateUserToken(userId);
-            cozeAccessToken = tokenData.access_token;
-        } catch (tokenError) {
-            logger.error('生成Coze API令牌失败', {
-                type: 'token_generation_failed',
-                requestId: requestId,
-                userId: userId,
-                error: tokenError.message
-            });
-            return res.status(500).json({
-                status: 'error',
-                timestamp: new Date().toISOString(),
-                requestId: requestId,
-                error: '服务暂时不可用',
-                code: 'TOKEN_GENERATION_FAILED'
-            });
-        }
-
         // 调用 cozeSDKAdapter 重命名会话
         const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
-        const result = await cozeSDKAdapter.renameConversation(
+        const result = await req.withCozeToken((accessToken) => cozeSDKAdapter.renameConversation(
             conversationId,
             trimmedName,
-            cozeAccessToken
-        );
+            accessToken
+        ));
 
         if (result.success) {
             logger.info('会话重命名成功', {
@@ -1800,7 +1773,7 @@ router.put('/conversations/:conversationId', requireLogin, async (req, res) => {
  * 删除会话 - 调用 Coze API 删除远程会话
  * DELETE /api/conversations/:conversationId
  */
-router.delete('/conversations/:conversationId', requireLogin, async (req, res) => {
+router.delete('/conversations/:conversationId', requireLogin, requireCozeToken, async (req, res) => {
     const requestId = logger.generateRequestId();
 
     try {
@@ -1814,13 +1787,12 @@ router.delete('/conversations/:conversationId', requireLogin, async (req, res) =
             conversationId: conversationId
         });
 
-        // 获取用户的 Coze token
-        const tokenData = await jwtService.generateUserToken(userId);
 
         // 调用 Coze API 删除会话
         const https = require('https');
         const url = new URL(`https://api.coze.cn/v1/conversations/${conversationId}`);
 
+        const cozeAccessToken = req.cozeAccessToken;
         const deleteResponse = await new Promise((resolve, reject) => {
             const req = https.request({
                 hostname: url.hostname,
@@ -1828,7 +1800,7 @@ router.delete('/conversations/:conversationId', requireLogin, async (req, res) =
                 path: url.pathname,
                 method: 'DELETE',
                 headers: {
-                    'Authorization': `Bearer ${tokenData.access_token}`,
+                    'Authorization': `Bearer ${cozeAccessToken}`,
                     'Content-Type': 'application/json'
                 }
             }, (res) => {
@@ -1870,6 +1842,9 @@ router.delete('/conversations/:conversationId', requireLogin, async (req, res) =
         // 清除 chatService 中的会话缓存（使用已创建的实例）
         chatService.clearUserConversationCache(userId);
 
+        // 删除该会话的搜索索引
+        messageSearchIndex.removeConversation(userId, conversationId);
+
         if (deleteResponse.success) {
             logger.info('会话删除成功', {
                 type: 'conversation_deleted',
@@ -1936,211 +1911,85 @@ router.delete('/conversations/:conversationId', requireLogin, async (req, res) =
     }
 });
 
-/**
- * 会话管理状态
- * GET /api/conversations/status
- */
-router.get('/conversations/status', requireLogin, (req, res) => {
+// 提交消息反馈端点（点踩时可附带原因和补充说明，重复提交覆盖之前的反馈）
+router.post('/feedback', requireLogin, requireCozeToken, validateFeedback, async (req, res) => {
     const requestId = logger.generateRequestId();
+    const { conversation_id, message_id, feedback_type, reason_types, comment, bot_id } = req.body;
 
     try {
-        logger.debug('获取会话管理状态', {
-            type: 'conversation_status_request',
-            requestId: requestId,
-            userId: req.userId
+        logger.info('收到消息反馈', {
+            type: 'message_feedback',
+            requestId,
+            userId: req.userId,
+            conversationId: conversation_id,
+            messageId: message_id,
+            feedbackType: feedback_type
         });
 
-        const status = cozeConversationManager.getStatus();
+        const feedback = await feedbackService.submit({
+            userId: req.userId,
+            userName: req.userName
+        }, {
+            conversationId: conversation_id,
+            messageId: message_id,
+            type: feedback_type,
+            reasons: reason_types,
+            comment: comment,
+            botId: bot_id
+        }, req.cozeAccessToken, requestId);
+
+        feedbackTotal.inc({ type: feedback_type });
 
         res.json({
-            status: 'ok',
-            timestamp: new Date().toISOString(),
-            requestId: requestId,
-            conversationManager: status
+            code: 0,
+            msg: '',
+            detail: { requestId },
+            feedback: feedback
         });
 
     } catch (error) {
-        logger.error('获取会话管理状态失败', {
-            type: 'conversation_status_error',
-            requestId: requestId,
-            userId: req.userId,
-            error: error.message
+        logger.error('反馈处理失败', {
+            type: 'feedback_error',
+            requestId,
+            error: error.message,
+            stack: error.stack
         });
 
         res.status(500).json({
-            status: 'error',
-            timestamp: new Date().toISOString(),
-            requestId: requestId,
-            error: error.message
+            code: 500,
+            msg: '反馈处理失败',
+            detail: { requestId }
         });
     }
 });
 
-
-// 简单SSE测试端点
-router.post('/test-sse', requireLogin, async (req, res) => {
-    console.log('[API] 收到SSE测试请求');
-    
-    // 设置SSE头部
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
-    });
-
-    // 立即发送一条测试消息
-    const testMessage = {
-        event: 'message',
-        answer: '这是一条测试消息',
-        conversation_id: 'test-123',
-        user_id: req.userId
-    };
-
-    console.log('[API] 发送测试SSE消息:', testMessage);
-    
-    res.write(`event: message\ndata: ${JSON.stringify(testMessage)}\n\n`);
-    
-    // 等待1秒后发送第二条消息
-    setTimeout(() => {
-        const testMessage2 = {
-            event: 'message',
-            answer: '这是第二条测试消息',
-            conversation_id: 'test-123',
-            user_id: req.userId
-        };
-        
-        console.log('[API] 发送第二条测试SSE消息:', testMessage2);
-        res.write(`event: message\ndata: ${JSON.stringify(testMessage2)}\n\n`);
-        
-        // 发送结束消息
-        setTimeout(() => {
-            const endMessage = {
-                event: 'message_end',
-                answer: '测试完成',
-                conversation_id: 'test-123',
-                user_id: req.userId
-            };
-            
-            console.log('[API] 发送结束SSE消息:', endMessage);
-            res.write(`event: message_end\ndata: ${JSON.stringify(endMessage)}\n\n`);
-            res.end();
-        }, 1000);
-    }, 1000);
-});
-
-// 提交消息反馈端点
-router.post('/feedback', requireLogin, async (req, res) => {
+// 撤回消息反馈端点
+router.delete('/feedback/:messageId', requireLogin, requireCozeToken, validateFeedbackMessageId, async (req, res) => {
     const requestId = logger.generateRequestId();
-    const { conversation_id, message_id, feedback_type } = req.body;
 
     try {
-        // 验证必需参数
-        if (!conversation_id || !message_id || !feedback_type) {
-            return res.status(400).json({
-                code: 400,
-                msg: '缺少必需参数',
-                detail: { requestId }
-            });
-        }
-
-        // 验证反馈类型
-        if (!['like', 'unlike'].includes(feedback_type)) {
-            return res.status(400).json({
-                code: 400,
-                msg: '无效的反馈类型',
-                detail: { requestId }
-            });
-        }
-
-        logger.info('收到消息反馈', {
-            type: 'message_feedback',
-            requestId,
-            userId: req.userId,
-            conversationId: conversation_id,
-            messageId: message_id,
-            feedbackType: feedback_type
-        });
-
-        // 为当前用户生成新的 JWT token（与聊天端点保持一致）
-        let cozeAccessToken;
-        try {
-            const tokenData = await jwtService.generateUserToken(req.userId);
-            cozeAccessToken = tokenData.access_token;
-
-            logger.info('为反馈请求生成新token', {
-                type: 'feedback_token_generated',
-                requestId,
-                userId: req.userId,
-                tokenType: tokenData.token_type,
-                expiresIn: tokenData.expires_in
-            });
-        } catch (tokenError) {
-            logger.error('生成反馈token失败', {
-                type: 'feedback_token_error',
-                requestId,
-                userId: req.userId,
-                error: tokenError.message
-            });
-            return res.status(500).json({
-                code: 500,
-                msg: '认证服务暂时不可用',
-                detail: { requestId }
-            });
-        }
+        const feedback = await feedbackService.retract(req.userId, req.params.messageId, req.cozeAccessToken, requestId);
 
-        const response = await fetch(
-            `https://api.coze.cn/v1/conversations/${conversation_id}/messages/${message_id}/feedback`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${cozeAccessToken}`,  // 使用后端生成的 token
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    feedback_type: feedback_type
-                    // 可以根据需要添加 reason_types 和 comment
-                })
-            }
-        );
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            logger.error('Coze反馈API调用失败', {
-                type: 'coze_feedback_error',
-                requestId,
-                status: response.status,
-                error: errorData
-            });
-
-            return res.status(response.status).json({
-                code: response.status,
-                msg: errorData.msg || '反馈提交失败',
+        if (!feedback) {
+            return res.status(404).json({
+                code: 404,
+                msg: '没有可撤回的反馈',
                 detail: { requestId }
             });
         }
 
-        const result = await response.json();
-
-        logger.info('反馈提交成功', {
-            type: 'feedback_success',
-            requestId,
-            result
-        });
+        feedbackTotal.inc({ type: 'retract' });
 
         res.json({
             code: 0,
             msg: '',
-            detail: {
-                requestId,
-                logid: result.detail?.logid
-            }
+            detail: { requestId },
+            feedback: feedback
         });
 
     } catch (error) {
-        logger.error('反馈处理失败', {
-            type: 'feedback_error',
+        logger.error('撤回反馈失败', {
+            type: 'feedback_retract_error',
             requestId,
             error: error.message,
             stack: error.stack
@@ -2148,7 +1997,7 @@ router.post('/feedback', requireLogin, async (req, res) => {
 
         res.status(500).json({
             code: 500,
-            msg: '反馈处理失败',
+            msg: '撤回反馈失败',
             detail: { requestId }
         });
     }
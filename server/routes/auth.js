@@ -5,6 +5,7 @@ const config = require('../config/config');
 const userUtils = require('../utils/user');
 const tokenUtils = require('../utils/token');
 const { detectEnvironment } = require('../utils/envDetector');
+const logger = require('../utils/logger');
 
 // 获取网页授权链接
 function getAuthUrl(redirectUri) {
@@ -12,6 +13,15 @@ function getAuthUrl(redirectUri) {
     return `https://open.weixin.qq.com/connect/oauth2/authorize?appid=${config.corpId}&redirect_uri=${encodedRedirectUri}&response_type=code&scope=snsapi_base&state=STATE#wechat_redirect`;
 }
 
+/**
+ * 登录后允许返回的页面（目前只有会话分享页），避免被利用为任意跳转
+ * @param {string} returnTo - 登录前访问的路径
+ * @returns {boolean}
+ */
+function isSafeReturnPath(returnTo) {
+    return typeof returnTo === 'string' && /^\/share\/[A-Za-z0-9_-]{32}$/.test(returnTo);
+}
+
 /**
  * 获取企业微信授权URL
  * GET /auth/url
@@ -30,12 +40,12 @@ router.get('/login', (req, res) => {
     
     // 浏览器环境,重定向到扫码页面
     if (!env.isWeCom) {
-        console.log('检测到浏览器环境,重定向到扫码页面');
+        logger.info('检测到浏览器环境,重定向到扫码页面');
         return res.redirect('/');
     }
     
     // 企微环境,走原有 OAuth 流程
-    console.log('检测到企微环境,启动OAuth流程');
+    logger.info('检测到企微环境,启动OAuth流程');
     
     // 构建回调URL (确保是完整的URL，包含协议和域名)
     const protocol = req.headers['x-forwarded-proto'] || req.protocol;
@@ -58,12 +68,12 @@ router.get('/callback', async (req, res) => {
     const { code, appid, state } = req.query;
 
     if (!code) {
-        console.error('回调缺少code参数');
+        logger.error('回调缺少code参数');
         return res.status(400).send('缺少授权码');
     }
 
     try {
-        console.log('收到登录回调:', {
+        logger.info('收到登录回调:', {
             code: code.substring(0, 10) + '...',
             appid: appid,
             state: state,
@@ -73,7 +83,7 @@ router.get('/callback', async (req, res) => {
         // 获取用户信息 - 自建应用统一使用 getUserInfoByCode
         const userInfo = await userUtils.getUserInfoByCode(code);
 
-        console.log('getUserInfoByCode 返回结果:', userInfo ? { UserId: userInfo.UserId } : null);
+        logger.info('getUserInfoByCode 返回结果:', userInfo ? { UserId: userInfo.UserId } : null);
 
         if (userInfo && userInfo.UserId) {
             // 在session中保存用户信息，用于JWT生成
@@ -82,20 +92,24 @@ router.get('/callback', async (req, res) => {
             req.session.userInfo = userInfo;
             req.session.loginTime = Date.now();
 
-            console.log('用户登录成功:', {
+            logger.info('用户登录成功:', {
                 userId: userInfo.UserId,
                 userName: req.session.userName,
                 sessionId: req.sessionID
             });
 
-            // 重定向到 callback.html 页面（包含服务同意书）
-            res.redirect('/callback.html');
+            // 重定向到 callback.html 页面（包含服务同意书），从分享链接进入时登录后回到分享页
+            const returnTo = req.session.returnTo;
+            delete req.session.returnTo;
+            res.redirect(isSafeReturnPath(returnTo)
+                ? `/callback.html?returnTo=${encodeURIComponent(returnTo)}`
+                : '/callback.html');
         } else {
-            console.error('获取用户信息失败 - userInfo为空或缺少UserId，详细信息见上方日志');
+            logger.error('获取用户信息失败 - userInfo为空或缺少UserId，详细信息见上方日志');
             res.status(401).send('获取用户信息失败，请查看服务器日志获取详细错误信息');
         }
     } catch (error) {
-        console.error('授权回调处理错误:', error);
+        logger.error('授权回调处理错误:', error);
         res.status(500).send('服务器错误: ' + error.message);
     }
 });
@@ -109,7 +123,7 @@ router.get('/logout', (req, res) => {
         // 销毁session
         req.session.destroy((err) => {
             if (err) {
-                console.error('会话销毁失败:', err);
+                logger.error('会话销毁失败:', err);
                 return res.status(500).json({
                     error: '登出失败',
                     message: '服务器错误'
@@ -160,7 +174,7 @@ router.get('/session', (req, res) => {
     if (req.session && req.session.userId) {
         const avatarUrl = req.session.userInfo?.avatar || req.session.userInfo?.thumb_avatar;
 
-        console.log('[Auth Session] 返回用户会话信息:', {
+        logger.info('[Auth Session] 返回用户会话信息:', {
             userId: req.session.userId,
             userName: req.session.userName,
             avatar: avatarUrl,
@@ -5,9 +5,41 @@
 const express = require('express');
 const router = express.Router();
 const { verifyURL, decryptMsg, encryptMsg } = require('../utils/crypto');
+const { wecomMessageHandler } = require('../services/wecomMessageHandler');
+const logger = require('../utils/logger');
+const { parseXml, buildXml } = require('../utils/xml');
+const { replayGuard } = require('../utils/replayGuard');
+const { requestContext } = require('../utils/requestContext');
 
 /**
- * 处理回调URL验证请求
+ * 构建加密的被动回复报文
+ * @param {Object} message - 收到的明文消息（xml节点）
+ * @param {string} content - 回复的文本内容
+ * @param {string} nonce - 回复使用的随机数
+ * @returns {string} 加密后的回复XML
+ */
+function buildEncryptedTextReply(message, content, nonce) {
+    const replyTimestamp = Math.floor(Date.now() / 1000).toString();
+    const replyXml = buildXml({
+        ToUserName: message.FromUserName,
+        FromUserName: message.ToUserName,
+        CreateTime: Number(replyTimestamp),
+        MsgType: 'text',
+        Content: content
+    });
+
+    const encryptedReply = encryptMsg(replyXml, replyTimestamp, nonce);
+
+    return buildXml({
+        Encrypt: encryptedReply.encrypt,
+        MsgSignature: encryptedReply.msg_signature,
+        TimeStamp: Number(encryptedReply.timestamp),
+        Nonce: encryptedReply.nonce
+    });
+}
+
+/**
+ * 处理回调URL验证请求与消息接收
  * 当在企业微信后台配置回调URL时，企业微信会发送GET请求验证URL
  */
 router.all('/callback', async (req, res) => {
@@ -16,76 +48,72 @@ router.all('/callback', async (req, res) => {
 
         // 处理URL验证请求
         if (req.method === 'GET') {
-            if (cryptoUtil.verifySignature(msg_signature, timestamp, nonce, echostr)) {
-                // 解密echostr
-                const decryptedEchostr = cryptoUtil.decryptMessage(echostr);
-                return res.send(decryptedEchostr);
-            } else {
+            const decryptedEchostr = verifyURL(msg_signature, timestamp, nonce, echostr);
+            if (!decryptedEchostr) {
+                logger.warn('回调URL签名验证失败', { type: 'callback_verify_failed' });
                 return res.status(401).send('签名验证失败');
             }
+            return res.send(decryptedEchostr);
         }
 
-        // 处理POST消息
-        if (req.method === 'POST') {
-            // 解析XML消息
-            const xmlData = req.body.toString();
-            const parsedXml = await parseXml(xmlData);
-            const encrypt = parsedXml.xml.Encrypt;
-
-            // 验证签名
-            if (!cryptoUtil.verifySignature(msg_signature, timestamp, nonce, encrypt)) {
-                return res.status(401).send('消息签名验证失败');
-            }
-
-            // 解密消息
-            const decryptedXml = cryptoUtil.decryptMessage(encrypt);
-            const message = await parseXml(decryptedXml);
-
-            console.log('收到企业微信消息:', message);
+        if (req.method !== 'POST') {
+            return res.status(405).send('不支持的请求方法');
+        }
 
-            // 处理不同类型的消息
-            const msgType = message.xml.MsgType;
+        // 解析加密信封
+        if (typeof req.body !== 'string' || !req.body) {
+            return res.status(400).send('请求体为空');
+        }
+        const envelope = parseXml(req.body).xml;
+        if (!envelope || !envelope.Encrypt) {
+            return res.status(400).send('缺少加密消息');
+        }
 
-            // 简单回复，实际应用中可能需要更复杂的处理
-            let replyContent = '';
+        // 验证签名并解密
+        let message;
+        try {
+            message = parseXml(decryptMsg(msg_signature, timestamp, nonce, envelope.Encrypt)).xml;
+        } catch (error) {
+            logger.warn('回调消息验证或解密失败', {
+                type: 'callback_decrypt_failed',
+                error: error.message
+            });
+            return res.status(401).send('消息签名验证失败');
+        }
 
-            if (msgType === 'text') {
-                // 文本消息，可以转发到Coze API处理
-                replyContent = `您的消息已收到，请访问 ${req.protocol}://${req.get('host')} 与智能助手对话`;
-            } else {
-                replyContent = '目前只支持文本消息，请发送文字与我对话';
-            }
+        // 防重放：签名通过后再登记 timestamp + nonce，避免伪造请求占用nonce
+        const replayCheck = replayGuard.check(timestamp, nonce);
+        if (!replayCheck.valid) {
+            return res.status(403).send('请求已过期或重复');
+        }
 
-            // 构建回复XML
-            const replyTimestamp = Math.floor(Date.now() / 1000).toString();
-            const replyXml = `
-                <xml>
-                    <ToUserName><![CDATA[${message.xml.FromUserName}]]></ToUserName>
-                    <FromUserName><![CDATA[${message.xml.ToUserName}]]></FromUserName>
-                    <CreateTime>${replyTimestamp}</CreateTime>
-                    <MsgType><![CDATA[text]]></MsgType>
-                    <Content><![CDATA[${replyContent}]]></Content>
-                </xml>
-            `;
+        // 之后的日志（包括异步推送回答）都带上发送消息的成员
+        requestContext.set('userId', message.FromUserName);
 
-            // 加密回复消息
-            const encryptedReply = cryptoUtil.encryptMessage(replyXml, replyTimestamp, nonce);
+        logger.info('收到企业微信消息', {
+            type: 'callback_message_received',
+            msgType: message.MsgType,
+            event: message.Event,
+            fromUser: message.FromUserName,
+            msgId: message.MsgId
+        });
 
-            // 构建加密回复XML
-            const replyEncryptXml = `
-                <xml>
-                    <Encrypt><![CDATA[${encryptedReply.encrypt}]]></Encrypt>
-                    <MsgSignature><![CDATA[${encryptedReply.signature}]]></MsgSignature>
-                    <TimeStamp>${encryptedReply.timestamp}</TimeStamp>
-                    <Nonce><![CDATA[${encryptedReply.nonce}]]></Nonce>
-                </xml>
-            `;
+        // 按 MsgType / Event 分发；耗时处理由处理器异步完成，回答通过应用消息接口推送
+        const replyContent = await wecomMessageHandler.handle(message);
 
-            res.type('application/xml');
-            res.send(replyEncryptXml);
+        if (!replyContent) {
+            // 空响应表示不做被动回复
+            return res.send('');
         }
+
+        res.type('application/xml');
+        res.send(buildEncryptedTextReply(message, replyContent, nonce));
     } catch (error) {
-        console.error('处理回调请求失败:', error);
+        logger.error('处理回调请求失败', {
+            type: 'callback_error',
+            error: error.message,
+            stack: error.stack
+        });
         res.status(500).send('服务器错误');
     }
 });
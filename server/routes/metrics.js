@@ -0,0 +1,84 @@
+// routes/metrics.js
+// Prometheus 抓取端点，挂载在 /metrics 下
+// 抓取方无法走企业微信登录，配置 METRICS_TOKEN 后要求 Authorization: Bearer <METRICS_TOKEN>；
+// 未配置时只允许本机直接访问
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * 是否为本机直接发起的请求
+ * 按连接地址判断，不使用受 X-Forwarded-For 影响的 req.ip；经本机反向代理转发的请求不算本机访问
+ * @param {Object} req - 请求对象
+ * @returns {boolean}
+ */
+function isLocalRequest(req) {
+    return LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) &&
+        !req.headers['x-forwarded-for'] &&
+        !req.headers.forwarded;
+}
+
+/**
+ * 校验抓取令牌（未配置 METRICS_TOKEN 时只允许本机访问）
+ * @param {Object} req - 请求对象
+ * @returns {boolean} 是否允许访问
+ */
+function isAuthorized(req) {
+    const expected = process.env.METRICS_TOKEN;
+    if (!expected) {
+        return isLocalRequest(req);
+    }
+
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    return expectedBuffer.length === providedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * 输出全部指标（Prometheus 文本格式）
+ * GET /metrics
+ */
+router.get('/', (req, res) => {
+    if (!isAuthorized(req)) {
+        const tokenConfigured = !!process.env.METRICS_TOKEN;
+        logger.warn(tokenConfigured ? '指标抓取令牌无效' : '未配置METRICS_TOKEN，拒绝非本机的指标抓取', {
+            type: 'metrics_unauthorized',
+            ip: req.ip,
+            tokenConfigured: tokenConfigured
+        });
+
+        return res.status(401).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            error: tokenConfigured ? '无效的抓取令牌' : '未配置抓取令牌，仅允许本机访问',
+            code: tokenConfigured ? 'INVALID_METRICS_TOKEN' : 'METRICS_TOKEN_REQUIRED'
+        });
+    }
+
+    try {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        res.send(metrics.render());
+    } catch (error) {
+        logger.error('输出指标失败', {
+            type: 'metrics_render_error',
+            error: error.message
+        });
+
+        res.status(500).json({
+            status: 'error',
+            timestamp: new Date().toISOString(),
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
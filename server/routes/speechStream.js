@@ -0,0 +1,187 @@
+/**
+ * 实时语音输入 WebSocket 路由（/api/speech-stream）
+ * 握手时复用 session 校验登录，并按 speech 类别限流；消息协议见 services/speechStreamService.js
+ */
+const logger = require('../utils/logger');
+const { jwtService } = require('../utils/jwtService');
+const { acquireRateLimit } = require('../middleware/rateLimit');
+const { speechStreamService } = require('../services/speechStreamService');
+
+const SPEECH_STREAM_PATH = '/api/speech-stream';
+
+// 单条消息上限，前端每次上传约 0.25 秒的音频（16kHz 16位约 8KB）
+const MAX_PAYLOAD = 64 * 1024;
+
+/**
+ * 创建 WebSocket 服务；未安装 ws 依赖（更新代码后未重新安装依赖）时返回 null，
+ * 此时不启用实时语音输入，前端会改为整段上传识别，其他功能照常启动
+ * @returns {Object|null} WebSocketServer 实例
+ */
+function createWebSocketServer() {
+    try {
+        const { WebSocketServer } = require('ws');
+        return new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+            throw error;
+        }
+        logger.error('未安装 ws 依赖，实时语音输入不可用，请执行 pnpm install', {
+            type: 'speech_stream_unavailable',
+            error: error.message
+        });
+        return null;
+    }
+}
+
+const wss = createWebSocketServer();
+
+/**
+ * 拒绝握手
+ * @param {Object} socket - 底层 TCP 连接
+ * @param {number} status - HTTP 状态码
+ * @param {string} statusText - 状态说明
+ * @param {Object} headers - 额外的响应头
+ */
+function rejectUpgrade(socket, status, statusText, headers = {}) {
+    const lines = [`HTTP/1.1 ${status} ${statusText}`, 'Connection: close'];
+    Object.entries(headers).forEach(([name, value]) => lines.push(`${name}: ${value}`));
+    socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * 只接受本站页面发起的连接（浏览器会带上 Origin，防止其他网站借用成员的登录状态）
+ * @param {Object} req - 握手请求
+ * @returns {boolean}
+ */
+function isSameOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+        return true;
+    }
+
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 从 session 中解析登录成员，与 requireLogin 的规则一致
+ * @param {Object} req - 已经过 session 中间件的握手请求
+ * @returns {Object|null} { userId, userInfo }
+ */
+function resolveUser(req) {
+    if (process.env.NODE_ENV === 'development') {
+        return { userId: process.env.TEST_USER_ID || 'test_user_001' };
+    }
+
+    if (req.session && req.session.userId) {
+        return { userId: req.session.userId, userInfo: req.session.userInfo };
+    }
+
+    return null;
+}
+
+/**
+ * 处理握手：校验来源、登录状态和限流，获取成员的 Coze 访问令牌后建立连接
+ * @param {Object} req - 握手请求
+ * @param {Object} socket - 底层 TCP 连接
+ * @param {Buffer} head - 握手后的首个数据包
+ */
+async function handleUpgrade(req, socket, head) {
+    const requestId = logger.createRequestId();
+
+    if (!isSameOrigin(req)) {
+        logger.warn('拒绝跨站的实时语音输入连接', {
+            type: 'speech_stream_origin_rejected',
+            requestId: requestId,
+            origin: req.headers.origin
+        });
+        return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    const user = resolveUser(req);
+    if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    req.userId = user.userId;
+    req.userInfo = user.userInfo;
+    const rateLimitResult = await acquireRateLimit(req, 'speech');
+    if (!rateLimitResult.allowed) {
+        logger.warn('实时语音输入被限流', {
+            type: 'speech_stream_rate_limited',
+            requestId: requestId,
+            userId: user.userId,
+            reason: rateLimitResult.reason
+        });
+        return rejectUpgrade(socket, 429, 'Too Many Requests', {
+            'Retry-After': String(rateLimitResult.retryAfter)
+        });
+    }
+
+    // 握手时确认能获取访问令牌，连接建立后会话按需取用缓存的令牌，被 Coze 拒绝时重新签发
+    try {
+        await jwtService.getUserToken(user.userId);
+    } catch (error) {
+        rateLimitResult.release();
+        logger.error('获取Coze API令牌失败', {
+            type: 'coze_token_unavailable',
+            requestId: requestId,
+            userId: user.userId,
+            path: SPEECH_STREAM_PATH,
+            error: error.message
+        });
+        return rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.once('close', rateLimitResult.release);
+
+        logger.info('实时语音输入连接建立', {
+            type: 'speech_stream_connected',
+            requestId: requestId,
+            userId: user.userId
+        });
+
+        speechStreamService.createSession(ws, {
+            userId: user.userId,
+            requestId: requestId
+        });
+    });
+}
+
+/**
+ * 在 HTTP 服务器上挂载实时语音输入
+ * @param {Object} server - app.listen 返回的 HTTP 服务器
+ * @param {Function} sessionMiddleware - express-session 中间件，用于握手时读取登录状态
+ */
+function attachSpeechStream(server, sessionMiddleware) {
+    server.on('upgrade', (req, socket, head) => {
+        const pathname = req.url.split('?')[0];
+        if (pathname !== SPEECH_STREAM_PATH) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+        if (!wss) {
+            return rejectUpgrade(socket, 503, 'Service Unavailable');
+        }
+
+        socket.on('error', () => socket.destroy());
+
+        sessionMiddleware(req, {}, () => {
+            handleUpgrade(req, socket, head).catch((error) => {
+                logger.error('实时语音输入握手失败', {
+                    type: 'speech_stream_upgrade_error',
+                    error: error.message
+                });
+                rejectUpgrade(socket, 500, 'Internal Server Error');
+            });
+        });
+    });
+}
+
+module.exports = {
+    attachSpeechStream
+};
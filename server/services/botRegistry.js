@@ -0,0 +1,209 @@
+/**
+ * 智能助手（Coze Bot）注册表服务
+ * 根据成员的部门、标签和UserID判断其可使用的Bot
+ */
+const botsConfig = require('../config/bots');
+const { getUserDetail, getTagMembers } = require('../utils/user');
+const logger = require('../utils/logger');
+
+// 成员部门、标签成员的缓存时间
+const MEMBERSHIP_CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * Bot注册表
+ */
+class BotRegistry {
+    /**
+     * 构造函数
+     * @param {Array<Object>} bots - Bot配置列表，见 config/bots.js
+     */
+    constructor(bots = []) {
+        // 忽略未配置 botId 的条目
+        this.bots = bots
+            .filter(bot => bot && bot.botId)
+            .map(bot => ({
+                botId: String(bot.botId),
+                name: bot.name || '智能助手',
+                description: bot.description || '',
+                default: !!bot.default,
+                access: bot.access || null,
+                owners: (bot.owners || []).map(String)
+            }));
+
+        this.defaultBot = this.bots.find(bot => bot.default) || this.bots[0] || null;
+
+        // 成员所属部门: userId -> { departmentIds, expiresAt }
+        this.userDepartmentCache = new Map();
+
+        // 标签成员: tagId -> { userIds, departmentIds, expiresAt }
+        this.tagMemberCache = new Map();
+
+        logger.info('Bot注册表初始化完成', {
+            type: 'bot_registry_init',
+            botCount: this.bots.length,
+            defaultBotId: this.defaultBot && this.defaultBot.botId
+        });
+    }
+
+    /**
+     * 获取Bot配置
+     * @param {string} botId - Coze Bot ID
+     * @returns {Object|null} Bot配置
+     */
+    getBot(botId) {
+        return this.bots.find(bot => bot.botId === String(botId)) || null;
+    }
+
+    /**
+     * 获取成员所属部门（优先使用登录时保存的成员信息）
+     * @param {string} userId - 成员UserID
+     * @param {Object} userInfo - 登录时获取的成员信息（可选）
+     * @returns {Promise<Array<number>>} 部门ID列表
+     */
+    async getUserDepartments(userId, userInfo) {
+        if (userInfo && Array.isArray(userInfo.department)) {
+            return userInfo.department;
+        }
+
+        const cached = this.userDepartmentCache.get(userId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.departmentIds;
+        }
+
+        const detail = await getUserDetail(userId);
+        const departmentIds = (detail && detail.department) || [];
+        this.userDepartmentCache.set(userId, {
+            departmentIds,
+            expiresAt: Date.now() + MEMBERSHIP_CACHE_TTL
+        });
+
+        return departmentIds;
+    }
+
+    /**
+     * 获取标签成员（带缓存）
+     * @param {string|number} tagId - 标签ID
+     * @returns {Promise<Object>} { userIds, departmentIds }
+     */
+    async getTagMembers(tagId) {
+        const cached = this.tagMemberCache.get(String(tagId));
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached;
+        }
+
+        const members = await getTagMembers(tagId);
+        const entry = {
+            userIds: (members && members.userIds) || [],
+            departmentIds: (members && members.departmentIds) || [],
+            expiresAt: Date.now() + MEMBERSHIP_CACHE_TTL
+        };
+        this.tagMemberCache.set(String(tagId), entry);
+
+        return entry;
+    }
+
+    /**
+     * 判断成员是否满足Bot的访问范围
+     * @param {Object} bot - Bot配置
+     * @param {string} userId - 成员UserID
+     * @param {Object} userInfo - 登录时获取的成员信息（可选）
+     * @returns {Promise<boolean>} 是否可用
+     */
+    async isAccessible(bot, userId, userInfo) {
+        // 默认Bot和未限制范围的Bot所有成员可用
+        if (bot === this.defaultBot || !bot.access) {
+            return true;
+        }
+
+        const { users = [], departments = [], tags = [] } = bot.access;
+
+        if (users.map(String).includes(String(userId))) {
+            return true;
+        }
+
+        if (departments.length === 0 && tags.length === 0) {
+            return false;
+        }
+
+        const userDepartments = (await this.getUserDepartments(userId, userInfo)).map(String);
+        if (departments.some(departmentId => userDepartments.includes(String(departmentId)))) {
+            return true;
+        }
+
+        for (const tagId of tags) {
+            const members = await this.getTagMembers(tagId);
+            if (members.userIds.map(String).includes(String(userId)) ||
+                members.departmentIds.some(departmentId => userDepartments.includes(String(departmentId)))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 获取成员可使用的Bot列表
+     * @param {string} userId - 成员UserID
+     * @param {Object} userInfo - 登录时获取的成员信息（可选）
+     * @returns {Promise<Array<Object>>} Bot列表 [{ botId, name, description, default }]
+     */
+    async getAccessibleBots(userId, userInfo) {
+        const result = [];
+
+        for (const bot of this.bots) {
+            if (await this.isAccessible(bot, userId, userInfo)) {
+                result.push({
+                    botId: bot.botId,
+                    name: bot.name,
+                    description: bot.description,
+                    default: bot === this.defaultBot
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 获取成员作为知识库负责人的Bot
+     * @param {string} userId - 成员UserID
+     * @returns {Array<Object>} Bot配置
+     */
+    getOwnedBots(userId) {
+        return this.bots.filter(bot => bot.owners.includes(String(userId)));
+    }
+
+    /**
+     * 解析请求指定的Bot，未指定时使用默认Bot
+     * @param {string} userId - 成员UserID
+     * @param {Object} userInfo - 登录时获取的成员信息（可选）
+     * @param {string} botId - 请求指定的Coze Bot ID（可选）
+     * @returns {Promise<Object|null>} Bot配置，不存在或无权使用时返回null
+     */
+    async resolveBot(userId, userInfo, botId) {
+        if (!botId) {
+            return this.defaultBot;
+        }
+
+        const bot = this.getBot(botId);
+        if (!bot || !(await this.isAccessible(bot, userId, userInfo))) {
+            logger.warn('成员无权使用该Bot', {
+                type: 'bot_access_denied',
+                userId: userId,
+                botId: botId,
+                registered: !!bot
+            });
+            return null;
+        }
+
+        return bot;
+    }
+}
+
+// 全局Bot注册表实例
+const botRegistry = new BotRegistry(botsConfig);
+
+module.exports = {
+    BotRegistry,
+    botRegistry
+};
@@ -0,0 +1,134 @@
+/**
+ * 交互卡片服务
+ * 记录推送给成员的卡片（卡片ID由服务端生成），成员提交时按卡片定义校验字段值，
+ * 再生成发回 Bot 的结构化消息，Bot 无需从自然语言中解析成员的选择
+ */
+const crypto = require('crypto');
+const cardsConfig = require('../config/cards');
+const { createStorage } = require('../utils/storage');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { validateCardValues, buildCardResponse } = require('../utils/interactiveCards');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// event: issued / submitted / rejected
+const interactiveCardsTotal = metrics.counter({
+    name: 'interactive_cards_total',
+    help: '推送和提交的交互卡片数',
+    labelNames: ['event']
+});
+
+/**
+ * 创建带错误码的错误，路由据此返回对应的状态码
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @param {Array<Object>} details - 字段错误 [{ field, message }]
+ * @returns {Error}
+ */
+function cardError(message, code, details = []) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+class CardService {
+    constructor() {
+        // cardId -> 推送记录，过期后不能再提交
+        this.storage = createStorage('interactive_cards', {
+            defaultTTL: cardsConfig.ttlDays * DAY_MS
+        });
+    }
+
+    /**
+     * 生成卡片ID
+     * @returns {string}
+     */
+    generateCardId() {
+        return `card_${crypto.randomBytes(12).toString('hex')}`;
+    }
+
+    /**
+     * 记录推送给成员的卡片
+     * @param {string} userId - 成员ID
+     * @param {string} conversationId - 会话ID
+     * @param {Object} card - 卡片（interactiveCards.normalizeCard 的结果）
+     * @returns {Object} 推送给前端的卡片（带 cardId）
+     */
+    issue(userId, conversationId, card) {
+        const cardId = this.generateCardId();
+        this.storage.set(cardId, {
+            cardId: cardId,
+            userId: userId,
+            conversationId: conversationId || null,
+            card: card,
+            createdAt: new Date().toISOString()
+        });
+        interactiveCardsTotal.inc({ event: 'issued' });
+
+        logger.info('推送交互卡片', {
+            type: 'interactive_card_issued',
+            userId: userId,
+            conversationId: conversationId,
+            cardId: cardId,
+            card: card.id,
+            fieldCount: card.fields.length
+        });
+
+        return { cardId: cardId, ...card };
+    }
+
+    /**
+     * 提交卡片：校验字段值并生成发回 Bot 的消息
+     * 每张卡片只能成功提交一次，提交后删除推送记录，重复提交视为卡片不存在
+     * @param {string} userId - 成员ID
+     * @param {string} conversationId - 当前会话ID（可选，传入时须与卡片所在会话一致）
+     * @param {Object} response - { card_id, values }
+     * @param {string} requestId - 请求ID
+     * @returns {Object} { summary, query }
+     * @throws {Error} 卡片不存在、已过期或已提交（CARD_NOT_FOUND）、字段值无效（CARD_INVALID_VALUES）
+     */
+    submit(userId, conversationId, response, requestId) {
+        const record = this.storage.get(response.card_id);
+        if (!record || record.userId !== userId ||
+            (conversationId && record.conversationId && record.conversationId !== conversationId)) {
+            interactiveCardsTotal.inc({ event: 'rejected' });
+            throw cardError('表单已过期，请重新发起', 'CARD_NOT_FOUND');
+        }
+
+        const { values, errors } = validateCardValues(record.card, response.values);
+        if (errors.length > 0) {
+            interactiveCardsTotal.inc({ event: 'rejected' });
+            logger.warn('交互卡片提交内容无效', {
+                type: 'interactive_card_invalid_values',
+                requestId: requestId,
+                userId: userId,
+                cardId: record.cardId,
+                errors: errors
+            });
+            throw cardError(errors[0].message, 'CARD_INVALID_VALUES', errors);
+        }
+
+        this.storage.delete(record.cardId);
+        interactiveCardsTotal.inc({ event: 'submitted' });
+        logger.info('提交交互卡片', {
+            type: 'interactive_card_submitted',
+            requestId: requestId,
+            userId: userId,
+            conversationId: record.conversationId,
+            cardId: record.cardId,
+            card: record.card.id,
+            fields: Object.keys(values)
+        });
+
+        return buildCardResponse(record.card, values);
+    }
+}
+
+const cardService = new CardService();
+
+module.exports = {
+    CardService,
+    cardService
+};
@@ -5,6 +5,66 @@
 const config = require('../config/config');
 const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
 const logger = require('../utils/logger');
+const { createStorage } = require('../utils/storage');
+const { metrics } = require('../utils/metrics');
+const { intentRouter } = require('./intentRouter');
+const { messageSearchIndex } = require('../utils/messageSearchIndex');
+const { extractCards, stripCards, parseCardMessage, formatCardBlocks } = require('../utils/interactiveCards');
+const { cardService } = require('./cardService');
+
+// 执行步骤中参数、插件返回等文本的最大长度，避免大段JSON撑满SSE消息
+const STEP_TEXT_LIMIT = 500;
+
+// 知识库召回最多展示的片段数
+const KNOWLEDGE_HIT_LIMIT = 5;
+
+// 不需要展示给用户的 verbose 消息（仅表示流程节点结束）
+const IGNORED_VERBOSE_TYPES = ['generate_answer_finish', 'stream_plugin_finish'];
+
+// 从发起对话到收到第一段回答
+const chatTimeToFirstToken = metrics.histogram({
+    name: 'chat_time_to_first_token_seconds',
+    help: '从发起对话到收到第一段回答的耗时（秒）',
+    buckets: [0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30]
+});
+
+// result: completed / interrupted / error
+const chatDuration = metrics.histogram({
+    name: 'chat_duration_seconds',
+    help: '一轮对话从发起到结束的总耗时（秒）',
+    labelNames: ['result'],
+    buckets: [1, 2, 5, 10, 20, 30, 60, 120, 300]
+});
+
+/**
+ * 解析JSON字符串，失败时返回null
+ * @param {string} text - JSON字符串
+ * @returns {*} 解析结果
+ */
+function parseJSON(text) {
+    if (typeof text !== 'string') {
+        return text || null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 截断文本，对象先转为JSON字符串
+ * @param {*} value - 原始内容
+ * @param {number} limit - 最大长度
+ * @returns {string} 截断后的文本
+ */
+function truncateText(value, limit = STEP_TEXT_LIMIT) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > limit ? text.substring(0, limit) + '...' : text;
+}
 
 /**
  * Coze专用聊天服务类
@@ -22,8 +82,14 @@ class ChatService {
         // 使用新的Coze SDK适配器
         this.adapter = cozeSDKAdapter;
 
-        // 添加会话缓存：userId -> conversationId
-        this.conversationCache = new Map();
+        // 会话缓存：userId -> conversationId，长期未使用的缓存按TTL清理
+        this.conversationCache = createStorage('conversation_cache', {
+            defaultTTL: parseInt(process.env.COZE_CONVERSATION_CACHE_TTL) || 7 * 24 * 60 * 60 * 1000
+        });
+
+        // 进行中的对话: chatId -> { chatId, conversationId, userId, accessToken, canceled }
+        // 用于用户主动停止或客户端断开时取消Coze对话
+        this.activeChats = new Map();
 
         // 缓存统计
         this.cacheStats = {
@@ -57,25 +123,46 @@ class ChatService {
         return 'coze';
     }
 
+    /**
+     * 计算会话缓存键：默认Bot直接使用用户ID，其他Bot使用 userId:botId
+     * @param {string} userId - 用户ID
+     * @param {string} botId - Coze Bot ID（可选）
+     * @returns {string} 缓存键
+     */
+    getConversationCacheKey(userId, botId = null) {
+        if (!botId || botId === this.adapter.botConfig.botId) {
+            return userId;
+        }
+        return `${userId}:${botId}`;
+    }
+
     /**
      * 获取或创建用户的单一会话
      * @param {string} userId - 用户ID
      * @param {string} accessToken - Coze访问令牌
+     * @param {string} botId - Coze Bot ID（可选，默认使用配置的Bot），每个Bot各自维护一个会话
      * @returns {Promise<string>} 会话ID
      */
-    async getOrCreateConversation(userId, accessToken) {
+    async getOrCreateConversation(userId, accessToken, botId = null) {
+        const targetBotId = botId || this.adapter.botConfig.botId;
+        const cacheKey = this.getConversationCacheKey(userId, botId);
+
         logger.info('===== 开始获取或创建会话 =====', {
             type: 'get_or_create_conversation_start',
             userId: userId,
+            botId: targetBotId,
             hasAccessToken: !!accessToken,
             cacheSize: this.conversationCache.size
         });
 
-        // 1. 检查内存缓存
-        if (this.conversationCache.has(userId)) {
-            const cachedId = this.conversationCache.get(userId);
+        // 1. 检查会话缓存
+        if (this.conversationCache.has(cacheKey)) {
+            const cachedId = this.conversationCache.get(cacheKey);
             this.cacheStats.hits++;
 
+            // 刷新缓存过期时间
+            this.conversationCache.set(cacheKey, cachedId);
+
             logger.info('从缓存获取会话ID', {
                 type: 'conversation_cache_hit',
                 userId: userId,
@@ -99,11 +186,11 @@ class ChatService {
             logger.info('正在调用API获取会话列表...', {
                 type: 'calling_conversation_list',
                 userId: userId,
-                botId: this.adapter.botConfig.botId
+                botId: targetBotId
             });
 
             const conversations = await this.adapter.getConversationList(
-                this.adapter.botConfig.botId,
+                targetBotId,
                 {
                     pageSize: 1,
                     sortOrder: 'desc',
@@ -138,13 +225,13 @@ class ChatService {
                 logger.info('准备创建新会话...', {
                     type: 'creating_new_conversation',
                     userId: userId,
-                    botId: this.adapter.botConfig.botId,
+                    botId: targetBotId,
                     name: `${userId}_${new Date().toISOString().split('T')[0]}`
                 });
 
                 try {
                     const newConversation = await this.adapter.createConversation({
-                        botId: this.adapter.botConfig.botId,
+                        botId: targetBotId,
                         name: `${userId}_${new Date().toISOString().split('T')[0]}`
                         // 移除 connectorId 和 metadata，只保留必需参数
                     }, accessToken);
@@ -183,7 +270,7 @@ class ChatService {
             }
 
             // 5. 更新缓存
-            this.conversationCache.set(userId, conversationId);
+            this.conversationCache.set(cacheKey, conversationId);
 
             logger.info('会话ID已缓存', {
                 type: 'conversation_cached',
@@ -220,25 +307,45 @@ class ChatService {
     }
 
     /**
-     * 清除用户的会话缓存
+     * 清除用户的会话缓存（包括该用户在所有Bot下的会话）
      * @param {string} userId - 用户ID
      * @returns {boolean} 是否清除成功
      */
     clearUserConversationCache(userId) {
-        if (this.conversationCache.has(userId)) {
-            const conversationId = this.conversationCache.get(userId);
-            this.conversationCache.delete(userId);
-
-            logger.info('清除用户会话缓存', {
-                type: 'clear_user_conversation_cache',
-                userId: userId,
-                conversationId: conversationId,
-                remainingCacheSize: this.conversationCache.size
-            });
+        const cacheKeys = this.conversationCache.keys()
+            .filter(key => key === userId || key.startsWith(`${userId}:`));
 
-            return true;
+        if (cacheKeys.length === 0) {
+            return false;
         }
-        return false;
+
+        cacheKeys.forEach(key => this.conversationCache.delete(key));
+
+        logger.info('清除用户会话缓存', {
+            type: 'clear_user_conversation_cache',
+            userId: userId,
+            clearedKeys: cacheKeys,
+            remainingCacheSize: this.conversationCache.size
+        });
+
+        return true;
+    }
+
+    /**
+     * 指定用户当前使用的会话（如新建会话后切换过去）
+     * @param {string} userId - 用户ID
+     * @param {string} conversationId - 会话ID
+     * @param {string} botId - Coze Bot ID（可选，默认使用配置的Bot）
+     */
+    setUserConversation(userId, conversationId, botId = null) {
+        this.conversationCache.set(this.getConversationCacheKey(userId, botId), conversationId);
+
+        logger.info('更新用户会话缓存', {
+            type: 'set_user_conversation_cache',
+            userId: userId,
+            botId: botId,
+            conversationId: conversationId
+        });
     }
 
     /**
@@ -261,7 +368,7 @@ class ChatService {
     
     /**
      * 清理回答中的后端提示文案
-     * 目前用于移除“已为你生成一张…的图片。”这类确认句
+     * 移除“已为你生成一张…的图片。”这类确认句，以及交互卡片代码块（卡片以 card 事件单独推送）
      * @param {string} text
      * @returns {string}
      */
@@ -272,24 +379,164 @@ class ChatService {
             .split('\n')
             .filter((line) => !shouldRemove(line))
             .join('\n');
-        return cleaned;
+        return stripCards(cleaned);
     }
     
+    /**
+     * 把本轮的提问和回答写入消息搜索索引，索引失败不影响对话
+     * @param {Object} params - 消息参数
+     * @param {string} userId - 用户ID
+     * @param {string} conversationId - 会话ID
+     * @param {string} chatId - 对话ID
+     * @param {string} messageId - 回答的消息ID
+     * @param {string} answer - 回答内容
+     */
+    indexChatTurn(params, userId, conversationId, chatId, messageId, answer) {
+        try {
+            const botId = params.botId || this.adapter.botConfig.botId;
+            const turn = {
+                userId: userId,
+                conversationId: conversationId,
+                botId: botId,
+                chatId: chatId
+            };
+
+            // 提交交互卡片的提问只索引摘要
+            messageSearchIndex.addMessage({ ...turn, role: 'user', content: formatCardBlocks(params.query) });
+            messageSearchIndex.addMessage({ ...turn, role: 'assistant', content: answer, messageId: messageId });
+        } catch (error) {
+            logger.warn('写入消息搜索索引失败', {
+                type: 'search_index_error',
+                userId: userId,
+                conversationId: conversationId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * 将Coze的非回答消息（插件调用、插件返回、知识库召回、工作流节点）转换为执行步骤
+     * @param {Object} data - conversation.message.completed 事件数据
+     * @returns {Object|null} 执行步骤 { id, type, ... }，无需展示时返回null
+     */
+    parseStepMessage(data) {
+        if (!data || data.role !== 'assistant') {
+            return null;
+        }
+
+        if (data.type === 'function_call') {
+            const call = parseJSON(data.content) || {};
+            return {
+                id: data.id,
+                type: 'function_call',
+                name: call.name || call.plugin_name || '未知插件',
+                arguments: truncateText(call.arguments)
+            };
+        }
+
+        if (data.type === 'tool_response' || data.type === 'tool_output') {
+            return {
+                id: data.id,
+                type: 'tool_response',
+                output: truncateText(data.content)
+            };
+        }
+
+        if (data.type !== 'verbose') {
+            return null;
+        }
+
+        const verbose = parseJSON(data.content) || {};
+        if (!verbose.msg_type || IGNORED_VERBOSE_TYPES.includes(verbose.msg_type)) {
+            return null;
+        }
+
+        if (verbose.msg_type === 'knowledge_recall') {
+            const recall = parseJSON(verbose.data) || {};
+            const hits = (recall.chunks || []).slice(0, KNOWLEDGE_HIT_LIMIT).map(chunk => {
+                const meta = chunk.meta || {};
+                return {
+                    title: (meta.link && meta.link.title) || (meta.document && meta.document.name) || '知识库片段',
+                    url: (meta.link && meta.link.url) || '',
+                    dataset: (meta.dataset && meta.dataset.name) || '',
+                    snippet: truncateText(chunk.slice, 200)
+                };
+            });
+            return {
+                id: data.id,
+                type: 'knowledge',
+                total: (recall.chunks || []).length,
+                hits: hits
+            };
+        }
+
+        const detail = parseJSON(verbose.data);
+        return {
+            id: data.id,
+            type: 'verbose',
+            msgType: verbose.msg_type,
+            // 多Agent/工作流跳转时返回目标节点名称
+            node: (detail && (detail.agent_name || detail.node_title || detail.name)) || '',
+            content: truncateText(verbose.data)
+        };
+    }
+
+    /**
+     * 聊天前的意图路由：按规则注入外部凭证、切换Bot或强制搜索模式
+     * 会直接修改 params 中的 botId / searchMode，凭证获取失败不阻断聊天流程
+     * @param {Object} params - 消息参数 { query, botId, searchMode, conversation_id }
+     * @param {string} userId - 用户ID
+     * @param {string} accessToken - Coze访问令牌
+     * @param {Object} userInfo - 登录时获取的成员信息（可选，用于校验Bot权限）
+     * @returns {Promise<Object>} 路由结果 { intents, botId, searchMode, variables }
+     */
+    async applyIntentRouting(params, userId, accessToken, userInfo = null) {
+        const routing = await intentRouter.route(params.query, {
+            userId,
+            userInfo,
+            accessToken,
+            botId: params.botId,
+            searchMode: params.searchMode
+        });
+
+        if (routing.botId !== params.botId) {
+            // 会话属于原Bot，切换后改用目标Bot下该用户的会话
+            logger.info('[ChatService] 意图路由切换Bot', {
+                userId,
+                fromBotId: params.botId || 'default',
+                toBotId: routing.botId
+            });
+            params.botId = routing.botId;
+            params.conversation_id = undefined;
+        }
+        params.searchMode = routing.searchMode;
+
+        return routing;
+    }
+
     /**
      * Coze消息发送接口
      * @param {Object} params - 消息参数
      * @param {string} params.query - 用户消息内容
+     * @param {Array<Object>} params.attachments - 已上传到Coze的附件 [{ type, fileId }]
+     * @param {string} params.botId - Coze Bot ID（可选，默认使用配置的Bot）
      * @param {string} userId - 从企微鉴权获取的用户ID
      * @param {Object} callbacks - 回调函数
      * @param {Function} callbacks.onMessage - 接收消息时的回调
      * @param {Function} callbacks.onEnd - 消息结束时的回调
      * @param {Function} callbacks.onError - 错误时的回调
-     * @returns {Promise<Object>} 聊天响应
+     * @param {string} accessToken - Coze访问令牌
+     * @param {Object} options - 发送选项
+     * @param {AbortSignal} options.signal - 中止信号（客户端断开时触发），触发后自动取消Coze对话
+     * @returns {Promise<Object>} 聊天响应，被中止时 interrupted 为 true
      */
-    async sendMessage(params, userId, callbacks = {}, accessToken = null) {
+    async sendMessage(params, userId, callbacks = {}, accessToken = null, options = {}) {
+        const endChatTimer = chatDuration.startTimer();
+
         try {
             // 验证必要参数
-            if (!params.query || params.query.trim() === '') {
+            const hasAttachments = Array.isArray(params.attachments) && params.attachments.length > 0;
+            if ((!params.query || params.query.trim() === '') && !hasAttachments) {
                 throw new Error('消息内容不能为空');
             }
 
@@ -307,11 +554,12 @@ class ChatService {
                     userId: userId
                 });
 
-                conversationId = await this.getOrCreateConversation(userId, accessToken);
+                conversationId = await this.getOrCreateConversation(userId, accessToken, params.botId);
             } else {
                 // 如果提供了 conversationId，也缓存起来
-                if (!this.conversationCache.has(userId)) {
-                    this.conversationCache.set(userId, conversationId);
+                const cacheKey = this.getConversationCacheKey(userId, params.botId);
+                if (!this.conversationCache.has(cacheKey)) {
+                    this.conversationCache.set(cacheKey, conversationId);
                     logger.info('缓存前端提供的conversationId', {
                         type: 'cache_frontend_conversation',
                         userId: userId,
@@ -336,6 +584,12 @@ class ChatService {
             let followUpQuestions = []; // 收集推荐问题
             let messageId = null; // 用于存储messageId供反馈功能使用
             let chatId = null; // 用于获取follow_up消息
+            let activeChat = null; // 进行中的对话，用于取消
+            const issuedCards = []; // 本轮推送的交互卡片
+            const issuedCardKeys = new Set(); // 已推送卡片的定义，completed 事件重复时不再推送
+            const signal = options.signal;
+            const endFirstTokenTimer = chatTimeToFirstToken.startTimer();
+            let firstTokenReceived = false;
             
             // 使用Promise包装回调式的sendStreamingMessage
             return new Promise(async (resolve, reject) => {
@@ -378,18 +632,67 @@ class ChatService {
                     }
                 };
                 
+                // 客户端断开时取消Coze对话；对话尚未创建时，在收到 chat.created 后再取消
+                const handleAbort = () => {
+                    if (activeChat) {
+                        this.cancelChat(activeChat.chatId, userId, 'client_disconnect').catch(() => {});
+                    }
+                };
+
+                // 对话结束后移除登记和中止监听
+                const releaseActiveChat = () => {
+                    if (activeChat) {
+                        this.activeChats.delete(activeChat.chatId);
+                    }
+                    if (signal) {
+                        signal.removeEventListener('abort', handleAbort);
+                    }
+                };
+
+                if (signal) {
+                    signal.addEventListener('abort', handleAbort, { once: true });
+                }
+
                 // 启动进度消息
                 startProgressMessages();
                 
+                // 记录并推送回答中的交互卡片
+                const issueCards = (cards, data) => {
+                    cards.forEach(card => {
+                        const key = JSON.stringify(card);
+                        if (issuedCardKeys.has(key)) {
+                            return;
+                        }
+                        issuedCardKeys.add(key);
+
+                        const cardConversationId = data.conversation_id || conversationId;
+                        const issued = cardService.issue(userId, cardConversationId, card);
+                        issuedCards.push(issued);
+
+                        if (wrappedCallbacks.onMessage) {
+                            wrappedCallbacks.onMessage({
+                                event: 'card',
+                                card: issued,
+                                conversation_id: cardConversationId,
+                                message_id: data.id,
+                                user_id: userId
+                            });
+                        }
+                    });
+                };
+
                 // Follow-up变量改为获取后立即清除，不在聊天开始时清除
                 // 这样可以避免旧值持久化问题，确保每次都是最新的follow-up
 
                 this.adapter.sendStreamingMessage({
                     conversationId: conversationId, // 现在使用获取到的conversationId
+                    botId: params.botId,
                     userId: userId,
                     query: params.query,
+                    attachments: params.attachments,
                     autoSaveHistory: true,
-                    searchMode: params.searchMode
+                    searchMode: params.searchMode,
+                    signal: signal
                 }, 
                 // onMessage callback
                 async (chunk) => {
@@ -415,9 +718,39 @@ class ChatService {
                         logger.debug('[ChatService] 捕获到 chat_id:', chatId);
                     }
                     
-                    if (chunk.event === 'conversation.message.delta') {
+                    if (chunk.event === 'conversation.chat.created' && chunk.data && chunk.data.id) {
+                        // 登记进行中的对话，前端凭 chat_id 调用取消接口
+                        chatId = chunk.data.id;
+                        activeChat = {
+                            chatId: chatId,
+                            conversationId: chunk.data.conversation_id || conversationId,
+                            userId: userId,
+                            accessToken: accessToken,
+                            canceled: false
+                        };
+                        this.activeChats.set(chatId, activeChat);
+
+                        if (wrappedCallbacks.onMessage) {
+                            wrappedCallbacks.onMessage({
+                                event: 'chat_created',
+                                chat_id: chatId,
+                                conversation_id: activeChat.conversationId,
+                                user_id: userId
+                            });
+                        }
+
+                        if (signal && signal.aborted) {
+                            handleAbort();
+                        }
+                    } else if (chunk.event === 'conversation.message.delta') {
                         // 检查是否是助手的回答内容
-                        if (chunk.data && chunk.data.role === 'assistant' && chunk.data.type === 'answer' && chunk.data.content) {
+                        if (chunk.data && chunk.data.role === 'assistant' && chunk.data.type === 'answer' && chunk.data.content &&
+                            chunk.data.content_type !== 'card') {
+                            if (!firstTokenReceived) {
+                                firstTokenReceived = true;
+                                endFirstTokenTimer();
+                            }
+
                             // 对于delta事件，使用数组收集内容片段（性能优化）
                             answerParts.push(chunk.data.content);
                             fullAnswer = answerParts.join('');
@@ -442,8 +775,33 @@ class ChatService {
                             }
                         }
                     } else if (chunk.event === 'conversation.message.completed') {
-                        // 检查是否是助手的回答内容
-                        if (chunk.data && chunk.data.role === 'assistant' && chunk.data.type === 'answer' && chunk.data.content) {
+                        // 插件调用、插件返回、知识库召回、工作流节点等执行步骤，以各自的事件类型推送
+                        const step = this.parseStepMessage(chunk.data);
+                        if (step) {
+                            logger.debug('[ChatService] 推送执行步骤', {
+                                type: 'chat_step',
+                                stepType: step.type,
+                                userId: userId
+                            });
+
+                            if (wrappedCallbacks.onMessage) {
+                                wrappedCallbacks.onMessage({
+                                    event: step.type,
+                                    step: step,
+                                    conversation_id: chunk.data.conversation_id || conversationId,
+                                    user_id: userId
+                                });
+                            }
+                        }
+
+                        // Coze 卡片消息：符合交互卡片格式的以 card 事件推送，不计入回答
+                        if (chunk.data && chunk.data.role === 'assistant' && chunk.data.type === 'answer' &&
+                            chunk.data.content_type === 'card') {
+                            const card = parseCardMessage(chunk.data.content);
+                            if (card) {
+                                issueCards([card], chunk.data);
+                            }
+                        } else if (chunk.data && chunk.data.role === 'assistant' && chunk.data.type === 'answer' && chunk.data.content) {
                             // 对于completed事件，比较累积内容和完整内容，使用更长的版本
                             // 这样可以避免因为completed事件内容被截断而丢失数据
                             const completedContent = chunk.data.content;
@@ -477,7 +835,10 @@ class ChatService {
                                 messageId = chunk.data.id;
                             }
 
-                            console.log('[ChatService] 发送最终完整消息响应:', {
+                            // 回答中的 ```card 代码块
+                            issueCards(extractCards(fullAnswer).cards, chunk.data);
+
+                            logger.debug('[ChatService] 发送最终完整消息响应:', {
                                 finalAnswerLength: fullAnswer.length,
                                 event: messageResponse.event,
                                 messageId: messageId
@@ -496,17 +857,19 @@ class ChatService {
                         // 对话完成时获取chatId
                         if (chunk.data && chunk.data.id) {
                             chatId = chunk.data.id;
-                            console.log('[ChatService] 对话完成，获取到chatId:', chatId);
+                            logger.debug('[ChatService] 对话完成，获取到chatId:', chatId);
                         }
 
                         // 对话完成 - follow-up questions 将在 onComplete 回调中统一处理
-                        console.log('[ChatService] 对话完成事件 - follow-up 将在 onComplete 中获取');
+                        logger.debug('[ChatService] 对话完成事件 - follow-up 将在 onComplete 中获取');
                     }
                 },
                 // onError callback
                 (error) => {
                     // 错误时清理进度定时器
                     clearProgressMessages();
+                    releaseActiveChat();
+                    endChatTimer({ result: 'error' });
                     
                     const errorResponse = {
                         event: 'error',
@@ -518,39 +881,48 @@ class ChatService {
                         wrappedCallbacks.onError(errorResponse);
                     }
                     
-                    // 发生错误时reject Promise
-                    reject(new Error(error.message || '未知错误'));
+                    // 发生错误时reject Promise，保留状态码和错误码供调用方判断访问令牌是否失效
+                    const chatError = new Error(error.message || '未知错误');
+                    chatError.status = error.status;
+                    chatError.code = error.code;
+                    reject(chatError);
                 },
                 // onComplete callback
                 async (result) => {
                     // 完成时清理进度定时器
                     clearProgressMessages();
+                    releaseActiveChat();
+
+                    // 用户停止或客户端断开，回答只生成了一部分
+                    const interrupted = !!((activeChat && activeChat.canceled) || (signal && signal.aborted));
+                    endChatTimer({ result: interrupted ? 'interrupted' : 'completed' });
                     
                     // 获取最终的 follow-up questions
                     let finalFollowUpQuestions = followUpQuestions;
                     
-                    // 如果还没有获取到 follow-up，再尝试一次
-                    if (!finalFollowUpQuestions.length && userId && !followUpSent) {
-                        console.log('[ChatService] 在 onComplete 中尝试获取 follow-up 变量');
+                    // 如果还没有获取到 follow-up，再尝试一次（被中断的回答不再获取）
+                    if (!interrupted && !finalFollowUpQuestions.length && userId && !followUpSent) {
+                        logger.debug('[ChatService] 在 onComplete 中尝试获取 follow-up 变量');
                         try {
                             const variableResult = await this.adapter.getUserVariables(
                                 userId,
                                 ['follow_up_q1', 'follow_up_q2', 'follow_up_q3'],
-                                accessToken
+                                accessToken,
+                                params.botId
                             );
                             
                             if (variableResult.success && variableResult.followUpQuestions && variableResult.followUpQuestions.length > 0) {
                                 finalFollowUpQuestions = variableResult.followUpQuestions;
-                                console.log('[ChatService] 在 onComplete 中获取到 follow-up 问题:', {
+                                logger.debug('[ChatService] 在 onComplete 中获取到 follow-up 问题:', {
                                     count: finalFollowUpQuestions.length,
                                     questions: finalFollowUpQuestions
                                 });
 
                                 // 立即清除follow-up变量，避免下次读到旧值
                                 try {
-                                    console.log('[ChatService] [onComplete] 开始清除follow-up变量...');
+                                    logger.debug('[ChatService] [onComplete] 开始清除follow-up变量...');
                                     const clearResult = await this.adapter.setBotVariables(
-                                        this.adapter.config.botId,
+                                        params.botId || this.adapter.config.botId,
                                         [
                                             { keyword: 'follow_up_q1', value: '' },
                                             { keyword: 'follow_up_q2', value: '' },
@@ -559,13 +931,13 @@ class ChatService {
                                         userId,
                                         accessToken
                                     );
-                                    console.log('[ChatService] [onComplete] 成功清除follow-up变量:', clearResult);
+                                    logger.debug('[ChatService] [onComplete] 成功清除follow-up变量:', clearResult);
                                 } catch (clearError) {
-                                    console.error('[ChatService] [onComplete] 清除follow-up变量失败:', clearError.message);
+                                    logger.error('[ChatService] [onComplete] 清除follow-up变量失败:', clearError.message);
                                     // 重试一次
                                     try {
                                         await this.adapter.setBotVariables(
-                                            this.adapter.config.botId,
+                                            params.botId || this.adapter.config.botId,
                                             [
                                                 { keyword: 'follow_up_q1', value: '' },
                                                 { keyword: 'follow_up_q2', value: '' },
@@ -574,18 +946,20 @@ class ChatService {
                                             userId,
                                             accessToken
                                         );
-                                        console.log('[ChatService] [onComplete] 重试清除成功');
+                                        logger.debug('[ChatService] [onComplete] 重试清除成功');
                                     } catch (retryError) {
-                                        console.error('[ChatService] [onComplete] 重试清除仍失败:', retryError.message);
+                                        logger.error('[ChatService] [onComplete] 重试清除仍失败:', retryError.message);
                                     }
                                 }
                             }
                         } catch (error) {
-                            console.error('[ChatService] 在 onComplete 中获取变量失败:', error.message);
+                            logger.error('[ChatService] 在 onComplete 中获取变量失败:', error.message);
                         }
                     }
 
                     
+                    this.indexChatTurn(params, userId, conversationId, chatId, messageId, this.sanitizeAnswerText(fullAnswer));
+
                     // 构建包含 follow-up 的 end 响应
                     const endResponse = {
                         event: 'message_end',
@@ -593,7 +967,8 @@ class ChatService {
                         conversation_id: conversationId,
                         user_id: userId,
                         message_id: messageId, // 添加消息ID用于反馈功能
-                        followUpQuestions: finalFollowUpQuestions // 包含在 end 响应中
+                        followUpQuestions: finalFollowUpQuestions, // 包含在 end 响应中
+                        interrupted: interrupted
                     };
                     
                     // 发送end事件
@@ -601,7 +976,7 @@ class ChatService {
                         wrappedCallbacks.onEnd(endResponse);
                     }
                     
-                    console.log('[ChatService] 流式响应完成:', {
+                    logger.debug('[ChatService] 流式响应完成:', {
                         hasAnswer: !!fullAnswer,
                         answerLength: fullAnswer.length,
                         userId: userId
@@ -611,7 +986,9 @@ class ChatService {
                     const finalResult = {
                         answer: this.sanitizeAnswerText(fullAnswer),
                         user_id: userId,
-                        conversation_id: conversationId
+                        conversation_id: conversationId,
+                        interrupted: interrupted,
+                        cards: issuedCards
                     };
                     
                     resolve(finalResult);
@@ -619,7 +996,8 @@ class ChatService {
             });
             
         } catch (error) {
-            console.error('[ChatService] 发送Coze消息失败:', error.message);
+            logger.error('[ChatService] 发送Coze消息失败:', error.message);
+            endChatTimer({ result: 'error' });
             
             // 统一错误处理
             const errorResponse = {
@@ -638,59 +1016,48 @@ class ChatService {
     }
     
     /**
-     * Coze语音转文字接口
-     * @param {Buffer} audioBuffer - 音频文件缓冲区
-     * @param {Object} options - 转换选项
-     * @param {string} options.format - 音频格式
-     * @param {string} options.language - 语言代码
-     * @param {string} options.filename - 文件名
-     * @param {string} options.contentType - 内容类型
-     * @param {string} token - 用户访问令牌
-     * @returns {Promise<Object>} 转换结果
+     * 取消进行中的对话
+     * @param {string} chatId - 对话ID
+     * @param {string} userId - 发起取消的用户ID，只能取消自己的对话
+     * @param {string} reason - 取消原因 user_stop | client_disconnect
+     * @returns {Promise<boolean>} 对话不存在、已结束或不属于该用户时返回false
      */
-    async convertSpeechToText(audioBuffer, options = {}, token = null) {
-        try {
-            console.log('[ChatService] 开始Coze语音转文字:', {
-                audioSize: audioBuffer ? `${(audioBuffer.length / 1024).toFixed(2)}KB` : '0KB',
-                format: options.format || 'unknown',
-                language: options.language || 'zh-CN',
-                provider: 'coze'
-            });
+    async cancelChat(chatId, userId, reason = 'user_stop') {
+        const activeChat = this.activeChats.get(chatId);
+        if (!activeChat || activeChat.userId !== userId) {
+            return false;
+        }
 
-            // 验证音频数据
-            if (!audioBuffer || audioBuffer.length === 0) {
-                throw new Error('音频数据为空或无效');
-            }
+        if (activeChat.canceled) {
+            return true;
+        }
+        activeChat.canceled = true;
 
-            // 调用Coze适配器的语音转文字方法，传递token
-            const result = await this.adapter.speechToText(audioBuffer, options, token);
-            
-            console.log('[ChatService] Coze语音转文字完成:', {
-                success: result.success,
-                textLength: result.text ? result.text.length : 0,
-                confidence: result.confidence || 0
-            });
-            
-            // 添加提供商信息到结果中
-            return {
-                ...result,
-                provider: 'coze'
-            };
-            
+        logger.info('取消Coze对话', {
+            type: 'chat_cancel',
+            chatId: chatId,
+            conversationId: activeChat.conversationId,
+            userId: userId,
+            reason: reason
+        });
+
+        try {
+            await this.adapter.cancelChat(activeChat.conversationId, chatId, activeChat.accessToken);
+            return true;
         } catch (error) {
-            console.error('[ChatService] Coze语音转文字失败:', error.message);
-            
-            return {
-                success: false,
-                error: `[Coze] ${error.message}`,
-                text: '',
-                confidence: 0,
-                language: options.language || 'zh-CN',
-                provider: 'coze'
-            };
+            // Coze未能取消（如对话恰好已结束），回答仍按正常完成处理
+            activeChat.canceled = false;
+            logger.error('取消Coze对话失败', {
+                type: 'chat_cancel_error',
+                chatId: chatId,
+                userId: userId,
+                reason: reason,
+                error: error.message
+            });
+            throw new Error(error.message || '取消对话失败');
         }
     }
-    
+
     /**
      * 包装回调函数，添加统一的日志记录
      * @param {Object} callbacks - 原始回调函数
@@ -754,17 +1121,17 @@ class ChatService {
             const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
             if (cozeSDKAdapter.reload) {
                 this.adapter = cozeSDKAdapter.reload();
-                console.log('[ChatService] 适配器已重新加载');
+                logger.debug('[ChatService] 适配器已重新加载');
                 return true;
             } else {
                 // 如果没有 reload 方法，直接重新 require
                 delete require.cache[require.resolve('../utils/cozeSDKAdapter')];
                 this.adapter = require('../utils/cozeSDKAdapter');
-                console.log('[ChatService] 适配器已重新加载（通过清除缓存）');
+                logger.debug('[ChatService] 适配器已重新加载（通过清除缓存）');
                 return true;
             }
         } catch (error) {
-            console.error('[ChatService] 重新加载适配器失败:', error.message);
+            logger.error('[ChatService] 重新加载适配器失败:', error.message);
             return false;
         }
     }
@@ -877,4 +1244,34 @@ class ChatService {
     }
 }
 
-module.exports = ChatService;
\ No newline at end of file
+// 共享实例：网页聊天与企业微信消息窗口使用同一份会话缓存
+const chatService = new ChatService();
+
+// 抓取 /metrics 时从聊天服务统计同步
+metrics.gauge({
+    name: 'chat_active',
+    help: '进行中的对话数',
+    collect: gauge => gauge.set({}, chatService.activeChats.size)
+});
+
+metrics.gauge({
+    name: 'conversation_cache_size',
+    help: '会话缓存条目数',
+    collect: gauge => gauge.set({}, chatService.conversationCache.size)
+});
+
+// event: hit / miss / create / error
+metrics.counter({
+    name: 'conversation_cache_events_total',
+    help: '会话缓存命中、未命中、新建会话和出错的次数',
+    labelNames: ['event'],
+    collect: counter => {
+        const { hits, misses, creates, errors } = chatService.cacheStats;
+        counter.set({ event: 'hit' }, hits);
+        counter.set({ event: 'miss' }, misses);
+        counter.set({ event: 'create' }, creates);
+        counter.set({ event: 'error' }, errors);
+    }
+});
+
+module.exports = { ChatService, chatService };
\ No newline at end of file
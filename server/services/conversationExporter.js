@@ -0,0 +1,219 @@
+/**
+ * 会话导出服务
+ * 拉取会话的完整历史消息，整理为 Markdown，按需通过 pandoc 转为 PDF / Word
+ */
+const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
+const logger = require('../utils/logger');
+const { parseMessageContent, filterDisplayMessages } = require('../utils/conversationMessages');
+const { convertMarkdown } = require('../utils/documentConverter');
+const { chatService } = require('./chatService');
+
+// 支持的导出格式
+const EXPORT_FORMATS = {
+    md: {
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md'
+    },
+    pdf: {
+        contentType: 'application/pdf',
+        extension: 'pdf'
+    },
+    docx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx'
+    }
+};
+
+// 单次导出最多拉取的消息页数（每页50条），超出部分不导出
+const MAX_PAGES = 20;
+const PAGE_SIZE = 50;
+
+// 标题最大长度（也用于文件名）
+const TITLE_MAX_LENGTH = 50;
+
+class ConversationExporter {
+    /**
+     * 拉取会话的全部消息（从最新向更早翻页）
+     * @param {string} conversationId - 会话ID
+     * @param {string} accessToken - Coze访问令牌
+     * @returns {Promise<Object>} { messages: 按时间升序的展示消息, truncated: 是否超出上限 }
+     */
+    async fetchMessages(conversationId, accessToken) {
+        const collected = [];
+        let afterId;
+        let truncated = false;
+
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const result = await cozeSDKAdapter.getConversationMessages(
+                conversationId,
+                { order: 'desc', afterId: afterId, limit: PAGE_SIZE },
+                accessToken
+            );
+
+            collected.push(...result.data);
+
+            if (!result.hasMore || result.data.length === 0) {
+                break;
+            }
+
+            if (page === MAX_PAGES - 1) {
+                truncated = true;
+                break;
+            }
+
+            // 与历史消息接口一致：以本页最早一条消息的ID继续获取更早的消息
+            afterId = result.data[result.data.length - 1].id;
+        }
+
+        return {
+            messages: filterDisplayMessages(collected.reverse()),
+            truncated: truncated
+        };
+    }
+
+    /**
+     * 格式化消息时间
+     * @param {number} seconds - Coze 返回的秒级时间戳
+     * @returns {string} 如 2024/5/1 09:30:00
+     */
+    formatTime(seconds) {
+        if (!seconds) {
+            return '';
+        }
+        return new Date(seconds * 1000).toLocaleString('zh-CN', { hour12: false });
+    }
+
+    /**
+     * 渲染单条消息
+     * @param {Object} msg - Coze 消息
+     * @returns {string} Markdown
+     */
+    renderMessage(msg) {
+        const { content, attachments } = parseMessageContent(msg);
+        const speaker = msg.role === 'user' ? '我' : '助手';
+        const time = this.formatTime(msg.created_at);
+        const lines = [`### ${speaker}${time ? ` · ${time}` : ''}`, ''];
+
+        const text = msg.role === 'assistant'
+            ? chatService.sanitizeAnswerText(content || '')
+            : content || '';
+        if (text.trim()) {
+            lines.push(text.trim(), '');
+        }
+
+        // 用户上传的图片直接展示，其他文件以链接形式列出
+        for (const attachment of attachments) {
+            const name = attachment.name || (attachment.type === 'image' ? '图片' : '附件');
+            if (!attachment.url) {
+                lines.push(`附件：${name}`, '');
+            } else if (attachment.type === 'image') {
+                lines.push(`![${name}](${attachment.url})`, '');
+            } else {
+                lines.push(`附件：[${name}](${attachment.url})`, '');
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * 生成整个会话的 Markdown
+     * @param {string} title - 会话标题
+     * @param {Array<Object>} messages - 按时间升序的 Coze 消息
+     * @param {Object} options - 选项
+     * @param {boolean} options.truncated - 是否只导出了最近的部分消息
+     * @returns {string} Markdown
+     */
+    buildMarkdown(title, messages, options = {}) {
+        const exportedAt = new Date().toLocaleString('zh-CN', { hour12: false });
+        const parts = [
+            `# ${title}`,
+            '',
+            `> 导出时间：${exportedAt} · 共 ${messages.length} 条消息`
+        ];
+
+        if (options.truncated) {
+            parts.push('>', `> 会话过长，仅导出最近的 ${messages.length} 条消息`);
+        }
+
+        parts.push('', '---', '');
+
+        for (const msg of messages) {
+            parts.push(this.renderMessage(msg));
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * 确定导出标题：优先使用前端传入的会话标题，否则使用首条提问
+     * @param {string} title - 前端传入的标题
+     * @param {Array<Object>} messages - 消息
+     * @returns {string} 标题
+     */
+    resolveTitle(title, messages) {
+        let resolved = typeof title === 'string' ? title.replace(/[\r\n]+/g, ' ').trim() : '';
+
+        if (!resolved) {
+            const firstQuestion = messages.find(msg => msg.role === 'user');
+            resolved = firstQuestion ? (parseMessageContent(firstQuestion).content || '').trim() : '';
+        }
+
+        if (!resolved) {
+            resolved = '新对话';
+        }
+
+        return resolved.length > TITLE_MAX_LENGTH ? `${resolved.substring(0, TITLE_MAX_LENGTH)}...` : resolved;
+    }
+
+    /**
+     * 导出会话
+     * @param {string} conversationId - 会话ID
+     * @param {string} format - md / pdf / docx
+     * @param {string} accessToken - Coze访问令牌
+     * @param {Object} options - 选项
+     * @param {string} options.title - 会话标题（可选）
+     * @returns {Promise<Object>} { title, filename, contentType, body, messageCount, truncated }
+     */
+    async exportConversation(conversationId, format, accessToken, options = {}) {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+
+        const { messages, truncated } = await this.fetchMessages(conversationId, accessToken);
+        const title = this.resolveTitle(options.title, messages);
+        const markdown = this.buildMarkdown(title, messages, { truncated });
+
+        const body = format === 'md'
+            ? Buffer.from(markdown, 'utf8')
+            : await convertMarkdown(markdown, format);
+
+        logger.info('会话导出完成', {
+            type: 'conversation_export_success',
+            conversationId: conversationId,
+            format: format,
+            messageCount: messages.length,
+            truncated: truncated,
+            size: body.length
+        });
+
+        return {
+            title: title,
+            // 去掉文件名中不允许的字符
+            filename: `${title.replace(/[\\/:*?"<>|]/g, '_')}.${exportFormat.extension}`,
+            contentType: exportFormat.contentType,
+            body: body,
+            messageCount: messages.length,
+            truncated: truncated
+        };
+    }
+}
+
+// 全局导出服务实例
+const conversationExporter = new ConversationExporter();
+
+module.exports = {
+    ConversationExporter,
+    conversationExporter
+};
@@ -0,0 +1,409 @@
+/**
+ * 消息反馈服务
+ * 保存成员对回答的点赞/点踩（含点踩原因和补充说明）以及对应的提问和回答，支持撤回：
+ * - 每位成员对同一条回答只有一条反馈记录，重复提交覆盖当前反馈，events 保留全部操作
+ * - 反馈同时转发给 Coze，转发失败只记录日志，不影响本地记录
+ * - 知识库负责人通过 /api/admin/feedback 按Bot、类型、原因和时间筛选并导出 CSV
+ */
+const feedbackConfig = require('../config/feedback');
+const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
+const { createStorage } = require('../utils/storage');
+const { messageSearchIndex } = require('../utils/messageSearchIndex');
+const { parseMessageContent } = require('../utils/conversationMessages');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { botRegistry } = require('./botRegistry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 索引中没有该回答时，从 Coze 拉取会话最近的消息查找
+const RECENT_MESSAGE_LIMIT = 50;
+
+// action: submit / retract，result: success / error
+const feedbackCozeSyncTotal = metrics.counter({
+    name: 'feedback_coze_sync_total',
+    help: '消息反馈转发给Coze的次数',
+    labelNames: ['action', 'result']
+});
+
+// CSV 列：表头 -> 取值
+const CSV_COLUMNS = [
+    ['反馈时间', entry => entry.updatedAt],
+    ['成员', entry => entry.userName],
+    ['成员ID', entry => entry.userId],
+    ['助手', entry => entry.botName],
+    ['类型', entry => (entry.type === 'like' ? '点赞' : '点踩')],
+    ['原因', entry => entry.reasonLabels.join('；')],
+    ['补充说明', entry => entry.comment],
+    ['提问', entry => entry.question],
+    ['回答', entry => entry.answer],
+    ['状态', entry => (entry.status === 'retracted' ? '已撤回' : '有效')],
+    ['会话ID', entry => entry.conversationId],
+    ['消息ID', entry => entry.messageId]
+];
+
+/**
+ * 转义 CSV 单元格；以 = + - @ 开头的内容加单引号，避免在表格软件中被当作公式执行
+ * @param {*} value - 单元格内容
+ * @returns {string}
+ */
+function toCsvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+class FeedbackService {
+    /**
+     * 构造函数
+     * @param {Object} config - 反馈配置，见 config/feedback.js
+     */
+    constructor(config = feedbackConfig) {
+        this.config = config;
+        // `${userId}:${messageId}` -> 反馈记录
+        this.storage = createStorage('message_feedback', { defaultTTL: config.retentionDays * DAY_MS });
+        // 原因 code -> 展示名称
+        this.reasonLabels = new Map(config.reasons.map(reason => [reason.code, reason.label]));
+    }
+
+    /**
+     * 点踩原因列表
+     * @returns {Array<Object>} [{ code, label }]
+     */
+    getReasons() {
+        return this.config.reasons;
+    }
+
+    /**
+     * 查找回答及其对应的提问：优先使用本地搜索索引，没有时从 Coze 拉取会话最近的消息
+     * @param {string} userId - 成员ID
+     * @param {string} conversationId - 会话ID
+     * @param {string} messageId - 回答的消息ID
+     * @param {string} accessToken - 成员的Coze访问令牌
+     * @param {string} requestId - 请求ID（日志用）
+     * @returns {Promise<Object>} { question, answer, chatId, botId }，找不到时各字段为null
+     */
+    async resolveExchange(userId, conversationId, messageId, accessToken, requestId) {
+        const indexed = messageSearchIndex.getExchange(userId, conversationId, messageId);
+        if (indexed) {
+            return indexed;
+        }
+
+        try {
+            const result = await cozeSDKAdapter.getConversationMessages(
+                conversationId,
+                { order: 'desc', limit: RECENT_MESSAGE_LIMIT },
+                accessToken
+            );
+            const messages = result.data || [];
+            const answer = messages.find(msg => msg.id === messageId);
+            if (answer) {
+                const question = messages.find(msg => msg.role === 'user' && msg.chat_id === answer.chat_id);
+                return {
+                    question: question ? parseMessageContent(question).content : null,
+                    answer: parseMessageContent(answer).content,
+                    chatId: answer.chat_id || null,
+                    botId: answer.bot_id || null
+                };
+            }
+        } catch (error) {
+            logger.warn('获取反馈对应的问答失败', {
+                type: 'feedback_exchange_error',
+                requestId: requestId,
+                conversationId: conversationId,
+                messageId: messageId,
+                error: error.message
+            });
+        }
+
+        return { question: null, answer: null, chatId: null, botId: null };
+    }
+
+    /**
+     * 截断保存的提问和回答
+     * @param {string|null} content - 正文
+     * @returns {string|null}
+     */
+    truncate(content) {
+        return typeof content === 'string' ? content.slice(0, this.config.maxContentLength) : null;
+    }
+
+    /**
+     * 转发给 Coze，失败时只记录日志
+     * @param {string} action - submit / retract
+     * @param {Function} operation - 调用 Coze 接口
+     * @param {Object} context - 日志字段
+     * @returns {Promise<boolean>} 是否转发成功
+     */
+    async syncToCoze(action, operation, context) {
+        try {
+            await operation();
+            feedbackCozeSyncTotal.inc({ action: action, result: 'success' });
+            return true;
+        } catch (error) {
+            feedbackCozeSyncTotal.inc({ action: action, result: 'error' });
+            logger.warn('消息反馈转发Coze失败，已保存在本地', {
+                type: 'feedback_coze_sync_error',
+                action: action,
+                ...context,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * 提交反馈（同一成员对同一条回答重复提交时覆盖）
+     * @param {Object} user - 成员 { userId, userName }
+     * @param {Object} feedback - 反馈内容
+     * @param {string} feedback.conversationId - 会话ID
+     * @param {string} feedback.messageId - 回答的消息ID
+     * @param {string} feedback.type - like / unlike
+     * @param {Array<string>} feedback.reasons - 点踩原因 code（点赞时忽略）
+     * @param {string} feedback.comment - 补充说明（点赞时忽略）
+     * @param {string} feedback.botId - 前端当前的Bot（问答中没有 bot_id 时使用）
+     * @param {string} accessToken - 成员的Coze访问令牌
+     * @param {string} requestId - 请求ID（日志用）
+     * @returns {Promise<Object>} 成员可见的反馈 { messageId, type, reasons, comment, status, cozeSynced }
+     */
+    async submit(user, feedback, accessToken, requestId) {
+        const key = `${user.userId}:${feedback.messageId}`;
+        const existing = this.storage.get(key);
+        const isUnlike = feedback.type === 'unlike';
+        const reasons = isUnlike
+            ? [...new Set(feedback.reasons || [])].filter(code => this.reasonLabels.has(code))
+            : [];
+        const comment = isUnlike
+            ? String(feedback.comment || '').trim().slice(0, this.config.maxCommentLength)
+            : '';
+
+        // 问答内容只在首次反馈时获取
+        const exchange = existing && existing.answer
+            ? existing
+            : await this.resolveExchange(user.userId, feedback.conversationId, feedback.messageId, accessToken, requestId);
+
+        const cozeSynced = await this.syncToCoze('submit', () => cozeSDKAdapter.submitMessageFeedback(
+            feedback.conversationId,
+            feedback.messageId,
+            { type: feedback.type, reasons: reasons, comment: comment },
+            accessToken
+        ), { requestId: requestId, conversationId: feedback.conversationId, messageId: feedback.messageId });
+
+        const now = new Date().toISOString();
+        const botId = exchange.botId || (existing && existing.botId) ||
+            (feedback.botId && botRegistry.getBot(feedback.botId) ? String(feedback.botId) : null);
+
+        const record = {
+            userId: user.userId,
+            userName: user.userName || (existing && existing.userName) || user.userId,
+            conversationId: feedback.conversationId,
+            messageId: feedback.messageId,
+            chatId: exchange.chatId || null,
+            botId: botId,
+            type: feedback.type,
+            reasons: reasons,
+            comment: comment,
+            question: this.truncate(exchange.question),
+            answer: this.truncate(exchange.answer),
+            status: 'active',
+            cozeSynced: cozeSynced,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            retractedAt: null,
+            events: [
+                ...(existing ? existing.events : []),
+                { action: 'submit', type: feedback.type, reasons: reasons, comment: comment, at: now }
+            ]
+        };
+        this.storage.set(key, record);
+
+        logger.info('保存消息反馈', {
+            type: 'feedback_saved',
+            requestId: requestId,
+            userId: user.userId,
+            conversationId: feedback.conversationId,
+            messageId: feedback.messageId,
+            botId: botId,
+            feedbackType: feedback.type,
+            reasons: reasons,
+            hasComment: !!comment,
+            hasExchange: !!record.answer,
+            cozeSynced: cozeSynced
+        });
+
+        return this.toUserView(record);
+    }
+
+    /**
+     * 撤回反馈
+     * @param {string} userId - 成员ID
+     * @param {string} messageId - 回答的消息ID
+     * @param {string} accessToken - 成员的Coze访问令牌
+     * @param {string} requestId - 请求ID（日志用）
+     * @returns {Promise<Object|null>} 撤回后的反馈，没有有效反馈时返回null
+     */
+    async retract(userId, messageId, accessToken, requestId) {
+        const key = `${userId}:${messageId}`;
+        const existing = this.storage.get(key);
+        if (!existing || existing.status !== 'active') {
+            return null;
+        }
+
+        const cozeSynced = await this.syncToCoze('retract', () => cozeSDKAdapter.deleteMessageFeedback(
+            existing.conversationId,
+            messageId,
+            accessToken
+        ), { requestId: requestId, conversationId: existing.conversationId, messageId: messageId });
+
+        const now = new Date().toISOString();
+        const record = {
+            ...existing,
+            status: 'retracted',
+            cozeSynced: cozeSynced,
+            updatedAt: now,
+            retractedAt: now,
+            events: [...existing.events, { action: 'retract', at: now }]
+        };
+        this.storage.set(key, record);
+
+        logger.info('撤回消息反馈', {
+            type: 'feedback_retracted',
+            requestId: requestId,
+            userId: userId,
+            conversationId: existing.conversationId,
+            messageId: messageId,
+            feedbackType: existing.type,
+            cozeSynced: cozeSynced
+        });
+
+        return this.toUserView(record);
+    }
+
+    /**
+     * 成员可见的反馈字段
+     * @param {Object} record - 反馈记录
+     * @returns {Object}
+     */
+    toUserView(record) {
+        return {
+            messageId: record.messageId,
+            type: record.type,
+            reasons: record.reasons,
+            comment: record.comment,
+            status: record.status,
+            cozeSynced: record.cozeSynced
+        };
+    }
+
+    /**
+     * 报表中的反馈（补充Bot名称和原因名称）
+     * @param {Object} record - 反馈记录
+     * @returns {Object}
+     */
+    toReportEntry(record) {
+        const bot = record.botId ? botRegistry.getBot(record.botId) : null;
+        return {
+            userId: record.userId,
+            userName: record.userName,
+            conversationId: record.conversationId,
+            messageId: record.messageId,
+            botId: record.botId,
+            botName: bot ? bot.name : null,
+            type: record.type,
+            reasons: record.reasons,
+            reasonLabels: record.reasons.map(code => this.reasonLabels.get(code) || code),
+            comment: record.comment,
+            question: record.question,
+            answer: record.answer,
+            status: record.status,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            retractedAt: record.retractedAt,
+            events: record.events
+        };
+    }
+
+    /**
+     * 查询反馈报表（按最近更新时间倒序）
+     * @param {Object} filters - 筛选条件
+     * @param {Array<string>|null} filters.botIds - 可查看的Bot，null表示全部（含未识别Bot的反馈）
+     * @param {string} filters.botId - 指定Bot
+     * @param {string} filters.type - like / unlike
+     * @param {string} filters.reason - 点踩原因 code
+     * @param {string} filters.userId - 成员ID
+     * @param {string} filters.keyword - 在提问、回答和补充说明中搜索
+     * @param {string} filters.from - 起始时间（ISO，含）
+     * @param {string} filters.to - 结束时间（ISO，含）
+     * @param {boolean} filters.includeRetracted - 是否包含已撤回的反馈
+     * @param {number} filters.limit - 最多返回条数
+     * @returns {Object} { entries, total, summary: { like, unlike, reasons: { code: count } } }
+     */
+    listFeedback(filters = {}) {
+        const keyword = filters.keyword ? filters.keyword.toLowerCase() : null;
+        const fromTime = filters.from ? new Date(filters.from).getTime() : null;
+        const toTime = filters.to ? new Date(filters.to).getTime() : null;
+
+        const matched = this.storage.values().filter(record => {
+            if (filters.botIds && !filters.botIds.includes(record.botId)) return false;
+            if (filters.botId && record.botId !== filters.botId) return false;
+            if (!filters.includeRetracted && record.status !== 'active') return false;
+            if (filters.type && record.type !== filters.type) return false;
+            if (filters.reason && !record.reasons.includes(filters.reason)) return false;
+            if (filters.userId && record.userId !== filters.userId) return false;
+
+            const updatedTime = new Date(record.updatedAt).getTime();
+            if (fromTime && updatedTime < fromTime) return false;
+            if (toTime && updatedTime > toTime) return false;
+
+            if (keyword) {
+                const text = [record.question, record.answer, record.comment].join('\n').toLowerCase();
+                if (!text.includes(keyword)) return false;
+            }
+
+            return true;
+        });
+
+        const summary = { like: 0, unlike: 0, reasons: {} };
+        matched.forEach(record => {
+            summary[record.type]++;
+            record.reasons.forEach(code => {
+                summary.reasons[code] = (summary.reasons[code] || 0) + 1;
+            });
+        });
+
+        const limit = Math.min(filters.limit || this.config.report.maxRows, this.config.report.maxRows);
+        const entries = matched
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .slice(0, limit)
+            .map(record => this.toReportEntry(record));
+
+        return {
+            entries: entries,
+            total: matched.length,
+            summary: summary
+        };
+    }
+
+    /**
+     * 导出为 CSV（带 BOM，便于 Excel 识别中文）
+     * @param {Array<Object>} entries - listFeedback 返回的 entries
+     * @returns {string}
+     */
+    toCsv(entries) {
+        const lines = [CSV_COLUMNS.map(([header]) => toCsvCell(header)).join(',')];
+        entries.forEach(entry => {
+            lines.push(CSV_COLUMNS.map(([, getValue]) => toCsvCell(getValue(entry))).join(','));
+        });
+        return `\ufeff${lines.join('\r\n')}\r\n`;
+    }
+}
+
+// 全局消息反馈服务实例
+const feedbackService = new FeedbackService();
+
+module.exports = {
+    FeedbackService,
+    feedbackService
+};
@@ -0,0 +1,439 @@
+/**
+ * 意图路由服务
+ * 聊天前按声明式规则识别用户意图，并执行绑定的动作（注入外部凭证、切换Bot、强制搜索模式）
+ * 规则见 config/intents.js，文件变更后自动热加载
+ */
+const fs = require('fs');
+const path = require('path');
+const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
+const { createConnectors } = require('../utils/credentialConnector');
+const credentialsConfig = require('../config/credentials');
+const { botRegistry } = require('./botRegistry');
+const logger = require('../utils/logger');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../config/intents.js');
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+const ACTION_TYPES = ['credential', 'switch_bot', 'search_mode'];
+const SEARCH_MODES = ['enterprise', 'internet'];
+
+/**
+ * 规范化文本：小写并去除空白
+ * @param {string} text - 原始文本
+ * @returns {string} 规范化后的文本
+ */
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * 拆分为字符二元组
+ * @param {string} text - 规范化后的文本
+ * @returns {Set<string>} 二元组集合
+ */
+function toBigrams(text) {
+    const chars = Array.from(text);
+    const bigrams = new Set();
+    for (let i = 0; i < chars.length - 1; i++) {
+        bigrams.add(chars[i] + chars[i + 1]);
+    }
+    return bigrams;
+}
+
+/**
+ * 计算短语在问句中的模糊匹配得分：短语二元组在问句中出现的比例
+ * @param {Set<string>} queryBigrams - 问句二元组
+ * @param {string} phrase - 规范化后的短语
+ * @returns {number} 0-1之间的得分
+ */
+function fuzzyScore(queryBigrams, phrase) {
+    const phraseBigrams = toBigrams(phrase);
+    if (phraseBigrams.size === 0) {
+        return 0;
+    }
+
+    let hits = 0;
+    for (const bigram of phraseBigrams) {
+        if (queryBigrams.has(bigram)) {
+            hits++;
+        }
+    }
+    return hits / phraseBigrams.size;
+}
+
+/**
+ * 意图路由器
+ */
+class IntentRouter {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置
+     * @param {string} options.rulesPath - 规则文件路径
+     * @param {Array<Object>} options.rules - 直接传入的规则（传入时不读取文件，便于测试）
+     * @param {boolean} options.watch - 是否监听规则文件变更
+     * @param {Map<string, CredentialConnector>} options.connectors - 外部凭证连接器
+     */
+    constructor(options = {}) {
+        this.rulesPath = options.rulesPath || DEFAULT_RULES_PATH;
+        this.rules = [];
+        this.loadedAt = null;
+
+        // 外部凭证获取方法: 凭证名 -> { acquire: async (userId) => 凭证值, variable }
+        this.credentialProviders = new Map();
+        for (const [name, connector] of options.connectors || []) {
+            this.registerCredentialProvider(name, (userId) => connector.acquire(userId), connector.variable);
+        }
+
+        if (options.rules) {
+            this.setRules(options.rules);
+        } else {
+            this.reload();
+        }
+
+        if (options.watch) {
+            this.watch();
+        }
+    }
+
+    /**
+     * 注册外部凭证获取方法
+     * @param {string} name - 凭证名，对应规则中 credential 动作的 credential 字段
+     * @param {Function} acquire - async (userId) => 凭证值，获取失败返回空
+     * @param {string} variable - 默认写入的Bot变量名（规则未指定 variable 时使用）
+     */
+    registerCredentialProvider(name, acquire, variable) {
+        this.credentialProviders.set(name, { acquire, variable });
+    }
+
+    /**
+     * 从规则文件重新加载规则，加载失败时保留原有规则
+     * @returns {boolean} 是否加载成功
+     */
+    reload() {
+        try {
+            const resolvedPath = require.resolve(path.resolve(this.rulesPath));
+            delete require.cache[resolvedPath];
+            this.setRules(require(resolvedPath));
+
+            logger.info('意图规则加载完成', {
+                type: 'intent_rules_loaded',
+                rulesPath: this.rulesPath,
+                ruleCount: this.rules.length,
+                rules: this.rules.map(rule => rule.name)
+            });
+            return true;
+        } catch (error) {
+            logger.error('意图规则加载失败，继续使用原有规则', {
+                type: 'intent_rules_load_error',
+                rulesPath: this.rulesPath,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * 监听规则文件变更并热加载
+     */
+    watch() {
+        const watcher = fs.watchFile(path.resolve(this.rulesPath), { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.reload();
+            }
+        });
+        watcher.unref();
+    }
+
+    /**
+     * 校验并编译规则，无效规则会被跳过
+     * @param {Array<Object>} rules - 规则配置
+     */
+    setRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('意图规则必须是数组');
+        }
+
+        this.rules = rules
+            .map(rule => this.compileRule(rule))
+            .filter(Boolean);
+        this.loadedAt = new Date().toISOString();
+
+        this.checkExamples();
+    }
+
+    /**
+     * 编译单条规则：关键词规范化、正则字符串转为RegExp
+     * @param {Object} rule - 规则配置
+     * @returns {Object|null} 编译后的规则，无效时返回null
+     */
+    compileRule(rule) {
+        const match = (rule && rule.match) || {};
+        const keywords = (match.keywords || []).map(normalize).filter(Boolean);
+        const fuzzyPhrases = ((match.fuzzy && match.fuzzy.phrases) || []).map(normalize).filter(Boolean);
+        const actions = (rule && rule.actions) || [];
+
+        let patterns;
+        try {
+            patterns = (match.patterns || []).map(pattern => (
+                pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')
+            ));
+        } catch (error) {
+            logger.warn('意图规则正则无效，已跳过', {
+                type: 'intent_rule_invalid',
+                rule: rule.name,
+                error: error.message
+            });
+            return null;
+        }
+
+        const invalidAction = actions.find(action => !ACTION_TYPES.includes(action.type));
+        if (!rule || !rule.name || actions.length === 0 || invalidAction ||
+            (keywords.length === 0 && patterns.length === 0 && fuzzyPhrases.length === 0)) {
+            logger.warn('意图规则配置不完整，已跳过', {
+                type: 'intent_rule_invalid',
+                rule: rule && rule.name,
+                invalidAction: invalidAction && invalidAction.type
+            });
+            return null;
+        }
+
+        return {
+            name: rule.name,
+            description: rule.description || '',
+            keywords,
+            patterns,
+            fuzzy: {
+                phrases: fuzzyPhrases,
+                threshold: (match.fuzzy && match.fuzzy.threshold) || DEFAULT_FUZZY_THRESHOLD
+            },
+            actions,
+            examples: rule.examples || {}
+        };
+    }
+
+    /**
+     * 使用规则自带的样例问句校验匹配结果
+     * @returns {Array<Object>} 不符合预期的样例 [{ rule, query, expected }]
+     */
+    checkExamples() {
+        const failures = [];
+
+        for (const rule of this.rules) {
+            const { match = [], noMatch = [] } = rule.examples;
+            match.forEach(query => {
+                if (!this.matchRule(rule, query)) {
+                    failures.push({ rule: rule.name, query, expected: 'match' });
+                }
+            });
+            noMatch.forEach(query => {
+                if (this.matchRule(rule, query)) {
+                    failures.push({ rule: rule.name, query, expected: 'noMatch' });
+                }
+            });
+        }
+
+        if (failures.length > 0) {
+            logger.warn('意图规则样例校验未通过', {
+                type: 'intent_rule_examples_failed',
+                failures: failures
+            });
+        }
+
+        return failures;
+    }
+
+    /**
+     * 判断问句是否命中规则
+     * @param {Object} rule - 编译后的规则
+     * @param {string} query - 用户问句
+     * @returns {Object|null} 命中信息 { matcher, score }，未命中返回null
+     */
+    matchRule(rule, query) {
+        const normalizedQuery = normalize(query);
+        if (!normalizedQuery) {
+            return null;
+        }
+
+        if (rule.keywords.some(keyword => normalizedQuery.includes(keyword))) {
+            return { matcher: 'keyword', score: 1 };
+        }
+
+        if (rule.patterns.some(pattern => pattern.test(query))) {
+            return { matcher: 'pattern', score: 1 };
+        }
+
+        if (rule.fuzzy.phrases.length > 0) {
+            const queryBigrams = toBigrams(normalizedQuery);
+            const score = Math.max(...rule.fuzzy.phrases.map(phrase => fuzzyScore(queryBigrams, phrase)));
+            if (score >= rule.fuzzy.threshold) {
+                return { matcher: 'fuzzy', score };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 匹配问句命中的所有规则（不执行动作）
+     * @param {string} query - 用户问句
+     * @returns {Array<Object>} 命中结果 [{ rule, matcher, score }]，按规则顺序排列
+     */
+    match(query) {
+        const results = [];
+        for (const rule of this.rules) {
+            const hit = this.matchRule(rule, query);
+            if (hit) {
+                results.push({ rule, ...hit });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * 识别意图并执行动作
+     * 先处理切换Bot和搜索模式，再把凭证写入最终使用的Bot，凭证失败不阻断聊天流程
+     * @param {string} query - 用户问句
+     * @param {Object} context - 上下文
+     * @param {string} context.userId - 成员UserID
+     * @param {Object} context.userInfo - 登录时获取的成员信息（可选，用于校验Bot权限）
+     * @param {string} context.accessToken - Coze访问令牌
+     * @param {string} context.botId - 当前Bot ID
+     * @param {string} context.searchMode - 当前搜索模式
+     * @returns {Promise<Object>} { intents, botId, searchMode, variables }
+     */
+    async route(query, context = {}) {
+        const result = {
+            intents: [],
+            botId: context.botId,
+            searchMode: context.searchMode,
+            variables: []
+        };
+
+        const matches = this.match(query);
+        if (matches.length === 0) {
+            return result;
+        }
+
+        result.intents = matches.map(({ rule, matcher, score }) => ({ name: rule.name, matcher, score }));
+        const actions = matches.flatMap(({ rule }) => rule.actions.map(action => ({ ...action, rule: rule.name })));
+
+        logger.info('命中意图规则', {
+            type: 'intent_matched',
+            userId: context.userId,
+            intents: result.intents,
+            query: String(query).substring(0, 100)
+        });
+
+        for (const action of actions.filter(item => item.type === 'switch_bot')) {
+            const bot = await botRegistry.resolveBot(context.userId, context.userInfo, action.botId);
+            if (bot) {
+                result.botId = bot.botId;
+            }
+        }
+
+        for (const action of actions.filter(item => item.type === 'search_mode')) {
+            if (SEARCH_MODES.includes(action.mode)) {
+                result.searchMode = action.mode;
+            }
+        }
+
+        for (const action of actions.filter(item => item.type === 'credential')) {
+            const variable = await this.injectCredential(action, result.botId, context);
+            if (variable) {
+                result.variables.push(variable);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 获取外部凭证并写入Bot变量
+     * @param {Object} action - credential 动作 { credential, variable, rule }
+     * @param {string} botId - 目标Bot ID
+     * @param {Object} context - 上下文 { userId, accessToken }
+     * @returns {Promise<string|null>} 写入的Bot变量名，失败返回null
+     */
+    async injectCredential(action, botId, context) {
+        const provider = this.credentialProviders.get(action.credential);
+        if (!provider) {
+            logger.warn('意图规则引用了未注册的凭证', {
+                type: 'intent_credential_unknown',
+                rule: action.rule,
+                credential: action.credential
+            });
+            return null;
+        }
+
+        const variable = action.variable || provider.variable;
+
+        try {
+            const value = await provider.acquire(context.userId);
+            if (!value) {
+                logger.warn('外部凭证获取失败，相关功能可能受影响', {
+                    type: 'intent_credential_empty',
+                    rule: action.rule,
+                    credential: action.credential,
+                    userId: context.userId
+                });
+                return null;
+            }
+
+            await cozeSDKAdapter.setBotVariables(
+                botId || cozeSDKAdapter.botConfig.botId,
+                [{ keyword: variable, value }],
+                context.userId,
+                context.accessToken
+            );
+
+            logger.info('外部凭证已写入Bot变量', {
+                type: 'intent_credential_injected',
+                rule: action.rule,
+                credential: action.credential,
+                variable: variable,
+                userId: context.userId
+            });
+            return variable;
+        } catch (error) {
+            logger.error('外部凭证处理异常，继续聊天流程', {
+                type: 'intent_credential_error',
+                rule: action.rule,
+                credential: action.credential,
+                userId: context.userId,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * 获取路由器状态
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            rulesPath: this.rulesPath,
+            loadedAt: this.loadedAt,
+            rules: this.rules.map(rule => ({
+                name: rule.name,
+                description: rule.description,
+                actions: rule.actions.map(action => action.type)
+            })),
+            credentials: Array.from(this.credentialProviders.entries()).map(([name, provider]) => ({
+                name,
+                variable: provider.variable
+            }))
+        };
+    }
+}
+
+// 全局意图路由器实例
+const intentRouter = new IntentRouter({
+    rulesPath: process.env.INTENT_RULES_PATH || DEFAULT_RULES_PATH,
+    connectors: createConnectors(credentialsConfig),
+    watch: process.env.INTENT_RULES_WATCH !== 'false'
+});
+
+module.exports = {
+    IntentRouter,
+    intentRouter
+};
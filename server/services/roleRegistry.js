@@ -0,0 +1,100 @@
+/**
+ * 成员角色服务
+ * 根据 config/roles.js 判断成员的角色，用于保护管理和诊断接口
+ */
+const rolesConfig = require('../config/roles');
+const { botRegistry } = require('./botRegistry');
+const logger = require('../utils/logger');
+
+// 角色权限从低到高
+const ROLE_LEVELS = ['user', 'operator', 'admin'];
+
+/**
+ * 角色注册表
+ */
+class RoleRegistry {
+    /**
+     * 构造函数
+     * @param {Object} roles - 角色配置 { role: { users, departments } }，见 config/roles.js
+     */
+    constructor(roles = {}) {
+        // 按权限从高到低匹配
+        this.rules = ROLE_LEVELS
+            .slice()
+            .reverse()
+            .filter(role => roles[role])
+            .map(role => ({
+                role,
+                users: (roles[role].users || []).map(String),
+                departments: (roles[role].departments || []).map(String)
+            }));
+
+        logger.info('角色配置初始化完成', {
+            type: 'role_registry_init',
+            roles: this.rules.map(rule => ({
+                role: rule.role,
+                users: rule.users.length,
+                departments: rule.departments.length
+            }))
+        });
+    }
+
+    /**
+     * 判断角色是否满足要求（高权限角色包含低权限角色）
+     * @param {string} role - 成员角色
+     * @param {string} requiredRole - 要求的最低角色
+     * @returns {boolean}
+     */
+    hasRole(role, requiredRole) {
+        return ROLE_LEVELS.indexOf(role) >= ROLE_LEVELS.indexOf(requiredRole);
+    }
+
+    /**
+     * 解析成员的角色
+     * @param {string} userId - 成员UserID
+     * @param {Object} userInfo - 登录时获取的成员信息（可选）
+     * @returns {Promise<string>} admin / operator / user
+     */
+    async resolveRole(userId, userInfo) {
+        if (!userId) {
+            return 'user';
+        }
+
+        const matchedByUser = this.rules.find(rule => rule.users.includes(String(userId)));
+        if (matchedByUser) {
+            return matchedByUser.role;
+        }
+
+        const departmentRules = this.rules.filter(rule => rule.departments.length > 0);
+        if (departmentRules.length === 0) {
+            return 'user';
+        }
+
+        let userDepartments;
+        try {
+            userDepartments = (await botRegistry.getUserDepartments(userId, userInfo)).map(String);
+        } catch (error) {
+            logger.warn('查询成员部门失败，按普通成员处理', {
+                type: 'role_department_error',
+                userId: userId,
+                error: error.message
+            });
+            return 'user';
+        }
+
+        const matchedByDepartment = departmentRules.find(rule =>
+            rule.departments.some(departmentId => userDepartments.includes(departmentId))
+        );
+
+        return matchedByDepartment ? matchedByDepartment.role : 'user';
+    }
+}
+
+// 全局角色注册表实例
+const roleRegistry = new RoleRegistry(rolesConfig);
+
+module.exports = {
+    RoleRegistry,
+    roleRegistry,
+    ROLE_LEVELS
+};
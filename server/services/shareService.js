@@ -0,0 +1,227 @@
+/**
+ * 会话分享服务
+ * 分享时保存会话的只读快照（之后的新消息不会出现在分享中），通过不可猜测的令牌访问：
+ * - 查看分享需要企业微信登录
+ * - 可限制为仅与分享人同部门的成员查看
+ * - 可设置有效期，分享人可随时撤销
+ */
+const crypto = require('crypto');
+const { createStorage } = require('../utils/storage');
+const logger = require('../utils/logger');
+const { parseMessageContent } = require('../utils/conversationMessages');
+const { conversationExporter } = require('./conversationExporter');
+const { botRegistry } = require('./botRegistry');
+
+// 每个成员最多保留的分享数
+const MAX_SHARES_PER_USER = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 创建带错误码的错误，路由据此返回对应的状态码
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {Error}
+ */
+function shareError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class ShareService {
+    constructor() {
+        // token -> 分享快照，设置了有效期的分享到期后自动删除
+        this.storage = createStorage('conversation_shares');
+    }
+
+    /**
+     * 生成分享令牌（192位随机数，URL安全）
+     * @returns {string}
+     */
+    generateToken() {
+        return crypto.randomBytes(24).toString('base64url');
+    }
+
+    /**
+     * 分享列表和创建结果中返回的摘要（不含消息内容）
+     * @param {Object} share - 分享快照
+     * @returns {Object}
+     */
+    summarize(share) {
+        return {
+            token: share.token,
+            conversationId: share.conversationId,
+            title: share.title,
+            messageCount: share.messages.length,
+            restrictToDepartment: Array.isArray(share.departmentIds),
+            createdAt: share.createdAt,
+            expiresAt: share.expiresAt,
+            viewCount: share.viewCount,
+            lastViewedAt: share.lastViewedAt
+        };
+    }
+
+    /**
+     * 创建分享
+     * @param {Object} owner - 分享人 { userId, userName, userInfo }
+     * @param {string} conversationId - 会话ID
+     * @param {string} accessToken - 分享人的Coze访问令牌
+     * @param {Object} options - 选项
+     * @param {string} options.title - 会话标题（可选）
+     * @param {number} options.expiresInDays - 有效天数，0表示永久有效
+     * @param {boolean} options.restrictToDepartment - 是否仅同部门可见
+     * @returns {Promise<Object>} 分享摘要
+     */
+    async createShare(owner, conversationId, accessToken, options = {}) {
+        const ownShares = this.storage.values().filter(share => share.ownerId === owner.userId);
+        if (ownShares.length >= MAX_SHARES_PER_USER) {
+            throw shareError(`最多保留${MAX_SHARES_PER_USER}个分享，请先撤销不再需要的分享`, 'SHARE_LIMIT_EXCEEDED');
+        }
+
+        const { messages, truncated } = await conversationExporter.fetchMessages(conversationId, accessToken);
+        if (messages.length === 0) {
+            throw shareError('会话中还没有消息', 'SHARE_EMPTY_CONVERSATION');
+        }
+
+        let departmentIds = null;
+        if (options.restrictToDepartment) {
+            departmentIds = await botRegistry.getUserDepartments(owner.userId, owner.userInfo);
+            if (departmentIds.length === 0) {
+                throw shareError('未查询到你所在的部门，无法限制为同部门可见', 'SHARE_NO_DEPARTMENT');
+            }
+        }
+
+        const now = Date.now();
+        const expiresInDays = options.expiresInDays || 0;
+        const ttl = expiresInDays > 0 ? expiresInDays * DAY_MS : 0;
+
+        const share = {
+            token: this.generateToken(),
+            conversationId: conversationId,
+            ownerId: owner.userId,
+            ownerName: owner.userName || owner.userId,
+            title: conversationExporter.resolveTitle(options.title, messages),
+            messages: messages.map(msg => ({
+                id: msg.id,
+                role: msg.role,
+                ...parseMessageContent(msg),
+                createdAt: msg.created_at
+            })),
+            truncated: truncated,
+            departmentIds: departmentIds,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: ttl > 0 ? new Date(now + ttl).toISOString() : null,
+            viewCount: 0,
+            lastViewedAt: null
+        };
+
+        this.storage.set(share.token, share, ttl);
+
+        logger.info('创建会话分享', {
+            type: 'share_created',
+            userId: owner.userId,
+            conversationId: conversationId,
+            messageCount: share.messages.length,
+            expiresInDays: expiresInDays,
+            restrictToDepartment: !!departmentIds
+        });
+
+        return this.summarize(share);
+    }
+
+    /**
+     * 查看分享：校验查看权限并记录查看次数
+     * @param {string} token - 分享令牌
+     * @param {Object} viewer - 查看人 { userId, userInfo }
+     * @returns {Promise<Object>} 只读快照 { title, ownerName, createdAt, expiresAt, truncated, messages }
+     */
+    async viewShare(token, viewer) {
+        const share = this.storage.get(token);
+        if (!share) {
+            throw shareError('分享不存在、已过期或已被撤销', 'SHARE_NOT_FOUND');
+        }
+
+        if (share.ownerId !== viewer.userId && share.departmentIds) {
+            const viewerDepartments = await botRegistry.getUserDepartments(viewer.userId, viewer.userInfo);
+            const allowed = viewerDepartments.some(departmentId => share.departmentIds.includes(departmentId));
+            if (!allowed) {
+                logger.warn('非同部门成员查看分享被拒绝', {
+                    type: 'share_view_forbidden',
+                    userId: viewer.userId,
+                    ownerId: share.ownerId
+                });
+                throw shareError('该分享仅限分享人同部门的同事查看', 'SHARE_FORBIDDEN');
+            }
+        }
+
+        if (share.ownerId !== viewer.userId) {
+            share.viewCount++;
+            share.lastViewedAt = new Date().toISOString();
+            // 重新写入时保持原有的到期时间
+            const remaining = share.expiresAt ? Date.parse(share.expiresAt) - Date.now() : 0;
+            this.storage.set(token, share, share.expiresAt ? Math.max(remaining, 1) : 0);
+        }
+
+        logger.info('查看会话分享', {
+            type: 'share_viewed',
+            userId: viewer.userId,
+            ownerId: share.ownerId,
+            conversationId: share.conversationId
+        });
+
+        return {
+            title: share.title,
+            ownerName: share.ownerName,
+            isOwner: share.ownerId === viewer.userId,
+            restrictToDepartment: Array.isArray(share.departmentIds),
+            createdAt: share.createdAt,
+            expiresAt: share.expiresAt,
+            truncated: share.truncated,
+            messages: share.messages
+        };
+    }
+
+    /**
+     * 获取成员创建的分享（按创建时间倒序）
+     * @param {string} ownerId - 分享人ID
+     * @returns {Array<Object>} 分享摘要
+     */
+    listShares(ownerId) {
+        return this.storage.values()
+            .filter(share => share.ownerId === ownerId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(share => this.summarize(share));
+    }
+
+    /**
+     * 撤销分享（只能撤销自己创建的分享）
+     * @param {string} ownerId - 分享人ID
+     * @param {string} token - 分享令牌
+     * @returns {boolean} 是否撤销成功
+     */
+    revokeShare(ownerId, token) {
+        const share = this.storage.get(token);
+        if (!share || share.ownerId !== ownerId) {
+            return false;
+        }
+
+        this.storage.delete(token);
+
+        logger.info('撤销会话分享', {
+            type: 'share_revoked',
+            userId: ownerId,
+            conversationId: share.conversationId
+        });
+
+        return true;
+    }
+}
+
+// 全局分享服务实例
+const shareService = new ShareService();
+
+module.exports = {
+    ShareService,
+    shareService
+};
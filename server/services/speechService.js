@@ -0,0 +1,392 @@
+/**
+ * 语音识别服务
+ * 统一网页语音输入和企业微信语音消息的识别入口，服务商可插拔：
+ * - coze: Coze 语音转文字接口（使用成员的 Coze 访问令牌）
+ * - volcano: 火山引擎录音文件识别（极速版）
+ * - local: 本地 whisper.cpp 命令行，离线识别
+ * 服务商不支持的音频格式（如浏览器录制的 webm/opus）先通过 ffmpeg 转为 wav，
+ * 首选服务商失败时通过 retryHandler.executeWithFallback 依次降级
+ */
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const speechConfig = require('../config/speech');
+const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
+const { transcodeToWav } = require('../utils/audioTranscoder');
+const { recognizeWav } = require('../utils/whisperCli');
+const { retryHandler } = require('../utils/retryHandler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// result: success / error
+const speechDuration = metrics.histogram({
+    name: 'speech_to_text_duration_seconds',
+    help: '语音识别耗时（秒），按服务商统计，每次尝试单独计数',
+    labelNames: ['provider', 'result'],
+    buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60]
+});
+
+// provider: 失败后被降级的服务商
+const speechFallbacksTotal = metrics.counter({
+    name: 'speech_to_text_fallbacks_total',
+    help: '语音识别降级到下一个服务商的次数',
+    labelNames: ['provider']
+});
+
+// MIME 类型或扩展名 -> ffmpeg 输入格式
+const INPUT_FORMATS = {
+    webm: 'webm',
+    ogg: 'ogg',
+    opus: 'ogg',
+    mp3: 'mp3',
+    mpeg: 'mp3',
+    wav: 'wav',
+    'x-wav': 'wav',
+    wave: 'wav',
+    amr: 'amr',
+    mp4: 'mov',
+    m4a: 'mov',
+    'x-m4a': 'mov',
+    aac: 'aac'
+};
+
+/**
+ * 标准化音频格式
+ * @param {string} format - MIME 类型（如 audio/webm;codecs=opus）或扩展名（如 amr）
+ * @returns {string} ffmpeg 输入格式，无法识别时返回 webm（浏览器录音的默认格式）
+ */
+function normalizeAudioFormat(format) {
+    const subtype = String(format || '').toLowerCase().split(';')[0].trim().split('/').pop();
+    return INPUT_FORMATS[subtype] || 'webm';
+}
+
+/**
+ * Coze 语音转文字
+ */
+class CozeSpeechProvider {
+    constructor() {
+        this.name = 'coze';
+        this.supportedFormats = ['ogg', 'mp3', 'wav'];
+        this.timeout = speechConfig.timeout;
+    }
+
+    isConfigured() {
+        // 使用成员自己的 Coze 访问令牌，无需额外配置
+        return true;
+    }
+
+    async transcribe(audioBuffer, options) {
+        if (!options.accessToken) {
+            throw new Error('缺少Coze访问令牌');
+        }
+
+        const result = await cozeSDKAdapter.speechToText(audioBuffer, {
+            format: options.format,
+            language: options.language
+        }, options.accessToken);
+
+        if (!result.success) {
+            // 保留状态码，访问令牌失效时调用方可以重新签发后重试
+            const error = new Error(result.error || 'Coze语音识别失败');
+            error.status = result.status;
+            throw error;
+        }
+
+        return {
+            text: result.text || '',
+            confidence: result.confidence || 0
+        };
+    }
+}
+
+/**
+ * 火山引擎录音文件识别（极速版），一次请求返回整段识别结果
+ */
+class VolcanoSpeechProvider {
+    constructor(config) {
+        this.name = 'volcano';
+        this.supportedFormats = ['wav', 'mp3', 'ogg'];
+        this.timeout = speechConfig.timeout;
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!(this.config.appId && this.config.accessKey);
+    }
+
+    async transcribe(audioBuffer, options) {
+        const response = await axios.post(this.config.endpoint, {
+            user: { uid: options.userId || this.config.appId },
+            audio: { data: audioBuffer.toString('base64') },
+            request: { model_name: 'bigmodel' }
+        }, {
+            headers: {
+                'X-Api-App-Key': this.config.appId,
+                'X-Api-Access-Key': this.config.accessKey,
+                'X-Api-Resource-Id': this.config.resourceId,
+                'X-Api-Request-Id': uuidv4(),
+                'X-Api-Sequence': '-1'
+            },
+            timeout: this.timeout,
+            maxBodyLength: Infinity
+        });
+
+        // 状态码 20000000 表示成功，20000003 表示静音（无识别结果）
+        const statusCode = response.headers['x-api-status-code'];
+        if (statusCode === '20000003') {
+            return { text: '', confidence: 0 };
+        }
+        if (statusCode !== '20000000') {
+            throw new Error(`火山引擎语音识别错误: ${response.headers['x-api-message'] || '未知错误'} (状态码: ${statusCode})`);
+        }
+
+        const text = (response.data && response.data.result && response.data.result.text) || '';
+        return {
+            text: text,
+            confidence: text ? 1 : 0
+        };
+    }
+}
+
+/**
+ * 本地 whisper.cpp 离线识别
+ */
+class LocalSpeechProvider {
+    constructor(config) {
+        this.name = 'local';
+        // whisper.cpp 只接受 16kHz 单声道 wav，任何输入都先统一转码
+        this.supportedFormats = [];
+        this.timeout = config.timeout;
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!this.config.model;
+    }
+
+    async transcribe(audioBuffer, options) {
+        const text = await recognizeWav(audioBuffer, {
+            command: this.config.command,
+            model: this.config.model,
+            // zh-CN -> zh
+            language: (options.language || 'zh').split('-')[0],
+            threads: this.config.threads,
+            timeout: this.config.timeout
+        });
+
+        return {
+            text: text,
+            confidence: text ? 1 : 0
+        };
+    }
+}
+
+class SpeechService {
+    /**
+     * 构造函数
+     * @param {Object} config - 语音识别配置，见 config/speech.js
+     */
+    constructor(config = speechConfig) {
+        this.config = config;
+        // 服务商名称 -> 服务商实例
+        this.providers = new Map();
+    }
+
+    /**
+     * 注册服务商
+     * 服务商需提供 name、supportedFormats（无需转码的格式）、timeout、
+     * isConfigured() 和 async transcribe(audioBuffer, options) => { text, confidence }
+     * @param {Object} provider - 服务商实例
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * 按配置顺序获取可用的服务商（首选 + 降级，跳过未注册或未配置完整的）
+     * @returns {Array<Object>} 服务商实例
+     */
+    getProviderChain() {
+        const names = [...new Set([this.config.provider, ...this.config.fallbackProviders])];
+        return names
+            .map(name => this.providers.get(name))
+            .filter(provider => provider && provider.isConfigured());
+    }
+
+    /**
+     * 获取服务商可接受的音频，同一次识别中转码结果在各服务商间复用
+     * 转码失败时清除结果，重试或降级到下一个服务商时重新转码
+     * @param {Object} provider - 服务商
+     * @param {Object} audio - { buffer, format, wav, transcoded }
+     * @param {string} requestId - 请求ID（日志用）
+     * @returns {Promise<Object>} { buffer, format }
+     */
+    async prepareAudio(provider, audio, requestId) {
+        if (provider.supportedFormats.includes(audio.format)) {
+            return { buffer: audio.buffer, format: audio.format };
+        }
+
+        if (!audio.wav) {
+            audio.wav = transcodeToWav(audio.buffer, audio.format)
+                .then((wav) => {
+                    audio.transcoded = true;
+                    return wav;
+                })
+                .catch((error) => {
+                    audio.wav = null;
+                    logger.warn('音频转码失败', {
+                        type: 'audio_transcode_error',
+                        requestId: requestId,
+                        provider: provider.name,
+                        inputFormat: audio.format,
+                        error: error.message
+                    });
+                    throw error;
+                });
+        }
+        return { buffer: await audio.wav, format: 'wav' };
+    }
+
+    /**
+     * 使用单个服务商识别，记录耗时
+     * @param {Object} provider - 服务商
+     * @param {Object} audio - { buffer, format, wav }
+     * @param {Object} options - 同 transcribe
+     * @returns {Promise<Object>} { text, confidence, provider }
+     */
+    async transcribeWith(provider, audio, options) {
+        const prepared = await this.prepareAudio(provider, audio, options.requestId);
+        const endTimer = speechDuration.startTimer({ provider: provider.name });
+
+        try {
+            const result = await provider.transcribe(prepared.buffer, {
+                ...options,
+                format: prepared.format
+            });
+            endTimer({ result: 'success' });
+
+            return {
+                ...result,
+                provider: provider.name
+            };
+        } catch (error) {
+            endTimer({ result: 'error' });
+            logger.warn('语音识别服务商调用失败', {
+                type: 'speech_provider_error',
+                requestId: options.requestId,
+                provider: provider.name,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * 语音转文字
+     * @param {Buffer} audioBuffer - 音频数据
+     * @param {Object} options - 选项
+     * @param {string} options.format - MIME 类型或扩展名
+     * @param {string} options.language - 语言，默认 zh-CN
+     * @param {string} options.accessToken - 成员的 Coze 访问令牌（coze 服务商使用）
+     * @param {string} options.userId - 成员ID
+     * @param {string} options.requestId - 请求ID（日志用）
+     * @returns {Promise<Object>} { text, confidence, language, provider, fallback }
+     */
+    async transcribe(audioBuffer, options = {}) {
+        if (!audioBuffer || audioBuffer.length === 0) {
+            throw new Error('音频数据为空或无效');
+        }
+
+        const chain = this.getProviderChain();
+        if (chain.length === 0) {
+            throw new Error(`没有可用的语音识别服务商（当前配置: ${this.config.provider}）`);
+        }
+
+        const language = options.language || 'zh-CN';
+        const audio = {
+            buffer: audioBuffer,
+            format: normalizeAudioFormat(options.format),
+            wav: null,
+            transcoded: false
+        };
+        const providerOptions = {
+            language: language,
+            accessToken: options.accessToken,
+            userId: options.userId,
+            requestId: options.requestId
+        };
+        const context = { requestId: options.requestId };
+
+        // 从第 index 个服务商开始识别，失败时降级到下一个
+        const transcribeFrom = (index) => {
+            const provider = chain[index];
+            const operation = () => this.transcribeWith(provider, audio, providerOptions);
+            const retryOptions = { maxRetries: this.config.maxRetries, timeout: provider.timeout };
+
+            if (index === chain.length - 1) {
+                return retryHandler.executeWithRetry(operation, context, retryOptions);
+            }
+
+            return retryHandler.executeWithFallback(operation, () => {
+                speechFallbacksTotal.inc({ provider: provider.name });
+                logger.warn('语音识别降级到下一个服务商', {
+                    type: 'speech_provider_fallback',
+                    requestId: options.requestId,
+                    from: provider.name,
+                    to: chain[index + 1].name
+                });
+                return transcribeFrom(index + 1);
+            }, context, retryOptions);
+        };
+
+        const result = await transcribeFrom(0);
+
+        logger.info('语音识别完成', {
+            type: 'speech_to_text_success',
+            requestId: options.requestId,
+            userId: options.userId,
+            provider: result.provider,
+            fallback: result.provider !== chain[0].name,
+            inputFormat: audio.format,
+            transcoded: audio.transcoded,
+            textLength: result.text.length
+        });
+
+        return {
+            text: result.text,
+            confidence: result.confidence,
+            language: language,
+            provider: result.provider,
+            fallback: result.provider !== chain[0].name
+        };
+    }
+
+    /**
+     * 服务商配置状态
+     * @returns {Object} { provider, chain, providers }
+     */
+    getStatus() {
+        return {
+            provider: this.config.provider,
+            chain: this.getProviderChain().map(provider => provider.name),
+            providers: [...this.providers.values()].map(provider => ({
+                name: provider.name,
+                configured: provider.isConfigured()
+            }))
+        };
+    }
+}
+
+// 全局语音识别服务实例
+const speechService = new SpeechService();
+speechService.registerProvider(new CozeSpeechProvider());
+speechService.registerProvider(new VolcanoSpeechProvider(speechConfig.volcano));
+speechService.registerProvider(new LocalSpeechProvider(speechConfig.local));
+
+module.exports = {
+    SpeechService,
+    CozeSpeechProvider,
+    VolcanoSpeechProvider,
+    LocalSpeechProvider,
+    normalizeAudioFormat,
+    speechService
+};
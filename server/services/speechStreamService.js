@@ -0,0 +1,575 @@
+/**
+ * 实时语音输入服务
+ * 前端通过 WebSocket（/api/speech-stream）边录边上传 16 位单声道 PCM，
+ * 服务端转发给实时识别服务商并把识别中的文字推回前端；
+ * 实时识别不可用或中途失败时，说完后用缓存的整段音频按 speechService 的服务商链识别
+ *
+ * 前端 -> 服务端:
+ * - { type: 'start', language }: 开始识别
+ * - 二进制消息: PCM 音频块
+ * - { type: 'stop' }: 说完了，返回最终结果后关闭连接
+ * - { type: 'cancel' }: 取消识别
+ * 服务端 -> 前端:
+ * - { type: 'ready', sampleRate, partial }: 可以开始上传音频，partial 表示是否会返回识别中的文字
+ * - { type: 'partial', text }: 识别中的文字（当前为止的完整结果）
+ * - { type: 'final', text, provider, reason }: 最终结果，reason 为 stop / limit
+ * - { type: 'error', error, code }: 识别失败，随后关闭连接
+ */
+const { v4: uuidv4 } = require('uuid');
+const speechConfig = require('../config/speech');
+const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
+const { pcmToWav } = require('../utils/audioTranscoder');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { jwtService } = require('../utils/jwtService');
+const { speechService } = require('./speechService');
+
+// mode: streaming（实时识别服务商给出最终结果）/ batch（说完后整段识别）
+// result: success / error / cancelled
+const streamSessionsTotal = metrics.counter({
+    name: 'speech_stream_sessions_total',
+    help: '实时语音输入次数',
+    labelNames: ['mode', 'result']
+});
+
+// 说完（stop）到返回最终结果的耗时，即成员感知的等待时间
+const streamFinalizeDuration = metrics.histogram({
+    name: 'speech_stream_finalize_duration_seconds',
+    help: '实时语音输入说完到返回最终结果的耗时（秒）',
+    labelNames: ['mode'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 20]
+});
+
+// WebSocket 状态：OPEN
+const WS_OPEN = 1;
+
+// 语言参数格式，如 zh-CN、en
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Coze 实时语音识别连接
+ * 连接后先发送音频格式（transcriptions.update），收到 transcriptions.updated 后即可上传音频
+ */
+class CozeTranscriptionStream {
+    /**
+     * 构造函数
+     * @param {Object} socket - cozeSDKAdapter.createTranscriptionSocket 返回的连接
+     * @param {Object} options - 同 CozeStreamingProvider.open
+     */
+    constructor(socket, options) {
+        this.provider = 'coze';
+        this.socket = socket;
+        this.options = options;
+        this.text = '';
+        this.closed = false;
+        // 等待中的连接或最终结果 { resolve, reject, timer }
+        this.pending = null;
+
+        socket.onmessage = (event) => this.handleEvent(event);
+        socket.onerror = (event) => {
+            const data = (event && event.data) || {};
+            this.fail(new Error(`Coze实时语音识别连接错误: ${data.msg || '未知错误'} (错误码: ${data.code})`));
+        };
+        socket.onclose = () => this.fail(new Error('Coze实时语音识别连接已断开'));
+    }
+
+    /**
+     * 等待下一个阶段完成（连接就绪或返回最终结果）
+     * @param {number} timeout - 超时（毫秒）
+     * @param {string} stage - 阶段名称（超时错误信息用）
+     * @returns {Promise<*>}
+     */
+    wait(timeout, stage) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.fail(new Error(`Coze实时语音识别${stage}超时（${timeout / 1000}秒）`));
+            }, timeout);
+            this.pending = { resolve, reject, timer };
+        });
+    }
+
+    /**
+     * 结束等待
+     * @param {Error|null} error - 失败原因
+     * @param {*} value - 成功时的结果
+     */
+    settle(error, value) {
+        const pending = this.pending;
+        if (!pending) return;
+
+        this.pending = null;
+        clearTimeout(pending.timer);
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(value);
+        }
+    }
+
+    /**
+     * 连接并设置音频格式
+     * @returns {Promise<void>}
+     */
+    connect() {
+        const ready = this.wait(this.options.connectTimeout, '连接');
+        this.send('transcriptions.update', {
+            input_audio: {
+                format: 'pcm',
+                codec: 'pcm',
+                sample_rate: this.options.sampleRate,
+                channel: 1,
+                bit_depth: 16
+            }
+        });
+        return ready;
+    }
+
+    send(eventType, data) {
+        const event = { id: uuidv4(), event_type: eventType };
+        if (data) {
+            event.data = data;
+        }
+        this.socket.send(event);
+    }
+
+    /**
+     * 上传音频块
+     * @param {Buffer} chunk - PCM 音频
+     */
+    write(chunk) {
+        if (this.closed) return;
+        this.send('input_audio_buffer.append', { delta: chunk.toString('base64') });
+    }
+
+    /**
+     * 音频上传完毕，等待最终结果
+     * @param {number} timeout - 超时（毫秒）
+     * @returns {Promise<string>} 识别结果
+     */
+    finish(timeout) {
+        if (this.closed) {
+            return Promise.reject(new Error('Coze实时语音识别连接已关闭'));
+        }
+
+        const result = this.wait(timeout, '结果');
+        this.send('input_audio_buffer.complete');
+        return result;
+    }
+
+    handleEvent(event) {
+        switch (event.event_type) {
+            case 'transcriptions.updated':
+                this.settle(null);
+                break;
+            case 'transcriptions.message.update':
+                this.text = (event.data && event.data.content) || '';
+                this.options.onPartial(this.text);
+                break;
+            case 'transcriptions.message.completed':
+                // 只处理上传完毕（input_audio_buffer.complete）之后的结果
+                if (!this.pending) break;
+                if (event.data && typeof event.data.content === 'string') {
+                    this.text = event.data.content;
+                }
+                this.settle(null, this.text);
+                this.close();
+                break;
+            case 'error':
+                this.fail(new Error(`Coze实时语音识别错误: ${event.data?.msg || '未知错误'} (错误码: ${event.data?.code})`));
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 连接失败：正在等待时返回错误，否则通知调用方（改为说完后整段识别）
+     * @param {Error} error - 失败原因
+     */
+    fail(error) {
+        if (this.closed) return;
+
+        this.close();
+        if (this.pending) {
+            this.settle(error);
+        } else {
+            this.options.onError(error);
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.socket.onmessage = null;
+        this.socket.onerror = null;
+        this.socket.onclose = null;
+        this.socket.close();
+    }
+}
+
+/**
+ * Coze 实时语音识别（使用成员的 Coze 访问令牌）
+ */
+class CozeStreamingProvider {
+    constructor() {
+        this.name = 'coze';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * 建立实时识别连接
+     * @param {Object} options - 选项
+     * @param {string} options.accessToken - 成员的 Coze 访问令牌
+     * @param {number} options.sampleRate - 采样率
+     * @param {number} options.connectTimeout - 连接超时（毫秒）
+     * @param {Function} options.onPartial - 识别中的文字回调 (text) => void
+     * @param {Function} options.onError - 连接中途失败回调 (error) => void
+     * @returns {Promise<CozeTranscriptionStream>}
+     */
+    async open(options) {
+        if (!options.accessToken) {
+            throw new Error('缺少Coze访问令牌');
+        }
+
+        const socket = await cozeSDKAdapter.createTranscriptionSocket(options.accessToken, {
+            connectionTimeout: options.connectTimeout
+        });
+        const stream = new CozeTranscriptionStream(socket, options);
+        await stream.connect();
+        return stream;
+    }
+}
+
+/**
+ * 单次实时语音输入（一个 WebSocket 连接）
+ */
+class SpeechStreamSession {
+    /**
+     * 构造函数
+     * @param {SpeechStreamService} service - 实时语音输入服务
+     * @param {Object} ws - 前端的 WebSocket 连接
+     * @param {Object} options - 选项
+     * @param {string} options.userId - 成员ID，调用 Coze 时按成员获取访问令牌，令牌被拒绝时重新签发并重试
+     * @param {string} options.requestId - 请求ID（日志用）
+     */
+    constructor(service, ws, options) {
+        this.service = service;
+        this.config = service.config;
+        this.ws = ws;
+        this.userId = options.userId;
+        this.requestId = options.requestId;
+
+        // waiting -> streaming -> finishing -> closed
+        this.state = 'waiting';
+        this.language = 'zh-CN';
+        this.chunks = [];
+        this.bytes = 0;
+        this.maxBytes = this.config.sampleRate * 2 * this.config.maxDuration / 1000;
+        this.stream = null;
+        this.idleTimer = null;
+
+        ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+        ws.on('close', () => this.close('disconnected'));
+        ws.on('error', (error) => {
+            logger.warn('实时语音输入连接错误', {
+                type: 'speech_stream_socket_error',
+                requestId: this.requestId,
+                error: error.message
+            });
+        });
+
+        this.resetIdleTimer();
+    }
+
+    send(message) {
+        if (this.ws.readyState === WS_OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            this.sendError('长时间未收到语音，已结束识别', 'SPEECH_STREAM_IDLE');
+            this.close('idle');
+        }, this.config.idleTimeout);
+    }
+
+    sendError(error, code) {
+        this.send({ type: 'error', error: error, code: code });
+    }
+
+    handleMessage(data, isBinary) {
+        if (isBinary) {
+            this.append(data);
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch {
+            this.sendError('消息格式错误', 'SPEECH_STREAM_BAD_MESSAGE');
+            return;
+        }
+
+        switch (message.type) {
+            case 'start':
+                this.start(message);
+                break;
+            case 'stop':
+                this.finish('stop');
+                break;
+            case 'cancel':
+                this.close('cancelled');
+                break;
+            default:
+                this.sendError('消息格式错误', 'SPEECH_STREAM_BAD_MESSAGE');
+        }
+    }
+
+    /**
+     * 开始识别：连接实时识别服务商，连接期间收到的音频先缓存，连接后补发
+     * @param {Object} message - { language }
+     */
+    async start(message) {
+        if (this.state !== 'waiting') return;
+
+        this.state = 'streaming';
+        if (typeof message.language === 'string' && LANGUAGE_PATTERN.test(message.language)) {
+            this.language = message.language;
+        }
+
+        const provider = this.service.getStreamingProvider();
+        if (provider) {
+            try {
+                const stream = await jwtService.withUserToken(this.userId, (accessToken) => provider.open({
+                    accessToken: accessToken,
+                    sampleRate: this.config.sampleRate,
+                    connectTimeout: this.config.connectTimeout,
+                    onPartial: (text) => this.send({ type: 'partial', text: text }),
+                    onError: (error) => this.handleStreamError(error)
+                }));
+
+                if (this.state !== 'streaming') {
+                    stream.close();
+                    return;
+                }
+
+                this.stream = stream;
+                this.chunks.forEach(chunk => stream.write(chunk));
+            } catch (error) {
+                this.handleStreamError(error);
+            }
+        }
+
+        this.send({
+            type: 'ready',
+            sampleRate: this.config.sampleRate,
+            partial: !!this.stream
+        });
+    }
+
+    /**
+     * 实时识别失败：不再返回识别中的文字，说完后整段识别
+     * @param {Error} error - 失败原因
+     */
+    handleStreamError(error) {
+        logger.warn('实时语音识别不可用，改为说完后整段识别', {
+            type: 'speech_stream_provider_error',
+            requestId: this.requestId,
+            provider: this.config.provider,
+            error: error.message
+        });
+
+        if (this.stream) {
+            this.stream.close();
+            this.stream = null;
+        }
+    }
+
+    append(chunk) {
+        if (this.state !== 'streaming' && this.state !== 'waiting') return;
+
+        // PCM 为 16 位采样，丢弃不完整的字节
+        const data = chunk.length % 2 === 0 ? chunk : chunk.subarray(0, chunk.length - 1);
+        if (this.bytes + data.length > this.maxBytes) {
+            this.finish('limit');
+            return;
+        }
+
+        this.bytes += data.length;
+        this.chunks.push(data);
+        if (this.stream) {
+            this.stream.write(data);
+        }
+        this.resetIdleTimer();
+    }
+
+    /**
+     * 说完：返回最终结果并关闭连接
+     * @param {string} reason - stop（前端结束）/ limit（超出最长时长）
+     */
+    async finish(reason) {
+        if (this.state !== 'streaming') return;
+
+        this.state = 'finishing';
+        clearTimeout(this.idleTimer);
+
+        const startTime = Date.now();
+        const endTimer = streamFinalizeDuration.startTimer();
+        let mode = this.stream ? 'streaming' : 'batch';
+
+        try {
+            let result = null;
+
+            if (this.bytes === 0) {
+                result = { text: '', provider: null };
+            } else if (this.stream) {
+                try {
+                    const text = await this.stream.finish(this.config.finishTimeout);
+                    result = { text: text, provider: this.stream.provider };
+                } catch (error) {
+                    this.handleStreamError(error);
+                    mode = 'batch';
+                }
+            }
+
+            if (!result) {
+                const audio = pcmToWav(Buffer.concat(this.chunks), this.config.sampleRate);
+                const recognized = await jwtService.withUserToken(this.userId, (accessToken) => speechService.transcribe(audio, {
+                    format: 'wav',
+                    language: this.language,
+                    accessToken: accessToken,
+                    userId: this.userId,
+                    requestId: this.requestId
+                }));
+                result = { text: recognized.text, provider: recognized.provider };
+            }
+
+            endTimer({ mode: mode });
+            streamSessionsTotal.inc({ mode: mode, result: 'success' });
+
+            logger.info('实时语音输入完成', {
+                type: 'speech_stream_success',
+                requestId: this.requestId,
+                userId: this.userId,
+                mode: mode,
+                provider: result.provider,
+                reason: reason,
+                audioSeconds: Math.round(this.bytes / 2 / this.config.sampleRate),
+                textLength: result.text.length,
+                finalizeMs: Date.now() - startTime
+            });
+
+            this.send({
+                type: 'final',
+                text: result.text,
+                provider: result.provider,
+                reason: reason
+            });
+            this.close('finished');
+        } catch (error) {
+            streamSessionsTotal.inc({ mode: mode, result: 'error' });
+            logger.error('实时语音输入识别失败', {
+                type: 'speech_stream_error',
+                requestId: this.requestId,
+                userId: this.userId,
+                error: error.message
+            });
+
+            this.sendError('语音识别失败，请稍后重试', 'SPEECH_STREAM_FAILED');
+            this.close('error');
+        }
+    }
+
+    /**
+     * 结束会话并关闭连接
+     * @param {string} reason - finished / error / cancelled / disconnected / idle
+     */
+    close(reason) {
+        if (this.state === 'closed') return;
+
+        // 说完后前端断开时，仍等待识别完成（结果不再发送）
+        if (reason === 'disconnected' && this.state === 'finishing') return;
+
+        if (this.state !== 'finishing') {
+            streamSessionsTotal.inc({ mode: this.stream ? 'streaming' : 'batch', result: 'cancelled' });
+        }
+
+        this.state = 'closed';
+        clearTimeout(this.idleTimer);
+        if (this.stream) {
+            this.stream.close();
+            this.stream = null;
+        }
+        this.chunks = [];
+
+        if (this.ws.readyState === WS_OPEN) {
+            this.ws.close(reason === 'error' ? 1011 : 1000);
+        }
+
+        logger.debug('实时语音输入结束', {
+            type: 'speech_stream_closed',
+            requestId: this.requestId,
+            reason: reason
+        });
+    }
+}
+
+class SpeechStreamService {
+    /**
+     * 构造函数
+     * @param {Object} config - 实时语音输入配置，见 config/speech.js 的 streaming
+     */
+    constructor(config = speechConfig.streaming) {
+        this.config = config;
+        // 服务商名称 -> 服务商实例
+        this.providers = new Map();
+    }
+
+    /**
+     * 注册实时识别服务商
+     * 服务商需提供 name、isConfigured() 和 async open(options) => stream，
+     * stream 提供 provider、write(chunk)、async finish(timeout) => text 和 close()
+     * @param {Object} provider - 服务商实例
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * 获取配置的实时识别服务商
+     * @returns {Object|null} 未配置（none）或配置不完整时为 null
+     */
+    getStreamingProvider() {
+        const provider = this.providers.get(this.config.provider);
+        return provider && provider.isConfigured() ? provider : null;
+    }
+
+    /**
+     * 为新的 WebSocket 连接创建实时语音输入会话
+     * @param {Object} ws - WebSocket 连接
+     * @param {Object} options - 同 SpeechStreamSession
+     * @returns {SpeechStreamSession}
+     */
+    createSession(ws, options) {
+        return new SpeechStreamSession(this, ws, options);
+    }
+}
+
+// 全局实时语音输入服务实例
+const speechStreamService = new SpeechStreamService();
+speechStreamService.registerProvider(new CozeStreamingProvider());
+
+module.exports = {
+    SpeechStreamService,
+    SpeechStreamSession,
+    CozeStreamingProvider,
+    CozeTranscriptionStream,
+    speechStreamService
+};
@@ -0,0 +1,401 @@
+/**
+ * 语音朗读服务
+ * 将 Bot 回答合成为 mp3 音频，服务商可插拔（与语音识别服务的结构一致）：
+ * - coze: Coze 语音合成接口（使用成员的 Coze 访问令牌）
+ * - volcano: 火山引擎语音合成
+ * 长文本按句子切分后逐段合成再拼接；合成结果按消息缓存，重复播放不再调用服务商
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const ttsConfig = require('../config/tts');
+const config = require('../config/config');
+const cozeSDKAdapter = require('../utils/cozeSDKAdapter');
+const { MemoryStorage } = require('../utils/storage');
+const { retryHandler } = require('../utils/retryHandler');
+const { metrics } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// result: success / error
+const ttsDuration = metrics.histogram({
+    name: 'text_to_speech_duration_seconds',
+    help: '语音合成耗时（秒），按服务商统计，每次尝试单独计数',
+    labelNames: ['provider', 'result'],
+    buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60]
+});
+
+// provider: 失败后被降级的服务商
+const ttsFallbacksTotal = metrics.counter({
+    name: 'text_to_speech_fallbacks_total',
+    help: '语音合成降级到下一个服务商的次数',
+    labelNames: ['provider']
+});
+
+// result: hit / miss
+const ttsCacheTotal = metrics.counter({
+    name: 'text_to_speech_cache_total',
+    help: '按消息缓存的朗读音频命中情况',
+    labelNames: ['result']
+});
+
+/**
+ * 整理朗读文字：去掉链接、合并空白，超出长度的部分不朗读
+ * @param {string} text - 消息的纯文本内容
+ * @param {number} maxLength - 最大字符数
+ * @returns {string}
+ */
+function toSpeechText(text, maxLength) {
+    const cleaned = String(text || '')
+        .replace(/https?:\/\/\S+/g, '')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+
+    return cleaned.length > maxLength ? cleaned.substring(0, maxLength) : cleaned;
+}
+
+/**
+ * 按句子切分长文本，每段不超过 maxLength
+ * @param {string} text - 朗读文字
+ * @param {number} maxLength - 每段最大字符数
+ * @returns {Array<string>}
+ */
+function splitSpeechText(text, maxLength) {
+    const sentences = text.match(/[^。！？!?；;\n]+[。！？!?；;\n]*/g) || [text];
+    const chunks = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+        // 单句超长时直接按长度截断
+        for (let i = 0; i < sentence.length; i += maxLength) {
+            const piece = sentence.substring(i, i + maxLength);
+            if (current.length + piece.length > maxLength && current) {
+                chunks.push(current);
+                current = '';
+            }
+            current += piece;
+        }
+    }
+
+    if (current.trim()) {
+        chunks.push(current);
+    }
+
+    return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
+
+/**
+ * Coze 语音合成
+ */
+class CozeTtsProvider {
+    constructor(config) {
+        this.name = 'coze';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!this.config.voiceId;
+    }
+
+    async synthesize(text, options) {
+        if (!options.accessToken) {
+            throw new Error('缺少Coze访问令牌');
+        }
+
+        return cozeSDKAdapter.textToSpeech(text, {
+            voiceId: this.config.voiceId,
+            speed: this.config.speed
+        }, options.accessToken);
+    }
+}
+
+/**
+ * 火山引擎语音合成（HTTP 非流式接口）
+ */
+class VolcanoTtsProvider {
+    constructor(config) {
+        this.name = 'volcano';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!(this.config.appId && this.config.accessKey);
+    }
+
+    async synthesize(text, options) {
+        const response = await axios.post(this.config.endpoint, {
+            app: {
+                appid: this.config.appId,
+                token: this.config.accessKey,
+                cluster: this.config.cluster
+            },
+            user: { uid: options.userId || this.config.appId },
+            audio: {
+                voice_type: this.config.voiceType,
+                encoding: 'mp3'
+            },
+            request: {
+                reqid: uuidv4(),
+                text: text,
+                operation: 'query'
+            }
+        }, {
+            headers: {
+                'Authorization': `Bearer;${this.config.accessKey}`
+            },
+            timeout: ttsConfig.timeout
+        });
+
+        // code 3000 表示成功，音频为 base64
+        if (!response.data || response.data.code !== 3000 || !response.data.data) {
+            throw new Error(`火山引擎语音合成错误: ${response.data?.message || '未知错误'} (错误码: ${response.data?.code})`);
+        }
+
+        return Buffer.from(response.data.data, 'base64');
+    }
+}
+
+/**
+ * 删除旧版本写入存储目录的音频缓存文件（音频曾以 base64 保存在 tts_audio 命名空间中）
+ */
+function removeLegacyCacheFile() {
+    if (config.storage.driver !== 'file') {
+        return;
+    }
+    try {
+        fs.rmSync(path.join(config.storage.dir, 'tts_audio.json'), { force: true });
+    } catch (error) {
+        logger.warn('删除旧的语音缓存文件失败', {
+            type: 'tts_legacy_cache_remove_error',
+            error: error.message
+        });
+    }
+}
+
+class TtsService {
+    /**
+     * 构造函数
+     * @param {Object} config - 语音朗读配置，见 config/tts.js
+     */
+    constructor(config = ttsConfig) {
+        this.config = config;
+        // 服务商名称 -> 服务商实例
+        this.providers = new Map();
+        // `${userId}:${messageId}` -> { hash, provider, audio(Buffer), createdAt }
+        // 音频只缓存在进程内存中，按条数和总大小淘汰，不写入存储文件
+        this.cache = new MemoryStorage('tts_audio', { defaultTTL: config.cache.ttl });
+        this.cacheBytes = 0;
+        removeLegacyCacheFile();
+    }
+
+    /**
+     * 注册服务商
+     * 服务商需提供 name、isConfigured() 和 async synthesize(text, options) => Buffer(mp3)
+     * @param {Object} provider - 服务商实例
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * 按配置顺序获取可用的服务商（首选 + 降级，跳过未注册或未配置完整的）
+     * @returns {Array<Object>} 服务商实例
+     */
+    getProviderChain() {
+        const names = [...new Set([this.config.provider, ...this.config.fallbackProviders])];
+        return names
+            .map(name => this.providers.get(name))
+            .filter(provider => provider && provider.isConfigured());
+    }
+
+    /**
+     * 使用单个服务商合成全部分段，记录耗时
+     * @param {Object} provider - 服务商
+     * @param {Array<string>} chunks - 文本分段
+     * @param {Object} options - 同 synthesize
+     * @returns {Promise<Object>} { audio, provider }
+     */
+    async synthesizeWith(provider, chunks, options) {
+        const endTimer = ttsDuration.startTimer({ provider: provider.name });
+
+        try {
+            const buffers = [];
+            for (const chunk of chunks) {
+                buffers.push(await provider.synthesize(chunk, options));
+            }
+            endTimer({ result: 'success' });
+
+            // mp3 由独立的帧组成，分段音频可直接拼接
+            return {
+                audio: Buffer.concat(buffers),
+                provider: provider.name
+            };
+        } catch (error) {
+            endTimer({ result: 'error' });
+            logger.warn('语音合成服务商调用失败', {
+                type: 'tts_provider_error',
+                requestId: options.requestId,
+                provider: provider.name,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * 合成朗读音频
+     * 没有可用服务商时抛出的错误 code 为 TTS_UNAVAILABLE
+     * @param {string} text - 朗读文字（纯文本）
+     * @param {Object} options - 选项
+     * @param {string} options.userId - 成员ID
+     * @param {string} options.messageId - 消息ID，提供时按消息缓存
+     * @param {string} options.accessToken - 成员的 Coze 访问令牌（coze 服务商使用）
+     * @param {string} options.requestId - 请求ID（日志用）
+     * @returns {Promise<Object>} { audio: Buffer(mp3), provider, cached }
+     */
+    async synthesize(text, options = {}) {
+        const speechText = toSpeechText(text, this.config.maxTextLength);
+        if (!speechText) {
+            const error = new Error('没有可朗读的内容');
+            error.code = 'TTS_EMPTY_TEXT';
+            throw error;
+        }
+
+        // 同一条消息的文字变化（如重新生成）时缓存失效
+        const cacheKey = options.messageId ? `${options.userId}:${options.messageId}` : null;
+        const hash = crypto.createHash('sha1').update(speechText).digest('hex');
+        const cached = cacheKey ? this.cache.get(cacheKey) : null;
+        if (cached && cached.hash === hash) {
+            ttsCacheTotal.inc({ result: 'hit' });
+            return {
+                audio: cached.audio,
+                provider: cached.provider,
+                cached: true
+            };
+        }
+        if (cacheKey) {
+            ttsCacheTotal.inc({ result: 'miss' });
+        }
+
+        const chain = this.getProviderChain();
+        if (chain.length === 0) {
+            const error = new Error(`没有可用的语音合成服务商（当前配置: ${this.config.provider}）`);
+            error.code = 'TTS_UNAVAILABLE';
+            throw error;
+        }
+
+        const chunks = splitSpeechText(speechText, this.config.chunkLength);
+        const providerOptions = {
+            userId: options.userId,
+            accessToken: options.accessToken,
+            requestId: options.requestId
+        };
+        const context = { requestId: options.requestId };
+        const retryOptions = { maxRetries: this.config.maxRetries, timeout: this.config.timeout };
+
+        // 从第 index 个服务商开始合成，失败时降级到下一个
+        const synthesizeFrom = (index) => {
+            const provider = chain[index];
+            const operation = () => this.synthesizeWith(provider, chunks, providerOptions);
+
+            if (index === chain.length - 1) {
+                return retryHandler.executeWithRetry(operation, context, retryOptions);
+            }
+
+            return retryHandler.executeWithFallback(operation, () => {
+                ttsFallbacksTotal.inc({ provider: provider.name });
+                logger.warn('语音合成降级到下一个服务商', {
+                    type: 'tts_provider_fallback',
+                    requestId: options.requestId,
+                    from: provider.name,
+                    to: chain[index + 1].name
+                });
+                return synthesizeFrom(index + 1);
+            }, context, retryOptions);
+        };
+
+        const result = await synthesizeFrom(0);
+
+        if (cacheKey) {
+            this.cacheAudio(cacheKey, {
+                hash: hash,
+                provider: result.provider,
+                audio: result.audio,
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        logger.info('语音合成完成', {
+            type: 'tts_success',
+            requestId: options.requestId,
+            userId: options.userId,
+            messageId: options.messageId,
+            provider: result.provider,
+            textLength: speechText.length,
+            chunks: chunks.length,
+            size: result.audio.length
+        });
+
+        return {
+            audio: result.audio,
+            provider: result.provider,
+            cached: false
+        };
+    }
+
+    /**
+     * 写入音频缓存，超出条数或总大小上限时淘汰最早写入的
+     * @param {string} key - 缓存键
+     * @param {Object} entry - 缓存内容
+     */
+    cacheAudio(key, entry) {
+        const { maxEntries, maxBytes } = this.config.cache;
+        if (entry.audio.length > maxBytes) {
+            return;
+        }
+
+        this.uncacheAudio(key);
+        // 先清除过期的记录，再按现存记录重新统计大小
+        this.cache.cleanup();
+        const entries = this.cache.entries();
+        this.cacheBytes = entries.reduce((total, [, cached]) => total + cached.audio.length, 0);
+
+        for (const [cachedKey] of entries) {
+            if (this.cache.size < maxEntries && this.cacheBytes + entry.audio.length <= maxBytes) {
+                break;
+            }
+            this.uncacheAudio(cachedKey);
+        }
+
+        this.cache.set(key, entry);
+        this.cacheBytes += entry.audio.length;
+    }
+
+    /**
+     * 删除一条音频缓存
+     * @param {string} key - 缓存键
+     */
+    uncacheAudio(key) {
+        const cached = this.cache.get(key);
+        if (cached) {
+            this.cacheBytes -= cached.audio.length;
+            this.cache.delete(key);
+        }
+    }
+}
+
+// 全局语音朗读服务实例
+const ttsService = new TtsService();
+ttsService.registerProvider(new CozeTtsProvider(ttsConfig.coze));
+ttsService.registerProvider(new VolcanoTtsProvider(ttsConfig.volcano));
+
+module.exports = {
+    TtsService,
+    CozeTtsProvider,
+    VolcanoTtsProvider,
+    toSpeechText,
+    splitSpeechText,
+    ttsService
+};
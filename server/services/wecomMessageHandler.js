@@ -0,0 +1,424 @@
+/**
+ * 企业微信回调消息处理服务
+ * 按 MsgType / Event 注册处理器，回调路由只负责验签解密并分发
+ */
+const { chatService } = require('./chatService');
+const { botRegistry } = require('./botRegistry');
+const { speechService } = require('./speechService');
+const { jwtService } = require('../utils/jwtService');
+const { rateLimiter } = require('../utils/rateLimiter');
+const wecomMessage = require('../utils/wecomMessage');
+const { cardToText } = require('../utils/interactiveCards');
+const wecomMenu = require('../config/wecomMenu');
+const logger = require('../utils/logger');
+
+// Bot开场白缓存时间
+const BOT_INFO_CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * 企业微信消息处理器注册表
+ */
+class WeComMessageHandler {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置
+     * @param {Object} options.menuActions - 菜单 EventKey -> 动作配置
+     */
+    constructor(options = {}) {
+        this.menuActions = options.menuActions || {};
+
+        // 处理器: 'text' / 'event:enter_agent' 等 -> async (message) => 被动回复文本
+        this.handlers = new Map();
+
+        // 成员在消息窗口中选择的搜索模式: userId -> mode
+        this.userSearchModes = new Map();
+
+        // Bot开场白缓存
+        this.botInfoCache = null;
+
+        this.registerDefaults();
+    }
+
+    /**
+     * 注册处理器
+     * @param {string} key - 消息类型（如 text）或事件（如 event:click）
+     * @param {Function} handler - async (message) => 被动回复文本，无需被动回复时返回空
+     */
+    register(key, handler) {
+        this.handlers.set(key.toLowerCase(), handler);
+    }
+
+    /**
+     * 计算消息对应的处理器键
+     * @param {Object} message - 解密后的消息（xml节点）
+     * @returns {string} 处理器键
+     */
+    resolveKey(message) {
+        const msgType = String(message.MsgType || '').toLowerCase();
+        if (msgType === 'event') {
+            return `event:${String(message.Event || '').toLowerCase()}`;
+        }
+        return msgType;
+    }
+
+    /**
+     * 分发消息到对应处理器
+     * @param {Object} message - 解密后的消息（xml节点）
+     * @returns {Promise<string|null>} 被动回复文本，null表示不做被动回复
+     */
+    async handle(message) {
+        const key = this.resolveKey(message);
+        const handler = this.handlers.get(key) || this.handlers.get('default');
+
+        logger.info('分发企业微信消息', {
+            type: 'wecom_message_dispatch',
+            key: key,
+            fromUser: message.FromUserName,
+            matched: this.handlers.has(key)
+        });
+
+        const reply = await handler(message);
+        return reply || null;
+    }
+
+    /**
+     * 注册内置处理器
+     */
+    registerDefaults() {
+        this.register('text', async (message) => {
+            this.replyWithCoze(message.FromUserName, message.Content);
+        });
+
+        this.register('voice', async (message) => {
+            this.handleVoiceMessage(message);
+        });
+
+        this.register('image', async (message) => {
+            this.handleImageMessage(message);
+        });
+
+        const greet = async (message) => {
+            this.sendGreeting(message.FromUserName);
+        };
+        this.register('event:enter_agent', greet);
+        this.register('event:subscribe', greet);
+
+        this.register('event:click', (message) => this.handleMenuClick(message));
+
+        // 未注册的普通消息给出提示，未注册的事件静默忽略
+        this.register('default', async (message) => {
+            if (message.MsgType === 'event') {
+                return null;
+            }
+            return '目前只支持文字、语音和图片消息';
+        });
+    }
+
+    /**
+     * 获取Bot开场白（带缓存）
+     * @param {string} accessToken - Coze访问令牌
+     * @returns {Promise<Object>} onboarding信息 { prologue, suggestedQuestions }
+     */
+    async getOnboarding(accessToken) {
+        if (this.botInfoCache && this.botInfoCache.expiresAt > Date.now()) {
+            return this.botInfoCache.onboarding;
+        }
+
+        const botInfo = await chatService.getBotInfo(null, accessToken);
+        const onboarding = botInfo.onboarding || {};
+
+        this.botInfoCache = {
+            onboarding,
+            expiresAt: Date.now() + BOT_INFO_CACHE_TTL
+        };
+
+        return onboarding;
+    }
+
+    /**
+     * 进入应用/关注时推送Bot开场白及推荐问题
+     * @param {string} userId - 成员UserID
+     */
+    async sendGreeting(userId) {
+        try {
+            const onboarding = await jwtService.withUserToken(userId, (accessToken) => this.getOnboarding(accessToken));
+
+            if (!onboarding.prologue) {
+                logger.info('Bot未配置开场白，跳过欢迎消息', {
+                    type: 'wecom_greeting_skipped',
+                    userId: userId
+                });
+                return;
+            }
+
+            let content = onboarding.prologue;
+            const questions = onboarding.suggestedQuestions || [];
+            if (questions.length > 0) {
+                content += '\n\n您可以试着问我：\n' + questions.map((q) => `· ${q}`).join('\n');
+            }
+
+            await wecomMessage.sendTextMessage(userId, content);
+        } catch (error) {
+            logger.error('企业微信欢迎消息发送失败', {
+                type: 'wecom_greeting_error',
+                userId: userId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * 处理自定义菜单点击
+     * @param {Object} message - 解密后的消息（xml节点）
+     * @returns {Promise<string|null>} 被动回复文本
+     */
+    async handleMenuClick(message) {
+        const userId = message.FromUserName;
+        const action = this.menuActions[message.EventKey];
+
+        if (!action) {
+            logger.warn('未配置的菜单点击', {
+                type: 'wecom_menu_unknown',
+                userId: userId,
+                eventKey: message.EventKey
+            });
+            return null;
+        }
+
+        logger.info('处理菜单点击', {
+            type: 'wecom_menu_click',
+            userId: userId,
+            eventKey: message.EventKey,
+            action: action.type
+        });
+
+        switch (action.type) {
+            case 'prompt':
+                this.replyWithCoze(userId, action.prompt);
+                return action.reply || null;
+
+            case 'reply':
+                return action.reply;
+
+            case 'search_mode':
+                this.userSearchModes.set(userId, action.mode);
+                return action.reply || null;
+
+            case 'new_conversation':
+                this.startNewConversation(userId, action.reply);
+                return null;
+
+            default:
+                logger.warn('未知的菜单动作类型', {
+                    type: 'wecom_menu_invalid_action',
+                    eventKey: message.EventKey,
+                    action: action.type
+                });
+                return null;
+        }
+    }
+
+    /**
+     * 为成员创建新会话并设为当前会话
+     * @param {string} userId - 成员UserID
+     * @param {string} notice - 创建成功后推送的提示
+     */
+    async startNewConversation(userId, notice) {
+        try {
+            const result = await jwtService.withUserToken(userId, (accessToken) => chatService.adapter.createConversation({}, accessToken));
+
+            if (!result.success || !result.conversationId) {
+                throw new Error(result.error || '创建会话失败');
+            }
+
+            chatService.setUserConversation(userId, result.conversationId);
+
+            if (notice) {
+                await wecomMessage.sendTextMessage(userId, notice);
+            }
+        } catch (error) {
+            logger.error('企业微信新建会话失败', {
+                type: 'wecom_new_conversation_error',
+                userId: userId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * 处理语音消息：下载素材并识别为文字后发给Bot
+     * @param {Object} message - 解密后的消息（xml节点），包含 MediaId 和 Format
+     */
+    async handleVoiceMessage(message) {
+        const userId = message.FromUserName;
+
+        try {
+            const media = await wecomMessage.downloadMedia(message.MediaId);
+
+            // 企业微信语音为amr格式，由语音识别服务按服务商支持的格式转码
+            const result = await jwtService.withUserToken(userId, (accessToken) => speechService.transcribe(media.buffer, {
+                format: String(message.Format || 'amr'),
+                language: 'zh-CN',
+                accessToken: accessToken,
+                userId: userId
+            }));
+
+            if (!result.text || !result.text.trim()) {
+                logger.warn('企业微信语音识别无结果', {
+                    type: 'wecom_voice_empty',
+                    userId: userId,
+                    provider: result.provider
+                });
+                await wecomMessage.sendTextMessage(userId, '抱歉，没有听清您的语音，请重试或发送文字');
+                return;
+            }
+
+            await wecomMessage.sendTextMessage(userId, `🎙 ${result.text}`);
+            await this.replyWithCoze(userId, result.text);
+        } catch (error) {
+            logger.error('企业微信语音消息处理失败', {
+                type: 'wecom_voice_error',
+                userId: userId,
+                mediaId: message.MediaId,
+                error: error.message
+            });
+            await this.notifyFailure(userId, '抱歉，语音消息处理失败，请发送文字');
+        }
+    }
+
+    /**
+     * 处理图片消息：下载素材并上传到Coze，以多模态消息发给Bot
+     * @param {Object} message - 解密后的消息（xml节点），包含 MediaId 和 PicUrl
+     */
+    async handleImageMessage(message) {
+        const userId = message.FromUserName;
+
+        try {
+            const media = await wecomMessage.downloadMedia(message.MediaId);
+            const uploaded = await jwtService.withUserToken(userId, (accessToken) => chatService.adapter.uploadFile(media.buffer, {
+                filename: media.filename,
+                contentType: media.contentType
+            }, accessToken));
+
+            await this.replyWithCoze(userId, '', [{ type: 'image', fileId: uploaded.fileId }]);
+        } catch (error) {
+            logger.error('企业微信图片消息处理失败', {
+                type: 'wecom_image_error',
+                userId: userId,
+                mediaId: message.MediaId,
+                error: error.message
+            });
+            await this.notifyFailure(userId, '抱歉，图片处理失败，请稍后重试');
+        }
+    }
+
+    /**
+     * 推送失败提示，发送失败只记录日志
+     * @param {string} userId - 成员UserID
+     * @param {string} content - 提示内容
+     */
+    async notifyFailure(userId, content) {
+        try {
+            await wecomMessage.sendTextMessage(userId, content);
+        } catch (notifyError) {
+            logger.error('企业微信错误提示发送失败', {
+                type: 'wecom_chat_notify_error',
+                userId: userId,
+                error: notifyError.message
+            });
+        }
+    }
+
+    /**
+     * 将成员的文本消息转发给Coze，并通过应用消息接口异步推送回答
+     * Coze回答通常超过企业微信5秒被动回复窗口，因此不走被动回复
+     * @param {string} userId - 成员UserID（消息的FromUserName）
+     * @param {string} content - 文本消息内容
+     * @param {Array<Object>} attachments - 已上传到Coze的附件 [{ type, fileId }]
+     */
+    async replyWithCoze(userId, content, attachments = []) {
+        const startTime = Date.now();
+
+        // 与网页聊天共用成员的对话配额和每日消息数
+        const departmentIds = rateLimiter.hasDepartmentRules()
+            ? await botRegistry.getUserDepartments(userId).catch(() => [])
+            : [];
+        const quota = rateLimiter.acquire({
+            userId: userId,
+            routeClass: 'chat',
+            departmentIds: departmentIds,
+            countMessage: true
+        });
+
+        if (!quota.allowed) {
+            const message = quota.reason === 'daily'
+                ? '今日消息额度已用完，请明天再试'
+                : '消息发送过于频繁，请稍后再试';
+            await this.notifyFailure(userId, message);
+            return;
+        }
+
+        try {
+            logger.info('企业微信消息转发至Coze', {
+                type: 'wecom_chat_start',
+                userId: userId,
+                contentLength: content.length,
+                attachmentCount: attachments.length
+            });
+
+            // 消息窗口在回答完成后才推送，访问令牌被拒绝时可以整体重试
+            const result = await jwtService.withUserToken(userId, async (accessToken) => {
+                const params = {
+                    query: content,
+                    attachments: attachments,
+                    searchMode: this.userSearchModes.get(userId)
+                };
+
+                // 意图路由可能切换Bot，需在获取会话之前执行
+                await chatService.applyIntentRouting(params, userId, accessToken);
+
+                // 复用该成员的会话，使网页端与消息窗口共享同一上下文
+                params.conversation_id = await chatService.getOrCreateConversation(userId, accessToken, params.botId);
+
+                return chatService.sendMessage(params, userId, {}, accessToken);
+            });
+
+            // 消息窗口无法展示表单，交互卡片以文字形式附在回答后，成员直接回复即可
+            const answerText = [result.answer && result.answer.trim(), ...(result.cards || []).map(cardToText)]
+                .filter(Boolean)
+                .join('\n\n');
+            const answer = answerText || '抱歉，暂时没有获取到回答，请稍后重试';
+
+            await wecomMessage.sendTextMessage(userId, answer);
+
+            logger.info('企业微信消息回复完成', {
+                type: 'wecom_chat_success',
+                userId: userId,
+                conversationId: result.conversation_id,
+                answerLength: answer.length,
+                duration: Date.now() - startTime
+            });
+        } catch (error) {
+            logger.error('企业微信消息回复失败', {
+                type: 'wecom_chat_error',
+                userId: userId,
+                error: error.message,
+                duration: Date.now() - startTime
+            });
+
+            await this.notifyFailure(userId, '抱歉，智能助手暂时无法回答，请稍后重试');
+        } finally {
+            quota.release();
+        }
+    }
+}
+
+// 全局消息处理器实例
+const wecomMessageHandler = new WeComMessageHandler({
+    menuActions: wecomMenu
+});
+
+module.exports = {
+    WeComMessageHandler,
+    wecomMessageHandler
+};
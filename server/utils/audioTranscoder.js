@@ -0,0 +1,102 @@
+/**
+ * 音频转码工具
+ * 通过 ffmpeg 将 Coze 语音识别不支持的格式（如企业微信语音的 amr）转为 wav，
+ * 实时语音输入上传的 PCM 直接添加 wav 文件头
+ * ffmpeg 路径可通过 FFMPEG_PATH 环境变量指定
+ */
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const TRANSCODE_TIMEOUT = 30000;
+
+/**
+ * 将音频转码为 16kHz 单声道 wav
+ * @param {Buffer} inputBuffer - 原始音频
+ * @param {string} inputFormat - 原始格式（如 amr、webm）
+ * @returns {Promise<Buffer>} wav 音频
+ */
+function transcodeToWav(inputBuffer, inputFormat) {
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const args = [
+            '-hide_banner', '-loglevel', 'error',
+            '-f', inputFormat, '-i', 'pipe:0',
+            '-ac', '1', '-ar', '16000',
+            '-f', 'wav', 'pipe:1'
+        ];
+
+        const ffmpeg = spawn(FFMPEG_PATH, args);
+        const chunks = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            reject(new Error(`音频转码超时（${TRANSCODE_TIMEOUT / 1000}秒）`));
+        }, TRANSCODE_TIMEOUT);
+
+        ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+        ffmpeg.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+
+        ffmpeg.on('error', (error) => {
+            clearTimeout(timer);
+            reject(new Error(`无法启动ffmpeg: ${error.message}`));
+        });
+
+        ffmpeg.on('close', (code) => {
+            clearTimeout(timer);
+
+            if (code !== 0) {
+                reject(new Error(`音频转码失败: ${stderr.trim() || `退出码 ${code}`}`));
+                return;
+            }
+
+            const output = Buffer.concat(chunks);
+            logger.info('音频转码完成', {
+                type: 'audio_transcode_success',
+                inputFormat: inputFormat,
+                inputSize: inputBuffer.length,
+                outputSize: output.length,
+                duration: Date.now() - startTime
+            });
+            resolve(output);
+        });
+
+        // 输入提前关闭时忽略EPIPE，由close事件统一处理
+        ffmpeg.stdin.on('error', () => {});
+        ffmpeg.stdin.end(inputBuffer);
+    });
+}
+
+/**
+ * 为 16 位单声道 PCM 添加 wav 文件头
+ * @param {Buffer} pcmBuffer - PCM 音频（16位小端）
+ * @param {number} sampleRate - 采样率
+ * @returns {Buffer} wav 音频
+ */
+function pcmToWav(pcmBuffer, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    // PCM 格式、单声道
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+}
+
+module.exports = {
+    transcodeToWav,
+    pcmToWav
+};
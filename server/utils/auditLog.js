@@ -0,0 +1,86 @@
+/**
+ * 审计日志
+ * 记录管理接口上的每一次变更（谁、何时、做了什么、结果如何），
+ * 同时写入应用日志和存储层，使用 file 驱动时重启后仍可查询
+ */
+const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage');
+const logger = require('./logger');
+
+// 审计记录默认保留天数
+const DEFAULT_RETENTION_DAYS = 90;
+
+class AuditLog {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置
+     * @param {number} options.retentionDays - 保留天数
+     */
+    constructor(options = {}) {
+        this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+        this.storage = createStorage('audit_log', {
+            defaultTTL: this.retentionDays * 24 * 60 * 60 * 1000
+        });
+    }
+
+    /**
+     * 记录一次管理操作
+     * @param {Object} req - 请求对象（需已通过 requireLogin / requireRole）
+     * @param {string} action - 操作，如 log_level.update
+     * @param {Object} details - 操作详情，不要包含令牌、密码等敏感信息
+     * @param {string} result - success / failure
+     * @returns {Object} 审计记录
+     */
+    record(req, action, details = {}, result = 'success') {
+        const entry = {
+            id: uuidv4(),
+            timestamp: new Date().toISOString(),
+            action: action,
+            result: result,
+            userId: req.userId || null,
+            userName: req.userName || null,
+            role: req.userRole || null,
+            ip: req.ip,
+            method: req.method,
+            path: req.originalUrl,
+            details: details
+        };
+
+        this.storage.set(entry.id, entry);
+
+        logger.info('管理操作审计', {
+            type: 'audit',
+            ...entry
+        });
+
+        return entry;
+    }
+
+    /**
+     * 查询审计记录（按时间倒序）
+     * @param {Object} filters - 过滤条件
+     * @param {string} filters.action - 操作
+     * @param {string} filters.userId - 操作人
+     * @param {number} filters.limit - 返回条数，默认100
+     * @returns {Array<Object>} 审计记录
+     */
+    list(filters = {}) {
+        const limit = filters.limit || 100;
+
+        return this.storage.values()
+            .filter(entry => !filters.action || entry.action === filters.action)
+            .filter(entry => !filters.userId || entry.userId === filters.userId)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+            .slice(0, limit);
+    }
+}
+
+// 全局审计日志实例
+const auditLog = new AuditLog({
+    retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+});
+
+module.exports = {
+    AuditLog,
+    auditLog
+};
@@ -6,6 +6,7 @@ const axios = require('axios');
 const http = require('http');
 const https = require('https');
 const logger = require('./logger');
+const { metrics } = require('./metrics');
 
 class ConnectionPool {
     constructor(options = {}) {
@@ -234,6 +235,30 @@ const connectionPool = new ConnectionPool({
     keepAliveMsecs: parseInt(process.env.HTTP_KEEP_ALIVE_MSECS) || 1000
 });
 
+// 抓取 /metrics 时从连接池统计同步
+metrics.gauge({
+    name: 'http_pool_connections',
+    help: 'HTTP连接池中的连接数',
+    labelNames: ['state'],
+    collect: gauge => {
+        connectionPool.updateStats();
+        gauge.set({ state: 'active' }, connectionPool.stats.activeConnections);
+        gauge.set({ state: 'free' }, connectionPool.stats.freeConnections);
+    }
+});
+
+metrics.counter({
+    name: 'http_pool_requests_total',
+    help: '经连接池发出的请求数',
+    collect: counter => counter.set({}, connectionPool.stats.requestsServed)
+});
+
+metrics.counter({
+    name: 'http_pool_connection_reuses_total',
+    help: '复用已有连接的请求数',
+    collect: counter => counter.set({}, connectionPool.stats.connectionReuses)
+});
+
 module.exports = {
     ConnectionPool,
     connectionPool
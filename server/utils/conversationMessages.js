@@ -0,0 +1,103 @@
+/**
+ * Coze 会话消息的整理
+ * 历史消息接口和会话导出共用：解析多模态消息，过滤中间状态消息并去重
+ */
+const { formatCardBlocks, parseCardMessage, cardToText } = require('./interactiveCards');
+
+// assistant 的中间状态消息（只在生成过程中有意义，不展示）
+const INTERMEDIATE_PATTERNS = [
+    '正在思考中',
+    '正在为你搜索',
+    '正在处理',
+    '正在生成',
+    '思考中...',
+    '搜索中...',
+    '处理中...',
+    'thinking',
+    'searching',
+    'processing'
+];
+
+/**
+ * 解析Coze消息内容，多模态 object_string 消息拆分为文本和附件
+ * 交互卡片转为纯文本，提交卡片的提问只保留摘要
+ * @param {Object} msg - Coze消息
+ * @returns {Object} { content, attachments }
+ */
+function parseMessageContent(msg) {
+    if (msg.content_type === 'card') {
+        const card = parseCardMessage(msg.content);
+        return { content: card ? cardToText(card) : msg.content, attachments: [] };
+    }
+
+    if (msg.content_type !== 'object_string') {
+        return { content: formatCardBlocks(msg.content), attachments: [] };
+    }
+
+    try {
+        const items = JSON.parse(msg.content);
+        return {
+            content: formatCardBlocks(items.filter(item => item.type === 'text').map(item => item.text).join('\n')),
+            attachments: items
+                .filter(item => item.type !== 'text')
+                .map(item => ({
+                    type: item.type,
+                    fileId: item.file_id,
+                    name: item.name || item.file_name || null,
+                    url: item.file_url || null
+                }))
+        };
+    } catch {
+        return { content: msg.content, attachments: [] };
+    }
+}
+
+/**
+ * 过滤出需要展示的消息
+ * 只保留提问和回答，去掉空回答和中间状态消息；多条 assistant 消息内容完全相同时只保留最新的一条
+ * @param {Array<Object>} messages - Coze消息（按时间升序）
+ * @returns {Array<Object>} 过滤后的消息，保持原始顺序
+ */
+function filterDisplayMessages(messages) {
+    const filteredMessages = messages.filter(msg => {
+        // 严格只保留 question 和 answer 类型的消息
+        const messageType = msg.type || (msg.role === 'user' ? 'question' : 'answer');
+        if (messageType !== 'question' && messageType !== 'answer') {
+            return false;
+        }
+
+        // 过滤 assistant 的空内容和中间状态消息
+        if (msg.role === 'assistant' && msg.content) {
+            const content = msg.content.trim();
+            if (!content) {
+                return false;
+            }
+
+            if (INTERMEDIATE_PATTERNS.some(pattern => content.includes(pattern))) {
+                return false;
+            }
+        }
+
+        return true;
+    });
+
+    // 记录每个 assistant 内容最新一条的位置
+    const latestIndexByContent = new Map();
+    filteredMessages.forEach((msg, index) => {
+        if (msg.role === 'assistant') {
+            latestIndexByContent.set(msg.content.trim(), index);
+        }
+    });
+
+    return filteredMessages.filter((msg, index) => {
+        if (msg.role === 'user') {
+            return true;
+        }
+        return msg.role === 'assistant' && latestIndexByContent.get(msg.content.trim()) === index;
+    });
+}
+
+module.exports = {
+    parseMessageContent,
+    filterDisplayMessages
+};
@@ -3,36 +3,42 @@
  * 专门管理Coze API的会话和消息，支持持久化和上下文保持
  */
 const logger = require('./logger');
+const { createStorage } = require('./storage');
 
 class CozeConversationManager {
     constructor(options = {}) {
         this.conversationTTL = options.conversationTTL || 24 * 60 * 60 * 1000; // 24小时
         this.maxMessagesPerConversation = options.maxMessagesPerConversation || 100;
         this.maxConversationsPerUser = options.maxConversationsPerUser || 10;
-        this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000; // 1小时
-        
-        // 会话存储：userId -> { conversationId, messages, createdAt, updatedAt, metadata }
-        this.conversations = new Map();
-        
+
+        // 会话存储：conversationId -> { conversationId, userId, messages, createdAt, updatedAt, metadata }
+        // 每次更新都会刷新TTL，超过 conversationTTL 未活跃的会话由存储层过期清理
+        this.conversations = createStorage('coze_conversations', {
+            defaultTTL: this.conversationTTL
+        });
+
         // 用户会话映射：userId -> [conversationIds]
-        this.userConversations = new Map();
-        
+        this.userConversations = createStorage('coze_user_conversations');
+
         // 会话元数据：conversationId -> { userId, title, summary, tags }
-        this.conversationMetadata = new Map();
-        
+        this.conversationMetadata = createStorage('coze_conversation_metadata', {
+            defaultTTL: this.conversationTTL
+        });
+
         // 统计信息
         this.stats = {
-            totalConversations: 0,
-            activeConversations: 0,
+            totalConversations: this.conversations.size,
+            activeConversations: this.conversations.size,
             totalMessages: 0,
             averageMessagesPerConversation: 0,
-            lastCleanupTime: Date.now()
+            expiredConversations: 0
         };
 
-        // 启动定期清理
-        this.cleanupTimer = setInterval(() => {
-            this.cleanup();
-        }, this.cleanupInterval);
+        // 会话过期时同步清理用户映射和元数据
+        this.onConversationExpired = (conversationId, conversation) => {
+            this.handleConversationExpired(conversationId, conversation);
+        };
+        this.conversations.on('expired', this.onConversationExpired);
 
         logger.info('Coze会话管理器初始化完成', {
             type: 'coze_conversation_manager_init',
@@ -71,6 +77,7 @@ class CozeConversationManager {
             // 更新会话访问时间
             currentConversation.updatedAt = Date.now();
             currentConversation.accessCount = (currentConversation.accessCount || 0) + 1;
+            this.conversations.set(currentConversation.conversationId, currentConversation);
 
             logger.debug('获取当前会话', {
                 type: 'get_current_conversation',
@@ -225,6 +232,8 @@ class CozeConversationManager {
                 });
             }
 
+            this.conversations.set(conversationId, conversation);
+
             // 更新统计信息
             this.stats.totalMessages++;
             this.stats.averageMessagesPerConversation = 
@@ -394,12 +403,7 @@ class CozeConversationManager {
             this.conversationMetadata.delete(conversationId);
 
             // 从用户会话列表中删除
-            const userConvs = this.userConversations.get(userId) || [];
-            const index = userConvs.indexOf(conversationId);
-            if (index > -1) {
-                userConvs.splice(index, 1);
-                this.userConversations.set(userId, userConvs);
-            }
+            this.removeFromUserConversations(userId, conversationId);
 
             // 更新统计信息
             this.stats.activeConversations = this.conversations.size;
@@ -459,9 +463,12 @@ class CozeConversationManager {
 
             // 更新会话元数据
             conversation.metadata.summary = summary;
+            this.conversations.set(conversationId, conversation);
+
             const metadata = this.conversationMetadata.get(conversationId);
             if (metadata) {
                 metadata.summary = summary;
+                this.conversationMetadata.set(conversationId, metadata);
             }
 
             logger.debug('生成会话摘要', {
@@ -481,51 +488,48 @@ class CozeConversationManager {
     }
 
     /**
-     * 清理过期会话
+     * 从用户会话列表中移除会话
+     * @param {string} userId - 用户ID
+     * @param {string} conversationId - 会话ID
      */
-    cleanup() {
-        try {
-            const now = Date.now();
-            let cleanedCount = 0;
-
-            // 清理过期会话
-            for (const [conversationId, conversation] of this.conversations.entries()) {
-                if (!this.isConversationActive(conversation)) {
-                    this.conversations.delete(conversationId);
-                    this.conversationMetadata.delete(conversationId);
-
-                    // 从用户会话列表中删除
-                    const userConvs = this.userConversations.get(conversation.userId) || [];
-                    const index = userConvs.indexOf(conversationId);
-                    if (index > -1) {
-                        userConvs.splice(index, 1);
-                        this.userConversations.set(conversation.userId, userConvs);
-                    }
+    removeFromUserConversations(userId, conversationId) {
+        const userConvs = this.userConversations.get(userId);
+        if (!userConvs) {
+            return;
+        }
 
-                    cleanedCount++;
-                }
-            }
+        // 生成新数组而不是原地修改，避免影响正在遍历该列表的调用方
+        const remaining = userConvs.filter(convId => convId !== conversationId);
+        if (remaining.length === userConvs.length) {
+            return;
+        }
 
-            // 更新统计信息
-            this.stats.activeConversations = this.conversations.size;
-            this.stats.lastCleanupTime = now;
-
-            if (cleanedCount > 0) {
-                logger.info('会话清理完成', {
-                    type: 'conversation_cleanup',
-                    cleanedCount: cleanedCount,
-                    activeConversations: this.stats.activeConversations,
-                    timestamp: new Date().toISOString()
-                });
-            }
+        if (remaining.length > 0) {
+            this.userConversations.set(userId, remaining);
+        } else {
+            this.userConversations.delete(userId);
+        }
+    }
 
-        } catch (error) {
-            logger.error('会话清理失败', {
-                type: 'conversation_cleanup_error',
-                error: error.message,
-                stack: error.stack
-            });
+    /**
+     * 会话过期处理（由存储层TTL清理或读取时触发）
+     * @param {string} conversationId - 会话ID
+     * @param {Object} conversation - 过期的会话
+     */
+    handleConversationExpired(conversationId, conversation) {
+        this.conversationMetadata.delete(conversationId);
+        if (conversation && conversation.userId) {
+            this.removeFromUserConversations(conversation.userId, conversationId);
         }
+
+        this.stats.expiredConversations++;
+        this.stats.activeConversations = this.conversations.size;
+
+        logger.debug('会话已过期', {
+            type: 'conversation_expired',
+            conversationId: conversationId,
+            userId: conversation && conversation.userId
+        });
     }
 
     /**
@@ -555,9 +559,13 @@ class CozeConversationManager {
             config: {
                 conversationTTL: this.conversationTTL,
                 maxMessagesPerConversation: this.maxMessagesPerConversation,
-                maxConversationsPerUser: this.maxConversationsPerUser,
-                cleanupInterval: this.cleanupInterval
+                maxConversationsPerUser: this.maxConversationsPerUser
             },
+            storage: [
+                this.conversations.getStatus(),
+                this.userConversations.getStatus(),
+                this.conversationMetadata.getStatus()
+            ],
             stats: {
                 ...this.stats,
                 memoryUsage: this.calculateMemoryUsage(),
@@ -582,16 +590,14 @@ class CozeConversationManager {
     }
 
     /**
-     * 销毁管理器
+     * 销毁管理器（持久化存储中的数据会保留，仅落盘并解除监听）
      */
     destroy() {
-        if (this.cleanupTimer) {
-            clearInterval(this.cleanupTimer);
-        }
+        this.conversations.removeListener('expired', this.onConversationExpired);
 
-        this.conversations.clear();
-        this.userConversations.clear();
-        this.conversationMetadata.clear();
+        this.conversations.flush();
+        this.userConversations.flush();
+        this.conversationMetadata.flush();
 
         logger.info('Coze会话管理器已销毁', {
             type: 'coze_conversation_manager_destroy',
@@ -605,8 +611,7 @@ class CozeConversationManager {
 const cozeConversationManager = new CozeConversationManager({
     conversationTTL: parseInt(process.env.COZE_CONVERSATION_TTL) || 24 * 60 * 60 * 1000,
     maxMessagesPerConversation: parseInt(process.env.COZE_MAX_MESSAGES_PER_CONVERSATION) || 100,
-    maxConversationsPerUser: parseInt(process.env.COZE_MAX_CONVERSATIONS_PER_USER) || 10,
-    cleanupInterval: parseInt(process.env.COZE_CONVERSATION_CLEANUP_INTERVAL) || 60 * 60 * 1000
+    maxConversationsPerUser: parseInt(process.env.COZE_MAX_CONVERSATIONS_PER_USER) || 10
 });
 
 module.exports = {
@@ -6,6 +6,16 @@
 const { CozeAPI, RoleType } = require('@coze/api');
 const cozeSDKConfig = require('../config/cozeSDKConfig');
 const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { jwtService } = require('./jwtService');
+
+// result: success / error
+const cozeApiDuration = metrics.histogram({
+    name: 'api_request_duration_seconds',
+    help: 'Coze API 请求耗时（秒），流式对话为整个流的时长',
+    labelNames: ['endpoint', 'result'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+});
 
 class CozeSDKAdapter {
     constructor() {
@@ -48,6 +58,7 @@ class CozeSDKAdapter {
             const client = new CozeAPI({
                 token: token,
                 baseURL: this.sdkConfig.baseURL,
+                baseWsURL: this.sdkConfig.baseWsURL,
                 timeout: this.sdkConfig.timeout,
                 // 全局错误处理
                 onApiError: (error) => {
@@ -101,6 +112,8 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} 会话信息
      */
     async createConversation(options = {}, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v1/conversation/create' });
+
         try {
             this.updateMetrics('start');
 
@@ -171,7 +184,7 @@ class CozeSDKAdapter {
                                     msg: jsonData.msg,
                                     data: jsonData
                                 });
-                                reject(new Error(jsonData.msg || `API错误: ${res.statusCode}`));
+                                reject(this.createApiError(jsonData.msg || `API错误: ${res.statusCode}`, res.statusCode, jsonData.code));
                             }
                         } catch (e) {
                             logger.error('解析API响应失败', {
@@ -200,6 +213,7 @@ class CozeSDKAdapter {
             }
 
             this.updateMetrics('success');
+            endApiTimer({ result: 'success' });
 
             logger.info('会话创建成功', {
                 type: 'conversation_created',
@@ -217,6 +231,8 @@ class CozeSDKAdapter {
 
         } catch (error) {
             this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
 
             logger.error('会话创建失败', {
                 type: 'conversation_create_error',
@@ -256,6 +272,8 @@ class CozeSDKAdapter {
      * @returns {Promise<boolean>}
      */
     async setBotVariables(botId, variables, userId = 'default', token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'PUT /v1/variables' });
+
         try {
             const axios = require('axios');
             const https = require('https');
@@ -303,6 +321,7 @@ class CozeSDKAdapter {
                     }
                 }
             );
+            endApiTimer({ result: 'success' });
 
 
             // 检查响应
@@ -321,6 +340,8 @@ class CozeSDKAdapter {
             }
             
         } catch (error) {
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
             // 详细的错误处理
             if (error.response) {
                 // API 返回了错误响应
@@ -356,15 +377,132 @@ class CozeSDKAdapter {
         }
     }
 
+    /**
+     * 构建用户消息，带附件时使用多模态 object_string 格式
+     * @param {string} query - 用户文本
+     * @param {Array<Object>} attachments - 附件列表 [{ type: 'image'|'file'|'audio', fileId }]
+     * @returns {Object} additional_messages 中的用户消息
+     */
+    buildUserMessage(query, attachments = []) {
+        if (!attachments || attachments.length === 0) {
+            return {
+                role: 'user',
+                content: query,
+                content_type: 'text'
+            };
+        }
+
+        const items = [];
+        if (query && query.trim()) {
+            items.push({ type: 'text', text: query });
+        }
+        attachments.forEach((attachment) => {
+            items.push({ type: attachment.type || 'file', file_id: attachment.fileId });
+        });
+
+        return {
+            role: 'user',
+            content: JSON.stringify(items),
+            content_type: 'object_string'
+        };
+    }
+
+    /**
+     * 上传文件到Coze，用于在对话中以 file_id 引用
+     * @param {Buffer} fileBuffer - 文件内容
+     * @param {Object} options - 文件信息
+     * @param {string} options.filename - 文件名
+     * @param {string} options.contentType - MIME类型
+     * @param {string} token - 用户访问令牌
+     * @returns {Promise<Object>} 上传结果 { success, fileId, fileName, bytes }
+     */
+    async uploadFile(fileBuffer, options = {}, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v1/files/upload' });
+
+        try {
+            this.updateMetrics('start');
+
+            if (!fileBuffer || fileBuffer.length === 0) {
+                throw new Error('文件内容为空');
+            }
+
+            // 确保必须提供token
+            if (!token) {
+                throw new Error('Access token is required for uploadFile');
+            }
+
+            const FormData = require('form-data');
+            const axios = require('axios');
+            const formData = new FormData();
+            formData.append('file', fileBuffer, {
+                filename: options.filename || `file_${Date.now()}`,
+                contentType: options.contentType || 'application/octet-stream'
+            });
+
+            logger.info('[CozeSDKAdapter] 上传文件到Coze', {
+                type: 'coze_file_upload_start',
+                filename: options.filename,
+                contentType: options.contentType,
+                size: fileBuffer.length
+            });
+
+            const response = await axios.post(`${this.config.baseURL}/v1/files/upload`, formData, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    ...formData.getHeaders()
+                },
+                proxy: false,
+                timeout: parseInt(process.env.COZE_TIMEOUT) || 300000,
+                maxBodyLength: Infinity
+            });
+
+            if (response.data.code !== 0 || !response.data.data) {
+                throw new Error(`文件上传失败: ${response.data.msg || '未知错误'}`);
+            }
+
+            this.updateMetrics('success');
+            endApiTimer({ result: 'success' });
+
+            const file = response.data.data;
+            logger.info('[CozeSDKAdapter] 文件上传成功', {
+                type: 'coze_file_upload_success',
+                fileId: file.id,
+                bytes: file.bytes
+            });
+
+            return {
+                success: true,
+                fileId: file.id,
+                fileName: file.file_name,
+                bytes: file.bytes
+            };
+        } catch (error) {
+            this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
+
+            logger.error('[CozeSDKAdapter] 文件上传失败', {
+                type: 'coze_file_upload_error',
+                filename: options.filename,
+                error: error.response?.data?.msg || error.message
+            });
+
+            throw this.handleSDKError(error);
+        }
+    }
+
     /**
      * 发送消息（流式响应）
      * @param {Object} options - 消息选项
+     * @param {AbortSignal} options.signal - 中止信号，触发后停止读取流式数据
      * @param {Function} onMessage - 消息回调
      * @param {Function} onError - 错误回调
      * @param {Function} onComplete - 完成回调
      * @returns {Promise<void>}
      */
     async sendStreamingMessage(options, onMessage, onError, onComplete, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v3/chat' });
+
         try {
             this.updateMetrics('start');
 
@@ -390,11 +528,7 @@ class CozeSDKAdapter {
                 stream: true,
                 // 关键：添加additional_messages参数，这是Bot正常工作的必需参数
                 additional_messages: [
-                    {
-                        role: 'user',
-                        content: messageData.query,
-                        content_type: 'text'
-                    }
+                    this.buildUserMessage(messageData.query, options.attachments)
                 ]
             };
 
@@ -527,9 +661,19 @@ class CozeSDKAdapter {
                     if (onMessage) {
                         onMessage(chunk);
                     }
+
+                    // 调用方已放弃本次对话（客户端断开或用户停止），不再读取后续数据
+                    if (options.signal && options.signal.aborted) {
+                        logger.info('[CozeSDKAdapter] 对话已中止，停止读取流式数据', {
+                            chatId: chatId,
+                            conversationId: options.conversationId
+                        });
+                        break;
+                    }
                 }
 
                 this.updateMetrics('success');
+                endApiTimer({ result: 'success' });
 
                 if (onComplete) {
                     onComplete({ chatId });
@@ -537,6 +681,8 @@ class CozeSDKAdapter {
 
             } catch (streamError) {
                 this.updateMetrics('error');
+                endApiTimer({ result: 'error' });
+                jwtService.handleAuthError(token, streamError);
 
                 if (onError) {
                     onError(this.handleSDKError(streamError));
@@ -545,6 +691,8 @@ class CozeSDKAdapter {
 
         } catch (error) {
             this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
 
             logger.error('流式消息发送失败', {
                 type: 'streaming_message_error',
@@ -558,6 +706,58 @@ class CozeSDKAdapter {
         }
     }
 
+    /**
+     * 取消进行中的对话，停止Coze继续生成回答
+     * @param {string} conversationId - 会话ID
+     * @param {string} chatId - 对话ID
+     * @param {string} token - 用户访问令牌
+     * @returns {Promise<Object>} 取消后的对话信息
+     */
+    async cancelChat(conversationId, chatId, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v3/chat/cancel' });
+
+        try {
+            this.updateMetrics('start');
+
+            if (!conversationId || !chatId) {
+                throw new Error('Conversation ID and chat ID are required');
+            }
+
+            // 确保必须提供token
+            if (!token) {
+                throw new Error('Access token is required for cancelChat');
+            }
+
+            const client = this.createClient(token);
+            const result = await client.chat.cancel(conversationId, chatId);
+
+            this.updateMetrics('success');
+            endApiTimer({ result: 'success' });
+
+            logger.info('[CozeSDKAdapter] 对话已取消', {
+                type: 'chat_cancel_success',
+                conversationId,
+                chatId,
+                status: result && result.status
+            });
+
+            return result;
+        } catch (error) {
+            this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
+
+            logger.error('[CozeSDKAdapter] 取消对话失败', {
+                type: 'chat_cancel_error',
+                conversationId,
+                chatId,
+                error: error.message
+            });
+
+            throw this.handleSDKError(error);
+        }
+    }
+
     /**
      * 获取聊天消息列表（包括follow_up消息）
      * @param {string} conversationId - 会话ID
@@ -566,6 +766,8 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} 包含follow_up问题的消息列表
      */
     async getChatMessages(conversationId, chatId, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'GET /v3/chat/message/list' });
+
         try {
             logger.info('[CozeSDKAdapter] 获取聊天消息列表', {
                 conversationId,
@@ -602,7 +804,7 @@ class CozeSDKAdapter {
                     res.on('end', () => {
                         try {
                             const parsed = JSON.parse(data);
-                            console.log('[CozeSDKAdapter] Chat messages API 响应:', {
+                            logger.debug('[CozeSDKAdapter] Chat messages API 响应:', {
                                 statusCode: res.statusCode,
                                 code: parsed.code,
                                 msg: parsed.msg,
@@ -612,7 +814,7 @@ class CozeSDKAdapter {
                             if (res.statusCode === 200 && parsed.code === 0) {
                                 resolve(parsed);
                             } else {
-                                reject(new Error(`API error: ${parsed.msg || 'Unknown error'}`));
+                                reject(this.createApiError(`API error: ${parsed.msg || 'Unknown error'}`, res.statusCode, parsed.code));
                             }
                         } catch (e) {
                             reject(e);
@@ -630,16 +832,17 @@ class CozeSDKAdapter {
                 req.on('error', reject);
                 req.end();
             });
+            endApiTimer({ result: 'success' });
 
             // 从消息列表中提取 follow_up 类型的消息
             let followUpQuestions = [];
             if (response.data && Array.isArray(response.data)) {
-                console.log('[CozeSDKAdapter] 遍历消息查找 follow_up:', {
+                logger.debug('[CozeSDKAdapter] 遍历消息查找 follow_up:', {
                     totalMessages: response.data.length
                 });
                 
                 for (const message of response.data) {
-                    console.log('[CozeSDKAdapter] 检查消息:', {
+                    logger.debug('[CozeSDKAdapter] 检查消息:', {
                         id: message.id,
                         type: message.type,
                         role: message.role,
@@ -660,7 +863,7 @@ class CozeSDKAdapter {
                                 }
                             } catch (jsonError) {
                                 // 如果不是 JSON，可能是直接的问题文本
-                                console.log('[CozeSDKAdapter] content 不是 JSON，尝试作为纯文本处理:', message.content);
+                                logger.debug('[CozeSDKAdapter] content 不是 JSON，尝试作为纯文本处理:', message.content);
                                 
                                 // 检查是否是问题文本
                                 if (typeof message.content === 'string' && message.content.trim().length > 0) {
@@ -692,7 +895,7 @@ class CozeSDKAdapter {
                                 } else {
                                     followUpQuestions.push(parsedContent.follow_up_questions);
                                 }
-                                console.log('[CozeSDKAdapter] 从 JSON 中找到 follow_up 问题:', {
+                                logger.debug('[CozeSDKAdapter] 从 JSON 中找到 follow_up 问题:', {
                                     messageId: message.id,
                                     questions: parsedContent.follow_up_questions,
                                     totalSoFar: followUpQuestions.length
@@ -700,7 +903,7 @@ class CozeSDKAdapter {
                                 // 不要 break，继续处理其他 follow_up 消息
                             }
                         } catch (parseError) {
-                            console.error('[CozeSDKAdapter] 处理 follow_up 内容失败:', parseError.message);
+                            logger.error('[CozeSDKAdapter] 处理 follow_up 内容失败:', parseError.message);
                         }
                     }
                 }
@@ -708,7 +911,7 @@ class CozeSDKAdapter {
             
             // 输出最终收集到的所有 follow_up 问题
             if (followUpQuestions.length > 0) {
-                console.log('[CozeSDKAdapter] 总共收集到 follow_up 问题:', {
+                logger.debug('[CozeSDKAdapter] 总共收集到 follow_up 问题:', {
                     total: followUpQuestions.length,
                     questions: followUpQuestions
                 });
@@ -721,7 +924,9 @@ class CozeSDKAdapter {
             };
 
         } catch (error) {
-            console.error('[CozeSDKAdapter] 获取聊天消息失败:', error.message);
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
+            logger.error('[CozeSDKAdapter] 获取聊天消息失败:', error.message);
             return {
                 success: false,
                 error: error.message,
@@ -736,9 +941,12 @@ class CozeSDKAdapter {
      * @param {string} userId - 用户ID
      * @param {Array<string>} keywords - 变量名数组，默认获取 follow_up 变量
      * @param {string} token - 用户访问令牌
+     * @param {string} botId - Bot ID（可选，默认使用配置的botId）
      * @returns {Promise<Object>} 变量值结果
      */
-    async getUserVariables(userId, keywords = ['follow_up_q1', 'follow_up_q2', 'follow_up_q3'], token = null) {
+    async getUserVariables(userId, keywords = ['follow_up_q1', 'follow_up_q2', 'follow_up_q3'], token = null, botId = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'GET /v1/variables' });
+
         try {
             const axios = require('axios');
             const https = require('https');
@@ -763,7 +971,7 @@ class CozeSDKAdapter {
 
             // 构建查询参数
             const params = {
-                bot_id: this.config.botId,
+                bot_id: botId || this.config.botId,
                 connector_id: '1024', // API 渠道
                 connector_uid: userId,
                 keywords: keywords.join(',')
@@ -786,8 +994,9 @@ class CozeSDKAdapter {
                     }
                 }
             );
+            endApiTimer({ result: 'success' });
 
-            console.log('[CozeSDKAdapter] Variables API 响应:', {
+            logger.debug('[CozeSDKAdapter] Variables API 响应:', {
                 code: response.data.code,
                 msg: response.data.msg,
                 itemsCount: response.data.data?.items?.length || 0
@@ -801,14 +1010,14 @@ class CozeSDKAdapter {
             // 提取 follow_up 变量值
             const followUpQuestions = [];
             if (response.data.data?.items && Array.isArray(response.data.data.items)) {
-                console.log('[CozeSDKAdapter] 遍历用户变量:', {
+                logger.debug('[CozeSDKAdapter] 遍历用户变量:', {
                     totalItems: response.data.data.items.length
                 });
                 
                 // 先打印所有变量看看
-                console.log('[CozeSDKAdapter] 所有变量详情:');
+                logger.debug('[CozeSDKAdapter] 所有变量详情:');
                 response.data.data.items.forEach(item => {
-                    console.log('  - 变量:', {
+                    logger.debug('  - 变量:', {
                         keyword: item.keyword,
                         value: item.value,
                         hasValue: !!item.value,
@@ -822,10 +1031,10 @@ class CozeSDKAdapter {
                         const matches = item.keyword.startsWith('follow_up_q');
                         const hasValue = item.value && item.value.trim();
                         if (!matches) {
-                            console.log(`[CozeSDKAdapter] 变量 ${item.keyword} 不匹配 follow_up_q 前缀`);
+                            logger.debug(`[CozeSDKAdapter] 变量 ${item.keyword} 不匹配 follow_up_q 前缀`);
                         }
                         if (!hasValue) {
-                            console.log(`[CozeSDKAdapter] 变量 ${item.keyword} 没有值或值为空`);
+                            logger.debug(`[CozeSDKAdapter] 变量 ${item.keyword} 没有值或值为空`);
                         }
                         return matches && hasValue;
                     })
@@ -835,10 +1044,10 @@ class CozeSDKAdapter {
                         return numA - numB;
                     });
 
-                console.log(`[CozeSDKAdapter] 过滤后的 follow_up 变量数量: ${sortedItems.length}`);
+                logger.debug(`[CozeSDKAdapter] 过滤后的 follow_up 变量数量: ${sortedItems.length}`);
 
                 for (const item of sortedItems) {
-                    console.log('[CozeSDKAdapter] 找到 follow_up 变量:', {
+                    logger.debug('[CozeSDKAdapter] 找到 follow_up 变量:', {
                         keyword: item.keyword,
                         value: item.value
                     });
@@ -847,7 +1056,7 @@ class CozeSDKAdapter {
             }
 
             if (followUpQuestions.length > 0) {
-                console.log('[CozeSDKAdapter] 总共收集到 follow_up 问题:', {
+                logger.debug('[CozeSDKAdapter] 总共收集到 follow_up 问题:', {
                     total: followUpQuestions.length,
                     questions: followUpQuestions
                 });
@@ -859,6 +1068,8 @@ class CozeSDKAdapter {
             };
 
         } catch (error) {
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
             // 详细的错误处理
             if (error.response) {
                 logger.error('[CozeSDKAdapter] API 返回错误', {
@@ -894,6 +1105,8 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} 会话列表
      */
     async getConversationList(botId, options = {}, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'GET /v1/conversations' });
+
         try {
             this.updateMetrics('start');
 
@@ -951,7 +1164,7 @@ class CozeSDKAdapter {
                             if (res.statusCode === 200 && parsed.code === 0) {
                                 resolve(parsed);
                             } else {
-                                reject(new Error(`API error: ${parsed.msg || 'Unknown error'}`));
+                                reject(this.createApiError(`API error: ${parsed.msg || 'Unknown error'}`, res.statusCode, parsed.code));
                             }
                         } catch (e) {
                             reject(e);
@@ -969,6 +1182,7 @@ class CozeSDKAdapter {
             });
 
             this.updateMetrics('success');
+            endApiTimer({ result: 'success' });
 
             logger.info('会话列表获取成功', {
                 type: 'conversation_list_success',
@@ -985,6 +1199,8 @@ class CozeSDKAdapter {
 
         } catch (error) {
             this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
 
             logger.error('获取会话列表失败', {
                 type: 'get_conversation_list_error',
@@ -1003,6 +1219,8 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} 消息列表
      */
     async getConversationMessages(conversationId, options = {}, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v1/conversation/message/list' });
+
         try {
             this.updateMetrics('start');
 
@@ -1065,7 +1283,7 @@ class CozeSDKAdapter {
                             if (res.statusCode === 200 && parsed.code === 0) {
                                 resolve(parsed);
                             } else {
-                                reject(new Error(`API error: ${parsed.msg || 'Unknown error'}`));
+                                reject(this.createApiError(`API error: ${parsed.msg || 'Unknown error'}`, res.statusCode, parsed.code));
                             }
                         } catch (e) {
                             reject(e);
@@ -1084,6 +1302,7 @@ class CozeSDKAdapter {
             });
 
             this.updateMetrics('success');
+            endApiTimer({ result: 'success' });
 
             logger.info('消息列表获取成功', {
                 type: 'messages_retrieved',
@@ -1103,6 +1322,8 @@ class CozeSDKAdapter {
 
         } catch (error) {
             this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
 
             logger.error('获取会话消息失败', {
                 type: 'get_conversation_messages_error',
@@ -1172,6 +1393,8 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} 更新后的会话信息
      */
     async renameConversation(conversationId, newName, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'PUT /v1/conversations/:id' });
+
         try {
             this.updateMetrics('start');
 
@@ -1235,7 +1458,7 @@ class CozeSDKAdapter {
                             if (res.statusCode === 200 && parsed.code === 0) {
                                 resolve(parsed);
                             } else {
-                                reject(new Error(parsed.msg || `API error: ${res.statusCode}`));
+                                reject(this.createApiError(parsed.msg || `API error: ${res.statusCode}`, res.statusCode, parsed.code));
                             }
                         } catch (e) {
                             logger.error('解析重命名响应失败', {
@@ -1264,6 +1487,7 @@ class CozeSDKAdapter {
             });
 
             this.updateMetrics('success');
+            endApiTimer({ result: 'success' });
 
             logger.info('会话重命名成功', {
                 type: 'rename_conversation_success',
@@ -1280,6 +1504,8 @@ class CozeSDKAdapter {
 
         } catch (error) {
             this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
 
             logger.error('重命名会话失败', {
                 type: 'rename_conversation_error',
@@ -1297,6 +1523,8 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} 用户信息
      */
     async getCurrentUser(token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'GET /v1/users/me' });
+
         try {
             this.updateMetrics('start');
 
@@ -1305,6 +1533,7 @@ class CozeSDKAdapter {
             const response = await client.users.me();
 
             this.updateMetrics('success');
+            endApiTimer({ result: 'success' });
 
             return {
                 success: true,
@@ -1313,6 +1542,8 @@ class CozeSDKAdapter {
 
         } catch (error) {
             this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
             throw this.handleSDKError(error);
         }
     }
@@ -1324,6 +1555,8 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} Bot信息
      */
     async getBotInfo(botId, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'GET /v1/bots/:id' });
+
         try {
             this.updateMetrics('start');
 
@@ -1378,7 +1611,7 @@ class CozeSDKAdapter {
                                 if (res.statusCode === 200 && parsed.code === 0) {
                                     resolve(parsed.data);
                                 } else {
-                                    reject(new Error(`API error: ${parsed.msg || 'Unknown error'}`));
+                                    reject(this.createApiError(`API error: ${parsed.msg || 'Unknown error'}`, res.statusCode, parsed.code));
                                 }
                             } catch (e) {
                                 reject(e);
@@ -1404,6 +1637,7 @@ class CozeSDKAdapter {
                 });
 
                 this.updateMetrics('success');
+                endApiTimer({ result: 'success' });
 
                 logger.info('Bot信息获取成功', {
                     type: 'get_bot_info_success',
@@ -1436,6 +1670,8 @@ class CozeSDKAdapter {
 
         } catch (error) {
             this.updateMetrics('error');
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
 
             logger.error('获取Bot信息失败', {
                 type: 'get_bot_info_error',
@@ -1448,6 +1684,20 @@ class CozeSDKAdapter {
         }
     }
 
+    /**
+     * 创建 Coze 接口返回的错误，保留HTTP状态码和业务错误码供调用方判断（如访问令牌失效）
+     * @param {string} message - 错误信息
+     * @param {number} status - HTTP状态码
+     * @param {number} code - Coze 业务错误码
+     * @returns {Error}
+     */
+    createApiError(message, status, code) {
+        const error = new Error(message);
+        error.status = status;
+        error.code = code;
+        return error;
+    }
+
     /**
      * 处理SDK错误
      * @param {Error} error - 原始错误
@@ -1510,6 +1760,17 @@ class CozeSDKAdapter {
             };
         }
 
+        // 直接调用接口的错误（createApiError、axios）：访问令牌失效时不重试
+        if (jwtService.isCozeAuthError(error)) {
+            return {
+                type: 'authentication_error',
+                message: error.message,
+                code: error.code,
+                status: 401,
+                retryable: false
+            };
+        }
+
         // 网络错误等其他错误
         return {
             type: 'unknown_error',
@@ -1599,8 +1860,10 @@ class CozeSDKAdapter {
      * @returns {Promise<Object>} 转换结果
      */
     async speechToText(audioBuffer, options = {}, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v1/audio/transcriptions' });
+
         try {
-            console.log('[CozeSDKAdapter] 开始Coze语音转文字:', {
+            logger.debug('[CozeSDKAdapter] 开始Coze语音转文字:', {
                 audioSize: audioBuffer ? `${(audioBuffer.length / 1024).toFixed(2)}KB` : '0KB',
                 format: options.format || 'unknown',
                 language: options.language || 'zh-CN'
@@ -1632,7 +1895,7 @@ class CozeSDKAdapter {
                 contentType: this.getAudioContentType(audioFormat)
             });
 
-            console.log('[CozeSDKAdapter] 音频文件信息:', {
+            logger.debug('[CozeSDKAdapter] 音频文件信息:', {
                 filename: filename,
                 format: audioFormat,
                 contentType: this.getAudioContentType(audioFormat),
@@ -1640,7 +1903,7 @@ class CozeSDKAdapter {
                 cozeSupported: ['ogg', 'mp3', 'wav'].includes(audioFormat)
             });
 
-            console.log('[CozeSDKAdapter] 发送语音识别请求到Coze...');
+            logger.debug('[CozeSDKAdapter] 发送语音识别请求到Coze...');
 
             // 确保必须提供token
             if (!token) {
@@ -1672,8 +1935,9 @@ class CozeSDKAdapter {
                     ...formData.getHeaders()
                 }
             });
+            endApiTimer({ result: 'success' });
 
-            console.log('[CozeSDKAdapter] 收到Coze响应:', {
+            logger.debug('[CozeSDKAdapter] 收到Coze响应:', {
                 status: response.status,
                 hasData: !!response.data,
                 responseData: response.data
@@ -1683,12 +1947,14 @@ class CozeSDKAdapter {
             return this.processCozeSpeechRecognitionResponse(response.data, options.language || 'zh-CN');
 
         } catch (error) {
-            console.error('[CozeSDKAdapter] Coze语音转文字失败:', error.message);
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
+            logger.error('[CozeSDKAdapter] Coze语音转文字失败:', error.message);
             
             // 获取更详细的错误信息
             let detailedError = error.message;
             if (error.response) {
-                console.error('[CozeSDKAdapter] HTTP错误详情:', {
+                logger.error('[CozeSDKAdapter] HTTP错误详情:', {
                     status: error.response.status,
                     statusText: error.response.statusText,
                     data: error.response.data
@@ -1702,6 +1968,7 @@ class CozeSDKAdapter {
             return {
                 success: false,
                 error: `[Coze] ${detailedError}`,
+                status: error.response ? error.response.status : error.status,
                 text: '',
                 confidence: 0,
                 language: options.language || 'zh-CN',
@@ -1732,11 +1999,11 @@ class CozeSDKAdapter {
         
         const normalized = formatMap[format.toLowerCase()];
         if (!normalized) {
-            console.warn(`[CozeSDKAdapter] 不支持的音频格式: ${format}，使用默认格式 wav`);
+            logger.warn(`[CozeSDKAdapter] 不支持的音频格式: ${format}，使用默认格式 wav`);
             return 'wav';
         }
         
-        console.log(`[CozeSDKAdapter] 音频格式转换: ${format} -> ${normalized} (Coze支持: ogg, mp3, wav)`);
+        logger.debug(`[CozeSDKAdapter] 音频格式转换: ${format} -> ${normalized} (Coze支持: ogg, mp3, wav)`);
         return normalized;
     }
 
@@ -1755,7 +2022,7 @@ class CozeSDKAdapter {
         
         const contentType = contentTypes[format.toLowerCase()];
         if (!contentType) {
-            console.warn(`[CozeSDKAdapter] 不支持的音频格式: ${format}，使用默认 Content-Type: audio/wav`);
+            logger.warn(`[CozeSDKAdapter] 不支持的音频格式: ${format}，使用默认 Content-Type: audio/wav`);
             return 'audio/wav';
         }
         
@@ -1770,7 +2037,7 @@ class CozeSDKAdapter {
      */
     processCozeSpeechRecognitionResponse(responseData, language) {
         try {
-            console.log('[CozeSDKAdapter] 处理Coze语音识别响应:', {
+            logger.debug('[CozeSDKAdapter] 处理Coze语音识别响应:', {
                 hasResult: !!responseData,
                 code: responseData?.code,
                 msg: responseData?.msg,
@@ -1795,14 +2062,14 @@ class CozeSDKAdapter {
                 recognizedText = responseData.data.text;
                 
                 if (recognizedText) {
-                    console.log('[CozeSDKAdapter] 语音识别成功:', {
+                    logger.debug('[CozeSDKAdapter] 语音识别成功:', {
                         text: recognizedText,
                         textLength: recognizedText.length,
                         language: language
                     });
                 } else {
                     // 空文本也是合法的响应，可能是没有识别到清晰的语音
-                    console.log('[CozeSDKAdapter] 语音识别返回空文本，可能未识别到清晰语音');
+                    logger.debug('[CozeSDKAdapter] 语音识别返回空文本，可能未识别到清晰语音');
                 }
             }
             
@@ -1817,7 +2084,7 @@ class CozeSDKAdapter {
             };
             
         } catch (error) {
-            console.error('[CozeSDKAdapter] 处理Coze语音识别响应失败:', error.message);
+            logger.error('[CozeSDKAdapter] 处理Coze语音识别响应失败:', error.message);
             
             return {
                 success: false,
@@ -1830,6 +2097,193 @@ class CozeSDKAdapter {
         }
     }
 
+    /**
+     * Coze 语音合成
+     * @param {string} text - 朗读文字
+     * @param {Object} options - 选项
+     * @param {string} options.voiceId - 音色ID
+     * @param {number} options.speed - 语速
+     * @param {string} token - 用户访问令牌
+     * @returns {Promise<Buffer>} mp3 音频
+     */
+    async textToSpeech(text, options = {}, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v1/audio/speech' });
+
+        try {
+            // 确保必须提供token
+            if (!token) {
+                throw new Error('Access token is required for textToSpeech');
+            }
+
+            const axios = require('axios');
+            const response = await axios.post(`${this.config.baseURL}/v1/audio/speech`, {
+                input: text,
+                voice_id: options.voiceId,
+                response_format: 'mp3',
+                speed: options.speed || 1
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                responseType: 'arraybuffer',
+                proxy: false,
+                timeout: parseInt(process.env.COZE_TIMEOUT) || 300000
+            });
+
+            // 合成失败时返回 JSON 错误信息而不是音频
+            if (String(response.headers['content-type'] || '').includes('application/json')) {
+                const data = JSON.parse(Buffer.from(response.data).toString('utf8'));
+                throw new Error(`语音合成失败: ${data.msg || '未知错误'} (错误码: ${data.code})`);
+            }
+
+            endApiTimer({ result: 'success' });
+            return Buffer.from(response.data);
+        } catch (error) {
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
+
+            logger.error('[CozeSDKAdapter] Coze语音合成失败', {
+                type: 'coze_tts_error',
+                textLength: text ? text.length : 0,
+                error: error.message
+            });
+
+            throw this.handleSDKError(error);
+        }
+    }
+
+    /**
+     * 提交消息反馈（同一条消息重复提交时覆盖）
+     * @param {string} conversationId - 会话ID
+     * @param {string} messageId - 回答的消息ID
+     * @param {Object} feedback - 反馈内容
+     * @param {string} feedback.type - like / unlike
+     * @param {Array<string>} feedback.reasons - 点踩原因（reason_types）
+     * @param {string} feedback.comment - 补充说明
+     * @param {string} token - 用户访问令牌
+     * @returns {Promise<Object>} { logid }
+     */
+    async submitMessageFeedback(conversationId, messageId, feedback, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'POST /v1/conversations/:id/messages/:id/feedback' });
+
+        try {
+            // 确保必须提供token
+            if (!token) {
+                throw new Error('Access token is required for submitMessageFeedback');
+            }
+
+            const body = { feedback_type: feedback.type };
+            if (feedback.reasons && feedback.reasons.length > 0) {
+                body.reason_types = feedback.reasons;
+            }
+            if (feedback.comment) {
+                body.comment = feedback.comment;
+            }
+
+            const axios = require('axios');
+            const response = await axios.post(
+                `${this.config.baseURL}/v1/conversations/${conversationId}/messages/${messageId}/feedback`,
+                body,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json'
+                    },
+                    proxy: false,
+                    timeout: 30000
+                }
+            );
+
+            if (response.data && response.data.code !== 0) {
+                throw new Error(`消息反馈提交失败: ${response.data.msg || '未知错误'} (错误码: ${response.data.code})`);
+            }
+
+            endApiTimer({ result: 'success' });
+            return { logid: response.data?.detail?.logid };
+        } catch (error) {
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
+
+            logger.error('[CozeSDKAdapter] Coze消息反馈提交失败', {
+                type: 'coze_feedback_error',
+                conversationId,
+                messageId,
+                error: error.message
+            });
+
+            throw this.handleSDKError(error);
+        }
+    }
+
+    /**
+     * 删除消息反馈
+     * @param {string} conversationId - 会话ID
+     * @param {string} messageId - 回答的消息ID
+     * @param {string} token - 用户访问令牌
+     * @returns {Promise<void>}
+     */
+    async deleteMessageFeedback(conversationId, messageId, token = null) {
+        const endApiTimer = cozeApiDuration.startTimer({ endpoint: 'DELETE /v1/conversations/:id/messages/:id/feedback' });
+
+        try {
+            // 确保必须提供token
+            if (!token) {
+                throw new Error('Access token is required for deleteMessageFeedback');
+            }
+
+            const axios = require('axios');
+            const response = await axios.delete(
+                `${this.config.baseURL}/v1/conversations/${conversationId}/messages/${messageId}/feedback`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    },
+                    proxy: false,
+                    timeout: 30000
+                }
+            );
+
+            if (response.data && response.data.code !== 0) {
+                throw new Error(`消息反馈删除失败: ${response.data.msg || '未知错误'} (错误码: ${response.data.code})`);
+            }
+
+            endApiTimer({ result: 'success' });
+        } catch (error) {
+            endApiTimer({ result: 'error' });
+            jwtService.handleAuthError(token, error);
+
+            logger.error('[CozeSDKAdapter] Coze消息反馈删除失败', {
+                type: 'coze_feedback_delete_error',
+                conversationId,
+                messageId,
+                error: error.message
+            });
+
+            throw this.handleSDKError(error);
+        }
+    }
+
+    /**
+     * 创建 Coze 实时语音识别连接（WebSocket /v1/audio/transcriptions）
+     * 断开后不自动重连，事件收发由调用方处理
+     * @param {string} token - 用户访问令牌
+     * @param {Object} options - 选项
+     * @param {number} options.connectionTimeout - 连接超时（毫秒）
+     * @returns {Promise<Object>} SDK 的 WebSocketAPI 实例（send / close / onmessage / onerror / onclose）
+     */
+    async createTranscriptionSocket(token, options = {}) {
+        if (!token) {
+            throw new Error('Access token is required for createTranscriptionSocket');
+        }
+
+        const client = this.createClient(token);
+        return client.websockets.audio.transcriptions.create({}, {
+            maxRetries: 0,
+            connectionTimeout: options.connectionTimeout
+        });
+    }
+
     /**
      * 清除模块缓存并重新加载
      * 用于开发环境下的热重载
@@ -1844,7 +2298,7 @@ class CozeSDKAdapter {
         // 更新全局实例
         Object.assign(cozeSDKAdapter, newAdapter);
         
-        console.log('[CozeSDKAdapter] 模块已重新加载');
+        logger.debug('[CozeSDKAdapter] 模块已重新加载');
         
         return cozeSDKAdapter;
     }
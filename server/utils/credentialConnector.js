@@ -0,0 +1,288 @@
+/**
+ * 外部凭证连接器
+ * 从 OA、请假、报销、薪资等后台系统为成员获取访问凭证，供Bot插件通过Bot变量使用
+ * 每个连接器声明请求地址、请求模板、响应中凭证的路径和目标Bot变量，见 config/credentials.js
+ *
+ * 请求模板中的占位符:
+ * - {{userId}}: 成员UserID
+ * - {{env.NAME}}: 环境变量 NAME
+ */
+const axios = require('axios');
+const https = require('https');
+const logger = require('./logger');
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * 脱敏凭证用于日志输出
+ * @param {string} token - 原始凭证
+ * @returns {string} 脱敏后的凭证
+ */
+function maskToken(token) {
+    if (!token || typeof token !== 'string' || token.length < 16) return '***';
+    return token.substring(0, 8) + '***' + token.substring(token.length - 4);
+}
+
+/**
+ * 渲染请求模板：递归替换字符串中的占位符
+ * @param {*} template - 模板（字符串、数组或对象）
+ * @param {Object} context - 渲染上下文 { userId, env }
+ * @returns {*} 渲染结果
+ */
+function renderTemplate(template, context) {
+    if (typeof template === 'string') {
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+            const value = getByPath(context, key);
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, context));
+    }
+
+    if (template && typeof template === 'object') {
+        const result = {};
+        for (const key of Object.keys(template)) {
+            result[key] = renderTemplate(template[key], context);
+        }
+        return result;
+    }
+
+    return template;
+}
+
+/**
+ * 按点号路径读取对象属性，如 data.token、items.0.id
+ * @param {Object} source - 源对象
+ * @param {string} pathExpression - 属性路径
+ * @returns {*} 属性值，不存在时返回 undefined
+ */
+function getByPath(source, pathExpression) {
+    return String(pathExpression)
+        .split('.')
+        .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+}
+
+/**
+ * 单个外部系统的凭证连接器
+ */
+class CredentialConnector {
+    /**
+     * 构造函数
+     * @param {string} name - 连接器名称
+     * @param {Object} options - 连接器配置
+     * @param {string} options.url - 请求地址（可含占位符）
+     * @param {string} options.method - 请求方法，默认 POST
+     * @param {Object} options.headers - 请求头模板
+     * @param {Object} options.query - 查询参数模板
+     * @param {Object|string} options.body - 请求体模板
+     * @param {string} options.responsePath - 响应中凭证的路径
+     * @param {string} options.variable - 写入的Bot变量名
+     * @param {number} options.cacheTTL - 每个成员的凭证缓存时间（毫秒），0表示不缓存
+     * @param {number} options.timeout - 请求超时（毫秒）
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.description = options.description || '';
+        this.url = options.url;
+        this.method = (options.method || 'POST').toUpperCase();
+        this.headers = options.headers || { 'Content-Type': 'application/json' };
+        this.query = options.query || null;
+        this.body = options.body === undefined ? null : options.body;
+        this.responsePath = options.responsePath || 'token';
+        this.variable = options.variable;
+        this.cacheTTL = options.cacheTTL || 0;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+        this.axiosInstance = axios.create({
+            httpsAgent: new https.Agent({
+                rejectUnauthorized: true,
+                keepAlive: true
+            }),
+            proxy: false,
+            timeout: this.timeout
+        });
+
+        // 凭证只缓存在进程内存中，不写入持久化存储: userId -> { value, expiresAt }
+        this.cache = new Map();
+
+        // 同一成员并发请求时共用一次获取: userId -> Promise
+        this.pending = new Map();
+    }
+
+    /**
+     * 获取成员的凭证（优先使用缓存）
+     * @param {string} userId - 成员UserID
+     * @returns {Promise<string|null>} 凭证，获取失败返回null
+     */
+    async acquire(userId) {
+        if (!userId) {
+            logger.warn('userId为空，无法获取外部凭证', {
+                type: 'credential_missing_user',
+                connector: this.name
+            });
+            return null;
+        }
+
+        const cached = this.cache.get(userId);
+        if (cached && cached.expiresAt > Date.now()) {
+            logger.debug('使用缓存的外部凭证', {
+                type: 'credential_cache_hit',
+                connector: this.name,
+                userId: userId,
+                credential: maskToken(cached.value)
+            });
+            return cached.value;
+        }
+
+        if (this.pending.has(userId)) {
+            return this.pending.get(userId);
+        }
+
+        const promise = this.request(userId).finally(() => {
+            this.pending.delete(userId);
+        });
+        this.pending.set(userId, promise);
+
+        return promise;
+    }
+
+    /**
+     * 请求外部系统获取凭证
+     * @param {string} userId - 成员UserID
+     * @returns {Promise<string|null>} 凭证，获取失败返回null
+     */
+    async request(userId) {
+        const context = { userId, env: process.env };
+        const startTime = Date.now();
+        const url = renderTemplate(this.url, context);
+
+        try {
+            // 请求体中通常包含系统账号密码，日志只记录地址
+            logger.info('请求外部凭证', {
+                type: 'credential_request',
+                connector: this.name,
+                userId: userId,
+                method: this.method,
+                url: url
+            });
+
+            const response = await this.axiosInstance.request({
+                url: url,
+                method: this.method,
+                headers: renderTemplate(this.headers, context),
+                params: this.query ? renderTemplate(this.query, context) : undefined,
+                data: this.body === null ? undefined : renderTemplate(this.body, context)
+            });
+
+            const value = getByPath(response.data, this.responsePath);
+            if (value === undefined || value === null || value === '') {
+                logger.error('外部凭证响应缺少凭证字段', {
+                    type: 'credential_response_invalid',
+                    connector: this.name,
+                    userId: userId,
+                    responsePath: this.responsePath,
+                    responseKeys: Object.keys(response.data || {})
+                });
+                return null;
+            }
+
+            const credential = String(value);
+            if (this.cacheTTL > 0) {
+                this.cache.set(userId, {
+                    value: credential,
+                    expiresAt: Date.now() + this.cacheTTL
+                });
+            }
+
+            logger.info('外部凭证获取成功', {
+                type: 'credential_success',
+                connector: this.name,
+                userId: userId,
+                credential: maskToken(credential),
+                duration: Date.now() - startTime
+            });
+
+            return credential;
+        } catch (error) {
+            logger.error('外部凭证获取失败', {
+                type: 'credential_error',
+                connector: this.name,
+                userId: userId,
+                status: error.response?.status,
+                error: error.message,
+                duration: Date.now() - startTime
+            });
+            return null;
+        }
+    }
+
+    /**
+     * 清除成员的缓存凭证（如凭证被外部系统判定失效时）
+     * @param {string} userId - 成员UserID，不传时清除全部
+     */
+    invalidate(userId) {
+        if (userId) {
+            this.cache.delete(userId);
+        } else {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * 获取连接器状态（不包含凭证内容）
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            name: this.name,
+            description: this.description,
+            method: this.method,
+            variable: this.variable,
+            cacheTTL: this.cacheTTL,
+            cachedUsers: this.cache.size
+        };
+    }
+}
+
+/**
+ * 根据配置创建连接器，未配置请求地址的连接器会被忽略
+ * @param {Object} definitions - 连接器配置 { name: options }
+ * @returns {Map<string, CredentialConnector>} 连接器
+ */
+function createConnectors(definitions = {}) {
+    const connectors = new Map();
+
+    for (const name of Object.keys(definitions)) {
+        const definition = definitions[name];
+        if (!definition || !definition.url) {
+            continue;
+        }
+
+        if (!definition.variable) {
+            logger.warn('外部凭证连接器未配置目标Bot变量，已跳过', {
+                type: 'credential_connector_invalid',
+                connector: name
+            });
+            continue;
+        }
+
+        connectors.set(name, new CredentialConnector(name, definition));
+    }
+
+    logger.info('外部凭证连接器初始化完成', {
+        type: 'credential_connectors_init',
+        connectors: Array.from(connectors.keys())
+    });
+
+    return connectors;
+}
+
+module.exports = {
+    CredentialConnector,
+    createConnectors,
+    renderTemplate,
+    getByPath,
+    maskToken
+};
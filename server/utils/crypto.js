@@ -1,127 +1,199 @@
 /**
  * 企业微信消息加解密工具
  * 用于验证URL、消息解密和加密
+ *
+ * 密文格式: AES-256-CBC(random(16B) + msg_len(4B, 网络字节序) + msg + corpId)
+ * 使用 PKCS#7 补位，块大小为32字节
  */
-const crypto = require('../utils/crypto');
+const crypto = require('crypto');
 const config = require('../config/config');
 
+// 企业微信加解密约定的补位块大小
+const BLOCK_SIZE = 32;
+
 /**
- * 验证URL有效性
- * @param {string} signature 企业微信加密签名
- * @param {string} timestamp 时间戳
- * @param {string} nonce 随机数
- * @param {string} echostr 随机字符串
- * @returns {string} 验证通过返回echostr，否则返回空字符串
+ * 企业微信消息加解密类
  */
-function verifyURL(signature, timestamp, nonce, echostr) {
-    // 1. 将token、timestamp、nonce三个参数进行字典序排序
-    const array = [config.token, timestamp, nonce];
-    array.sort();
-
-    // 2. 将三个参数字符串拼接成一个字符串进行sha1加密
-    const str = array.join('');
-    const sha1 = crypto.createHash('sha1');
-    sha1.update(str);
-    const sha1Str = sha1.digest('hex');
-
-    // 3. 开发者获得加密后的字符串可与signature对比，标识该请求来源于微信
-    if (sha1Str === signature) {
-        return echostr;
-    } else {
-        return '';
+class WeComCrypto {
+    /**
+     * 构造函数
+     * @param {Object} options - 加解密配置
+     * @param {string} options.token - 回调Token
+     * @param {string} options.encodingAESKey - 43位EncodingAESKey
+     * @param {string} options.corpId - 企业ID
+     */
+    constructor(options = {}) {
+        this.token = options.token;
+        this.corpId = options.corpId;
+        this.encodingAESKey = options.encodingAESKey;
     }
-}
 
-/**
- * 消息解密
- * @param {string} msgSignature 消息签名
- * @param {string} timestamp 时间戳
- * @param {string} nonce 随机数
- * @param {string} encryptedMsg 加密的消息
- * @returns {string} 解密后的消息
- */
-function decryptMsg(msgSignature, timestamp, nonce, encryptedMsg) {
-    // 1. 验证签名
-    const array = [config.token, timestamp, nonce, encryptedMsg];
-    array.sort();
-
-    const str = array.join('');
-    const sha1 = crypto.createHash('sha1');
-    sha1.update(str);
-    const calculatedSignature = sha1.digest('hex');
-
-    if (calculatedSignature !== msgSignature) {
-        throw new Error('消息签名验证失败');
+    /**
+     * 获取AES密钥与IV（IV取密钥前16字节）
+     * @returns {{key: Buffer, iv: Buffer}}
+     */
+    getKeyAndIV() {
+        if (!this.encodingAESKey || this.encodingAESKey.length !== 43) {
+            throw new Error('EncodingAESKey 未配置或长度不是43位');
+        }
+
+        const key = Buffer.from(this.encodingAESKey + '=', 'base64');
+        return { key, iv: key.subarray(0, 16) };
     }
 
-    // 2. 对消息进行解密
-    const encoded = Buffer.from(config.encodingAESKey + '=', 'base64');
-    const key = encoded.slice(0, 32);
-    const iv = encoded.slice(0, 16);
+    /**
+     * 计算消息签名
+     * @param {string} timestamp 时间戳
+     * @param {string} nonce 随机数
+     * @param {string} encrypt 密文
+     * @returns {string} sha1签名
+     */
+    getSignature(timestamp, nonce, encrypt) {
+        const str = [this.token, timestamp, nonce, encrypt].sort().join('');
+        return crypto.createHash('sha1').update(str).digest('hex');
+    }
 
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-    let decrypted = decipher.update(encryptedMsg, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
+    /**
+     * 校验消息签名（常量时间比较）
+     * @param {string} msgSignature 企业微信提供的签名
+     * @param {string} timestamp 时间戳
+     * @param {string} nonce 随机数
+     * @param {string} encrypt 密文
+     * @returns {boolean} 签名是否有效
+     */
+    verifySignature(msgSignature, timestamp, nonce, encrypt) {
+        if (!msgSignature || !timestamp || !nonce || !encrypt) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.getSignature(timestamp, nonce, encrypt));
+        const received = Buffer.from(String(msgSignature));
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
 
-    // 3. 去除填充
-    const content = decrypted.slice(20);
-    const length = content.slice(0, 4).readUInt32BE(0);
-    const message = content.slice(4, length + 4);
-    const receivedCorpId = content.slice(length + 4);
+    /**
+     * 解密密文
+     * @param {string} encrypt base64密文
+     * @returns {string} 明文消息
+     */
+    decrypt(encrypt) {
+        const { key, iv } = this.getKeyAndIV();
+
+        const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+        decipher.setAutoPadding(false);
+        const padded = Buffer.concat([decipher.update(encrypt, 'base64'), decipher.final()]);
+
+        // 去除PKCS#7补位
+        const pad = padded[padded.length - 1];
+        if (pad < 1 || pad > BLOCK_SIZE) {
+            throw new Error('解密后补位数据无效');
+        }
+        const content = padded.subarray(0, padded.length - pad);
+
+        // 跳过16字节随机串，读取消息长度
+        const length = content.readUInt32BE(16);
+        const message = content.subarray(20, 20 + length).toString('utf8');
+        const receivedCorpId = content.subarray(20 + length).toString('utf8');
+
+        // 验证企业ID是否匹配
+        if (receivedCorpId !== this.corpId) {
+            throw new Error('接收到的企业ID不匹配');
+        }
+
+        return message;
+    }
 
-    // 4. 验证企业ID是否匹配
-    if (receivedCorpId !== config.corpId) {
-        throw new Error('接收到的企业ID不匹配');
+    /**
+     * 加密明文
+     * @param {string} message 明文消息
+     * @returns {string} base64密文
+     */
+    encrypt(message) {
+        const { key, iv } = this.getKeyAndIV();
+
+        const msgBuffer = Buffer.from(message, 'utf8');
+        const msgLength = Buffer.alloc(4);
+        msgLength.writeUInt32BE(msgBuffer.length, 0);
+
+        const content = Buffer.concat([
+            crypto.randomBytes(16),
+            msgLength,
+            msgBuffer,
+            Buffer.from(this.corpId, 'utf8')
+        ]);
+
+        // PKCS#7补位到32字节的整数倍
+        const pad = BLOCK_SIZE - (content.length % BLOCK_SIZE);
+        const padded = Buffer.concat([content, Buffer.alloc(pad, pad)]);
+
+        const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+        cipher.setAutoPadding(false);
+        return Buffer.concat([cipher.update(padded), cipher.final()]).toString('base64');
     }
 
-    return message;
-}
+    /**
+     * 验证URL有效性（回调配置时企业微信发起的GET请求）
+     * @param {string} msgSignature 企业微信加密签名
+     * @param {string} timestamp 时间戳
+     * @param {string} nonce 随机数
+     * @param {string} echostr 加密的随机字符串
+     * @returns {string} 验证通过返回解密后的echostr，否则返回空字符串
+     */
+    verifyURL(msgSignature, timestamp, nonce, echostr) {
+        if (!this.verifySignature(msgSignature, timestamp, nonce, echostr)) {
+            return '';
+        }
+
+        return this.decrypt(echostr);
+    }
 
-/**
- * 消息加密
- * @param {string} message 要加密的消息
- * @param {string} timestamp 时间戳
- * @param {string} nonce 随机数
- * @returns {Object} 加密结果，包含encrypt、msg_signature、timestamp、nonce
- */
-function encryptMsg(message, timestamp, nonce) {
-    // 1. 生成随机字符串(16字节)
-    const randomString = crypto.randomBytes(16).toString('hex');
-
-    // 2. 构造明文
-    const msgLength = Buffer.alloc(4);
-    msgLength.writeUInt32BE(message.length, 0);
-
-    const content = randomString + msgLength.toString('binary') + message + config.corpId;
-
-    // 3. 加密
-    const encoded = Buffer.from(config.encodingAESKey + '=', 'base64');
-    const key = encoded.slice(0, 32);
-    const iv = encoded.slice(0, 16);
-
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-    let encrypted = cipher.update(content, 'utf8', 'base64');
-    encrypted += cipher.final('base64');
-
-    // 4. 生成签名
-    const array = [config.token, timestamp, nonce, encrypted];
-    array.sort();
-
-    const str = array.join('');
-    const sha1 = crypto.createHash('sha1');
-    sha1.update(str);
-    const signature = sha1.digest('hex');
-
-    return {
-        encrypt: encrypted,
-        msg_signature: signature,
-        timestamp,
-        nonce
-    };
+    /**
+     * 消息解密
+     * @param {string} msgSignature 消息签名
+     * @param {string} timestamp 时间戳
+     * @param {string} nonce 随机数
+     * @param {string} encryptedMsg 加密的消息
+     * @returns {string} 解密后的消息
+     */
+    decryptMsg(msgSignature, timestamp, nonce, encryptedMsg) {
+        if (!this.verifySignature(msgSignature, timestamp, nonce, encryptedMsg)) {
+            throw new Error('消息签名验证失败');
+        }
+
+        return this.decrypt(encryptedMsg);
+    }
+
+    /**
+     * 消息加密
+     * @param {string} message 要加密的消息
+     * @param {string} timestamp 时间戳
+     * @param {string} nonce 随机数
+     * @returns {Object} 加密结果，包含encrypt、msg_signature、timestamp、nonce
+     */
+    encryptMsg(message, timestamp, nonce) {
+        const encrypted = this.encrypt(message);
+
+        return {
+            encrypt: encrypted,
+            msg_signature: this.getSignature(timestamp, nonce, encrypted),
+            timestamp,
+            nonce
+        };
+    }
 }
 
+// 使用应用配置的默认实例
+const wecomCrypto = new WeComCrypto({
+    token: config.token,
+    encodingAESKey: config.encodingAESKey,
+    corpId: config.corpId
+});
+
 module.exports = {
-    verifyURL,
-    decryptMsg,
-    encryptMsg
+    WeComCrypto,
+    wecomCrypto,
+    verifyURL: wecomCrypto.verifyURL.bind(wecomCrypto),
+    decryptMsg: wecomCrypto.decryptMsg.bind(wecomCrypto),
+    encryptMsg: wecomCrypto.encryptMsg.bind(wecomCrypto)
 };
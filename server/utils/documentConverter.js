@@ -0,0 +1,274 @@
+/**
+ * 文档转换工具
+ * 通过 pandoc 将 Markdown 转为 docx / pdf
+ * - pandoc 路径可通过 PANDOC_PATH 环境变量指定，需 2.15 及以上版本（--sandbox）
+ * - PDF 通过 LaTeX 引擎生成，默认 xelatex，可通过 EXPORT_PDF_ENGINE 指定；
+ *   中文字体通过 EXPORT_PDF_CJK_FONT 指定，需在服务器上已安装
+ * - 会话内容来自 Bot 回答，pandoc 在沙箱中运行，不读取本地文件也不下载远程资源；
+ *   EXPORT_IMAGE_HOSTS 中的主机上的图片由服务端下载后内嵌，其他图片（包括引用式图片和 HTML 图片）以说明文字代替
+ */
+const { spawn } = require('child_process');
+const axios = require('axios');
+const logger = require('./logger');
+
+const PANDOC_PATH = process.env.PANDOC_PATH || 'pandoc';
+const PDF_ENGINE = process.env.EXPORT_PDF_ENGINE || 'xelatex';
+const PDF_CJK_FONT = process.env.EXPORT_PDF_CJK_FONT || 'Noto Sans CJK SC';
+const CONVERT_TIMEOUT = 60000;
+
+// 允许下载图片的主机，逗号分隔，*.example.com 匹配子域名
+const IMAGE_HOSTS = (process.env.EXPORT_IMAGE_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+const IMAGE_TIMEOUT = 10000;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_IMAGES = 20;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+
+// Markdown 图片: ![说明](地址 "标题")
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*(?:<([^>\n]*)>|([^\s)]+))(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+// 引用式图片: ![说明][引用]、![说明][]、![说明]
+const REFERENCE_IMAGE_PATTERN = /!\[([^\]]*)\](?:\[([^\]]*)\])?(?!\()/g;
+// 引用定义: [引用]: 地址 "标题"
+const REFERENCE_DEFINITION_PATTERN = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/gm;
+// HTML 图片
+const HTML_IMAGE_PATTERN = /<img\b[^>]*>/gi;
+const HTML_ALT_PATTERN = /\balt\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+// 可以原样保留的内嵌图片
+const DATA_URI_PATTERN = /^data:image\/(?:png|jpeg|gif);base64,/i;
+
+// 与前端渲染保持一致：GFM（表格、删除线、自动链接），单个换行即换行
+const INPUT_FORMAT = 'gfm+hard_line_breaks';
+
+/**
+ * 各输出格式的 pandoc 参数
+ * @param {string} format - docx / pdf
+ * @returns {Array<string>} 参数
+ */
+function buildArgs(format) {
+    const args = ['--sandbox', '-f', INPUT_FORMAT, '-t', format, '-o', '-'];
+
+    if (format === 'pdf') {
+        args.push(
+            `--pdf-engine=${PDF_ENGINE}`,
+            '-V', `CJKmainfont=${PDF_CJK_FONT}`,
+            '-V', 'geometry:margin=2cm'
+        );
+    }
+
+    return args;
+}
+
+/**
+ * 主机是否在图片下载白名单中
+ * @param {string} hostname - 主机名
+ * @returns {boolean}
+ */
+function isAllowedImageHost(hostname) {
+    const host = hostname.toLowerCase();
+    return IMAGE_HOSTS.some(allowed => allowed.startsWith('*.')
+        ? host.endsWith(allowed.slice(1))
+        : host === allowed);
+}
+
+/**
+ * 下载白名单主机上的图片，不跟随重定向
+ * @param {string} url - 图片地址
+ * @returns {Promise<string|null>} data URI，主机不在白名单或下载失败时返回null
+ */
+async function fetchImage(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch {
+        return null;
+    }
+
+    if (!isAllowedImageHost(hostname)) {
+        return null;
+    }
+
+    try {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: IMAGE_TIMEOUT,
+            maxContentLength: MAX_IMAGE_SIZE,
+            maxRedirects: 0
+        });
+
+        const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!IMAGE_TYPES.includes(contentType)) {
+            throw new Error(`不支持的图片类型: ${contentType || '未知'}`);
+        }
+
+        return `data:${contentType};base64,${Buffer.from(response.data).toString('base64')}`;
+    } catch (error) {
+        logger.warn('导出图片下载失败', {
+            type: 'document_image_fetch_error',
+            host: hostname,
+            error: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * 图片的说明文字
+ * @param {string} alt - 图片说明
+ * @returns {string}
+ */
+function imagePlaceholder(alt) {
+    const text = String(alt || '').trim();
+    return text ? `[图片: ${text}]` : '[图片]';
+}
+
+/**
+ * 引用标签归一化：忽略大小写和多余空白
+ * @param {string} label - 引用标签
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * 将引用式图片改写为行内图片，HTML 图片替换为说明文字，之后所有图片都可按行内图片处理
+ * @param {string} markdown - Markdown 内容
+ * @returns {string} 处理后的 Markdown
+ */
+function inlineImages(markdown) {
+    const definitions = new Map();
+    for (const match of markdown.matchAll(REFERENCE_DEFINITION_PATTERN)) {
+        const label = normalizeLabel(match[1]);
+        // 同名定义以第一个为准
+        if (!definitions.has(label)) {
+            definitions.set(label, match[2]);
+        }
+    }
+
+    return markdown
+        .replace(REFERENCE_IMAGE_PATTERN, (original, alt, ref) => {
+            const url = definitions.get(normalizeLabel(ref || alt));
+            return url ? `![${alt}](<${url}>)` : original;
+        })
+        .replace(HTML_IMAGE_PATTERN, (tag) => {
+            const alt = tag.match(HTML_ALT_PATTERN);
+            return imagePlaceholder(alt && (alt[1] || alt[2] || alt[3]));
+        });
+}
+
+/**
+ * 将图片替换为内嵌图片（白名单主机）或说明文字（其他主机、本地路径和 HTML 图片）
+ * 引用式图片按引用定义处理，pandoc 在沙箱中运行，不会再遇到需要读取的图片
+ * @param {string} markdown - Markdown 内容
+ * @returns {Promise<string>} 处理后的 Markdown
+ */
+async function embedRemoteImages(markdown) {
+    const inlined = inlineImages(markdown);
+
+    const urls = new Set();
+    for (const match of inlined.matchAll(IMAGE_PATTERN)) {
+        const url = match[2] || match[3];
+        if (/^https?:\/\//i.test(url)) {
+            urls.add(url);
+        }
+    }
+
+    const images = new Map();
+    for (const url of Array.from(urls).slice(0, MAX_IMAGES)) {
+        images.set(url, await fetchImage(url));
+    }
+
+    return inlined.replace(IMAGE_PATTERN, (original, alt, bracketedUrl, plainUrl) => {
+        const url = bracketedUrl || plainUrl;
+        const dataUri = DATA_URI_PATTERN.test(url) ? url : images.get(url);
+        if (dataUri) {
+            return `![${alt}](${dataUri})`;
+        }
+        return imagePlaceholder(alt);
+    });
+}
+
+/**
+ * 将 Markdown 转换为 docx / pdf
+ * 服务器未安装 pandoc 时抛出的错误 code 为 CONVERTER_UNAVAILABLE
+ * @param {string} markdown - Markdown 内容
+ * @param {string} format - docx / pdf
+ * @returns {Promise<Buffer>} 文档内容
+ */
+async function convertMarkdown(markdown, format) {
+    const prepared = await embedRemoteImages(markdown);
+    return runPandoc(prepared, format);
+}
+
+/**
+ * 调用 pandoc 转换
+ * @param {string} markdown - Markdown 内容（远程图片已处理）
+ * @param {string} format - docx / pdf
+ * @returns {Promise<Buffer>} 文档内容
+ */
+function runPandoc(markdown, format) {
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const pandoc = spawn(PANDOC_PATH, buildArgs(format));
+        const chunks = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            pandoc.kill('SIGKILL');
+            reject(new Error(`文档转换超时（${CONVERT_TIMEOUT / 1000}秒）`));
+        }, CONVERT_TIMEOUT);
+
+        pandoc.stdout.on('data', (chunk) => chunks.push(chunk));
+        pandoc.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+
+        pandoc.on('error', (error) => {
+            clearTimeout(timer);
+            const startError = new Error(`无法启动pandoc: ${error.message}`);
+            if (error.code === 'ENOENT') {
+                startError.code = 'CONVERTER_UNAVAILABLE';
+            }
+            reject(startError);
+        });
+
+        pandoc.on('close', (code) => {
+            clearTimeout(timer);
+
+            if (code !== 0) {
+                reject(new Error(`文档转换失败: ${stderr.trim() || `退出码 ${code}`}`));
+                return;
+            }
+
+            // 警告不影响导出
+            if (stderr.trim()) {
+                logger.warn('文档转换警告', {
+                    type: 'document_convert_warning',
+                    format: format,
+                    warning: stderr.trim().slice(0, 500)
+                });
+            }
+
+            const output = Buffer.concat(chunks);
+            logger.info('文档转换完成', {
+                type: 'document_convert_success',
+                format: format,
+                inputSize: Buffer.byteLength(markdown),
+                outputSize: output.length,
+                duration: Date.now() - startTime
+            });
+            resolve(output);
+        });
+
+        // 输入提前关闭时忽略EPIPE，由close事件统一处理
+        pandoc.stdin.on('error', () => {});
+        pandoc.stdin.end(markdown);
+    });
+}
+
+module.exports = {
+    convertMarkdown,
+    embedRemoteImages
+};
@@ -0,0 +1,403 @@
+/**
+ * 交互卡片的解析与格式化
+ * 识别回答中的 ```card 代码块和 Coze 卡片消息，校验成员提交的字段值，生成发回 Bot 的结构化消息
+ * 聊天流程、历史消息、会话导出和企业微信消息共用
+ */
+const cardsConfig = require('../config/cards');
+const logger = require('./logger');
+
+// 支持的字段类型：单选/多选、是/否、文本、日期
+const FIELD_TYPES = ['choice', 'yes_no', 'text', 'date'];
+
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const YES_NO_LABELS = { true: '是', false: '否' };
+
+/**
+ * 转义正则特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const fence = escapeRegExp(cardsConfig.fence);
+const responseFence = escapeRegExp(cardsConfig.responseFence);
+
+// 完整的卡片代码块；语言标记后不能紧跟字母数字，避免匹配 card_response
+const CARD_BLOCK_PATTERN = new RegExp('```' + fence + '(?![\\w-])[^\\n]*\\n([\\s\\S]*?)```', 'g');
+
+// 流式输出中尚未结束的卡片代码块（一直到回答末尾）
+const OPEN_CARD_BLOCK_PATTERN = new RegExp('```' + fence + '(?![\\w-])[\\s\\S]*$');
+
+// 流式输出中刚输出了一半的卡片语言标记（如 ```ca）
+const PARTIAL_FENCE_PATTERN = new RegExp('```(?:' + Array.from(cardsConfig.fence.slice(0, -1), (char, index) =>
+    escapeRegExp(cardsConfig.fence.slice(0, index + 1))).join('|') + ')$');
+
+const RESPONSE_BLOCK_PATTERN = new RegExp('\\n*```' + responseFence + '(?![\\w-])[^\\n]*\\n[\\s\\S]*?```', 'g');
+
+/**
+ * 是否为合法的日期（YYYY-MM-DD）
+ * @param {string} value - 日期字符串
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * 截取字符串，非字符串返回空字符串
+ * @param {*} value - 原始值
+ * @param {number} limit - 最大长度
+ * @returns {string}
+ */
+function toText(value, limit) {
+    return typeof value === 'string' ? value.trim().substring(0, limit) : '';
+}
+
+/**
+ * 校验并整理单个字段定义
+ * @param {Object} raw - Bot 输出的字段定义
+ * @returns {Object} 整理后的字段
+ * @throws {Error} 字段定义无效
+ */
+function normalizeField(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('字段定义必须是对象');
+    }
+    if (typeof raw.name !== 'string' || !FIELD_NAME_PATTERN.test(raw.name)) {
+        throw new Error(`字段名无效: ${raw.name}`);
+    }
+    if (!FIELD_TYPES.includes(raw.type)) {
+        throw new Error(`字段 ${raw.name} 的类型无效: ${raw.type}`);
+    }
+
+    const field = {
+        name: raw.name,
+        type: raw.type,
+        label: toText(raw.label, 200) || raw.name,
+        required: raw.required === true
+    };
+
+    if (raw.type === 'choice') {
+        const options = (Array.isArray(raw.options) ? raw.options : [])
+            .map(option => (typeof option === 'string'
+                ? { value: option.trim(), label: option.trim() }
+                : { value: toText(option && String(option.value ?? ''), 100), label: toText(option && option.label, 100) }))
+            .filter(option => option.value)
+            .map(option => ({ value: option.value, label: option.label || option.value }));
+
+        if (options.length === 0) {
+            throw new Error(`选择字段 ${raw.name} 没有选项`);
+        }
+        if (options.length > cardsConfig.maxOptions) {
+            throw new Error(`选择字段 ${raw.name} 的选项超过${cardsConfig.maxOptions}个`);
+        }
+        field.options = options;
+        field.multiple = raw.multiple === true;
+    }
+
+    if (raw.type === 'text') {
+        const maxLength = parseInt(raw.max_length);
+        field.maxLength = maxLength > 0 ? Math.min(maxLength, cardsConfig.maxTextLength) : cardsConfig.maxTextLength;
+        field.placeholder = toText(raw.placeholder, 100);
+    }
+
+    if (raw.type === 'date') {
+        field.min = isValidDate(raw.min) ? raw.min : null;
+        field.max = isValidDate(raw.max) ? raw.max : null;
+    }
+
+    return field;
+}
+
+/**
+ * 校验并整理 Bot 输出的卡片定义
+ * @param {Object} raw - 卡片JSON { id, title, description, submit_label, fields }
+ * @returns {Object|null} 卡片 { id, title, description, submitLabel, fields }，定义无效时返回null
+ */
+function normalizeCard(raw) {
+    try {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('卡片必须是JSON对象');
+        }
+        if (!Array.isArray(raw.fields) || raw.fields.length === 0) {
+            throw new Error('卡片没有字段');
+        }
+        if (raw.fields.length > cardsConfig.maxFields) {
+            throw new Error(`卡片字段超过${cardsConfig.maxFields}个`);
+        }
+
+        const fields = raw.fields.map(normalizeField);
+        const names = new Set(fields.map(field => field.name));
+        if (names.size !== fields.length) {
+            throw new Error('卡片中存在重名字段');
+        }
+
+        return {
+            id: toText(raw.id, 64) || 'form',
+            title: toText(raw.title, 100),
+            description: toText(raw.description, 500),
+            submitLabel: toText(raw.submit_label, 20) || '提交',
+            fields: fields
+        };
+    } catch (error) {
+        logger.warn('忽略无效的交互卡片', {
+            type: 'interactive_card_invalid',
+            cardId: raw && raw.id,
+            error: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * 解析卡片代码块中的JSON
+ * @param {string} json - 代码块内容
+ * @returns {Object|null} 卡片，无效时返回null
+ */
+function parseCardJSON(json) {
+    try {
+        return normalizeCard(JSON.parse(json));
+    } catch (error) {
+        logger.warn('卡片代码块不是合法的JSON', {
+            type: 'interactive_card_invalid',
+            error: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * 从回答中取出卡片，并移除卡片代码块（包括流式输出中尚未结束的代码块）
+ * @param {string} text - 回答内容
+ * @returns {Object} { text: 移除卡片后的回答, cards: 卡片列表 }
+ */
+function extractCards(text) {
+    if (!text || typeof text !== 'string' || !text.includes('```')) {
+        return { text: text, cards: [] };
+    }
+
+    const cards = [];
+    const cleaned = text
+        .replace(CARD_BLOCK_PATTERN, (block, json) => {
+            const card = parseCardJSON(json);
+            if (card) {
+                cards.push(card);
+            }
+            return '';
+        })
+        .replace(OPEN_CARD_BLOCK_PATTERN, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { text: cleaned, cards: cards };
+}
+
+/**
+ * 移除回答中的卡片代码块（不解析），用于流式输出中的回答
+ * @param {string} text - 回答内容
+ * @returns {string}
+ */
+function stripCards(text) {
+    if (!text || typeof text !== 'string' || !text.includes('```')) {
+        return text;
+    }
+
+    return text
+        .replace(CARD_BLOCK_PATTERN, '')
+        .replace(OPEN_CARD_BLOCK_PATTERN, '')
+        .replace(PARTIAL_FENCE_PATTERN, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * 从 Coze 卡片消息（content_type 为 card）中取出卡片
+ * 只识别符合本项目卡片格式的内容，可以直接是卡片JSON，也可以放在 interactive_card 字段中
+ * @param {string} content - 消息内容
+ * @returns {Object|null} 卡片
+ */
+function parseCardMessage(content) {
+    let data;
+    try {
+        data = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch {
+        return null;
+    }
+    if (!data || typeof data !== 'object') {
+        return null;
+    }
+    return normalizeCard(data.interactive_card || data);
+}
+
+/**
+ * 卡片的纯文本形式，用于历史消息、会话导出和企业微信消息
+ * @param {Object} card - 卡片
+ * @returns {string}
+ */
+function cardToText(card) {
+    const lines = [];
+    if (card.title) {
+        lines.push(`【${card.title}】`);
+    }
+    if (card.description) {
+        lines.push(card.description);
+    }
+    card.fields.forEach(field => {
+        let hint = '';
+        if (field.type === 'choice') {
+            hint = field.options.map(option => option.label).join(' / ');
+        } else if (field.type === 'yes_no') {
+            hint = `${YES_NO_LABELS.true} / ${YES_NO_LABELS.false}`;
+        } else if (field.type === 'date') {
+            hint = 'YYYY-MM-DD';
+        }
+        lines.push(hint ? `- ${field.label}（${hint}）` : `- ${field.label}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * 把回答中的卡片代码块替换为纯文本，并移除提问中的结构化提交内容，用于展示已保存的消息
+ * @param {string} text - 消息内容
+ * @returns {string}
+ */
+function formatCardBlocks(text) {
+    if (!text || typeof text !== 'string' || !text.includes('```')) {
+        return text;
+    }
+
+    return text
+        .replace(CARD_BLOCK_PATTERN, (block, json) => {
+            const card = parseCardJSON(json);
+            return card ? cardToText(card) : '';
+        })
+        .replace(RESPONSE_BLOCK_PATTERN, '')
+        .trim();
+}
+
+/**
+ * 校验成员提交的字段值
+ * @param {Object} card - 卡片
+ * @param {Object} values - 字段名 -> 值
+ * @returns {Object} { values: 整理后的值（未填写的选填字段不包含在内）, errors: [{ field, message }] }
+ */
+function validateCardValues(card, values) {
+    const input = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+    const result = {};
+    const errors = [];
+
+    card.fields.forEach(field => {
+        let value = input[field.name];
+        if (typeof value === 'string') {
+            value = value.trim();
+        }
+
+        const empty = value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+        if (empty) {
+            if (field.required) {
+                errors.push({ field: field.name, message: `请填写${field.label}` });
+            }
+            return;
+        }
+
+        switch (field.type) {
+            case 'choice': {
+                const selected = Array.isArray(value) ? value : [value];
+                const allowed = field.options.map(option => option.value);
+                if ((!field.multiple && selected.length > 1) || selected.some(item => !allowed.includes(item))) {
+                    errors.push({ field: field.name, message: `${field.label}的选项无效` });
+                    return;
+                }
+                result[field.name] = field.multiple ? Array.from(new Set(selected)) : selected[0];
+                return;
+            }
+            case 'yes_no':
+                if (typeof value !== 'boolean') {
+                    errors.push({ field: field.name, message: `${field.label}只能选择是或否` });
+                    return;
+                }
+                result[field.name] = value;
+                return;
+            case 'text':
+                if (typeof value !== 'string' || value.length > field.maxLength) {
+                    errors.push({ field: field.name, message: `${field.label}不能超过${field.maxLength}个字符` });
+                    return;
+                }
+                result[field.name] = value;
+                return;
+            case 'date':
+                if (!isValidDate(value) || (field.min && value < field.min) || (field.max && value > field.max)) {
+                    errors.push({ field: field.name, message: `${field.label}的日期无效` });
+                    return;
+                }
+                result[field.name] = value;
+                return;
+            default:
+                return;
+        }
+    });
+
+    return { values: result, errors: errors };
+}
+
+/**
+ * 字段值的展示文本
+ * @param {Object} field - 字段
+ * @param {*} value - 校验后的值
+ * @returns {string}
+ */
+function formatFieldValue(field, value) {
+    if (field.type === 'yes_no') {
+        return YES_NO_LABELS[value];
+    }
+    if (field.type === 'choice') {
+        const labels = (Array.isArray(value) ? value : [value])
+            .map(item => field.options.find(option => option.value === item).label);
+        return labels.join('、');
+    }
+    return value;
+}
+
+/**
+ * 生成提交结果：展示给成员的摘要，以及发回 Bot 的消息（摘要 + 结构化代码块）
+ * @param {Object} card - 卡片
+ * @param {Object} values - 校验后的字段值
+ * @returns {Object} { summary, query }
+ */
+function buildCardResponse(card, values) {
+    const lines = card.title ? [`【${card.title}】`] : [];
+    card.fields.forEach(field => {
+        if (values[field.name] !== undefined) {
+            lines.push(`${field.label}：${formatFieldValue(field, values[field.name])}`);
+        }
+    });
+    const summary = lines.join('\n');
+
+    const payload = JSON.stringify({ card: card.id, values: values });
+    return {
+        summary: summary,
+        query: `${summary}\n\n\`\`\`${cardsConfig.responseFence}\n${payload}\n\`\`\``
+    };
+}
+
+module.exports = {
+    FIELD_TYPES,
+    normalizeCard,
+    extractCards,
+    stripCards,
+    parseCardMessage,
+    cardToText,
+    formatCardBlocks,
+    validateCardValues,
+    buildCardResponse
+};
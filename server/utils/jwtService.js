@@ -9,11 +9,35 @@ const path = require('path');
 const https = require('https');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
+const { MemoryStorage } = require('./storage');
+
+// 剩余有效期低于该值时在后台刷新访问令牌（分钟）
+const TOKEN_REFRESH_BEFORE_MINUTES = parseInt(process.env.COZE_TOKEN_REFRESH_BEFORE_MINUTES) || 30;
+
+// 剩余有效期低于该值时视为不可用，必须等待新令牌（分钟）
+const TOKEN_MIN_REMAINING_MINUTES = 1;
+
+// Coze 返回的访问令牌无效错误码（令牌过期、被吊销或授权变更）
+const COZE_AUTH_ERROR_CODE = 4100;
 
 class JwtService {
     constructor() {
         this.privateKey = null;
         this.loadPrivateKey();
+
+        // 用户访问令牌缓存: userId -> tokenData，令牌属于敏感信息，只保存在进程内存中
+        this.tokenCache = new MemoryStorage('coze_access_tokens');
+
+        // 进行中的令牌交换: userId -> Promise，同一用户的并发请求共用一次交换
+        this.pendingTokens = new Map();
+
+        // 缓存统计
+        this.tokenCacheStats = {
+            hits: 0,
+            misses: 0,
+            refreshes: 0,
+            errors: 0
+        };
     }
 
     /**
@@ -102,7 +126,7 @@ class JwtService {
     /**
      * 使用JWT交换Coze访问令牌
      * @param {string} assertion - JWT断言令牌
-     * @returns {Promise<Object>} 包含access_token和expires_in的对象
+     * @returns {Promise<Object>} 包含access_token和expires_in的对象，expires_in为过期时间的Unix时间戳（秒）
      */
     async exchangeForAccessToken(assertion) {
         const tokenUrl = process.env.COZE_OAUTH_TOKEN_URL || 'https://api.coze.cn/api/permission/oauth2/token';
@@ -174,7 +198,6 @@ class JwtService {
             if (response.data && response.data.access_token) {
                 logger.info('JWT交换访问令牌成功', {
                     type: 'jwt_exchange_success',
-                    access_token: response.data.access_token,  // 打印完整的access token
                     tokenType: response.data.token_type,
                     expiresIn: response.data.expires_in
                 });
@@ -182,7 +205,8 @@ class JwtService {
                 return {
                     access_token: response.data.access_token,
                     token_type: response.data.token_type || 'Bearer',
-                    expires_in: response.data.expires_in || 86400, // 默认24小时
+                    // Coze 返回的 expires_in 是过期时刻的Unix时间戳（秒），不是有效时长
+                    expires_in: response.data.expires_in || Math.floor(Date.now() / 1000) + durationSeconds,
                     scope: response.data.scope
                 };
             } else {
@@ -263,12 +287,16 @@ class JwtService {
     }
 
     /**
-     * 检查JWT令牌是否即将过期
-     * @param {string} token - JWT令牌
+     * 检查令牌是否即将过期
+     * @param {string|Object} token - JWT令牌，或 generateUserToken 返回的访问令牌数据（按 expires_at 判断）
      * @param {number} bufferMinutes - 缓冲时间（分钟），默认5分钟
      * @returns {boolean} 是否即将过期
      */
     isTokenExpiringSoon(token, bufferMinutes = 5) {
+        if (token && typeof token === 'object') {
+            return !token.expires_at || Date.now() >= token.expires_at - bufferMinutes * 60 * 1000;
+        }
+
         const decoded = this.decodeJWT(token);
         if (!decoded || !decoded.payload.exp) {
             return true; // 无法解码或没有过期时间，认为需要刷新
@@ -316,6 +344,7 @@ class JwtService {
                 ...tokenData,
                 user_id: userId,
                 generated_at: Date.now(),
+                expires_at: tokenData.expires_in * 1000,
                 assertion: assertion
             };
         } catch (error) {
@@ -327,6 +356,175 @@ class JwtService {
             throw error;
         }
     }
+
+    /**
+     * 获取用户的Coze访问令牌（优先使用缓存）
+     * 令牌即将过期时先返回缓存的令牌并在后台刷新，已不可用时等待新令牌
+     * @param {string} userId - 用户ID
+     * @returns {Promise<Object>} 包含access_token等信息的对象
+     */
+    async getUserToken(userId) {
+        const cached = this.tokenCache.get(userId);
+
+        if (cached && !this.isTokenExpiringSoon(cached, TOKEN_MIN_REMAINING_MINUTES)) {
+            this.tokenCacheStats.hits++;
+
+            if (this.isTokenExpiringSoon(cached, TOKEN_REFRESH_BEFORE_MINUTES) && !this.pendingTokens.has(userId)) {
+                logger.info('Coze访问令牌即将过期，后台刷新', {
+                    type: 'coze_token_background_refresh',
+                    userId: userId,
+                    expiresAt: new Date(cached.expires_at).toISOString()
+                });
+                this.refreshUserToken(userId).catch(() => {
+                    // 刷新失败时继续使用缓存的令牌，下次请求再重试
+                });
+            }
+
+            return cached;
+        }
+
+        this.tokenCacheStats.misses++;
+        return this.refreshUserToken(userId);
+    }
+
+    /**
+     * 重新交换用户的Coze访问令牌并写入缓存，同一用户的并发调用只交换一次
+     * @param {string} userId - 用户ID
+     * @returns {Promise<Object>} 包含access_token等信息的对象
+     */
+    refreshUserToken(userId) {
+        if (this.pendingTokens.has(userId)) {
+            return this.pendingTokens.get(userId);
+        }
+
+        const promise = this.generateUserToken(userId)
+            .then((tokenData) => {
+                this.tokenCacheStats.refreshes++;
+                this.tokenCache.set(userId, tokenData, tokenData.expires_at - Date.now());
+                return tokenData;
+            })
+            .catch((error) => {
+                this.tokenCacheStats.errors++;
+                throw error;
+            })
+            .finally(() => {
+                this.pendingTokens.delete(userId);
+            });
+
+        this.pendingTokens.set(userId, promise);
+        return promise;
+    }
+
+    /**
+     * 清除用户缓存的访问令牌（如Coze返回认证失败时）
+     * @param {string} userId - 用户ID
+     */
+    invalidateUserToken(userId) {
+        if (this.tokenCache.delete(userId)) {
+            logger.info('已清除用户的Coze访问令牌缓存', {
+                type: 'coze_token_invalidated',
+                userId: userId
+            });
+        }
+    }
+
+    /**
+     * 判断是否为Coze访问令牌无效导致的错误
+     * 兼容 SDK 错误（status）、axios 错误（response.status）和 Coze 业务错误码
+     * @param {Object} error - 错误对象
+     * @returns {boolean}
+     */
+    isCozeAuthError(error) {
+        if (!error) {
+            return false;
+        }
+
+        return error.status === 401 ||
+            (error.response && error.response.status === 401) ||
+            error.type === 'authentication_error' ||
+            Number(error.code) === COZE_AUTH_ERROR_CODE;
+    }
+
+    /**
+     * Coze 拒绝访问令牌时清除对应用户的缓存，并在后台重新签发
+     * 调用方只持有访问令牌时使用（如 cozeSDKAdapter），按令牌查找所属用户
+     * @param {string} accessToken - 被拒绝的访问令牌
+     * @param {Object} error - Coze 返回的错误
+     * @returns {boolean} 是否为认证错误
+     */
+    handleAuthError(accessToken, error) {
+        if (!accessToken || !this.isCozeAuthError(error)) {
+            return false;
+        }
+
+        const entry = this.tokenCache.entries().find(([, tokenData]) => tokenData.access_token === accessToken);
+        if (!entry) {
+            // 已被其他请求清除或重新签发
+            return true;
+        }
+
+        const userId = entry[0];
+        logger.warn('Coze拒绝访问令牌，重新签发', {
+            type: 'coze_token_rejected',
+            userId: userId,
+            status: error.status || error.response?.status,
+            code: error.code
+        });
+
+        this.invalidateUserToken(userId);
+        this.refreshUserToken(userId).catch(() => {
+            // 重新签发失败时下次请求再获取
+        });
+        return true;
+    }
+
+    /**
+     * 使用用户的访问令牌执行Coze调用，令牌被拒绝时重新签发并重试一次
+     * 仅用于可以安全重复执行的调用
+     * @param {string} userId - 用户ID
+     * @param {Function} operation - async (accessToken) => result
+     * @returns {Promise<*>} operation 的结果
+     */
+    async withUserToken(userId, operation) {
+        const tokenData = await this.getUserToken(userId);
+
+        try {
+            return await operation(tokenData.access_token);
+        } catch (error) {
+            if (!this.isCozeAuthError(error)) {
+                throw error;
+            }
+
+            logger.warn('Coze访问令牌被拒绝，重新签发后重试', {
+                type: 'coze_token_retry',
+                userId: userId,
+                status: error.status || error.response?.status,
+                code: error.code
+            });
+
+            // 适配器可能已清除该令牌并在后台重新签发，此时复用进行中的交换
+            this.handleAuthError(tokenData.access_token, error);
+            const freshToken = await this.getUserToken(userId);
+            return operation(freshToken.access_token);
+        }
+    }
+
+    /**
+     * 获取访问令牌缓存状态
+     * @returns {Object} 缓存状态
+     */
+    getTokenCacheStatus() {
+        this.tokenCache.cleanup();
+
+        const total = this.tokenCacheStats.hits + this.tokenCacheStats.misses;
+        return {
+            size: this.tokenCache.size,
+            pending: this.pendingTokens.size,
+            refreshBeforeMinutes: TOKEN_REFRESH_BEFORE_MINUTES,
+            hitRate: total > 0 ? `${((this.tokenCacheStats.hits / total) * 100).toFixed(2)}%` : '0%',
+            ...this.tokenCacheStats
+        };
+    }
 }
 
 // 创建单例实例
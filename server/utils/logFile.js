@@ -0,0 +1,104 @@
+/**
+ * 按大小轮转的日志文件
+ * 当前文件超过 maxSize 后依次重命名为 .1、.2 ...，超出 maxFiles 的最旧文件被删除
+ * 与控制台输出一样同步写入，保证轮转时不会有未落盘的内容写入错误的文件
+ *
+ * 注意：logger 依赖本模块，因此本模块不能引入 logger，写入失败只输出到 stderr
+ */
+const fs = require('fs');
+const path = require('path');
+
+class RotatingFileWriter {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置
+     * @param {string} options.path - 文件路径
+     * @param {number} options.maxSize - 单个文件最大字节数
+     * @param {number} options.maxFiles - 保留的历史文件数
+     */
+    constructor(options) {
+        this.path = path.resolve(options.path);
+        this.maxSize = options.maxSize;
+        this.maxFiles = options.maxFiles;
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+        try {
+            this.size = fs.statSync(this.path).size;
+        } catch {
+            this.size = 0;
+        }
+
+        this.open();
+    }
+
+    /**
+     * 打开当前日志文件（追加写入）
+     */
+    open() {
+        this.fd = fs.openSync(this.path, 'a');
+    }
+
+    /**
+     * 写入一行日志
+     * @param {string} line - 日志内容（不含换行）
+     */
+    write(line) {
+        const data = line + '\n';
+        const bytes = Buffer.byteLength(data);
+
+        if (this.size > 0 && this.size + bytes > this.maxSize) {
+            this.rotate();
+        }
+
+        try {
+            fs.writeSync(this.fd, data);
+            this.size += bytes;
+        } catch (error) {
+            process.stderr.write(`日志文件写入失败: ${error.message}\n`);
+        }
+    }
+
+    /**
+     * 轮转日志文件
+     */
+    rotate() {
+        fs.closeSync(this.fd);
+
+        try {
+            const oldest = `${this.path}.${this.maxFiles}`;
+            if (fs.existsSync(oldest)) {
+                fs.unlinkSync(oldest);
+            }
+
+            for (let i = this.maxFiles - 1; i >= 1; i--) {
+                const source = `${this.path}.${i}`;
+                if (fs.existsSync(source)) {
+                    fs.renameSync(source, `${this.path}.${i + 1}`);
+                }
+            }
+
+            if (this.maxFiles > 0) {
+                fs.renameSync(this.path, `${this.path}.1`);
+            } else {
+                fs.unlinkSync(this.path);
+            }
+        } catch (error) {
+            process.stderr.write(`日志文件轮转失败: ${error.message}\n`);
+        }
+
+        this.size = 0;
+        this.open();
+    }
+
+    /**
+     * 关闭日志文件
+     */
+    close() {
+        fs.closeSync(this.fd);
+    }
+}
+
+module.exports = {
+    RotatingFileWriter
+};
@@ -1,17 +1,78 @@
 /**
  * 结构化日志记录工具
- * 支持不同日志级别、格式化输出和性能监控
+ * 支持不同日志级别、JSON/文本输出、请求上下文、敏感字段脱敏、日志文件和性能监控
+ * 输出格式、脱敏字段和日志文件见 config/logging.js
  */
+const loggingConfig = require('../config/logging');
+const { requestContext } = require('./requestContext');
+const { RotatingFileWriter } = require('./logFile');
+const { metrics } = require('./metrics');
+
+// 按级别统计的日志条数
+const logMessagesTotal = metrics.counter({
+    name: 'log_messages_total',
+    help: '按级别统计的日志条数',
+    labelNames: ['level']
+});
+
+// 外部API调用（logApiStart / logApiError）
+const apiCallsTotal = metrics.counter({
+    name: 'api_calls_total',
+    help: '记录的外部API调用次数'
+});
+
+const apiErrorsTotal = metrics.counter({
+    name: 'api_errors_total',
+    help: '记录的外部API调用失败次数'
+});
+
+// 自动写入每行日志的请求上下文字段
+const CONTEXT_FIELDS = ['requestId', 'userId'];
+
+// 每行日志的核心字段，元数据中的同名字段放入 meta，不会覆盖
+const CORE_FIELDS = ['timestamp', 'level', 'message'];
+
+// 字符串中出现的令牌：Authorization头、JWT、Coze个人/服务令牌
+const SECRET_PATTERNS = [
+    [/Bearer\s+[A-Za-z0-9._~+/=-]+/g, 'Bearer ***'],
+    [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, '***'],
+    [/\b(pat|sat)_[A-Za-z0-9]{16,}/g, '***']
+];
+
+// 脱敏时展开的最大层级
+const MAX_REDACT_DEPTH = 8;
+
+/**
+ * 字段名归一化：小写并去掉 _ 和 -，access_token 与 accessToken 视为同一字段
+ * @param {string} key - 字段名
+ * @returns {string}
+ */
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[_-]/g, '');
+}
 
 class Logger {
-    constructor() {
-        this.logLevel = process.env.LOG_LEVEL || 'info';
+    /**
+     * 构造函数
+     * @param {Object} options - 日志配置，见 config/logging.js
+     */
+    constructor(options = loggingConfig) {
+        this.logLevel = options.level;
+        this.format = options.format === 'text' ? 'text' : 'json';
         this.logLevels = {
             error: 0,
             warn: 1,
             info: 2,
             debug: 3
         };
+
+        // 脱敏规则
+        this.secretKeys = new Set(options.redact.secretKeys.map(normalizeKey));
+        this.bodyKeys = new Set(options.redact.bodyKeys.map(normalizeKey));
+        this.redactBodies = options.redact.redactBodies;
+
+        // 日志文件（可选）
+        this.fileWriter = options.file && options.file.path ? new RotatingFileWriter(options.file) : null;
         
         // 性能监控数据
         this.metrics = {
@@ -31,6 +92,134 @@ class Logger {
         return this.logLevels[level] <= this.logLevels[this.logLevel];
     }
 
+    /**
+     * 替换字符串中的令牌
+     * @param {string} text - 原始字符串
+     * @returns {string}
+     */
+    redactString(text) {
+        return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+    }
+
+    /**
+     * 脱敏日志字段：令牌、密码类字段替换为 ***，消息正文替换为长度说明
+     * @param {*} value - 字段值
+     * @param {number} depth - 当前层级
+     * @param {WeakSet} seen - 已访问的对象（防止循环引用）
+     * @returns {*} 脱敏后的副本，不修改原对象
+     */
+    redact(value, depth = 0, seen = new WeakSet()) {
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Buffer.isBuffer(value)) {
+            return `[Buffer ${value.length} bytes]`;
+        }
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: this.redactString(value.message || ''),
+                code: value.code,
+                stack: value.stack
+            };
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= MAX_REDACT_DEPTH) {
+            return Array.isArray(value) ? '[Array]' : '[Object]';
+        }
+        seen.add(value);
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item, depth + 1, seen));
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            const normalized = normalizeKey(key);
+
+            if (this.secretKeys.has(normalized) && item !== null && item !== undefined &&
+                typeof item !== 'boolean' && typeof item !== 'number') {
+                result[key] = '***';
+            } else if (this.redactBodies && this.bodyKeys.has(normalized) && typeof item === 'string') {
+                result[key] = `[已隐藏 ${item.length}字]`;
+            } else if (this.redactBodies && this.bodyKeys.has(normalized) && Array.isArray(item)) {
+                result[key] = `[已隐藏 ${item.length}项]`;
+            } else {
+                result[key] = this.redact(item, depth + 1, seen);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 整理元数据：Error 展开为 error/stack，字符串等非对象值放入 detail
+     * @param {*} meta - 元数据
+     * @returns {Object}
+     */
+    normalizeMeta(meta) {
+        if (meta === undefined || meta === null) {
+            return {};
+        }
+        if (meta instanceof Error) {
+            return { error: meta.message, stack: meta.stack };
+        }
+        if (typeof meta !== 'object' || Array.isArray(meta)) {
+            return { detail: meta };
+        }
+        return meta;
+    }
+
+    /**
+     * 构建日志条目：时间、级别、消息、请求上下文和脱敏后的元数据
+     * 元数据中显式传入的 requestId / userId 优先于请求上下文；
+     * 与核心字段（timestamp / level / message）同名的元数据放入 meta 字段，不覆盖核心字段
+     * @param {string} level - 日志级别
+     * @param {string} message - 日志消息
+     * @param {Object} meta - 元数据
+     * @returns {Object}
+     */
+    buildEntry(level, message, meta = {}) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: level.toUpperCase(),
+            message: this.redactString(String(message))
+        };
+
+        const context = requestContext.get();
+        if (context) {
+            for (const field of CONTEXT_FIELDS) {
+                if (context[field] !== undefined && context[field] !== null) {
+                    entry[field] = context[field];
+                }
+            }
+        }
+
+        const fields = this.redact(this.normalizeMeta(meta));
+        const clashing = {};
+        for (const field of CORE_FIELDS) {
+            if (Object.prototype.hasOwnProperty.call(fields, field)) {
+                clashing[field] = fields[field];
+                delete fields[field];
+            }
+        }
+
+        Object.assign(entry, fields);
+        if (Object.keys(clashing).length > 0) {
+            entry.meta = entry.meta && typeof entry.meta === 'object' && !Array.isArray(entry.meta)
+                ? { ...entry.meta, ...clashing }
+                : { ...(entry.meta === undefined ? {} : { value: entry.meta }), ...clashing };
+        }
+        return entry;
+    }
+
     /**
      * 格式化日志消息
      * @param {string} level - 日志级别
@@ -39,15 +228,50 @@ class Logger {
      * @returns {string}
      */
     formatMessage(level, message, meta = {}) {
-        const timestamp = new Date().toISOString();
-        const logEntry = {
-            timestamp,
-            level: level.toUpperCase(),
-            message,
-            ...meta
-        };
-        
-        return JSON.stringify(logEntry, null, process.env.NODE_ENV === 'development' ? 2 : 0);
+        const entry = this.buildEntry(level, message, meta);
+        return this.format === 'text' ? this.formatText(entry) : JSON.stringify(entry);
+    }
+
+    /**
+     * 文本格式：时间 级别 [requestId userId] 消息 附加字段
+     * @param {Object} entry - 日志条目
+     * @returns {string}
+     */
+    formatText(entry) {
+        const { timestamp, level, message, requestId, userId, ...rest } = entry;
+        const extra = Object.keys(rest).length > 0 ? ' ' + JSON.stringify(rest) : '';
+        return `${timestamp} ${level.padEnd(5)} [${requestId || '-'} ${userId || '-'}] ${message}${extra}`;
+    }
+
+    /**
+     * 输出一条日志到控制台和日志文件（文件始终为JSON格式）
+     * @param {string} level - 日志级别
+     * @param {string} message - 日志消息
+     * @param {Object} meta - 元数据
+     * @returns {boolean} 是否已输出（低于当前日志级别时不输出）
+     */
+    write(level, message, meta) {
+        if (!this.shouldLog(level)) {
+            return false;
+        }
+
+        const entry = this.buildEntry(level, message, meta);
+        const line = this.format === 'text' ? this.formatText(entry) : JSON.stringify(entry);
+
+        if (level === 'error') {
+            console.error(line);
+        } else if (level === 'warn') {
+            console.warn(line);
+        } else {
+            console.log(line);
+        }
+
+        if (this.fileWriter) {
+            this.fileWriter.write(this.format === 'json' ? line : JSON.stringify(entry));
+        }
+
+        logMessagesTotal.inc({ level });
+        return true;
     }
 
     /**
@@ -56,13 +280,10 @@ class Logger {
      * @param {Object} meta - 元数据
      */
     error(message, meta = {}) {
-        if (this.shouldLog('error')) {
-            console.error(this.formatMessage('error', message, meta));
-            
-            // 记录错误指标
-            if (meta.type === 'api_error') {
-                this.metrics.apiErrors++;
-            }
+        // 记录错误指标
+        if (this.write('error', message, meta) && meta && meta.type === 'api_error') {
+            this.metrics.apiErrors++;
+            apiErrorsTotal.inc();
         }
     }
 
@@ -72,9 +293,7 @@ class Logger {
      * @param {Object} meta - 元数据
      */
     warn(message, meta = {}) {
-        if (this.shouldLog('warn')) {
-            console.warn(this.formatMessage('warn', message, meta));
-        }
+        this.write('warn', message, meta);
     }
 
     /**
@@ -83,9 +302,7 @@ class Logger {
      * @param {Object} meta - 元数据
      */
     info(message, meta = {}) {
-        if (this.shouldLog('info')) {
-            console.log(this.formatMessage('info', message, meta));
-        }
+        this.write('info', message, meta);
     }
 
     /**
@@ -94,9 +311,7 @@ class Logger {
      * @param {Object} meta - 元数据
      */
     debug(message, meta = {}) {
-        if (this.shouldLog('debug')) {
-            console.log(this.formatMessage('debug', message, meta));
-        }
+        this.write('debug', message, meta);
     }
 
     /**
@@ -126,6 +341,7 @@ class Logger {
         });
 
         this.metrics.apiCalls++;
+        apiCallsTotal.inc();
         return context;
     }
 
@@ -207,10 +423,19 @@ class Logger {
     }
 
     /**
-     * 生成请求ID
+     * 获取当前请求ID，不在请求上下文中时（如定时任务）生成新的ID
+     * 路由中使用它，使响应中的 requestId 与日志、X-Request-Id 响应头一致
      * @returns {string}
      */
     generateRequestId() {
+        return requestContext.getRequestId() || this.createRequestId();
+    }
+
+    /**
+     * 生成新的请求ID
+     * @returns {string}
+     */
+    createRequestId() {
         return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
@@ -220,16 +445,7 @@ class Logger {
      * @returns {Object} 清理后的参数
      */
     sanitizeParams(params) {
-        const sanitized = { ...params };
-        const sensitiveKeys = ['apiKey', 'token', 'password', 'secret'];
-        
-        sensitiveKeys.forEach(key => {
-            if (sanitized[key]) {
-                sanitized[key] = '***';
-            }
-        });
-        
-        return sanitized;
+        return this.redact(params);
     }
 
     /**
@@ -0,0 +1,562 @@
+/**
+ * 消息全文索引
+ * 按成员保存提问和回答的正文，支持跨会话搜索消息内容：
+ * - 发送消息时由 ChatService 写入本轮的提问和回答
+ * - 加载会话历史时写入返回的消息
+ * - 成员搜索时在后台通过 Coze 消息列表接口补录最近会话的历史消息
+ *
+ * 同一条消息以 会话 + chat_id（提问）或 message_id（回答）去重，重复写入只会覆盖
+ *
+ * 每个成员的索引单独存储（file 驱动下为 <STORAGE_DIR>/message_search_index/ 中的一个文件），
+ * 写入时只重写该成员的文件；每个成员最多保留 maxMessagesPerUser 条，超出时移除最早的消息
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { createStorage } = require('./storage');
+const cozeSDKAdapter = require('./cozeSDKAdapter');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { parseMessageContent } = require('./conversationMessages');
+const searchConfig = require('../config/search');
+
+// 只索引提问和回答，忽略 function_call、verbose、follow_up 等中间消息
+const INDEXED_MESSAGE_TYPES = ['question', 'answer'];
+
+// 成员索引文件所在的子目录
+const INDEX_DIR_NAME = 'message_search_index';
+
+// 超出条数上限时一次多移除的比例，避免之后每次写入都要排序
+const TRIM_RATIO = 0.1;
+
+const backfillMessages = metrics.counter({
+    name: 'search_backfill_messages_total',
+    help: '从Coze历史消息补录到搜索索引的消息数'
+});
+
+class MessageSearchIndex {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置，字段见 config/search.js
+     */
+    constructor(options = searchConfig) {
+        this.options = options;
+
+        this.ttl = options.retentionDays * 24 * 60 * 60 * 1000;
+
+        // 已加载的成员索引: userId -> storage
+        this.userIndexes = new Map();
+
+        // 已补录的会话: userId:conversationId -> 补录时间
+        this.backfilledConversations = createStorage('message_search_backfill', { defaultTTL: this.ttl });
+
+        // 进行中的补录: userId -> Promise
+        this.runningBackfills = new Map();
+        // 最近一次补录时间: userId -> 时间戳
+        this.lastBackfillAt = new Map();
+
+        this.migrateLegacyIndex();
+    }
+
+    /**
+     * 获取成员的索引（首次访问时加载）
+     * 文件名使用成员ID的摘要，避免成员ID中的特殊字符影响路径
+     * @param {string} userId - 成员ID
+     * @returns {MemoryStorage} 成员索引
+     */
+    getUserIndex(userId) {
+        if (this.userIndexes.has(userId)) {
+            return this.userIndexes.get(userId);
+        }
+
+        const fileKey = crypto.createHash('sha256').update(String(userId)).digest('hex').slice(0, 32);
+        const index = createStorage(`${INDEX_DIR_NAME}_${fileKey}`, {
+            dir: path.join(config.storage.dir, INDEX_DIR_NAME),
+            defaultTTL: this.ttl
+        });
+
+        this.userIndexes.set(userId, index);
+        return index;
+    }
+
+    /**
+     * 已加载的索引中的消息总数
+     * @returns {number}
+     */
+    get size() {
+        let total = 0;
+        for (const index of this.userIndexes.values()) {
+            total += index.size;
+        }
+        return total;
+    }
+
+    /**
+     * 将旧版本的单文件索引（<STORAGE_DIR>/message_search_index.json）按成员拆分，
+     * 迁移完成后原文件重命名为 .migrated，仅 file 驱动下执行
+     */
+    migrateLegacyIndex() {
+        const legacyPath = path.join(config.storage.dir, `${INDEX_DIR_NAME}.json`);
+        if (config.storage.driver !== 'file' || !fs.existsSync(legacyPath)) {
+            return;
+        }
+
+        try {
+            const records = JSON.parse(fs.readFileSync(legacyPath, 'utf8')).records || {};
+            const now = Date.now();
+            let count = 0;
+
+            for (const key of Object.keys(records)) {
+                const record = records[key];
+                if (!record || !record.value || !record.value.userId) {
+                    continue;
+                }
+
+                const expiresAt = Number(record.expiresAt) || 0;
+                if (expiresAt > 0 && expiresAt <= now) {
+                    continue;
+                }
+
+                this.getUserIndex(record.value.userId).set(key, record.value, expiresAt > 0 ? expiresAt - now : 0);
+                count++;
+            }
+
+            for (const index of this.userIndexes.values()) {
+                index.flush();
+            }
+            fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+
+            logger.info('搜索索引已按成员拆分', {
+                type: 'search_index_migrated',
+                messages: count,
+                users: this.userIndexes.size
+            });
+        } catch (error) {
+            logger.error('搜索索引迁移失败，保留原文件', {
+                type: 'search_index_migrate_error',
+                filePath: legacyPath,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * 成员消息超出上限时移除最早的消息
+     * @param {MemoryStorage} index - 成员索引
+     */
+    trimUserIndex(index) {
+        const limit = this.options.maxMessagesPerUser;
+        if (!limit || index.size <= limit) {
+            return;
+        }
+
+        const removeCount = index.size - limit + Math.ceil(limit * TRIM_RATIO);
+        index.entries()
+            .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+            .slice(0, removeCount)
+            .forEach(([key]) => index.delete(key));
+    }
+
+    /**
+     * 计算消息的索引键
+     * @param {Object} message - 消息
+     * @returns {string|null} 缺少 chat_id 和 message_id 时返回null
+     */
+    getMessageKey(message) {
+        const id = message.role === 'user'
+            ? message.chatId || message.messageId
+            : message.messageId || message.chatId;
+        if (!id) {
+            return null;
+        }
+
+        return `${message.userId}:${message.conversationId}:${message.role === 'user' ? 'q' : 'a'}:${id}`;
+    }
+
+    /**
+     * 写入一条消息
+     * @param {Object} message - 消息
+     * @param {string} message.userId - 成员ID
+     * @param {string} message.conversationId - 会话ID
+     * @param {string} message.role - user / assistant
+     * @param {string} message.content - 正文
+     * @param {string} message.chatId - 对话ID（同一轮提问和回答相同）
+     * @param {string} message.messageId - 消息ID（流式对话中提问没有消息ID）
+     * @param {string} message.botId - 所属Bot
+     * @param {number} message.createdAt - 创建时间戳（毫秒）
+     * @returns {boolean} 是否写入
+     */
+    addMessage(message) {
+        const content = typeof message.content === 'string' ? message.content.trim() : '';
+        if (!message.userId || !message.conversationId || !content) {
+            return false;
+        }
+
+        const key = this.getMessageKey(message);
+        if (!key) {
+            return false;
+        }
+
+        const index = this.getUserIndex(message.userId);
+        const existing = index.get(key);
+
+        index.set(key, {
+            userId: message.userId,
+            conversationId: message.conversationId,
+            role: message.role === 'user' ? 'user' : 'assistant',
+            chatId: message.chatId || (existing && existing.chatId) || null,
+            messageId: message.messageId || (existing && existing.messageId) || null,
+            botId: message.botId || (existing && existing.botId) || null,
+            content: content.slice(0, this.options.maxContentLength),
+            createdAt: (existing && existing.createdAt) || message.createdAt || Date.now()
+        });
+
+        // 流式回答未拿到消息ID时以 chat_id 写入，补录到真实消息ID后移除旧记录
+        if (message.role !== 'user' && message.messageId && message.chatId) {
+            index.delete(this.getMessageKey({ ...message, messageId: null }));
+        }
+
+        this.trimUserIndex(index);
+        return true;
+    }
+
+    /**
+     * 写入 Coze 消息列表接口返回的消息
+     * @param {string} userId - 成员ID
+     * @param {string} conversationId - 会话ID
+     * @param {Array<Object>} messages - Coze 消息
+     * @param {string} botId - 所属Bot（消息自带 bot_id 时优先使用）
+     * @returns {number} 写入的消息数
+     */
+    indexCozeMessages(userId, conversationId, messages, botId = null) {
+        let count = 0;
+
+        for (const message of messages || []) {
+            const messageType = message.type || (message.role === 'user' ? 'question' : 'answer');
+            if (!INDEXED_MESSAGE_TYPES.includes(messageType)) {
+                continue;
+            }
+
+            const indexed = this.addMessage({
+                userId: userId,
+                conversationId: conversationId,
+                role: message.role,
+                content: parseMessageContent(message).content,
+                chatId: message.chat_id,
+                messageId: message.id,
+                botId: message.bot_id || botId,
+                createdAt: message.created_at ? message.created_at * 1000 : undefined
+            });
+
+            if (indexed) {
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * 删除会话的全部索引（会话被删除时调用）
+     * @param {string} userId - 成员ID
+     * @param {string} conversationId - 会话ID
+     * @returns {number} 删除的消息数
+     */
+    removeConversation(userId, conversationId) {
+        const prefix = `${userId}:${conversationId}:`;
+        const index = this.getUserIndex(userId);
+        let count = 0;
+
+        for (const key of index.keys()) {
+            if (key.startsWith(prefix)) {
+                index.delete(key);
+                count++;
+            }
+        }
+
+        this.backfilledConversations.delete(`${userId}:${conversationId}`);
+        return count;
+    }
+
+    /**
+     * 获取回答及其对应的提问（同一轮对话的 chat_id 相同）
+     * @param {string} userId - 成员ID
+     * @param {string} conversationId - 会话ID
+     * @param {string} messageId - 回答的消息ID
+     * @returns {Object|null} { question, answer, chatId, botId }，索引中没有该回答时返回null
+     */
+    getExchange(userId, conversationId, messageId) {
+        const index = this.getUserIndex(userId);
+        const answer = index.get(this.getMessageKey({
+            userId: userId,
+            conversationId: conversationId,
+            role: 'assistant',
+            messageId: messageId
+        }));
+        if (!answer) {
+            return null;
+        }
+
+        const question = answer.chatId
+            ? index.get(this.getMessageKey({
+                userId: userId,
+                conversationId: conversationId,
+                role: 'user',
+                chatId: answer.chatId
+            }))
+            : null;
+
+        return {
+            question: question ? question.content : null,
+            answer: answer.content,
+            chatId: answer.chatId,
+            botId: answer.botId
+        };
+    }
+
+    /**
+     * 拆分搜索关键词（空格分隔，多个关键词需同时命中）
+     * @param {string} query - 搜索内容
+     * @returns {Array<string>} 小写关键词
+     */
+    parseQuery(query) {
+        const terms = String(query || '')
+            .slice(0, this.options.maxQueryLength)
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(Boolean);
+
+        return Array.from(new Set(terms));
+    }
+
+    /**
+     * 截取命中位置附近的摘要，并计算摘要中的高亮区间
+     * @param {string} content - 消息正文
+     * @param {Array<string>} terms - 小写关键词
+     * @returns {Object} { snippet, highlights: [[start, end], ...] }
+     */
+    buildSnippet(content, terms) {
+        const lower = content.toLowerCase();
+        const length = this.options.snippetLength;
+
+        const firstHit = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+        let start = Math.max(0, firstHit - Math.floor(length / 3));
+        const end = Math.min(content.length, start + length);
+        start = Math.max(0, Math.min(start, end - length));
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < content.length ? '…' : '';
+
+        // 换行等空白替换为空格（长度不变，高亮位置仍然对应）
+        const snippet = prefix + content.slice(start, end).replace(/\s/g, ' ') + suffix;
+        const visible = lower.slice(start, end);
+
+        const ranges = [];
+        for (const term of terms) {
+            let index = visible.indexOf(term);
+            while (index >= 0) {
+                ranges.push([index + prefix.length, index + prefix.length + term.length]);
+                index = visible.indexOf(term, index + term.length);
+            }
+        }
+
+        // 合并重叠区间
+        ranges.sort((a, b) => a[0] - b[0]);
+        const highlights = [];
+        for (const range of ranges) {
+            const last = highlights[highlights.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                highlights.push([...range]);
+            }
+        }
+
+        return { snippet, highlights };
+    }
+
+    /**
+     * 搜索成员的消息（按时间倒序）
+     * @param {string} userId - 成员ID
+     * @param {string} query - 搜索内容
+     * @param {Object} options - 选项
+     * @param {number} options.limit - 返回条数
+     * @param {Array<string>} options.botIds - 只返回这些Bot的消息（未记录Bot的消息不过滤）
+     * @returns {Object} { results, total }
+     */
+    search(userId, query, options = {}) {
+        const terms = this.parseQuery(query);
+        if (terms.length === 0) {
+            return { results: [], total: 0 };
+        }
+
+        const limit = Math.min(options.limit || this.options.maxResults, this.options.maxResults);
+        const botIds = options.botIds ? new Set(options.botIds) : null;
+
+        const matches = this.getUserIndex(userId).values()
+            .filter(message => !botIds || !message.botId || botIds.has(message.botId))
+            .filter(message => {
+                const lower = message.content.toLowerCase();
+                return terms.every(term => lower.includes(term));
+            })
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        const results = matches.slice(0, limit).map(message => ({
+            conversationId: message.conversationId,
+            messageId: message.messageId,
+            chatId: message.chatId,
+            role: message.role,
+            botId: message.botId,
+            createdAt: new Date(message.createdAt).toISOString(),
+            ...this.buildSnippet(message.content, terms)
+        }));
+
+        return { results, total: matches.length };
+    }
+
+    /**
+     * 在后台补录成员最近会话的历史消息
+     * 同一成员同时只执行一次，两次补录之间至少间隔 backfill.interval
+     * @param {string} userId - 成员ID
+     * @param {Array<string>} botIds - 需要补录的Bot
+     * @param {string} accessToken - 成员的Coze访问令牌
+     * @returns {Promise<Object>|null} 本次补录，未触发时返回null
+     */
+    backfill(userId, botIds, accessToken) {
+        if (this.runningBackfills.has(userId)) {
+            return this.runningBackfills.get(userId);
+        }
+
+        const lastRun = this.lastBackfillAt.get(userId) || 0;
+        if (Date.now() - lastRun < this.options.backfill.interval) {
+            return null;
+        }
+
+        this.lastBackfillAt.set(userId, Date.now());
+
+        const running = this.runBackfill(userId, botIds, accessToken)
+            .catch((error) => {
+                logger.error('搜索索引补录失败', {
+                    type: 'search_backfill_error',
+                    userId: userId,
+                    error: error.message
+                });
+                return { conversations: 0, messages: 0 };
+            })
+            .finally(() => {
+                this.runningBackfills.delete(userId);
+            });
+
+        this.runningBackfills.set(userId, running);
+        return running;
+    }
+
+    /**
+     * 是否正在补录
+     * @param {string} userId - 成员ID
+     * @returns {boolean}
+     */
+    isBackfilling(userId) {
+        return this.runningBackfills.has(userId);
+    }
+
+    /**
+     * 执行补录：逐个拉取尚未补录的会话，避免并发请求占满Coze接口
+     * @param {string} userId - 成员ID
+     * @param {Array<string>} botIds - 需要补录的Bot
+     * @param {string} accessToken - 成员的Coze访问令牌
+     * @returns {Promise<Object>} { conversations, messages }
+     */
+    async runBackfill(userId, botIds, accessToken) {
+        const { maxConversations } = this.options.backfill;
+        let conversationCount = 0;
+        let messageCount = 0;
+
+        for (const botId of botIds) {
+            const list = await cozeSDKAdapter.getConversationList(
+                botId,
+                { pageSize: maxConversations, pageNum: 1, sortOrder: 'DESC' },
+                accessToken
+            );
+
+            for (const conversation of list.conversations) {
+                const stateKey = `${userId}:${conversation.id}`;
+                if (this.backfilledConversations.has(stateKey)) {
+                    continue;
+                }
+
+                try {
+                    messageCount += await this.backfillConversation(userId, conversation.id, botId, accessToken);
+                    this.backfilledConversations.set(stateKey, Date.now());
+                    conversationCount++;
+                } catch (error) {
+                    // 单个会话失败不影响其他会话，下次补录时重试
+                    logger.warn('会话历史补录失败', {
+                        type: 'search_backfill_conversation_error',
+                        userId: userId,
+                        conversationId: conversation.id,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        logger.info('搜索索引补录完成', {
+            type: 'search_backfill_complete',
+            userId: userId,
+            conversations: conversationCount,
+            messages: messageCount
+        });
+
+        return { conversations: conversationCount, messages: messageCount };
+    }
+
+    /**
+     * 补录单个会话的历史消息（从最新向更早翻页）
+     * @param {string} userId - 成员ID
+     * @param {string} conversationId - 会话ID
+     * @param {string} botId - 所属Bot
+     * @param {string} accessToken - 成员的Coze访问令牌
+     * @returns {Promise<number>} 写入的消息数
+     */
+    async backfillConversation(userId, conversationId, botId, accessToken) {
+        const { maxPages, pageSize } = this.options.backfill;
+        let afterId;
+        let count = 0;
+
+        for (let page = 0; page < maxPages; page++) {
+            const result = await cozeSDKAdapter.getConversationMessages(
+                conversationId,
+                { order: 'desc', afterId: afterId, limit: pageSize },
+                accessToken
+            );
+
+            count += this.indexCozeMessages(userId, conversationId, result.data, botId);
+
+            if (!result.hasMore || result.data.length === 0) {
+                break;
+            }
+
+            // 与历史消息接口一致：以本页最早一条消息的ID继续获取更早的消息
+            afterId = result.data[result.data.length - 1].id;
+        }
+
+        backfillMessages.inc({}, count);
+        return count;
+    }
+}
+
+// 全局消息索引实例
+const messageSearchIndex = new MessageSearchIndex();
+
+metrics.gauge({
+    name: 'search_index_messages',
+    help: '已加载的搜索索引中的消息数',
+    collect: gauge => gauge.set({}, messageSearchIndex.size)
+});
+
+module.exports = {
+    MessageSearchIndex,
+    messageSearchIndex
+};
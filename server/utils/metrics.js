@@ -0,0 +1,394 @@
+/**
+ * 指标注册表
+ * 各模块把计数器、当前值和耗时分布登记到这里，由 /metrics 以 Prometheus 文本格式输出
+ * 已有内部统计的模块（连接池、流式优化器等）通过 collect 回调在抓取时同步数值，
+ * 避免同一个数字在两处各自累加
+ *
+ * 注意：logger 会向这里上报，因此本模块不能引入 logger
+ */
+
+// 所有指标名的前缀
+const METRIC_PREFIX = 'wecom_coze_';
+
+// 耗时分布默认分桶（秒）
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * 转义标签值（反斜杠、双引号、换行）
+ * @param {*} value - 标签值
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * 格式化标签集合
+ * @param {Object} labels - 标签
+ * @returns {string} 如 {route_class="chat",result="allowed"}，无标签时为空串
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 格式化数值（Prometheus 使用 +Inf / -Inf / NaN）
+ * @param {number} value - 数值
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    /**
+     * 构造函数
+     * @param {string} type - counter / gauge / histogram
+     * @param {Object} options - 配置
+     * @param {string} options.name - 指标名（不含前缀）
+     * @param {string} options.help - 说明
+     * @param {Array<string>} options.labelNames - 标签名
+     * @param {Function} options.collect - 抓取时调用，用于从模块内部统计同步数值
+     */
+    constructor(type, options) {
+        this.type = type;
+        this.name = METRIC_PREFIX + options.name;
+        this.help = options.help || options.name;
+        this.labelNames = options.labelNames || [];
+        this.collect = options.collect || null;
+        // 标签键 -> { labels, value }
+        this.values = new Map();
+    }
+
+    /**
+     * 按 labelNames 顺序整理标签，缺失的标签取空串
+     * @param {Object} labels - 标签
+     * @returns {{key: string, labels: Object}}
+     */
+    resolveLabels(labels = {}) {
+        const resolved = {};
+        for (const name of this.labelNames) {
+            resolved[name] = labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : '';
+        }
+        return {
+            key: this.labelNames.map(name => resolved[name]).join('\u0000'),
+            labels: resolved
+        };
+    }
+
+    /**
+     * 清空已记录的数值
+     */
+    reset() {
+        this.values.clear();
+    }
+
+    /**
+     * 输出样本行
+     * @returns {Array<string>}
+     */
+    renderSamples() {
+        return Array.from(this.values.values())
+            .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+
+    /**
+     * 输出 Prometheus 文本格式
+     * @returns {string}
+     */
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.renderSamples()
+        ].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    /**
+     * 计数增加
+     * @param {Object} labels - 标签
+     * @param {number} value - 增量，默认1
+     */
+    inc(labels = {}, value = 1) {
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        const entry = this.values.get(key);
+        if (entry) {
+            entry.value += value;
+        } else {
+            this.values.set(key, { labels: resolved, value });
+        }
+    }
+
+    /**
+     * 直接设置累计值，仅用于在 collect 中同步模块自己维护的累计统计
+     * @param {Object} labels - 标签
+     * @param {number} value - 累计值
+     */
+    set(labels = {}, value = 0) {
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        this.values.set(key, { labels: resolved, value: Number(value) || 0 });
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    /**
+     * 设置当前值
+     * @param {Object} labels - 标签
+     * @param {number} value - 当前值
+     */
+    set(labels = {}, value = 0) {
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        this.values.set(key, { labels: resolved, value: Number(value) || 0 });
+    }
+
+    /**
+     * 当前值增加
+     * @param {Object} labels - 标签
+     * @param {number} value - 增量，默认1
+     */
+    inc(labels = {}, value = 1) {
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        const entry = this.values.get(key);
+        if (entry) {
+            entry.value += value;
+        } else {
+            this.values.set(key, { labels: resolved, value });
+        }
+    }
+
+    /**
+     * 当前值减少
+     * @param {Object} labels - 标签
+     * @param {number} value - 减量，默认1
+     */
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * 构造函数
+     * @param {Object} options - 同 Metric，另有
+     * @param {Array<number>} options.buckets - 分桶上界（升序），默认 DEFAULT_BUCKETS
+     */
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    }
+
+    /**
+     * 记录一次观测值
+     * @param {Object} labels - 标签
+     * @param {number} value - 观测值（耗时类指标以秒为单位）
+     */
+    observe(labels = {}, value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            return;
+        }
+
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = {
+                labels: resolved,
+                counts: new Array(this.buckets.length).fill(0),
+                sum: 0,
+                count: 0
+            };
+            this.values.set(key, entry);
+        }
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                entry.counts[i]++;
+            }
+        }
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * 开始计时，返回的函数调用时记录从现在起经过的秒数
+     * 同一个计时只记录第一次调用，结束路径有多条（完成、出错、中断）时不会重复计数
+     * @param {Object} labels - 标签
+     * @returns {Function} (extraLabels) => 耗时秒数
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        let seconds = null;
+        return (extraLabels = {}) => {
+            if (seconds === null) {
+                seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                this.observe({ ...labels, ...extraLabels }, seconds);
+            }
+            return seconds;
+        };
+    }
+
+    renderSamples() {
+        const lines = [];
+        for (const entry of this.values.values()) {
+            this.buckets.forEach((bucket, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bucket) })} ${entry.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        // 指标名 -> Metric
+        this.metrics = new Map();
+        this.collectErrors = this.counter({
+            name: 'metrics_collect_errors_total',
+            help: '抓取时同步指标失败的次数',
+            labelNames: ['metric']
+        });
+    }
+
+    /**
+     * 登记指标；同名指标已存在时返回已有实例，传入新的 collect 时替换旧回调
+     * （模块重新创建单例时以最新实例为准）
+     * @param {Function} MetricClass - 指标类
+     * @param {Object} options - 指标配置
+     * @returns {Metric}
+     */
+    register(MetricClass, options) {
+        const name = METRIC_PREFIX + options.name;
+        const existing = this.metrics.get(name);
+
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw new Error(`指标 ${name} 已登记为 ${existing.type}`);
+            }
+            if (options.collect) {
+                existing.collect = options.collect;
+            }
+            return existing;
+        }
+
+        const metric = new MetricClass(options);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    /**
+     * 登记计数器（只增不减，如请求总数）
+     * @param {Object} options - 指标配置
+     * @returns {Counter}
+     */
+    counter(options) {
+        return this.register(Counter, options);
+    }
+
+    /**
+     * 登记当前值（可增可减，如进行中的请求数）
+     * @param {Object} options - 指标配置
+     * @returns {Gauge}
+     */
+    gauge(options) {
+        return this.register(Gauge, options);
+    }
+
+    /**
+     * 登记分布（如耗时）
+     * @param {Object} options - 指标配置，可含 buckets
+     * @returns {Histogram}
+     */
+    histogram(options) {
+        return this.register(Histogram, options);
+    }
+
+    /**
+     * 获取已登记的指标
+     * @param {string} name - 指标名（不含前缀）
+     * @returns {Metric|undefined}
+     */
+    get(name) {
+        return this.metrics.get(METRIC_PREFIX + name);
+    }
+
+    /**
+     * 输出全部指标（Prometheus 文本格式 0.0.4）
+     * @returns {string}
+     */
+    render() {
+        for (const metric of this.metrics.values()) {
+            if (!metric.collect) continue;
+            try {
+                metric.collect(metric);
+            } catch {
+                // 单个模块同步失败不影响其他指标输出
+                this.collectErrors.inc({ metric: metric.name });
+            }
+        }
+
+        return Array.from(this.metrics.values())
+            .map(metric => metric.render())
+            .join('\n') + '\n';
+    }
+
+    /**
+     * 清空所有已记录的数值（指标登记保留）
+     */
+    resetAll() {
+        for (const metric of this.metrics.values()) {
+            metric.reset();
+        }
+    }
+}
+
+// 全局指标注册表
+const metrics = new MetricsRegistry();
+
+// 进程指标
+metrics.gauge({
+    name: 'process_uptime_seconds',
+    help: '进程运行时长（秒）',
+    collect: gauge => gauge.set({}, process.uptime())
+});
+
+metrics.gauge({
+    name: 'process_memory_bytes',
+    help: '进程内存占用（字节）',
+    labelNames: ['type'],
+    collect: gauge => {
+        const memory = process.memoryUsage();
+        gauge.set({ type: 'rss' }, memory.rss);
+        gauge.set({ type: 'heap_total' }, memory.heapTotal);
+        gauge.set({ type: 'heap_used' }, memory.heapUsed);
+        gauge.set({ type: 'external' }, memory.external);
+    }
+});
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+    METRIC_PREFIX,
+    metrics
+};
@@ -1,302 +1,300 @@
 /**
- * 请求限流和队列机制
- * 防止API配额超限，优化并发处理
+ * 请求限流和消息配额
+ * 按 成员 + 接口类别 分别计数，防止个别成员占满服务或耗尽Coze API配额
+ *
+ * 三类限制:
+ * - 每分钟请求数: 固定一分钟窗口
+ * - 并发请求数: 由调用方在请求（含流式响应）结束时释放
+ * - 每日消息数: 按自然日计数，保存在存储层中，使用 file 驱动时重启不清零
+ *
+ * 配额见 config/rateLimits.js
  */
+const { createStorage } = require('./storage');
 const logger = require('./logger');
+const { metrics } = require('./metrics');
+const rateLimitsConfig = require('../config/rateLimits');
+
+const MINUTE_WINDOW = 60 * 1000;
+
+// result: allowed / rate / concurrency / daily
+const rateLimitRequestsTotal = metrics.counter({
+    name: 'rate_limit_requests_total',
+    help: '经过限流检查的请求数',
+    labelNames: ['route_class', 'result']
+});
+
+const rateLimitActiveRequests = metrics.gauge({
+    name: 'rate_limit_active_requests',
+    help: '占用并发名额的进行中请求数',
+    labelNames: ['route_class']
+});
+
+/**
+ * 计算下一个自然日零点的时间戳
+ * @param {Date} now - 当前时间
+ * @returns {number} 时间戳
+ */
+function getNextDayStart(now = new Date()) {
+    const next = new Date(now);
+    next.setHours(24, 0, 0, 0);
+    return next.getTime();
+}
+
+/**
+ * 获取自然日标识，如 2024-05-01
+ * @param {Date} now - 当前时间
+ * @returns {string} 日期
+ */
+function getDayKey(now = new Date()) {
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 取两个配额中较宽松的一个，0表示不限制
+ * @param {number} a - 配额
+ * @param {number} b - 配额
+ * @returns {number} 较宽松的配额
+ */
+function looserLimit(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return Math.max(a, b);
+}
 
 class RateLimiter {
+    /**
+     * 构造函数
+     * @param {Object} options - 配额配置，见 config/rateLimits.js
+     */
     constructor(options = {}) {
-        this.maxRequestsPerSecond = options.maxRequestsPerSecond || 10;
-        this.maxRequestsPerMinute = options.maxRequestsPerMinute || 100;
-        this.maxConcurrentRequests = options.maxConcurrentRequests || 5;
-        this.queueMaxSize = options.queueMaxSize || 100;
-        
-        // 请求计数器
-        this.requestsThisSecond = 0;
-        this.requestsThisMinute = 0;
-        this.currentConcurrentRequests = 0;
-        
-        // 请求队列
-        this.requestQueue = [];
-        this.isProcessingQueue = false;
-        
-        // 时间窗口重置
-        this.lastSecondReset = Date.now();
-        this.lastMinuteReset = Date.now();
-        
+        this.routes = options.routes || {};
+        this.defaultRoute = this.routes.default || { perMinute: 60, concurrent: 5 };
+        this.dailyMessages = options.dailyMessages || 0;
+
+        // 忽略未配置部门的规则
+        this.departmentRules = (options.departments || [])
+            .filter(rule => rule && Array.isArray(rule.departments) && rule.departments.length > 0)
+            .map(rule => ({
+                ...rule,
+                departments: rule.departments.map(String)
+            }));
+
+        // 每分钟窗口: userId:routeClass -> { count, resetAt }
+        this.windows = new Map();
+
+        // 进行中的请求数: userId:routeClass -> count
+        this.active = new Map();
+
+        // 每日消息数: day:userId -> count
+        this.dailyUsage = createStorage('daily_message_usage');
+
         // 统计信息
         this.stats = {
             totalRequests: 0,
-            queuedRequests: 0,
             rejectedRequests: 0,
-            completedRequests: 0,
-            averageWaitTime: 0,
-            totalWaitTime: 0,
-            maxQueueSize: 0
+            rejectedByReason: {
+                rate: 0,
+                concurrency: 0,
+                daily: 0
+            }
         };
 
-        // 定期重置计数器
-        this.resetInterval = setInterval(() => {
-            this.resetCounters();
-        }, 1000);
+        // 定期清理已过期的窗口
+        this.cleanupInterval = setInterval(() => {
+            this.cleanupWindows();
+        }, MINUTE_WINDOW);
+        this.cleanupInterval.unref();
 
         logger.info('请求限流器初始化完成', {
             type: 'rate_limiter_init',
-            maxRequestsPerSecond: this.maxRequestsPerSecond,
-            maxRequestsPerMinute: this.maxRequestsPerMinute,
-            maxConcurrentRequests: this.maxConcurrentRequests,
-            queueMaxSize: this.queueMaxSize
+            routes: this.routes,
+            dailyMessages: this.dailyMessages,
+            departmentRules: this.departmentRules.length
         });
     }
 
     /**
-     * 执行带限流的请求
-     * @param {Function} requestFunction - 要执行的请求函数
-     * @param {Object} context - 请求上下文
-     * @param {Object} options - 选项
-     * @returns {Promise} 请求结果
+     * 是否配置了部门配额（未配置时无需查询成员部门）
+     * @returns {boolean}
      */
-    async executeRequest(requestFunction, context = {}, options = {}) {
-        const requestId = context.requestId || this.generateRequestId();
-        const priority = options.priority || 'normal';
-        const timeout = options.timeout || 30000;
-
-        this.stats.totalRequests++;
-
-        // 检查是否需要排队
-        if (this.shouldQueue()) {
-            return this.queueRequest(requestFunction, { ...context, requestId }, { ...options, priority, timeout });
-        }
-
-        // 直接执行请求
-        return this.executeImmediately(requestFunction, { ...context, requestId }, timeout);
+    hasDepartmentRules() {
+        return this.departmentRules.length > 0;
     }
 
     /**
-     * 检查是否需要排队
-     * @returns {boolean}
+     * 计算成员在某类接口上的配额
+     * @param {string} routeClass - 接口类别，如 chat、history、speech
+     * @param {Array<number|string>} departmentIds - 成员所属部门
+     * @returns {Object} { perMinute, concurrent, dailyMessages }
      */
-    shouldQueue() {
-        // 检查并发限制
-        if (this.currentConcurrentRequests >= this.maxConcurrentRequests) {
-            return true;
-        }
+    getLimits(routeClass, departmentIds = []) {
+        const base = this.routes[routeClass] || this.defaultRoute;
+        const limits = {
+            perMinute: base.perMinute || 0,
+            concurrent: base.concurrent || 0,
+            dailyMessages: this.dailyMessages
+        };
 
-        // 检查每秒限制
-        if (this.requestsThisSecond >= this.maxRequestsPerSecond) {
-            return true;
-        }
+        const userDepartments = departmentIds.map(String);
+        const matchedRules = this.departmentRules.filter(rule =>
+            rule.departments.some(departmentId => userDepartments.includes(departmentId))
+        );
+
+        // 匹配多条规则时逐项取最宽松的值
+        matchedRules.forEach((rule, index) => {
+            const override = (rule.routes && rule.routes[routeClass]) || {};
+            const merge = (current, value) => {
+                if (value === undefined) return current;
+                return index === 0 ? value : looserLimit(current, value);
+            };
 
-        // 检查每分钟限制
-        if (this.requestsThisMinute >= this.maxRequestsPerMinute) {
-            return true;
-        }
+            limits.perMinute = merge(limits.perMinute, override.perMinute);
+            limits.concurrent = merge(limits.concurrent, override.concurrent);
+            limits.dailyMessages = merge(limits.dailyMessages, rule.dailyMessages);
+        });
 
-        return false;
+        return limits;
     }
 
     /**
-     * 将请求加入队列
-     * @param {Function} requestFunction - 请求函数
-     * @param {Object} context - 请求上下文
-     * @param {Object} options - 选项
-     * @returns {Promise} 请求结果
+     * 尝试占用一次请求配额
+     * 三类限制全部满足时才计数，被拒绝的请求不消耗配额
+     * @param {Object} params - 参数
+     * @param {string} params.userId - 成员UserID
+     * @param {string} params.routeClass - 接口类别
+     * @param {Array<number|string>} params.departmentIds - 成员所属部门
+     * @param {boolean} params.countMessage - 是否计入每日消息数
+     * @returns {Object} { allowed, reason, retryAfter, limits, remaining, resetAt, daily, release }
      */
-    async queueRequest(requestFunction, context, options) {
-        // 检查队列是否已满
-        if (this.requestQueue.length >= this.queueMaxSize) {
-            this.stats.rejectedRequests++;
-            const error = new Error('请求队列已满，请稍后重试');
-            error.code = 'QUEUE_FULL';
-            
-            logger.warn('请求被拒绝，队列已满', {
-                type: 'rate_limit_rejected',
-                requestId: context.requestId,
-                queueSize: this.requestQueue.length,
-                maxQueueSize: this.queueMaxSize
-            });
-            
-            throw error;
-        }
-
-        const queuedAt = Date.now();
-        this.stats.queuedRequests++;
-        this.stats.maxQueueSize = Math.max(this.stats.maxQueueSize, this.requestQueue.length + 1);
+    acquire({ userId, routeClass, departmentIds = [], countMessage = false }) {
+        const now = Date.now();
+        const key = `${userId}:${routeClass}`;
+        const limits = this.getLimits(routeClass, departmentIds);
 
-        logger.debug('请求加入队列', {
-            type: 'rate_limit_queued',
-            requestId: context.requestId,
-            queuePosition: this.requestQueue.length + 1,
-            priority: options.priority
-        });
+        this.stats.totalRequests++;
 
-        return new Promise((resolve, reject) => {
-            const queueItem = {
-                requestFunction,
-                context,
-                options,
-                resolve,
-                reject,
-                queuedAt,
-                timeout: options.timeout
-            };
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + MINUTE_WINDOW };
+            this.windows.set(key, window);
+        }
 
-            // 根据优先级插入队列
-            if (options.priority === 'high') {
-                this.requestQueue.unshift(queueItem);
-            } else {
-                this.requestQueue.push(queueItem);
-            }
+        const activeCount = this.active.get(key) || 0;
+        const dailyKey = `${getDayKey()}:${userId}`;
+        const dailyCount = this.dailyUsage.get(dailyKey) || 0;
+        const dayResetAt = getNextDayStart();
+
+        const result = {
+            allowed: true,
+            reason: null,
+            retryAfter: 0,
+            limits,
+            remaining: limits.perMinute > 0 ? Math.max(limits.perMinute - window.count, 0) : null,
+            resetAt: window.resetAt,
+            daily: countMessage && limits.dailyMessages > 0 ? {
+                limit: limits.dailyMessages,
+                remaining: Math.max(limits.dailyMessages - dailyCount, 0),
+                resetAt: dayResetAt
+            } : null,
+            release: () => {}
+        };
 
-            // 启动队列处理
-            this.processQueue();
-        });
-    }
+        if (limits.perMinute > 0 && window.count >= limits.perMinute) {
+            result.reason = 'rate';
+            result.retryAfter = Math.ceil((window.resetAt - now) / 1000);
+        } else if (limits.concurrent > 0 && activeCount >= limits.concurrent) {
+            // 无法预知进行中的请求何时结束，建议稍后重试
+            result.reason = 'concurrency';
+            result.retryAfter = 5;
+        } else if (countMessage && limits.dailyMessages > 0 && dailyCount >= limits.dailyMessages) {
+            result.reason = 'daily';
+            result.retryAfter = Math.ceil((dayResetAt - now) / 1000);
+        }
 
-    /**
-     * 立即执行请求
-     * @param {Function} requestFunction - 请求函数
-     * @param {Object} context - 请求上下文
-     * @param {number} timeout - 超时时间
-     * @returns {Promise} 请求结果
-     */
-    async executeImmediately(requestFunction, context, timeout) {
-        this.currentConcurrentRequests++;
-        this.requestsThisSecond++;
-        this.requestsThisMinute++;
-
-        const startTime = Date.now();
-
-        try {
-            logger.debug('立即执行请求', {
-                type: 'rate_limit_execute',
-                requestId: context.requestId,
-                concurrentRequests: this.currentConcurrentRequests
-            });
+        if (result.reason) {
+            result.allowed = false;
+            this.stats.rejectedRequests++;
+            this.stats.rejectedByReason[result.reason]++;
+            rateLimitRequestsTotal.inc({ route_class: routeClass, result: result.reason });
 
-            // 执行请求（带超时）
-            const result = await this.withTimeout(requestFunction(), timeout);
-            
-            const duration = Date.now() - startTime;
-            this.stats.completedRequests++;
-            
-            logger.debug('请求执行完成', {
-                type: 'rate_limit_complete',
-                requestId: context.requestId,
-                duration,
-                concurrentRequests: this.currentConcurrentRequests - 1
+            logger.warn('请求被限流', {
+                type: 'rate_limit_rejected',
+                userId: userId,
+                routeClass: routeClass,
+                reason: result.reason,
+                limits: limits,
+                retryAfter: result.retryAfter
             });
 
             return result;
+        }
 
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            
-            logger.error('请求执行失败', {
-                type: 'rate_limit_error',
-                requestId: context.requestId,
-                error: error.message,
-                duration,
-                concurrentRequests: this.currentConcurrentRequests - 1
-            });
-
-            throw error;
+        window.count++;
+        result.remaining = limits.perMinute > 0 ? limits.perMinute - window.count : null;
 
-        } finally {
-            this.currentConcurrentRequests--;
-            // 处理队列中的下一个请求
-            this.processQueue();
+        if (countMessage && limits.dailyMessages > 0) {
+            this.dailyUsage.set(dailyKey, dailyCount + 1, dayResetAt - now);
+            result.daily.remaining = limits.dailyMessages - dailyCount - 1;
         }
-    }
 
-    /**
-     * 处理请求队列
-     */
-    async processQueue() {
-        if (this.isProcessingQueue || this.requestQueue.length === 0) {
-            return;
-        }
+        this.active.set(key, activeCount + 1);
+        rateLimitRequestsTotal.inc({ route_class: routeClass, result: 'allowed' });
+        rateLimitActiveRequests.inc({ route_class: routeClass });
 
-        this.isProcessingQueue = true;
-
-        try {
-            while (this.requestQueue.length > 0 && !this.shouldQueue()) {
-                const queueItem = this.requestQueue.shift();
-                
-                // 检查请求是否超时
-                const waitTime = Date.now() - queueItem.queuedAt;
-                if (waitTime > queueItem.timeout) {
-                    const timeoutError = new Error(`请求在队列中等待超时 (${waitTime}ms)`);
-                    timeoutError.code = 'QUEUE_TIMEOUT';
-                    queueItem.reject(timeoutError);
-                    continue;
-                }
-
-                // 更新等待时间统计
-                this.stats.totalWaitTime += waitTime;
-                this.stats.averageWaitTime = this.stats.totalWaitTime / this.stats.queuedRequests;
-
-                logger.debug('从队列中取出请求', {
-                    type: 'rate_limit_dequeue',
-                    requestId: queueItem.context.requestId,
-                    waitTime,
-                    remainingQueue: this.requestQueue.length
-                });
-
-                // 异步执行请求
-                this.executeImmediately(queueItem.requestFunction, queueItem.context, queueItem.timeout)
-                    .then(queueItem.resolve)
-                    .catch(queueItem.reject);
+        let released = false;
+        result.release = () => {
+            if (released) return;
+            released = true;
+            rateLimitActiveRequests.dec({ route_class: routeClass });
+
+            const count = (this.active.get(key) || 1) - 1;
+            if (count > 0) {
+                this.active.set(key, count);
+            } else {
+                this.active.delete(key);
             }
-        } finally {
-            this.isProcessingQueue = false;
-        }
+        };
+
+        return result;
     }
 
     /**
-     * 重置计数器
+     * 查询成员今日已发送的消息数
+     * @param {string} userId - 成员UserID
+     * @returns {number} 消息数
      */
-    resetCounters() {
-        const now = Date.now();
-
-        // 重置每秒计数器
-        if (now - this.lastSecondReset >= 1000) {
-            this.requestsThisSecond = 0;
-            this.lastSecondReset = now;
-        }
-
-        // 重置每分钟计数器
-        if (now - this.lastMinuteReset >= 60000) {
-            this.requestsThisMinute = 0;
-            this.lastMinuteReset = now;
-        }
+    getDailyUsage(userId) {
+        return this.dailyUsage.get(`${getDayKey()}:${userId}`) || 0;
     }
 
     /**
-     * 创建带超时的Promise
-     * @param {Promise} promise - 原始Promise
-     * @param {number} timeout - 超时时间
-     * @returns {Promise}
+     * 重置所有成员的每分钟计数（管理后台使用）
+     * 并发名额由进行中的请求自行释放，每日消息数不受影响
+     * @returns {number} 被重置的计数数量
      */
-    withTimeout(promise, timeout) {
-        return Promise.race([
-            promise,
-            new Promise((_, reject) => {
-                setTimeout(() => {
-                    const timeoutError = new Error(`请求超时 (${timeout}ms)`);
-                    timeoutError.code = 'REQUEST_TIMEOUT';
-                    reject(timeoutError);
-                }, timeout);
-            })
-        ]);
+    resetWindows() {
+        const count = this.windows.size;
+        this.windows.clear();
+
+        logger.warn('请求限流计数已重置', {
+            type: 'rate_limit_reset',
+            clearedWindows: count
+        });
+
+        return count;
     }
 
     /**
-     * 生成请求ID
-     * @returns {string}
+     * 清理已过期的每分钟窗口
      */
-    generateRequestId() {
-        return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    cleanupWindows() {
+        const now = Date.now();
+        for (const [key, window] of this.windows.entries()) {
+            if (window.resetAt <= now) {
+                this.windows.delete(key);
+            }
+        }
     }
 
     /**
@@ -304,71 +302,42 @@ class RateLimiter {
      * @returns {Object}
      */
     getStatus() {
+        let activeRequests = 0;
+        for (const count of this.active.values()) {
+            activeRequests += count;
+        }
+
         return {
             service: 'RateLimiter',
             status: 'healthy',
             config: {
-                maxRequestsPerSecond: this.maxRequestsPerSecond,
-                maxRequestsPerMinute: this.maxRequestsPerMinute,
-                maxConcurrentRequests: this.maxConcurrentRequests,
-                queueMaxSize: this.queueMaxSize
+                routes: this.routes,
+                dailyMessages: this.dailyMessages,
+                departmentRules: this.departmentRules.length
             },
             current: {
-                requestsThisSecond: this.requestsThisSecond,
-                requestsThisMinute: this.requestsThisMinute,
-                currentConcurrentRequests: this.currentConcurrentRequests,
-                queueLength: this.requestQueue.length,
-                isProcessingQueue: this.isProcessingQueue
+                trackedKeys: this.windows.size,
+                activeRequests: activeRequests,
+                dailyUsers: this.dailyUsage.size
             },
             stats: {
                 ...this.stats,
-                queueUtilization: this.stats.maxQueueSize > 0 ? 
-                    (this.requestQueue.length / this.queueMaxSize * 100).toFixed(2) + '%' : '0%',
-                successRate: this.stats.totalRequests > 0 ? 
-                    (this.stats.completedRequests / this.stats.totalRequests * 100).toFixed(2) + '%' : '0%'
+                rejectionRate: this.stats.totalRequests > 0 ?
+                    (this.stats.rejectedRequests / this.stats.totalRequests * 100).toFixed(2) + '%' : '0%'
             },
             timestamp: new Date().toISOString()
         };
     }
 
-    /**
-     * 清空队列
-     * @param {string} reason - 清空原因
-     */
-    clearQueue(reason = '手动清空') {
-        const queueSize = this.requestQueue.length;
-        
-        // 拒绝所有排队的请求
-        this.requestQueue.forEach(queueItem => {
-            const error = new Error(`队列被清空: ${reason}`);
-            error.code = 'QUEUE_CLEARED';
-            queueItem.reject(error);
-        });
-
-        this.requestQueue = [];
-        this.stats.rejectedRequests += queueSize;
-
-        logger.warn('请求队列已清空', {
-            type: 'rate_limit_queue_cleared',
-            reason,
-            clearedRequests: queueSize,
-            timestamp: new Date().toISOString()
-        });
-    }
-
     /**
      * 获取健康状态
      * @returns {Object}
      */
     getHealthStatus() {
-        const status = this.getStatus();
-        const queueUtilization = this.requestQueue.length / this.queueMaxSize;
-        const isHealthy = queueUtilization < 0.8 && this.stats.rejectedRequests < this.stats.totalRequests * 0.1;
-
         return {
             service: 'RateLimiter',
-            status: isHealthy ? 'healthy' : 'degraded',
-            details: status,
+            status: 'healthy',
+            details: this.getStatus(),
             timestamp: new Date().toISOString()
         };
     }
@@ -377,11 +346,12 @@ class RateLimiter {
      * 销毁限流器
      */
     destroy() {
-        if (this.resetInterval) {
-            clearInterval(this.resetInterval);
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
         }
 
-        this.clearQueue('限流器销毁');
+        this.windows.clear();
+        this.active.clear();
 
         logger.info('请求限流器已销毁', {
             type: 'rate_limiter_destroy',
@@ -392,14 +362,9 @@ class RateLimiter {
 }
 
 // 创建全局限流器实例
-const rateLimiter = new RateLimiter({
-    maxRequestsPerSecond: parseInt(process.env.RATE_LIMIT_PER_SECOND) || 10,
-    maxRequestsPerMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 100,
-    maxConcurrentRequests: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 5,
-    queueMaxSize: parseInt(process.env.QUEUE_MAX_SIZE) || 100
-});
+const rateLimiter = new RateLimiter(rateLimitsConfig);
 
 module.exports = {
     RateLimiter,
     rateLimiter
-};
\ No newline at end of file
+};
@@ -0,0 +1,93 @@
+/**
+ * 回调请求防重放校验
+ * 拒绝时间戳超出允许偏差的请求，并在有效期内拒绝重复的 timestamp + nonce 组合
+ */
+const config = require('../config/config');
+const logger = require('./logger');
+
+class ReplayGuard {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置
+     * @param {number} options.windowSeconds - 时间戳允许的最大偏差（秒）
+     */
+    constructor(options = {}) {
+        this.windowSeconds = options.windowSeconds || 300;
+
+        // `${timestamp}:${nonce}` -> 过期时间（毫秒）
+        this.seen = new Map();
+    }
+
+    /**
+     * 清理已过期的记录
+     * @param {number} now - 当前时间（毫秒）
+     */
+    cleanup(now = Date.now()) {
+        for (const [key, expiresAt] of this.seen) {
+            if (expiresAt <= now) {
+                this.seen.delete(key);
+            }
+        }
+    }
+
+    /**
+     * 校验并登记一次请求
+     * @param {string} timestamp - 请求时间戳（秒）
+     * @param {string} nonce - 随机数
+     * @returns {{valid: boolean, reason?: string}} 校验结果
+     */
+    check(timestamp, nonce) {
+        const now = Date.now();
+        const requestTime = parseInt(timestamp, 10) * 1000;
+
+        if (!nonce || Number.isNaN(requestTime)) {
+            return { valid: false, reason: 'missing_params' };
+        }
+
+        if (Math.abs(now - requestTime) > this.windowSeconds * 1000) {
+            logger.warn('回调请求时间戳超出允许范围', {
+                type: 'callback_replay_expired',
+                requestTimestamp: timestamp,
+                skewSeconds: Math.round((now - requestTime) / 1000)
+            });
+            return { valid: false, reason: 'expired' };
+        }
+
+        this.cleanup(now);
+
+        const key = `${timestamp}:${nonce}`;
+        if (this.seen.has(key)) {
+            logger.warn('检测到重复的回调请求', {
+                type: 'callback_replay_detected',
+                requestTimestamp: timestamp,
+                nonce: nonce
+            });
+            return { valid: false, reason: 'duplicate' };
+        }
+
+        // 记录保留到时间戳窗口结束，之后的同名请求会因时间戳过期被拒绝
+        this.seen.set(key, requestTime + this.windowSeconds * 1000);
+        return { valid: true };
+    }
+
+    /**
+     * 获取状态
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            windowSeconds: this.windowSeconds,
+            trackedRequests: this.seen.size
+        };
+    }
+}
+
+// 回调防重放全局实例
+const replayGuard = new ReplayGuard({
+    windowSeconds: config.callback.replayWindow
+});
+
+module.exports = {
+    ReplayGuard,
+    replayGuard
+};
@@ -0,0 +1,61 @@
+/**
+ * 请求上下文
+ * 基于 AsyncLocalStorage，在一次请求（或一条企业微信消息）触发的所有异步调用中共享
+ * requestId、userId 等信息，logger 自动把它们写入每一行日志
+ *
+ * 注意：logger 依赖本模块，因此本模块不能引入 logger
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+class RequestContext {
+    constructor() {
+        this.storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * 在新的上下文中执行函数，函数内发起的异步调用共享该上下文
+     * @param {Object} context - 初始上下文，如 { requestId, userId }
+     * @param {Function} fn - 要执行的函数
+     * @returns {*} fn 的返回值
+     */
+    run(context, fn) {
+        return this.storage.run({ ...context }, fn);
+    }
+
+    /**
+     * 获取当前上下文
+     * @returns {Object|null} 不在请求中时返回null
+     */
+    get() {
+        return this.storage.getStore() || null;
+    }
+
+    /**
+     * 写入当前上下文的字段（如登录校验通过后写入 userId），不在请求中时忽略
+     * @param {string} key - 字段名
+     * @param {*} value - 字段值
+     */
+    set(key, value) {
+        const context = this.storage.getStore();
+        if (context) {
+            context[key] = value;
+        }
+    }
+
+    /**
+     * 获取当前请求ID
+     * @returns {string|null}
+     */
+    getRequestId() {
+        const context = this.storage.getStore();
+        return context ? context.requestId || null : null;
+    }
+}
+
+// 全局请求上下文
+const requestContext = new RequestContext();
+
+module.exports = {
+    RequestContext,
+    requestContext
+};
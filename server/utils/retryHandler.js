@@ -2,6 +2,27 @@
  * API调用重试机制和优雅降级处理
  */
 const logger = require('./logger');
+const { metrics } = require('./metrics');
+
+const retryAttemptsTotal = metrics.counter({
+    name: 'retry_attempts_total',
+    help: '失败后重试的次数'
+});
+
+// 断路器状态取值: 0 关闭, 1 半开, 2 开启
+const CIRCUIT_STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+const circuitBreakerState = metrics.gauge({
+    name: 'circuit_breaker_state',
+    help: '断路器状态（0 关闭, 1 半开, 2 开启）',
+    labelNames: ['name']
+});
+
+const circuitBreakerRejectionsTotal = metrics.counter({
+    name: 'circuit_breaker_rejections_total',
+    help: '断路器开启期间被拒绝的操作数',
+    labelNames: ['name']
+});
 
 class RetryHandler {
     constructor(options = {}) {
@@ -31,6 +52,7 @@ class RetryHandler {
                 if (attempt > 0) {
                     const delay = this.calculateDelay(attempt);
                     logger.logRetryAttempt(context, attempt, lastError);
+                    retryAttemptsTotal.inc();
                     await this.sleep(delay);
                 }
 
@@ -285,7 +307,13 @@ class RetryHandler {
  * 断路器实现
  */
 class CircuitBreaker {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置
+     * @param {string} options.name - 断路器名称，用作指标标签，默认 default
+     */
     constructor(options = {}) {
+        this.name = options.name || 'default';
         this.failureThreshold = options.failureThreshold || 5; // 失败阈值
         this.resetTimeout = options.resetTimeout || 60000; // 重置超时（毫秒）
         this.monitoringPeriod = options.monitoringPeriod || 10000; // 监控周期（毫秒）
@@ -294,6 +322,17 @@ class CircuitBreaker {
         this.failureCount = 0;
         this.lastFailureTime = null;
         this.successCount = 0;
+
+        circuitBreakerState.set({ name: this.name }, CIRCUIT_STATE_VALUES[this.state]);
+    }
+
+    /**
+     * 切换断路器状态并同步指标
+     * @param {string} state - CLOSED / OPEN / HALF_OPEN
+     */
+    setState(state) {
+        this.state = state;
+        circuitBreakerState.set({ name: this.name }, CIRCUIT_STATE_VALUES[state]);
     }
 
     /**
@@ -304,13 +343,14 @@ class CircuitBreaker {
     async execute(operation) {
         if (this.state === 'OPEN') {
             if (Date.now() - this.lastFailureTime > this.resetTimeout) {
-                this.state = 'HALF_OPEN';
+                this.setState('HALF_OPEN');
                 this.successCount = 0;
                 logger.info('断路器进入半开状态', {
                     type: 'circuit_breaker',
                     state: 'HALF_OPEN'
                 });
             } else {
+                circuitBreakerRejectionsTotal.inc({ name: this.name });
                 throw new Error('断路器开启，拒绝执行操作');
             }
         }
@@ -334,7 +374,7 @@ class CircuitBreaker {
         if (this.state === 'HALF_OPEN') {
             this.successCount++;
             if (this.successCount >= 3) { // 连续3次成功后关闭断路器
-                this.state = 'CLOSED';
+                this.setState('CLOSED');
                 logger.info('断路器关闭', {
                     type: 'circuit_breaker',
                     state: 'CLOSED'
@@ -351,7 +391,7 @@ class CircuitBreaker {
         this.lastFailureTime = Date.now();
         
         if (this.failureCount >= this.failureThreshold) {
-            this.state = 'OPEN';
+            this.setState('OPEN');
             logger.warn('断路器开启', {
                 type: 'circuit_breaker',
                 state: 'OPEN',
@@ -371,6 +411,7 @@ class CircuitBreaker {
             Math.max(0, this.resetTimeout - timeSinceLastFailure) : null;
 
         return {
+            name: this.name,
             state: this.state,
             failureCount: this.failureCount,
             lastFailureTime: this.lastFailureTime,
@@ -390,7 +431,7 @@ class CircuitBreaker {
      * 重置断路器状态
      */
     reset() {
-        this.state = 'CLOSED';
+        this.setState('CLOSED');
         this.failureCount = 0;
         this.lastFailureTime = null;
         this.successCount = 0;
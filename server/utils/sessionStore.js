@@ -0,0 +1,114 @@
+/**
+ * express-session 存储适配器
+ * 将 session 保存到可插拔存储层，使用 file 驱动时重启服务不会让用户掉线
+ */
+const session = require('express-session');
+const { createStorage } = require('./storage');
+
+// cookie 未设置过期时间时的默认保存时长
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * 基于存储层的 session Store
+ */
+class StorageSessionStore extends session.Store {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置
+     * @param {string} options.namespace - 存储命名空间
+     */
+    constructor(options = {}) {
+        super();
+        this.storage = createStorage(options.namespace || 'sessions');
+    }
+
+    /**
+     * 根据 cookie 计算 session 保存时长
+     * @param {Object} sess - session 数据
+     * @returns {number} 过期时间（毫秒）
+     */
+    getTTL(sess) {
+        const maxAge = sess && sess.cookie && sess.cookie.maxAge;
+        return typeof maxAge === 'number' && maxAge > 0 ? maxAge : DEFAULT_SESSION_TTL;
+    }
+
+    /**
+     * 读取session
+     * @param {string} sid - session ID
+     * @param {Function} callback - 回调 (err, session)
+     */
+    get(sid, callback) {
+        const sess = this.storage.get(sid);
+        callback(null, sess ? JSON.parse(JSON.stringify(sess)) : null);
+    }
+
+    /**
+     * 保存session
+     * @param {string} sid - session ID
+     * @param {Object} sess - session 数据
+     * @param {Function} callback - 回调 (err)
+     */
+    set(sid, sess, callback) {
+        // 存储副本，避免后续请求对 session 对象的修改绕过落盘
+        this.storage.set(sid, JSON.parse(JSON.stringify(sess)), this.getTTL(sess));
+        callback && callback(null);
+    }
+
+    /**
+     * 刷新session过期时间
+     * @param {string} sid - session ID
+     * @param {Object} sess - session 数据
+     * @param {Function} callback - 回调 (err)
+     */
+    touch(sid, sess, callback) {
+        const existing = this.storage.get(sid);
+        if (existing) {
+            existing.cookie = sess.cookie;
+            this.storage.set(sid, existing, this.getTTL(sess));
+        }
+        callback && callback(null);
+    }
+
+    /**
+     * 删除session（退出登录）
+     * @param {string} sid - session ID
+     * @param {Function} callback - 回调 (err)
+     */
+    destroy(sid, callback) {
+        this.storage.delete(sid);
+        callback && callback(null);
+    }
+
+    /**
+     * 获取所有未过期的session
+     * @param {Function} callback - 回调 (err, sessions)
+     */
+    all(callback) {
+        const sessions = {};
+        for (const [sid, sess] of this.storage.entries()) {
+            sessions[sid] = sess;
+        }
+        callback(null, sessions);
+    }
+
+    /**
+     * 获取session数量
+     * @param {Function} callback - 回调 (err, length)
+     */
+    length(callback) {
+        callback(null, this.storage.keys().length);
+    }
+
+    /**
+     * 清空所有session
+     * @param {Function} callback - 回调 (err)
+     */
+    clear(callback) {
+        this.storage.clear();
+        callback && callback(null);
+    }
+}
+
+module.exports = {
+    StorageSessionStore
+};
@@ -0,0 +1,448 @@
+/**
+ * 可插拔的键值存储层
+ * 为会话(session)、Coze会话管理器、用户会话缓存等提供统一的带TTL存储，
+ * 通过 STORAGE_DRIVER 选择实现：
+ * - memory（默认）: 仅保存在进程内存中，重启后丢失
+ * - file: 内存读写 + 延迟批量落盘为JSON文件，重启后自动恢复
+ *
+ * 存储内容为自描述的JSON记录 { value, expiresAt }，不依赖表结构，无需迁移
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * 内存存储
+ * 接口与 Map 保持一致（get/set/has/delete/size/entries），便于替换原有的 Map
+ */
+class MemoryStorage extends EventEmitter {
+    /**
+     * 构造函数
+     * @param {string} namespace - 命名空间，用于区分不同用途的数据
+     * @param {Object} options - 配置
+     * @param {number} options.defaultTTL - 默认过期时间（毫秒），0表示不过期
+     */
+    constructor(namespace, options = {}) {
+        super();
+        this.namespace = namespace;
+        this.defaultTTL = options.defaultTTL || 0;
+
+        // key -> { value, expiresAt }
+        this.records = new Map();
+    }
+
+    /**
+     * 判断记录是否已过期
+     * @param {Object} record - 存储记录
+     * @param {number} now - 当前时间戳
+     * @returns {boolean} 是否过期
+     */
+    isExpired(record, now = Date.now()) {
+        return record.expiresAt > 0 && record.expiresAt <= now;
+    }
+
+    /**
+     * 读取值，已过期的记录会被立即移除
+     * @param {string} key - 键
+     * @returns {*} 值，不存在时返回 undefined
+     */
+    get(key) {
+        const record = this.records.get(key);
+        if (!record) {
+            return undefined;
+        }
+
+        if (this.isExpired(record)) {
+            this.expire(key, record);
+            return undefined;
+        }
+
+        return record.value;
+    }
+
+    /**
+     * 写入值（原地修改过的对象也需要重新 set 以刷新过期时间并落盘）
+     * @param {string} key - 键
+     * @param {*} value - 值，需可被JSON序列化
+     * @param {number} ttl - 过期时间（毫秒），不传使用默认值，0表示不过期
+     * @returns {MemoryStorage} 当前实例
+     */
+    set(key, value, ttl) {
+        const effectiveTTL = ttl === undefined ? this.defaultTTL : ttl;
+        this.records.set(key, {
+            value,
+            expiresAt: effectiveTTL > 0 ? Date.now() + effectiveTTL : 0
+        });
+        this.markDirty();
+        return this;
+    }
+
+    /**
+     * 判断键是否存在且未过期
+     * @param {string} key - 键
+     * @returns {boolean} 是否存在
+     */
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    /**
+     * 删除键
+     * @param {string} key - 键
+     * @returns {boolean} 是否删除成功
+     */
+    delete(key) {
+        const deleted = this.records.delete(key);
+        if (deleted) {
+            this.markDirty();
+        }
+        return deleted;
+    }
+
+    /**
+     * 清空当前命名空间
+     */
+    clear() {
+        this.records.clear();
+        this.markDirty();
+    }
+
+    /**
+     * 记录数量（包含尚未被清理的过期记录）
+     * @returns {number} 记录数量
+     */
+    get size() {
+        return this.records.size;
+    }
+
+    /**
+     * 获取所有未过期的键值对
+     * @returns {Array<Array>} [[key, value], ...]
+     */
+    entries() {
+        const now = Date.now();
+        const result = [];
+        for (const [key, record] of this.records) {
+            if (!this.isExpired(record, now)) {
+                result.push([key, record.value]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 获取所有未过期的键
+     * @returns {string[]} 键列表
+     */
+    keys() {
+        return this.entries().map(([key]) => key);
+    }
+
+    /**
+     * 获取所有未过期的值
+     * @returns {Array} 值列表
+     */
+    values() {
+        return this.entries().map(([, value]) => value);
+    }
+
+    /**
+     * 移除过期记录并触发 expired 事件
+     * @param {string} key - 键
+     * @param {Object} record - 存储记录
+     */
+    expire(key, record) {
+        this.records.delete(key);
+        this.markDirty();
+        this.emit('expired', key, record.value);
+    }
+
+    /**
+     * 清理所有过期记录
+     * @returns {number} 清理数量
+     */
+    cleanup() {
+        const now = Date.now();
+        let cleanedCount = 0;
+
+        for (const [key, record] of this.records) {
+            if (this.isExpired(record, now)) {
+                this.expire(key, record);
+                cleanedCount++;
+            }
+        }
+
+        return cleanedCount;
+    }
+
+    /**
+     * 标记数据已变更，内存实现无需处理
+     */
+    markDirty() {}
+
+    /**
+     * 将数据写入持久化介质，内存实现无需处理
+     */
+    flush() {}
+
+    /**
+     * 获取存储状态
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            namespace: this.namespace,
+            driver: 'memory',
+            size: this.records.size,
+            defaultTTL: this.defaultTTL
+        };
+    }
+}
+
+/**
+ * 文件存储
+ * 读写在内存中完成，变更后延迟写入 <dir>/<namespace>.json（先写临时文件再重命名，避免写一半损坏）
+ */
+class FileStorage extends MemoryStorage {
+    /**
+     * 构造函数
+     * @param {string} namespace - 命名空间，同时作为文件名
+     * @param {Object} options - 配置
+     * @param {string} options.dir - 数据目录
+     * @param {number} options.flushDelay - 变更后延迟落盘时间（毫秒）
+     * @param {number} options.defaultTTL - 默认过期时间（毫秒）
+     */
+    constructor(namespace, options = {}) {
+        super(namespace, options);
+        this.dir = options.dir || path.join(process.cwd(), 'data');
+        this.flushDelay = options.flushDelay || 1000;
+        this.filePath = path.join(this.dir, `${namespace}.json`);
+        this.flushTimer = null;
+        this.dirty = false;
+
+        this.load();
+    }
+
+    /**
+     * 从文件恢复数据，文件不存在或损坏时以空数据启动
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const records = content.records || {};
+            const now = Date.now();
+            let expiredCount = 0;
+
+            for (const key of Object.keys(records)) {
+                const record = records[key];
+                if (!record || typeof record !== 'object') {
+                    continue;
+                }
+
+                const expiresAt = Number(record.expiresAt) || 0;
+                if (expiresAt > 0 && expiresAt <= now) {
+                    expiredCount++;
+                    continue;
+                }
+
+                this.records.set(key, { value: record.value, expiresAt });
+            }
+
+            logger.info('存储数据已从文件恢复', {
+                type: 'storage_load',
+                namespace: this.namespace,
+                filePath: this.filePath,
+                size: this.records.size,
+                expiredCount: expiredCount
+            });
+        } catch (error) {
+            logger.error('存储文件读取失败，以空数据启动', {
+                type: 'storage_load_error',
+                namespace: this.namespace,
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * 标记数据已变更，并安排延迟落盘
+     */
+    markDirty() {
+        this.dirty = true;
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * 立即把数据写入文件
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        if (!this.dirty) {
+            return;
+        }
+
+        try {
+            const records = {};
+            for (const [key, record] of this.records) {
+                records[key] = record;
+            }
+
+            fs.mkdirSync(this.dir, { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({
+                namespace: this.namespace,
+                savedAt: Date.now(),
+                records
+            }));
+            fs.renameSync(tempPath, this.filePath);
+            this.dirty = false;
+        } catch (error) {
+            logger.error('存储数据写入文件失败', {
+                type: 'storage_flush_error',
+                namespace: this.namespace,
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * 获取存储状态
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            driver: 'file',
+            filePath: this.filePath,
+            dirty: this.dirty
+        };
+    }
+}
+
+const STORAGE_DRIVERS = {
+    memory: MemoryStorage,
+    file: FileStorage
+};
+
+// 已创建的存储实例：namespace -> storage
+const storages = new Map();
+let cleanupTimer = null;
+
+/**
+ * 清理所有存储中的过期记录
+ * @returns {number} 清理数量
+ */
+function cleanupAll() {
+    let cleanedCount = 0;
+
+    for (const storage of storages.values()) {
+        try {
+            cleanedCount += storage.cleanup();
+        } catch (error) {
+            logger.error('存储过期清理失败', {
+                type: 'storage_cleanup_error',
+                namespace: storage.namespace,
+                error: error.message
+            });
+        }
+    }
+
+    if (cleanedCount > 0) {
+        logger.info('存储过期清理完成', {
+            type: 'storage_cleanup',
+            cleanedCount: cleanedCount
+        });
+    }
+
+    return cleanedCount;
+}
+
+/**
+ * 将所有存储立即落盘（进程退出前调用）
+ */
+function flushAll() {
+    for (const storage of storages.values()) {
+        storage.flush();
+    }
+}
+
+/**
+ * 获取（或创建）指定命名空间的存储，同一命名空间全局共享一个实例
+ * @param {string} namespace - 命名空间
+ * @param {Object} options - 配置
+ * @param {number} options.defaultTTL - 默认过期时间（毫秒）
+ * @returns {MemoryStorage} 存储实例
+ */
+function createStorage(namespace, options = {}) {
+    if (storages.has(namespace)) {
+        return storages.get(namespace);
+    }
+
+    const driver = config.storage.driver;
+    const StorageClass = STORAGE_DRIVERS[driver];
+    if (!StorageClass) {
+        throw new Error(`不支持的存储驱动: ${driver}`);
+    }
+
+    const storage = new StorageClass(namespace, {
+        dir: config.storage.dir,
+        flushDelay: config.storage.flushDelay,
+        ...options
+    });
+    storages.set(namespace, storage);
+
+    // 所有存储共用一个过期清理定时器
+    if (!cleanupTimer) {
+        cleanupTimer = setInterval(cleanupAll, config.storage.cleanupInterval);
+        cleanupTimer.unref();
+    }
+
+    logger.info('初始化存储', {
+        type: 'storage_init',
+        namespace: namespace,
+        driver: driver,
+        size: storage.size
+    });
+
+    return storage;
+}
+
+/**
+ * 获取所有存储的状态
+ * @returns {Object} 状态信息
+ */
+function getStorageStatus() {
+    return {
+        driver: config.storage.driver,
+        cleanupInterval: config.storage.cleanupInterval,
+        namespaces: Array.from(storages.values()).map((storage) => storage.getStatus())
+    };
+}
+
+// 进程退出前把未落盘的数据写入文件
+process.on('exit', flushAll);
+
+module.exports = {
+    MemoryStorage,
+    FileStorage,
+    createStorage,
+    cleanupAll,
+    flushAll,
+    getStorageStatus
+};
@@ -4,6 +4,7 @@
  */
 const { Transform } = require('stream');
 const logger = require('./logger');
+const { metrics } = require('./metrics');
 
 class StreamOptimizer {
     constructor(options = {}) {
@@ -478,7 +479,7 @@ class SSEProcessor {
                 });
             }
         } catch (error) {
-            console.error('[SSE] 发送消息失败:', error);
+            logger.error('[SSE] 发送消息失败:', error);
             this.handleError(error);
         }
     }
@@ -506,7 +507,7 @@ class SSEProcessor {
         
         // 调试：记录message_end事件的完整消息
         if (event === 'message_end') {
-            console.log('[SSE] message_end事件的完整消息:', message.substring(0, 500));
+            logger.debug('[SSE] 发送message_end事件', { length: message.length });
         }
         
         return message;
@@ -534,7 +535,7 @@ class SSEProcessor {
         if (shouldFlush && this.buffer.length > 0 && !this.isEnded && this.isConnected) {
             try {
                 const messages = this.buffer.join('');
-                console.log('[SSE] 刷新缓冲区:', {
+                logger.debug('[SSE] 刷新缓冲区:', {
                     messageCount: this.buffer.length,
                     dataSize: messages.length,
                     messages: messages.substring(0, 200) + (messages.length > 200 ? '...' : '')
@@ -551,7 +552,7 @@ class SSEProcessor {
                     dataSize: messages.length
                 });
             } catch (error) {
-                console.error('[SSE] 刷新缓冲区失败:', error);
+                logger.error('[SSE] 刷新缓冲区失败:', error);
                 this.handleError(error);
             }
         }
@@ -647,6 +648,37 @@ const streamOptimizer = new StreamOptimizer({
     minChunkSize: parseInt(process.env.STREAM_MIN_CHUNK_SIZE) || 512 // 减少最小块大小
 });
 
+// 抓取 /metrics 时从流式优化器统计同步
+metrics.gauge({
+    name: 'stream_active',
+    help: '进行中的流式响应数',
+    collect: gauge => gauge.set({}, streamOptimizer.stats.activeStreams)
+});
+
+metrics.counter({
+    name: 'stream_total',
+    help: '创建的流式响应数',
+    collect: counter => counter.set({}, streamOptimizer.stats.totalStreams)
+});
+
+metrics.counter({
+    name: 'stream_errors_total',
+    help: '出错的流式响应数',
+    collect: counter => counter.set({}, streamOptimizer.stats.errors)
+});
+
+metrics.counter({
+    name: 'stream_bytes_total',
+    help: '流式处理的字节数',
+    collect: counter => counter.set({}, streamOptimizer.stats.bytesProcessed)
+});
+
+metrics.counter({
+    name: 'stream_chunks_total',
+    help: '流式处理的数据块数',
+    collect: counter => counter.set({}, streamOptimizer.stats.chunksProcessed)
+});
+
 module.exports = {
     StreamOptimizer,
     StreamProcessor,
@@ -5,6 +5,7 @@
  */
 const axios = require('axios');
 const config = require('../config/config');
+const logger = require('./logger');
 
 // 内存缓存 token（进程重启后丢失）
 let tokenCache = {
@@ -18,11 +19,9 @@ let tokenCache = {
  */
 async function getAccessToken() {
     try {
-        console.log('正在获取新的access_token...');
+        logger.info('正在获取新的access_token...');
         const url = `${config.apiBase}/gettoken?corpid=${config.corpId}&corpsecret=${config.corpSecret}`;
         const response = await axios.get(url);
-        console.log("corpid is:" + config.corpId.toString())
-        console.log("corpsecret is:" + config.corpSecret.toString())
 
         if (response.data.errcode === 0) {
             const accessToken = response.data.access_token;
@@ -34,13 +33,13 @@ async function getAccessToken() {
                 expiresAt: Date.now() + expiresIn * 1000
             };
 
-            console.log(`Access token获取成功，有效期为${expiresIn}秒`);
+            logger.info(`Access token获取成功，有效期为${expiresIn}秒`);
             return accessToken;
         } else {
             throw new Error(`获取access_token失败: ${response.data.errmsg}`);
         }
     } catch (error) {
-        console.error('获取access_token出错:', error.message);
+        logger.error('获取access_token出错:', error.message);
         throw error;
     }
 }
@@ -53,20 +52,20 @@ async function getValidAccessToken() {
     try {
         // 检查内存缓存是否有效（提前5分钟刷新）
         if (tokenCache.accessToken && tokenCache.expiresAt > Date.now() + 300000) {
-            console.log('使用缓存的access_token');
+            logger.info('使用缓存的access_token');
             return tokenCache.accessToken;
         }
 
         if (tokenCache.accessToken) {
-            console.log('缓存的token已过期或即将过期，重新获取');
+            logger.info('缓存的token已过期或即将过期，重新获取');
         } else {
-            console.log('首次获取access_token');
+            logger.info('首次获取access_token');
         }
 
         // 重新获取
         return await getAccessToken();
     } catch (error) {
-        console.error('获取有效access_token出错:', error.message);
+        logger.error('获取有效access_token出错:', error.message);
         return await getAccessToken(); // 出错时，尝试重新获取
     }
 }
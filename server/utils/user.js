@@ -111,7 +111,37 @@ async function getUserDetail(userId) {
     }
 }
 
+/**
+ * 获取标签成员
+ * 使用企业微信API: GET /cgi-bin/tag/get
+ * @param {string|number} tagId 标签ID
+ * @returns {Promise<Object|null>} { userIds: string[], departmentIds: number[] }
+ */
+async function getTagMembers(tagId) {
+    try {
+        const accessToken = await tokenUtils.getValidAccessToken();
+
+        const response = await axios.get(
+            `${config.apiBase}/tag/get?access_token=${accessToken}&tagid=${tagId}`
+        );
+
+        if (response.data.errcode === 0) {
+            return {
+                userIds: (response.data.userlist || []).map(user => user.userid),
+                departmentIds: response.data.partylist || []
+            };
+        } else {
+            logger.error('获取标签成员失败:', response.data);
+            return null;
+        }
+    } catch (error) {
+        logger.error('获取标签成员错误:', error);
+        return null;
+    }
+}
+
 module.exports = {
     getUserInfoByCode,
-    getUserDetail
+    getUserDetail,
+    getTagMembers
 };
@@ -0,0 +1,145 @@
+/**
+ * 企业微信应用消息工具
+ * 通过 message/send 接口主动向成员推送消息（用于被动回复窗口之外的异步回复），
+ * 通过 media/get 接口下载成员发送的语音、图片等临时素材
+ */
+const axios = require('axios');
+const config = require('../config/config');
+const tokenUtils = require('./token');
+const logger = require('./logger');
+
+// 企业微信文本消息内容上限为2048字节，预留部分余量
+const MAX_TEXT_BYTES = 2000;
+
+/**
+ * 按字节长度切分文本，优先在换行处断开
+ * @param {string} content - 原始文本
+ * @param {number} maxBytes - 单段最大字节数
+ * @returns {string[]} 切分后的文本段
+ */
+function splitTextByBytes(content, maxBytes = MAX_TEXT_BYTES) {
+    const parts = [];
+    let current = '';
+
+    for (const char of content) {
+        if (Buffer.byteLength(current + char, 'utf8') > maxBytes) {
+            const lastBreak = current.lastIndexOf('\n');
+            if (lastBreak > 0) {
+                parts.push(current.slice(0, lastBreak));
+                current = current.slice(lastBreak + 1);
+            } else {
+                parts.push(current);
+                current = '';
+            }
+        }
+        current += char;
+    }
+
+    if (current.trim()) {
+        parts.push(current);
+    }
+
+    return parts;
+}
+
+/**
+ * 发送应用消息
+ * @param {Object} payload - 消息体（不含 agentid）
+ * @returns {Promise<Object>} 企业微信接口响应
+ */
+async function sendMessage(payload) {
+    const accessToken = await tokenUtils.getValidAccessToken();
+    const url = `${config.apiBase}/message/send?access_token=${accessToken}`;
+
+    const response = await axios.post(url, {
+        ...payload,
+        agentid: config.agentId
+    });
+
+    if (response.data.errcode !== 0) {
+        logger.error('企业微信应用消息发送失败', {
+            type: 'wecom_message_send_error',
+            toUser: payload.touser,
+            msgType: payload.msgtype,
+            errcode: response.data.errcode,
+            errmsg: response.data.errmsg
+        });
+        throw new Error(`发送应用消息失败: ${response.data.errmsg}`);
+    }
+
+    logger.info('企业微信应用消息发送成功', {
+        type: 'wecom_message_send_success',
+        toUser: payload.touser,
+        msgType: payload.msgtype,
+        msgId: response.data.msgid
+    });
+
+    return response.data;
+}
+
+/**
+ * 向成员发送文本消息，超长内容自动分段发送
+ * @param {string} toUser - 成员UserID
+ * @param {string} content - 文本内容
+ * @returns {Promise<Object[]>} 每段消息的接口响应
+ */
+async function sendTextMessage(toUser, content) {
+    const results = [];
+
+    for (const part of splitTextByBytes(content)) {
+        results.push(await sendMessage({
+            touser: toUser,
+            msgtype: 'text',
+            text: { content: part }
+        }));
+    }
+
+    return results;
+}
+
+/**
+ * 下载临时素材
+ * @param {string} mediaId - 素材MediaId
+ * @returns {Promise<Object>} { buffer, contentType, filename }
+ */
+async function downloadMedia(mediaId) {
+    const accessToken = await tokenUtils.getValidAccessToken();
+    const url = `${config.apiBase}/media/get?access_token=${accessToken}&media_id=${encodeURIComponent(mediaId)}`;
+
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+    const contentType = response.headers['content-type'] || 'application/octet-stream';
+    const buffer = Buffer.from(response.data);
+
+    // 失败时接口返回JSON错误信息而不是文件内容
+    if (contentType.includes('application/json') || contentType.includes('text/plain')) {
+        const result = JSON.parse(buffer.toString('utf8'));
+        logger.error('企业微信素材下载失败', {
+            type: 'wecom_media_download_error',
+            mediaId: mediaId,
+            errcode: result.errcode,
+            errmsg: result.errmsg
+        });
+        throw new Error(`下载素材失败: ${result.errmsg}`);
+    }
+
+    const disposition = response.headers['content-disposition'] || '';
+    const filenameMatch = disposition.match(/filename="?([^";]+)"?/);
+    const filename = filenameMatch ? filenameMatch[1] : `${mediaId}`;
+
+    logger.info('企业微信素材下载成功', {
+        type: 'wecom_media_download_success',
+        mediaId: mediaId,
+        contentType: contentType,
+        filename: filename,
+        size: buffer.length
+    });
+
+    return { buffer, contentType, filename };
+}
+
+module.exports = {
+    downloadMedia,
+    sendMessage,
+    sendTextMessage,
+    splitTextByBytes
+};
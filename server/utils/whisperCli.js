@@ -0,0 +1,98 @@
+/**
+ * 本地语音识别工具
+ * 调用 whisper.cpp 风格的命令行离线识别音频，不依赖外部服务
+ * - 输入需为 16kHz 单声道 wav（由 audioTranscoder 转码）
+ * - 命令行从文件读取音频，识别前写入临时文件，结束后删除
+ */
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * 识别 wav 音频
+ * 命令不存在时抛出的错误 code 为 RECOGNIZER_UNAVAILABLE
+ * @param {Buffer} wavBuffer - 16kHz 单声道 wav
+ * @param {Object} options - 选项
+ * @param {string} options.command - 命令路径
+ * @param {string} options.model - 模型文件路径
+ * @param {string} options.language - 语言，如 zh
+ * @param {number} options.threads - 线程数，0 表示使用命令默认值
+ * @param {number} options.timeout - 超时（毫秒）
+ * @returns {Promise<string>} 识别文字
+ */
+async function recognizeWav(wavBuffer, options) {
+    const inputPath = path.join(os.tmpdir(), `speech_${crypto.randomBytes(8).toString('hex')}.wav`);
+    await fs.promises.writeFile(inputPath, wavBuffer);
+
+    try {
+        return await runCommand(inputPath, options);
+    } finally {
+        fs.promises.unlink(inputPath).catch(() => {});
+    }
+}
+
+/**
+ * 执行识别命令
+ * @param {string} inputPath - wav 文件路径
+ * @param {Object} options - 同 recognizeWav
+ * @returns {Promise<string>} 识别文字
+ */
+function runCommand(inputPath, options) {
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        // -nt: 不输出时间戳，-np: 只输出识别结果
+        const args = ['-m', options.model, '-f', inputPath, '-l', options.language || 'zh', '-nt', '-np'];
+        if (options.threads > 0) {
+            args.push('-t', String(options.threads));
+        }
+
+        const recognizer = spawn(options.command, args);
+        let stdout = '';
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            recognizer.kill('SIGKILL');
+            reject(new Error(`本地语音识别超时（${options.timeout / 1000}秒）`));
+        }, options.timeout);
+
+        recognizer.stdout.on('data', (chunk) => {
+            stdout += chunk;
+        });
+        recognizer.stderr.on('data', (chunk) => {
+            stderr += chunk;
+        });
+
+        recognizer.on('error', (error) => {
+            clearTimeout(timer);
+            const startError = new Error(`无法启动本地语音识别: ${error.message}`);
+            if (error.code === 'ENOENT') {
+                startError.code = 'RECOGNIZER_UNAVAILABLE';
+            }
+            reject(startError);
+        });
+
+        recognizer.on('close', (code) => {
+            clearTimeout(timer);
+
+            if (code !== 0) {
+                reject(new Error(`本地语音识别失败: ${stderr.trim().slice(-500) || `退出码 ${code}`}`));
+                return;
+            }
+
+            const text = stdout.split('\n').map(line => line.trim()).filter(Boolean).join('');
+            logger.debug('本地语音识别完成', {
+                type: 'local_speech_recognized',
+                textLength: text.length,
+                duration: Date.now() - startTime
+            });
+            resolve(text);
+        });
+    });
+}
+
+module.exports = {
+    recognizeWav
+};
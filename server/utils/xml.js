@@ -0,0 +1,148 @@
+/**
+ * 企业微信回调XML工具
+ * 企业微信回调报文结构简单（无属性、无混合内容），这里只实现所需子集：
+ * 元素嵌套、CDATA、实体转义
+ */
+
+const ENTITY_MAP = {
+    '&lt;': '<',
+    '&gt;': '>',
+    '&amp;': '&',
+    '&quot;': '"',
+    '&apos;': '\''
+};
+
+/**
+ * 反转义XML实体
+ * @param {string} text - 原始文本
+ * @returns {string} 反转义后的文本
+ */
+function decodeEntities(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos);/g, (entity) => ENTITY_MAP[entity]);
+}
+
+/**
+ * 解析已屏蔽CDATA的元素内容：包含子元素时返回对象，否则返回文本
+ * CDATA只在叶子节点还原，其中的尖括号不会被当作元素再次解析
+ * @param {string} masked - 元素内部的XML片段（CDATA已替换为占位符）
+ * @param {Array<string>} cdata - 占位符对应的CDATA文本
+ * @returns {Object|string} 解析结果
+ */
+function parseMasked(masked, cdata) {
+    const elementPattern = /<([A-Za-z_][\w.-]*)\s*(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+    const result = {};
+    let hasChildren = false;
+    let match;
+
+    while ((match = elementPattern.exec(masked)) !== null) {
+        hasChildren = true;
+        const name = match[1];
+        const value = parseMasked(match[2] || '', cdata);
+
+        // 同名元素出现多次时转为数组
+        if (Object.prototype.hasOwnProperty.call(result, name)) {
+            result[name] = [].concat(result[name], value);
+        } else {
+            result[name] = value;
+        }
+    }
+
+    if (hasChildren) {
+        return result;
+    }
+
+    // 纯文本：CDATA原样保留，其余部分反转义
+    return masked
+        .split(/(\uE000\d+\uE000)/)
+        .map((part) => {
+            const placeholder = part.match(/^\uE000(\d+)\uE000$/);
+            return placeholder ? cdata[placeholder[1]] : decodeEntities(part);
+        })
+        .join('')
+        .trim();
+}
+
+/**
+ * 解析元素内容：包含子元素时返回对象，否则返回文本
+ * @param {string} body - 元素内部的XML片段
+ * @returns {Object|string} 解析结果
+ */
+function parseContent(body) {
+    // 先把CDATA替换为占位符（使用Unicode私用区字符），避免其中的尖括号干扰元素匹配
+    const cdata = [];
+    const masked = body.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) => {
+        cdata.push(text);
+        return `\uE000${cdata.length - 1}\uE000`;
+    });
+
+    return parseMasked(masked, cdata);
+}
+
+/**
+ * 解析XML字符串
+ * @param {string} xml - XML字符串
+ * @returns {Object} 以根元素名为键的对象，如 { xml: { ToUserName: '...' } }
+ */
+function parseXml(xml) {
+    if (!xml || typeof xml !== 'string') {
+        throw new Error('XML内容为空');
+    }
+
+    const cleaned = xml
+        .replace(/<\?xml[\s\S]*?\?>/, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .trim();
+
+    const root = parseContent(cleaned);
+    if (typeof root !== 'object' || Object.keys(root).length === 0) {
+        throw new Error('无效的XML内容');
+    }
+
+    return root;
+}
+
+/**
+ * 序列化单个值，字符串使用CDATA包裹，数字原样输出
+ * @param {string} name - 元素名
+ * @param {*} value - 元素值
+ * @returns {string} XML片段
+ */
+function serializeElement(name, value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => serializeElement(name, item)).join('');
+    }
+
+    if (typeof value === 'object') {
+        const inner = Object.keys(value)
+            .map((key) => serializeElement(key, value[key]))
+            .join('');
+        return `<${name}>${inner}</${name}>`;
+    }
+
+    if (typeof value === 'number') {
+        return `<${name}>${value}</${name}>`;
+    }
+
+    // CDATA中不能出现 "]]>"，需拆分为两个CDATA段
+    const text = String(value).replace(/\]\]>/g, ']]]]><![CDATA[>');
+    return `<${name}><![CDATA[${text}]]></${name}>`;
+}
+
+/**
+ * 构建XML字符串
+ * @param {Object} data - 元素对象
+ * @param {string} rootName - 根元素名，默认 xml
+ * @returns {string} XML字符串
+ */
+function buildXml(data, rootName = 'xml') {
+    return serializeElement(rootName, data);
+}
+
+module.exports = {
+    parseXml,
+    buildXml
+};
@@ -0,0 +1,68 @@
+/**
+ * 交互卡片：提交时校验成员、会话和字段值，每张卡片只能提交一次，运行: npm test
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CardService } = require('../server/services/cardService');
+const { normalizeCard } = require('../server/utils/interactiveCards');
+
+const CARD = normalizeCard({
+    id: 'work_certificate',
+    title: '开具在职证明',
+    fields: [
+        { name: 'based_on_position', type: 'yes_no', label: '是否基于工作部门及职位开具在职证明', required: true },
+        { name: 'purpose', type: 'choice', label: '工作证明用途', required: true, options: ['签证', '贷款'] }
+    ]
+});
+
+const VALUES = { based_on_position: true, purpose: '签证' };
+
+describe('CardService.submit', () => {
+    let service;
+    let cardId;
+
+    beforeEach(() => {
+        service = new CardService();
+        service.storage.clear();
+        ({ cardId } = service.issue('zhangsan', 'conv_1', CARD));
+    });
+
+    /**
+     * 断言提交被拒绝并返回指定错误码
+     * @param {Function} submit - 提交操作
+     * @param {string} code - 错误码
+     */
+    function assertRejected(submit, code) {
+        assert.throws(submit, error => error.code === code);
+    }
+
+    it('提交成功时生成发回 Bot 的消息', () => {
+        const submission = service.submit('zhangsan', 'conv_1', { card_id: cardId, values: VALUES }, 'req_1');
+
+        assert.match(submission.query, /【开具在职证明】/);
+        assert.match(submission.query, /```card_response/);
+    });
+
+    it('其他成员不能提交', () => {
+        assertRejected(() => service.submit('lisi', 'conv_1', { card_id: cardId, values: VALUES }), 'CARD_NOT_FOUND');
+    });
+
+    it('其他会话中不能提交', () => {
+        assertRejected(() => service.submit('zhangsan', 'conv_2', { card_id: cardId, values: VALUES }), 'CARD_NOT_FOUND');
+    });
+
+    it('字段值无效时拒绝，卡片仍可重新提交', () => {
+        assertRejected(
+            () => service.submit('zhangsan', 'conv_1', { card_id: cardId, values: { purpose: '其他' } }),
+            'CARD_INVALID_VALUES'
+        );
+
+        assert.ok(service.submit('zhangsan', 'conv_1', { card_id: cardId, values: VALUES }));
+    });
+
+    it('同一张卡片不能重复提交', () => {
+        service.submit('zhangsan', 'conv_1', { card_id: cardId, values: VALUES });
+
+        assertRejected(() => service.submit('zhangsan', 'conv_1', { card_id: cardId, values: VALUES }), 'CARD_NOT_FOUND');
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * 会话导出：远程图片只从白名单主机下载并内嵌，运行: npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// 白名单在加载时读取
+process.env.EXPORT_IMAGE_HOSTS = '127.0.0.1';
+
+const { embedRemoteImages } = require('../server/utils/documentConverter');
+
+// 1x1 透明 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+describe('embedRemoteImages', () => {
+    let server;
+    let port;
+
+    before(async () => {
+        const app = express();
+        app.get('/logo.png', (req, res) => res.type('png').send(PNG));
+        app.get('/page.html', (req, res) => res.type('html').send('<html></html>'));
+        app.get('/redirect.png', (req, res) => res.redirect('http://localhost/logo.png'));
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        port = server.address().port;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('内嵌白名单主机上的图片', async () => {
+        const markdown = await embedRemoteImages(`图示：![标志](http://127.0.0.1:${port}/logo.png "标题")`);
+        assert.equal(markdown, `图示：![标志](data:image/png;base64,${PNG.toString('base64')})`);
+    });
+
+    it('其他主机的图片以说明文字代替，不发起请求', async () => {
+        const markdown = await embedRemoteImages(`![内网](http://localhost:${port}/logo.png) ![](http://169.254.169.254/latest)`);
+        assert.equal(markdown, '[图片: 内网] [图片]');
+    });
+
+    it('不内嵌非图片内容，也不跟随重定向', async () => {
+        const markdown = await embedRemoteImages(
+            `![a](http://127.0.0.1:${port}/page.html) ![b](http://127.0.0.1:${port}/redirect.png)`
+        );
+        assert.equal(markdown, '[图片: a] [图片: b]');
+    });
+
+    it('引用式图片按引用定义内嵌或以说明文字代替', async () => {
+        const markdown = await embedRemoteImages([
+            '![标志][Logo] ![外部][] ![截图]',
+            '',
+            `[logo]: http://127.0.0.1:${port}/logo.png "标题"`,
+            '[外部]: http://example.com/a.png',
+            '[截图]: ./screenshot.png'
+        ].join('\n'));
+
+        assert.equal(markdown.split('\n')[0],
+            `![标志](data:image/png;base64,${PNG.toString('base64')}) [图片: 外部] [图片: 截图]`);
+    });
+
+    it('HTML 图片和本地路径的图片以说明文字代替', async () => {
+        const markdown = await embedRemoteImages(
+            `<img src="http://127.0.0.1:${port}/logo.png" alt="标志"> <img src=x.png> ![本地](<./my file.png>) ![文件](file:///etc/passwd)`
+        );
+        assert.equal(markdown, '[图片: 标志] [图片] [图片: 本地] [图片: 文件]');
+    });
+
+    it('不处理普通链接', async () => {
+        const markdown = '[文档](http://example.com/doc)';
+        assert.equal(await embedRemoteImages(markdown), markdown);
+    });
+});
@@ -0,0 +1,26 @@
+/**
+ * 测试用的 Coze OAuth 私钥
+ * jwtService 加载时读取 COZE_OAUTH_PRIVATE_KEY_PATH，测试中生成临时私钥，不需要真实的 OAuth 应用
+ */
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+/**
+ * 生成临时私钥文件并设置 COZE_OAUTH_PRIVATE_KEY_PATH
+ * @returns {Function} 删除临时文件
+ */
+function useTemporaryPrivateKey() {
+    const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coze-oauth-test-'));
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    process.env.COZE_OAUTH_PRIVATE_KEY_PATH = path.join(keyDir, 'private_key.pem');
+    fs.writeFileSync(process.env.COZE_OAUTH_PRIVATE_KEY_PATH, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+    return () => fs.rmSync(keyDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    useTemporaryPrivateKey
+};
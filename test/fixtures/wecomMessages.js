@@ -0,0 +1,78 @@
+/**
+ * 企业微信回调测试数据
+ * 使用虚构的企业ID、Token 和 EncodingAESKey，不需要真实的企业微信应用
+ */
+
+// 43位 EncodingAESKey（base64 解码后为32字节AES密钥）
+const FAKE_CORP = {
+    corpId: 'wwfakecorp0000000001',
+    token: 'fakeCallbackToken',
+    encodingAESKey: 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG'
+};
+
+// 明文回调消息，expected 为解析后的 xml 节点
+const MESSAGES = [
+    {
+        name: '文本消息',
+        xml: '<xml><ToUserName><![CDATA[wwfakecorp0000000001]]></ToUserName>' +
+            '<FromUserName><![CDATA[zhangsan]]></FromUserName><CreateTime>1700000000</CreateTime>' +
+            '<MsgType><![CDATA[text]]></MsgType><Content><![CDATA[年假还剩几天？]]></Content>' +
+            '<MsgId>7000000000000000001</MsgId><AgentID>1000002</AgentID></xml>',
+        expected: {
+            ToUserName: 'wwfakecorp0000000001',
+            FromUserName: 'zhangsan',
+            CreateTime: '1700000000',
+            MsgType: 'text',
+            Content: '年假还剩几天？',
+            MsgId: '7000000000000000001',
+            AgentID: '1000002'
+        }
+    },
+    {
+        name: 'CDATA中包含尖括号的文本消息',
+        xml: '<xml><FromUserName><![CDATA[lisi]]></FromUserName><MsgType><![CDATA[text]]></MsgType>' +
+            '<Content><![CDATA[<b>hi</b> there & <p>z</p>]]></Content></xml>',
+        expected: {
+            FromUserName: 'lisi',
+            MsgType: 'text',
+            Content: '<b>hi</b> there & <p>z</p>'
+        }
+    },
+    {
+        name: '实体转义的文本',
+        xml: '<xml><FromUserName>wangwu</FromUserName><MsgType>text</MsgType>' +
+            '<Content>1 &lt; 2 &amp;&amp; 3 &gt; 2</Content></xml>',
+        expected: {
+            FromUserName: 'wangwu',
+            MsgType: 'text',
+            Content: '1 < 2 && 3 > 2'
+        }
+    },
+    {
+        name: '语音消息',
+        xml: '<xml><FromUserName><![CDATA[zhangsan]]></FromUserName><MsgType><![CDATA[voice]]></MsgType>' +
+            '<MediaId><![CDATA[media_voice_001]]></MediaId><Format><![CDATA[amr]]></Format></xml>',
+        expected: {
+            FromUserName: 'zhangsan',
+            MsgType: 'voice',
+            MediaId: 'media_voice_001',
+            Format: 'amr'
+        }
+    },
+    {
+        name: '菜单点击事件',
+        xml: '<xml><FromUserName><![CDATA[zhangsan]]></FromUserName><MsgType><![CDATA[event]]></MsgType>' +
+            '<Event><![CDATA[click]]></Event><EventKey><![CDATA[new_conversation]]></EventKey></xml>',
+        expected: {
+            FromUserName: 'zhangsan',
+            MsgType: 'event',
+            Event: 'click',
+            EventKey: 'new_conversation'
+        }
+    }
+];
+
+module.exports = {
+    FAKE_CORP,
+    MESSAGES
+};
@@ -0,0 +1,208 @@
+/**
+ * 意图路由：关键词、正则和模糊匹配，规则自带的样例问句，以及切换Bot的权限校验
+ * 不调用 Coze，Bot 权限和写入Bot变量由测试替换，运行: npm test
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryPrivateKey } = require('./fixtures/privateKey');
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.COZE_AUTH_METHOD = 'pat';
+process.env.COZE_API_KEY = process.env.COZE_API_KEY || 'pat_fake';
+process.env.COZE_BOT_ID = process.env.COZE_BOT_ID || 'fake_bot';
+
+const SHIPPED_RULES = require('../server/config/intents');
+
+const RULES = [
+    {
+        name: 'work_proof',
+        match: { keywords: ['工作证明', 'Work Certificate'] },
+        actions: [{ type: 'credential', credential: 'oa_session' }]
+    },
+    {
+        name: 'leave_balance',
+        match: { patterns: ['(年假|调休).*(几天|多少)'] },
+        actions: [{ type: 'search_mode', mode: 'enterprise' }]
+    },
+    {
+        name: 'reimbursement',
+        match: { fuzzy: { phrases: ['报销流程'], threshold: 0.6 } },
+        actions: [{ type: 'switch_bot', botId: 'finance_bot' }]
+    }
+];
+
+describe('IntentRouter', () => {
+    let IntentRouter;
+    let botRegistry;
+    let cozeSDKAdapter;
+    let removePrivateKey;
+    let router;
+
+    before(() => {
+        removePrivateKey = useTemporaryPrivateKey();
+        ({ IntentRouter } = require('../server/services/intentRouter'));
+        ({ botRegistry } = require('../server/services/botRegistry'));
+        cozeSDKAdapter = require('../server/utils/cozeSDKAdapter');
+    });
+
+    after(() => removePrivateKey());
+
+    beforeEach(() => {
+        router = new IntentRouter({ rules: RULES });
+    });
+
+    /**
+     * 获取问句命中的规则名
+     * @param {string} query - 用户问句
+     * @returns {Array<string>} 规则名
+     */
+    function matchedNames(query) {
+        return router.match(query).map(result => result.rule.name);
+    }
+
+    describe('匹配', () => {
+        it('关键词忽略大小写和空白', () => {
+            assert.deepEqual(matchedNames('帮我开 工作 证明'), ['work_proof']);
+            assert.equal(router.match('I need a work certificate')[0].matcher, 'keyword');
+        });
+
+        it('正则匹配', () => {
+            const [result] = router.match('我的年假还剩几天？');
+            assert.equal(result.rule.name, 'leave_balance');
+            assert.equal(result.matcher, 'pattern');
+        });
+
+        it('模糊匹配按字符二元组重合度打分', () => {
+            const [result] = router.match('报销的流程是什么');
+            assert.equal(result.rule.name, 'reimbursement');
+            assert.equal(result.matcher, 'fuzzy');
+            assert.ok(result.score >= 0.6 && result.score < 1);
+        });
+
+        it('未达到阈值或无关问句不命中', () => {
+            assert.deepEqual(matchedNames('出差流程'), []);
+            assert.deepEqual(matchedNames('今天食堂吃什么'), []);
+            assert.deepEqual(matchedNames(''), []);
+        });
+
+        it('跳过无效规则', () => {
+            const invalidRouter = new IntentRouter({
+                rules: [
+                    { name: 'no_actions', match: { keywords: ['a'] }, actions: [] },
+                    { name: 'bad_action', match: { keywords: ['a'] }, actions: [{ type: 'unknown' }] },
+                    { name: 'bad_pattern', match: { patterns: ['('] }, actions: [{ type: 'search_mode', mode: 'internet' }] },
+                    ...RULES
+                ]
+            });
+            assert.deepEqual(invalidRouter.rules.map(rule => rule.name), RULES.map(rule => rule.name));
+        });
+    });
+
+    describe('内置规则的样例问句', () => {
+        it('所有样例问句的匹配结果符合预期', () => {
+            const shippedRouter = new IntentRouter({ rules: SHIPPED_RULES });
+            assert.equal(shippedRouter.rules.length, SHIPPED_RULES.length);
+            assert.deepEqual(shippedRouter.checkExamples(), []);
+        });
+
+        for (const rule of SHIPPED_RULES) {
+            const { match = [], noMatch = [] } = rule.examples || {};
+
+            for (const query of match) {
+                it(`${rule.name} 命中: ${query}`, () => {
+                    const shippedRouter = new IntentRouter({ rules: SHIPPED_RULES });
+                    assert.ok(shippedRouter.match(query).some(result => result.rule.name === rule.name));
+                });
+            }
+
+            for (const query of noMatch) {
+                it(`${rule.name} 不命中: ${query}`, () => {
+                    const shippedRouter = new IntentRouter({ rules: SHIPPED_RULES });
+                    assert.ok(!shippedRouter.match(query).some(result => result.rule.name === rule.name));
+                });
+            }
+        }
+    });
+
+    describe('执行动作', () => {
+        let resolveBot;
+        let setBotVariables;
+        let allowedBots;
+        let writtenVariables;
+
+        before(() => {
+            resolveBot = botRegistry.resolveBot;
+            setBotVariables = cozeSDKAdapter.setBotVariables;
+
+            botRegistry.resolveBot = async (userId, userInfo, botId) => (
+                allowedBots.includes(botId) ? { botId } : null
+            );
+            cozeSDKAdapter.setBotVariables = async (botId, variables) => {
+                writtenVariables.push({ botId, variables });
+            };
+        });
+
+        after(() => {
+            botRegistry.resolveBot = resolveBot;
+            cozeSDKAdapter.setBotVariables = setBotVariables;
+        });
+
+        beforeEach(() => {
+            allowedBots = [];
+            writtenVariables = [];
+        });
+
+        it('有权使用时切换Bot', async () => {
+            allowedBots = ['finance_bot'];
+
+            const result = await router.route('报销流程', { userId: 'zhangsan', botId: 'default_bot' });
+
+            assert.equal(result.botId, 'finance_bot');
+            assert.deepEqual(result.intents.map(intent => intent.name), ['reimbursement']);
+        });
+
+        it('无权使用目标Bot时保留原来的Bot', async () => {
+            const result = await router.route('报销流程', { userId: 'zhangsan', botId: 'default_bot' });
+
+            assert.equal(result.botId, 'default_bot');
+            assert.deepEqual(result.intents.map(intent => intent.name), ['reimbursement']);
+        });
+
+        it('强制搜索模式', async () => {
+            const result = await router.route('年假还剩几天', { userId: 'zhangsan', searchMode: 'internet' });
+            assert.equal(result.searchMode, 'enterprise');
+        });
+
+        it('凭证写入切换后的Bot', async () => {
+            allowedBots = ['finance_bot'];
+            const combined = new IntentRouter({
+                rules: [{
+                    name: 'finance_proof',
+                    match: { keywords: ['收入证明'] },
+                    actions: [
+                        { type: 'credential', credential: 'oa_session' },
+                        { type: 'switch_bot', botId: 'finance_bot' }
+                    ]
+                }]
+            });
+            combined.registerCredentialProvider('oa_session', async () => 'session_token', 'oa_token');
+
+            const result = await combined.route('开收入证明', { userId: 'zhangsan', botId: 'default_bot' });
+
+            assert.deepEqual(result.variables, ['oa_token']);
+            assert.deepEqual(writtenVariables, [{
+                botId: 'finance_bot',
+                variables: [{ keyword: 'oa_token', value: 'session_token' }]
+            }]);
+        });
+
+        it('凭证获取失败时不写入变量，不影响其他动作', async () => {
+            router.registerCredentialProvider('oa_session', async () => null, 'oa_token');
+
+            const result = await router.route('工作证明', { userId: 'zhangsan', botId: 'default_bot' });
+
+            assert.deepEqual(result.variables, []);
+            assert.deepEqual(writtenVariables, []);
+        });
+    });
+});
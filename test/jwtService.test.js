@@ -0,0 +1,97 @@
+/**
+ * Coze 访问令牌：过期时间计算和令牌被拒绝后的重新签发
+ * 不调用 Coze，令牌交换由测试替换，运行: npm test
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryPrivateKey } = require('./fixtures/privateKey');
+
+process.env.COZE_OAUTH_CLIENT_ID = process.env.COZE_OAUTH_CLIENT_ID || 'fake_client';
+process.env.COZE_OAUTH_KID = process.env.COZE_OAUTH_KID || 'fake_kid';
+
+describe('jwtService', () => {
+    let JwtService;
+    let removePrivateKey;
+    let service;
+    let exchanges;
+
+    before(() => {
+        removePrivateKey = useTemporaryPrivateKey();
+        ({ JwtService } = require('../server/utils/jwtService'));
+    });
+
+    after(() => removePrivateKey());
+
+    beforeEach(() => {
+        service = new JwtService();
+        exchanges = 0;
+
+        // Coze 返回的 expires_in 为过期时刻的Unix时间戳（秒）
+        service.exchangeForAccessToken = async () => {
+            exchanges++;
+            return {
+                access_token: `token_${exchanges}`,
+                token_type: 'Bearer',
+                expires_in: Math.floor(Date.now() / 1000) + 3600
+            };
+        };
+    });
+
+    it('按 expires_in 时间戳计算过期时间', async () => {
+        const expiresIn = Math.floor(Date.now() / 1000) + 900;
+        service.exchangeForAccessToken = async () => ({ access_token: 'token', expires_in: expiresIn });
+
+        const tokenData = await service.generateUserToken('zhangsan');
+
+        assert.equal(tokenData.expires_at, expiresIn * 1000);
+        assert.equal(service.isTokenExpiringSoon(tokenData, 5), false);
+        assert.equal(service.isTokenExpiringSoon(tokenData, 30), true);
+    });
+
+    it('缓存的令牌在有效期内复用', async () => {
+        const first = await service.getUserToken('zhangsan');
+        const second = await service.getUserToken('zhangsan');
+
+        assert.equal(first.access_token, second.access_token);
+        assert.equal(exchanges, 1);
+    });
+
+    it('令牌被拒绝时重新签发并重试一次', async () => {
+        const usedTokens = [];
+        const result = await service.withUserToken('zhangsan', async (accessToken) => {
+            usedTokens.push(accessToken);
+            if (usedTokens.length === 1) {
+                const error = new Error('authentication is invalid');
+                error.status = 401;
+                throw error;
+            }
+            return 'ok';
+        });
+
+        assert.equal(result, 'ok');
+        assert.deepEqual(usedTokens, ['token_1', 'token_2']);
+        assert.equal((await service.getUserToken('zhangsan')).access_token, 'token_2');
+    });
+
+    it('其他错误不重新签发', async () => {
+        await assert.rejects(
+            service.withUserToken('zhangsan', async () => {
+                throw new Error('Request timeout');
+            }),
+            /Request timeout/
+        );
+        assert.equal(exchanges, 1);
+    });
+
+    it('按被拒绝的令牌清除对应成员的缓存', async () => {
+        const zhangsan = await service.getUserToken('zhangsan');
+        const lisi = await service.getUserToken('lisi');
+
+        assert.equal(service.handleAuthError(zhangsan.access_token, { code: 4100 }), true);
+        assert.equal(service.handleAuthError(lisi.access_token, { status: 500 }), false);
+
+        // 后台重新签发完成后缓存中为新令牌
+        assert.notEqual((await service.getUserToken('zhangsan')).access_token, zhangsan.access_token);
+        assert.equal((await service.getUserToken('lisi')).access_token, lisi.access_token);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * 结构化日志：核心字段、请求上下文和脱敏，运行: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../server/utils/logger');
+const { requestContext } = require('../server/utils/requestContext');
+
+describe('logger.buildEntry', () => {
+    it('元数据不会覆盖 timestamp、level 和 message', () => {
+        const entry = logger.buildEntry('warn', '检测到重复的回调请求', {
+            type: 'callback_replay_detected',
+            timestamp: '1792351674',
+            level: 'debug',
+            message: '其他消息'
+        });
+
+        assert.match(entry.timestamp, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+        assert.equal(entry.level, 'WARN');
+        assert.equal(entry.message, '检测到重复的回调请求');
+        assert.equal(entry.type, 'callback_replay_detected');
+        assert.deepEqual(entry.meta, { timestamp: '1792351674', level: 'debug', message: '其他消息' });
+    });
+
+    it('没有同名字段时不添加 meta', () => {
+        const entry = logger.buildEntry('info', '语音合成完成', { type: 'tts_success', size: 10 });
+
+        assert.equal(entry.meta, undefined);
+        assert.equal(entry.size, 10);
+    });
+
+    it('同名字段并入元数据中已有的 meta 对象', () => {
+        const entry = logger.buildEntry('info', '消息', { meta: { source: 'test' }, timestamp: 1 });
+
+        assert.deepEqual(entry.meta, { source: 'test', timestamp: 1 });
+    });
+
+    it('写入请求上下文，元数据中显式传入的字段优先', () => {
+        const entry = requestContext.run({ requestId: 'req_1', userId: 'zhangsan' }, () => (
+            logger.buildEntry('info', '消息', { userId: 'lisi' })
+        ));
+
+        assert.equal(entry.requestId, 'req_1');
+        assert.equal(entry.userId, 'lisi');
+    });
+
+    it('令牌字段脱敏', () => {
+        const entry = logger.buildEntry('info', '消息', { accessToken: 'abc', error: 'Bearer abc.def' });
+
+        assert.equal(entry.accessToken, '***');
+        assert.equal(entry.error, 'Bearer ***');
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * 消息全文索引：按成员存储、条数上限和旧版单文件索引的迁移
+ * 使用 file 存储驱动写入临时目录，运行: npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { useTemporaryPrivateKey } = require('./fixtures/privateKey');
+
+// 存储配置在加载时读取，需在加载索引模块前设置
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-test-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_DIR = storageDir;
+process.env.COZE_AUTH_METHOD = 'pat';
+process.env.COZE_API_KEY = process.env.COZE_API_KEY || 'pat_fake';
+process.env.COZE_BOT_ID = process.env.COZE_BOT_ID || 'fake_bot';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 构造一条消息
+ * @param {string} userId - 成员ID
+ * @param {number} n - 序号，同时决定创建时间
+ * @param {string} content - 正文
+ * @returns {Object}
+ */
+function buildMessage(userId, n, content) {
+    return {
+        userId: userId,
+        conversationId: 'conv_1',
+        role: n % 2 === 0 ? 'user' : 'assistant',
+        content: content,
+        chatId: `chat_${Math.floor(n / 2)}`,
+        messageId: n % 2 === 0 ? null : `msg_${n}`,
+        createdAt: 1700000000000 + n * 1000
+    };
+}
+
+describe('MessageSearchIndex', () => {
+    let removePrivateKey;
+    let MessageSearchIndex;
+    let searchConfig;
+    let flushAll;
+
+    before(() => {
+        removePrivateKey = useTemporaryPrivateKey();
+
+        // 旧版本的单文件索引
+        fs.writeFileSync(path.join(storageDir, 'message_search_index.json'), JSON.stringify({
+            namespace: 'message_search_index',
+            records: {
+                'legacy_user:conv_old:a:msg_1': {
+                    value: {
+                        userId: 'legacy_user',
+                        conversationId: 'conv_old',
+                        role: 'assistant',
+                        chatId: 'chat_1',
+                        messageId: 'msg_1',
+                        botId: null,
+                        content: '年假按入职年限计算',
+                        createdAt: 1700000000000
+                    },
+                    expiresAt: Date.now() + DAY_MS
+                },
+                'legacy_user:conv_old:a:msg_2': {
+                    value: { userId: 'legacy_user', conversationId: 'conv_old', role: 'assistant', content: '已过期' },
+                    expiresAt: Date.now() - 1000
+                }
+            }
+        }));
+
+        ({ MessageSearchIndex } = require('../server/utils/messageSearchIndex'));
+        ({ flushAll } = require('../server/utils/storage'));
+        searchConfig = require('../server/config/search');
+    });
+
+    after(() => {
+        removePrivateKey();
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    it('迁移旧版单文件索引，跳过已过期的消息', () => {
+        const index = new MessageSearchIndex(searchConfig);
+
+        const { results } = index.search('legacy_user', '年假');
+        assert.equal(results.length, 1);
+        assert.equal(results[0].messageId, 'msg_1');
+        assert.equal(index.search('legacy_user', '已过期').total, 0);
+
+        assert.equal(fs.existsSync(path.join(storageDir, 'message_search_index.json')), false);
+        assert.equal(fs.existsSync(path.join(storageDir, 'message_search_index.json.migrated')), true);
+    });
+
+    it('每个成员的索引写入单独的文件，搜索只返回本人的消息', () => {
+        const index = new MessageSearchIndex(searchConfig);
+        index.addMessage(buildMessage('zhangsan', 1, '报销流程需要部门审批'));
+        index.addMessage(buildMessage('lisi', 1, '报销单据需要附发票'));
+        flushAll();
+
+        const files = fs.readdirSync(path.join(storageDir, 'message_search_index'));
+        const zhangsanFile = files.map(file => path.join(storageDir, 'message_search_index', file))
+            .find(file => fs.readFileSync(file, 'utf8').includes('zhangsan:conv_1'));
+
+        assert.ok(zhangsanFile);
+        assert.equal(fs.readFileSync(zhangsanFile, 'utf8').includes('lisi'), false);
+        assert.equal(index.search('zhangsan', '报销').total, 1);
+        assert.equal(index.search('lisi', '报销').results[0].snippet, '报销单据需要附发票');
+    });
+
+    it('超出条数上限时移除最早的消息', () => {
+        const index = new MessageSearchIndex({ ...searchConfig, maxMessagesPerUser: 10 });
+        for (let n = 0; n < 25; n++) {
+            index.addMessage(buildMessage('wangwu', n, `第${n}条 加班申请`));
+        }
+
+        const { results, total } = index.search('wangwu', '加班', { limit: 50 });
+        assert.ok(total <= 10);
+        assert.equal(results[0].snippet, '第24条 加班申请');
+        assert.equal(index.search('wangwu', '第0条').total, 0);
+    });
+
+    it('删除会话时移除该会话的全部消息', () => {
+        const index = new MessageSearchIndex(searchConfig);
+        index.addMessage(buildMessage('zhaoliu', 0, '出差补贴标准'));
+        index.addMessage(buildMessage('zhaoliu', 1, '出差补贴按城市分级'));
+
+        assert.equal(index.removeConversation('zhaoliu', 'conv_1'), 2);
+        assert.equal(index.search('zhaoliu', '出差').total, 0);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Prometheus 抓取端点的访问控制，运行: npm test
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const metricsRoutes = require('../server/routes/metrics');
+
+describe('GET /metrics', () => {
+    let server;
+    let url;
+
+    before(async () => {
+        const app = express();
+        app.use('/metrics', metricsRoutes);
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        url = `http://127.0.0.1:${server.address().port}/metrics`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(() => {
+        delete process.env.METRICS_TOKEN;
+    });
+
+    it('未配置令牌时允许本机直接访问', async () => {
+        const response = await fetch(url);
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain/);
+    });
+
+    it('未配置令牌时拒绝经反向代理转发的请求', async () => {
+        const response = await fetch(url, { headers: { 'X-Forwarded-For': '203.0.113.10' } });
+        const body = await response.json();
+
+        assert.equal(response.status, 401);
+        assert.equal(body.code, 'METRICS_TOKEN_REQUIRED');
+    });
+
+    it('配置令牌后要求携带正确的令牌', async () => {
+        process.env.METRICS_TOKEN = 'scrape-secret';
+
+        assert.equal((await fetch(url)).status, 401);
+        assert.equal((await fetch(url, { headers: { Authorization: 'Bearer wrong-secret' } })).status, 401);
+
+        const response = await fetch(url, {
+            headers: { Authorization: 'Bearer scrape-secret', 'X-Forwarded-For': '203.0.113.10' }
+        });
+        assert.equal(response.status, 200);
+    });
+});
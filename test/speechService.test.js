@@ -0,0 +1,77 @@
+/**
+ * 语音识别：转码失败后降级的服务商重新转码，运行: npm test
+ * 使用临时脚本代替 ffmpeg，首次调用失败，之后输出固定内容
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useTemporaryPrivateKey } = require('./fixtures/privateKey');
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.COZE_AUTH_METHOD = 'pat';
+process.env.COZE_API_KEY = process.env.COZE_API_KEY || 'pat_fake';
+process.env.COZE_BOT_ID = process.env.COZE_BOT_ID || 'fake_bot';
+
+const FAKE_WAV = 'RIFF-fake-wav';
+
+describe('SpeechService 转码', () => {
+    let SpeechService;
+    let removePrivateKey;
+    let tempDir;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'speech-test-'));
+        const script = path.join(tempDir, 'ffmpeg');
+        const marker = path.join(tempDir, 'called');
+        fs.writeFileSync(script, [
+            '#!/bin/sh',
+            'cat > /dev/null',
+            `if [ ! -f "${marker}" ]; then touch "${marker}"; echo "invalid data" >&2; exit 1; fi`,
+            `printf '${FAKE_WAV}'`
+        ].join('\n'), { mode: 0o755 });
+
+        // 转码工具在加载时读取 FFMPEG_PATH
+        process.env.FFMPEG_PATH = script;
+        removePrivateKey = useTemporaryPrivateKey();
+        ({ SpeechService } = require('../server/services/speechService'));
+    });
+
+    after(() => {
+        removePrivateKey();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * 创建只接受 wav 的虚构服务商
+     * @param {string} name - 服务商名称
+     * @param {Array<string>} received - 记录收到的音频
+     * @returns {Object} 服务商
+     */
+    function createProvider(name, received) {
+        return {
+            name,
+            supportedFormats: ['wav'],
+            timeout: 5000,
+            isConfigured: () => true,
+            transcribe: async (buffer, options) => {
+                received.push({ provider: name, audio: buffer.toString(), format: options.format });
+                return { text: '你好', confidence: 1 };
+            }
+        };
+    }
+
+    it('转码失败后，降级的服务商重新转码', async () => {
+        const received = [];
+        const service = new SpeechService({ provider: 'first', fallbackProviders: ['second'], maxRetries: 1 });
+        service.registerProvider(createProvider('first', received));
+        service.registerProvider(createProvider('second', received));
+
+        const result = await service.transcribe(Buffer.from('amr-audio'), { format: 'amr', requestId: 'req_1' });
+
+        assert.equal(result.provider, 'second');
+        assert.equal(result.fallback, true);
+        assert.deepEqual(received, [{ provider: 'second', audio: FAKE_WAV, format: 'wav' }]);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * 语音朗读：音频缓存只保存在内存中，按条数和总大小淘汰，运行: npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryPrivateKey } = require('./fixtures/privateKey');
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.COZE_AUTH_METHOD = 'pat';
+process.env.COZE_API_KEY = process.env.COZE_API_KEY || 'pat_fake';
+process.env.COZE_BOT_ID = process.env.COZE_BOT_ID || 'fake_bot';
+
+describe('TtsService 音频缓存', () => {
+    let TtsService;
+    let removePrivateKey;
+
+    before(() => {
+        removePrivateKey = useTemporaryPrivateKey();
+        ({ TtsService } = require('../server/services/ttsService'));
+    });
+
+    after(() => removePrivateKey());
+
+    /**
+     * 创建使用虚构服务商的语音朗读服务，每次合成返回 size 字节的音频
+     * @param {Object} cache - 缓存配置 { maxEntries, maxBytes }
+     * @param {number} size - 音频大小（字节）
+     * @returns {Object} { service, calls }
+     */
+    function createService(cache, size = 10) {
+        const calls = [];
+        const service = new TtsService({
+            provider: 'fake',
+            fallbackProviders: [],
+            timeout: 1000,
+            maxRetries: 1,
+            maxTextLength: 1000,
+            chunkLength: 300,
+            cache: { ttl: 60 * 1000, ...cache }
+        });
+        service.registerProvider({
+            name: 'fake',
+            isConfigured: () => true,
+            synthesize: async (text) => {
+                calls.push(text);
+                return Buffer.alloc(size, calls.length);
+            }
+        });
+        return { service, calls };
+    }
+
+    it('同一条消息再次朗读时使用缓存的音频', async () => {
+        const { service, calls } = createService({ maxEntries: 5, maxBytes: 1024 });
+
+        const first = await service.synthesize('你好', { userId: 'u1', messageId: 'm1' });
+        const second = await service.synthesize('你好', { userId: 'u1', messageId: 'm1' });
+
+        assert.equal(calls.length, 1);
+        assert.equal(second.cached, true);
+        assert.ok(Buffer.isBuffer(second.audio));
+        assert.deepEqual(second.audio, first.audio);
+    });
+
+    it('超出条数上限时淘汰最早的音频', async () => {
+        const { service } = createService({ maxEntries: 2, maxBytes: 1024 });
+
+        for (const messageId of ['m1', 'm2', 'm3']) {
+            await service.synthesize('你好', { userId: 'u1', messageId });
+        }
+
+        assert.deepEqual(service.cache.keys(), ['u1:m2', 'u1:m3']);
+        assert.equal(service.cacheBytes, 20);
+    });
+
+    it('超出总大小上限时淘汰最早的音频，过大的音频不缓存', async () => {
+        const { service } = createService({ maxEntries: 10, maxBytes: 25 });
+
+        for (const messageId of ['m1', 'm2', 'm3']) {
+            await service.synthesize('你好', { userId: 'u1', messageId });
+        }
+        assert.deepEqual(service.cache.keys(), ['u1:m2', 'u1:m3']);
+
+        service.cacheAudio('u1:big', { hash: 'x', provider: 'fake', audio: Buffer.alloc(26) });
+        assert.deepEqual(service.cache.keys(), ['u1:m2', 'u1:m3']);
+        assert.equal(service.cacheBytes, 20);
+    });
+});
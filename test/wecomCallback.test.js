@@ -0,0 +1,240 @@
+/**
+ * 企业微信回调：加解密、XML解析和回调路由的往返测试
+ * 使用 fixtures 中虚构的企业密钥，运行: npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { FAKE_CORP, MESSAGES } = require('./fixtures/wecomMessages');
+const { useTemporaryPrivateKey } = require('./fixtures/privateKey');
+
+// 回调路由使用配置中的默认加解密实例，需在加载路由前设置；
+// 路由依赖的 Coze 配置使用虚构的个人令牌和临时生成的私钥，测试中不会调用 Coze
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.CORP_ID = FAKE_CORP.corpId;
+process.env.TOKEN = FAKE_CORP.token;
+process.env.ENCODING_AES_KEY = FAKE_CORP.encodingAESKey;
+process.env.COZE_AUTH_METHOD = 'pat';
+process.env.COZE_API_KEY = process.env.COZE_API_KEY || 'pat_fake';
+process.env.COZE_BOT_ID = process.env.COZE_BOT_ID || 'fake_bot';
+const removePrivateKey = useTemporaryPrivateKey();
+
+const { WeComCrypto } = require('../server/utils/crypto');
+const { parseXml, buildXml } = require('../server/utils/xml');
+
+const wecomCrypto = new WeComCrypto(FAKE_CORP);
+
+/**
+ * 按企业微信的格式构造加密回调请求
+ * @param {string} plainXml - 明文消息
+ * @param {Object} options - { timestamp, nonce }
+ * @returns {Object} { query, body }
+ */
+function buildEncryptedRequest(plainXml, options = {}) {
+    const timestamp = options.timestamp || Math.floor(Date.now() / 1000).toString();
+    const nonce = options.nonce || Math.random().toString(36).slice(2);
+    const encrypted = wecomCrypto.encryptMsg(plainXml, timestamp, nonce);
+
+    return {
+        query: { msg_signature: encrypted.msg_signature, timestamp, nonce },
+        body: buildXml({
+            ToUserName: FAKE_CORP.corpId,
+            Encrypt: encrypted.encrypt,
+            AgentID: 1000002
+        })
+    };
+}
+
+describe('xml', () => {
+    for (const fixture of MESSAGES) {
+        it(`解析${fixture.name}`, () => {
+            assert.deepEqual(parseXml(fixture.xml).xml, fixture.expected);
+        });
+    }
+
+    it('CDATA中的内容不会被当作元素解析', () => {
+        const parsed = parseXml('<xml><Content><![CDATA[<b>hi</b> there]]></Content></xml>');
+        assert.equal(parsed.xml.Content, '<b>hi</b> there');
+    });
+
+    it('包含 ]]> 和标签的文本序列化后可以原样解析', () => {
+        const content = 'x ]]> y <p>z</p>';
+        assert.deepEqual(parseXml(buildXml({ Content: content })), { xml: { Content: content } });
+    });
+
+    it('同名元素解析为数组', () => {
+        const parsed = parseXml('<xml><Item><Id>1</Id></Item><Item><Id>2</Id></Item></xml>');
+        assert.deepEqual(parsed.xml.Item, [{ Id: '1' }, { Id: '2' }]);
+    });
+
+    it('空内容或无效内容抛出错误', () => {
+        assert.throws(() => parseXml(''));
+        assert.throws(() => parseXml('not xml'));
+    });
+});
+
+describe('WeComCrypto', () => {
+    for (const fixture of MESSAGES) {
+        it(`加密后解密还原${fixture.name}`, () => {
+            const { query, body } = buildEncryptedRequest(fixture.xml);
+            const envelope = parseXml(body).xml;
+            const plain = wecomCrypto.decryptMsg(query.msg_signature, query.timestamp, query.nonce, envelope.Encrypt);
+
+            assert.equal(plain, fixture.xml);
+            assert.deepEqual(parseXml(plain).xml, fixture.expected);
+        });
+    }
+
+    it('验证回调URL并返回解密后的echostr', () => {
+        const timestamp = '1700000000';
+        const nonce = 'verifynonce';
+        const echostr = wecomCrypto.encrypt('echo-1234567890');
+        const signature = wecomCrypto.getSignature(timestamp, nonce, echostr);
+
+        assert.equal(wecomCrypto.verifyURL(signature, timestamp, nonce, echostr), 'echo-1234567890');
+        assert.equal(wecomCrypto.verifyURL('0'.repeat(40), timestamp, nonce, echostr), '');
+    });
+
+    it('签名不匹配时拒绝解密', () => {
+        const { query, body } = buildEncryptedRequest(MESSAGES[0].xml);
+        const envelope = parseXml(body).xml;
+
+        assert.throws(
+            () => wecomCrypto.decryptMsg('0'.repeat(40), query.timestamp, query.nonce, envelope.Encrypt),
+            /签名验证失败/
+        );
+    });
+
+    it('企业ID不匹配时拒绝解密', () => {
+        const otherCorp = new WeComCrypto({ ...FAKE_CORP, corpId: 'wwothercorp' });
+        const encrypted = otherCorp.encrypt(MESSAGES[0].xml);
+
+        assert.throws(() => wecomCrypto.decrypt(encrypted), /企业ID不匹配/);
+    });
+
+    it('多字节字符按字节长度补位', () => {
+        const message = '中文消息'.repeat(50);
+        assert.equal(wecomCrypto.decrypt(wecomCrypto.encrypt(message)), message);
+    });
+});
+
+describe('回调路由', () => {
+    let server;
+    let baseUrl;
+    let handled;
+    let replyContent;
+    let wecomMessageHandler;
+
+    before(async () => {
+        const express = require('express');
+        const callbackRoutes = require('../server/routes/callback');
+        ({ wecomMessageHandler } = require('../server/services/wecomMessageHandler'));
+
+        // 只验证路由的解密和回复，不调用 Coze
+        wecomMessageHandler.handle = async (message) => {
+            handled.push(message);
+            return replyContent;
+        };
+
+        const app = express();
+        app.use(express.text({ type: ['text/xml', 'application/xml'], limit: '1mb' }));
+        app.use('/', callbackRoutes);
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/callback`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        removePrivateKey();
+    });
+
+    /**
+     * 发送加密回调请求
+     * @param {Object} request - buildEncryptedRequest 的结果
+     * @returns {Promise<Response>}
+     */
+    function postCallback(request) {
+        const url = `${baseUrl}?${new URLSearchParams(request.query)}`;
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/xml' },
+            body: request.body
+        });
+    }
+
+    for (const fixture of MESSAGES) {
+        it(`解密并分发${fixture.name}`, async () => {
+            handled = [];
+            replyContent = null;
+
+            const response = await postCallback(buildEncryptedRequest(fixture.xml));
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(handled, [fixture.expected]);
+        });
+    }
+
+    it('被动回复使用加密报文，解密后可还原回复内容', async () => {
+        handled = [];
+        replyContent = '已收到 <b>你的</b> 消息 ]]> 谢谢';
+
+        const request = buildEncryptedRequest(MESSAGES[0].xml);
+        const response = await postCallback(request);
+        const envelope = parseXml(await response.text()).xml;
+        const reply = parseXml(wecomCrypto.decryptMsg(
+            envelope.MsgSignature, envelope.TimeStamp, envelope.Nonce, envelope.Encrypt
+        )).xml;
+
+        assert.equal(response.status, 200);
+        assert.equal(envelope.Nonce, request.query.nonce);
+        assert.equal(reply.ToUserName, MESSAGES[0].expected.FromUserName);
+        assert.equal(reply.MsgType, 'text');
+        assert.equal(reply.Content, replyContent);
+    });
+
+    it('验证回调URL', async () => {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const nonce = 'urlverify';
+        const echostr = wecomCrypto.encrypt('echo-route');
+        const query = new URLSearchParams({
+            msg_signature: wecomCrypto.getSignature(timestamp, nonce, echostr),
+            timestamp,
+            nonce,
+            echostr
+        });
+
+        const response = await fetch(`${baseUrl}?${query}`);
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), 'echo-route');
+    });
+
+    it('签名错误返回401', async () => {
+        handled = [];
+        const request = buildEncryptedRequest(MESSAGES[0].xml);
+        request.query.msg_signature = '0'.repeat(40);
+
+        const response = await postCallback(request);
+        assert.equal(response.status, 401);
+        assert.equal(handled.length, 0);
+    });
+
+    it('重复的 timestamp + nonce 被拒绝', async () => {
+        handled = [];
+        const request = buildEncryptedRequest(MESSAGES[0].xml, { nonce: 'replaynonce' });
+
+        assert.equal((await postCallback(request)).status, 200);
+        assert.equal((await postCallback(request)).status, 403);
+        assert.equal(handled.length, 1);
+    });
+
+    it('时间戳超出允许范围被拒绝', async () => {
+        handled = [];
+        const expired = Math.floor(Date.now() / 1000 - 3600).toString();
+        const response = await postCallback(buildEncryptedRequest(MESSAGES[0].xml, { timestamp: expired }));
+
+        assert.equal(response.status, 403);
+        assert.equal(handled.length, 0);
+    });
+});